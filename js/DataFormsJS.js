@@ -41,6 +41,7 @@
  *     app.activeJsControls
  *     app.activeVueModel
  *     app.activeParameterList
+ *     app.activeQuery
  *     app.controllers
  *     app.models
  *
@@ -105,6 +106,33 @@
     var isIE = (navigator.userAgent.indexOf('Trident/') !== -1);
     var routingMode = null;
     var checkedForCssVarPolyfill = false;
+    var defaultRetryStatusCodes = [408, 429, 500, 502, 503, 504];
+    var dataCacheDb = null;
+    var dataCacheStorageKey = 'dataformsjs-cache:';
+    var dataCacheVaryHeaders = ['accept', 'accept-language', 'authorization'];
+    var allowedRoutePath = null;
+    var activeRoutePath = null;
+    var activeRouteUrl = null;
+    var skipBeforeRouteChange = false;
+    var scrollPositions = {};
+    var historyKey = null;
+    var historyKeyCount = 0;
+    var historyIndex = null;
+    var restoringRouteUrl = null;
+    var pendingScroll = null;
+    var isNewRoute = false;
+    var isFirstRoute = true;
+    var lazyLoadRequests = {};
+    var prefetchedRoutes = {};
+    var prefetchObserver = null;
+    var parsedRoutes = {};
+    var RouteSegmentScore = {
+        Exact: 4,
+        RegExp: 3,
+        Param: 2,
+        Optional: 1,
+        Splat: 0,
+    };
 
     function validateTypeOf(value, typeName, propName, callingFunction) {
         if (typeof value !== typeName) {
@@ -491,6 +519,593 @@
         }
     }
 
+    /**
+     * Convert a route path to an array of segment tokens. Route matching
+     * uses the same code as [js/scripts/route-matcher.js] which is used by
+     * the <url-router> Web Component and the Node server [server/app.js].
+     *
+     * @param {string} routePath
+     * @return {array}
+     */
+    function parseRoutePath(routePath) {
+        if (parsedRoutes[routePath] !== undefined) {
+            return parsedRoutes[routePath];
+        }
+        var tokens = routePath.split('/').map(function(segment) {
+            var first = segment.substring(0, 1);
+            if (first === '*') {
+                return { type: 'splat', name: (segment.length > 1 ? segment.substring(1) : '*'), score: RouteSegmentScore.Splat };
+            } else if (first !== ':') {
+                return { type: 'exact', value: segment, score: RouteSegmentScore.Exact };
+            }
+            var name = segment.substring(1);
+            var optional = (name.substring(name.length - 1) === '?');
+            if (optional) {
+                name = name.substring(0, name.length - 1);
+            }
+            var regex = null;
+            var pos = name.indexOf('(');
+            if (pos > 0 && name.substring(name.length - 1) === ')') {
+                regex = new RegExp('^(?:' + name.substring(pos + 1, name.length - 1) + ')$');
+                name = name.substring(0, pos);
+            }
+            return {
+                type: 'param',
+                name: name,
+                regex: regex,
+                optional: optional,
+                score: (optional ? RouteSegmentScore.Optional : (regex === null ? RouteSegmentScore.Param : RouteSegmentScore.RegExp)),
+            };
+        });
+        parsedRoutes[routePath] = tokens;
+        return tokens;
+    }
+
+    /**
+     * Decode a URL segment, invalid values are returned as-is
+     *
+     * @param {string} value
+     * @return {string}
+     */
+    function decodeUrlSegment(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Compare path segments starting at specific positions. Values for parameters
+     * are added to [values] as `{ token, value }`. Optional parameters and splats
+     * are checked with and without the segment so routes such as '/:a?/:b'
+     * can match either one or two segments.
+     *
+     * @param {array} tokens
+     * @param {number} t - Token position
+     * @param {array} parts - Decoded URL segments
+     * @param {number} p - Segment position
+     * @param {array} values
+     * @return {bool}
+     */
+    function matchRouteSegments(tokens, t, parts, p, values) {
+        if (t === tokens.length) {
+            return (p === parts.length);
+        }
+        var token = tokens[t];
+        var count = values.length;
+        if (token.type === 'exact') {
+            return (p < parts.length && parts[p] === token.value && matchRouteSegments(tokens, t + 1, parts, p + 1, values));
+        } else if (token.type === 'splat') {
+            for (var end = parts.length; end >= p; end--) {
+                values.push({ token: token, value: parts.slice(p, end).join('/') });
+                if (matchRouteSegments(tokens, t + 1, parts, end, values)) {
+                    return true;
+                }
+                values.length = count;
+            }
+            return false;
+        }
+        if (p < parts.length && (token.regex === null || token.regex.test(parts[p]))) {
+            values.push({ token: token, value: parts[p] });
+            if (matchRouteSegments(tokens, t + 1, parts, p + 1, values)) {
+                return true;
+            }
+            values.length = count;
+        }
+        if (token.optional) {
+            values.push({ token: token, value: undefined });
+            if (matchRouteSegments(tokens, t + 1, parts, p, values)) {
+                return true;
+            }
+            values.length = count;
+        }
+        return false;
+    }
+
+    /**
+     * Parse a query string into an object. Keys that are repeated
+     * such as 'tag=a&tag=b' will have an array of values.
+     *
+     * @param {string} query - Query string without the leading '?'
+     * @return {object}
+     */
+    function parseQueryString(query) {
+        var result = {};
+        if (!query) {
+            return result;
+        }
+        query.split('&').forEach(function(pair) {
+            if (pair === '') {
+                return;
+            }
+            var pos = pair.indexOf('=');
+            var key = decodeUrlSegment((pos === -1 ? pair : pair.substring(0, pos)).replace(/\+/g, ' '));
+            var value = (pos === -1 ? '' : decodeUrlSegment(pair.substring(pos + 1).replace(/\+/g, ' ')));
+            if (result[key] === undefined) {
+                result[key] = value;
+            } else if (Array.isArray(result[key])) {
+                result[key].push(value);
+            } else {
+                result[key] = [result[key], value];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Build a query string from an object. Properties that are [null],
+     * [undefined], or an empty string are skipped and arrays are added
+     * as repeated keys. Returns an empty string if there are no values.
+     *
+     * @param {object} query
+     * @return {string} - Query string without the leading '?'
+     */
+    function buildQueryString(query) {
+        var pairs = [];
+        for (var prop in query) {
+            if (query.hasOwnProperty(prop)) {
+                var values = (Array.isArray(query[prop]) ? query[prop] : [query[prop]]);
+                for (var n = 0, m = values.length; n < m; n++) {
+                    if (values[n] !== null && values[n] !== undefined && values[n] !== '') {
+                        pairs.push(encodeURIComponent(prop) + '=' + encodeURIComponent(values[n]));
+                    }
+                }
+            }
+        }
+        return pairs.join('&');
+    }
+
+    /**
+     * Called from [handleRouteChange()] when only the query string of the active
+     * route changes and the controller or page defines [onQueryChange()]. The
+     * route is not reloaded, instead [onQueryChange(query, previousQuery)]
+     * is called and then the view is updated. If [onQueryChange()] returns
+     * [false] then the change is cancelled and the previous URL is shown.
+     *
+     * @param {object} query
+     */
+    function handleQueryChange(query) {
+        var previousQuery = app.activeQuery;
+        var previousRouteUrl = activeRouteUrl;
+        app.activeQuery = query;
+        activeRouteUrl = window.location.href;
+        try {
+            var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+            if (app.activeController.onQueryChange.call(model, query, previousQuery) === false) {
+                app.activeQuery = previousQuery;
+                activeRouteUrl = previousRouteUrl;
+                restoreActiveRouteUrl();
+                return;
+            }
+        } catch (e) {
+            app.showErrorAlert('Error from Controller [path=' + app.activeController.path + '] on [onQueryChange()]: ' + e.toString());
+            console.error(e);
+        }
+        updateHistoryScroll();
+        app.updateView();
+    }
+
+    /**
+     * Return a key for the current history entry. The key is saved to
+     * [history.state] so it can be read again when the user returns
+     * to the entry using the back or forward buttons.
+     *
+     * @return {string}
+     */
+    function getHistoryKey() {
+        var state = window.history.state;
+        if (state !== null && typeof state === 'object' && typeof state.dataformsjsKey === 'string') {
+            return state.dataformsjsKey;
+        }
+        var key = String(new Date().getTime()) + '-' + String(historyKeyCount++);
+        var newState = {};
+        if (state !== null && typeof state === 'object') {
+            for (var prop in state) {
+                if (state.hasOwnProperty(prop)) {
+                    newState[prop] = state[prop];
+                }
+            }
+        }
+        newState.dataformsjsKey = key;
+        if (typeof newState.dataformsjsIndex !== 'number') {
+            // New entries are always added after the active entry
+            newState.dataformsjsIndex = (historyIndex === null ? 0 : historyIndex + 1);
+        }
+        try {
+            window.history.replaceState(newState, document.title);
+        } catch (e) {
+            // Some browsers do not allow [replaceState()] for pages
+            // viewed from the file system, in this case scroll
+            // positions are not restored.
+            console.warn(e);
+        }
+        return key;
+    }
+
+    /**
+     * Save the scroll position of the current history entry and get the
+     * position to restore for the new entry. Returns [null] for history
+     * entries that have not been viewed so the page starts at the top.
+     */
+    function updateHistoryScroll() {
+        if (historyKey !== null) {
+            scrollPositions[historyKey] = {
+                x: (window.pageXOffset || document.documentElement.scrollLeft),
+                y: (window.pageYOffset || document.documentElement.scrollTop),
+            };
+        }
+        historyKey = getHistoryKey();
+        historyIndex = getHistoryIndex(window.history.state);
+        pendingScroll = (scrollPositions[historyKey] === undefined ? null : scrollPositions[historyKey]);
+    }
+
+    /**
+     * Return the position of a history entry from [history.state] that is saved
+     * by [getHistoryKey()] or [null] if the entry has not been viewed.
+     *
+     * @param {*} state
+     * @return {number|null}
+     */
+    function getHistoryIndex(state) {
+        if (state !== null && typeof state === 'object' && typeof state.dataformsjsIndex === 'number') {
+            return state.dataformsjsIndex;
+        }
+        return null;
+    }
+
+    /**
+     * Called when a route guard or [onQueryChange()] cancels a route change to show
+     * the URL of the active route again. The browser has already added or moved to
+     * the new history entry so it moves back to the active entry using [history.go()]
+     * rather than replacing the new entry which would leave a duplicate entry.
+     * New entries do not yet have an index and are always after the active entry.
+     */
+    function restoreActiveRouteUrl() {
+        previousUrl = null;
+        if (activeRouteUrl === null || window.location.href === activeRouteUrl) {
+            return;
+        }
+        var index = getHistoryIndex(window.history.state);
+        var delta = (historyIndex === null ? 0 : (index === null ? -1 : historyIndex - index));
+        if (delta === 0) {
+            window.history.replaceState(null, null, activeRouteUrl);
+        } else {
+            restoringRouteUrl = activeRouteUrl;
+            window.history.go(delta);
+        }
+    }
+
+    /**
+     * Called each time the view is rendered. When returning to a history entry the
+     * saved scroll position is restored, if the page is not yet tall enough (for
+     * example data is still loading) then it runs again on the next render.
+     *
+     * After the first render of a new route focus is optionally moved and the page
+     * title announced for screen readers. Both are opt-in using <html> attributes:
+     *     <html data-route-focus="h1">     Focus the first matching element or
+     *                                      the view element if not found.
+     *     <html data-route-announce>       Announce [document.title] using an [aria-live] region.
+     *     <html data-route-announce="Navigated to {title}">
+     */
+    function afterRouteRender() {
+        if (pendingScroll !== null) {
+            window.scrollTo(pendingScroll.x, pendingScroll.y);
+            var maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+            if (pendingScroll.y <= maxScroll) {
+                pendingScroll = null;
+            }
+        }
+        if (!isNewRoute) {
+            return;
+        }
+        isNewRoute = false;
+
+        // Screen readers read the page normally when it first loads
+        if (isFirstRoute) {
+            isFirstRoute = false;
+            return;
+        }
+        var view = document.querySelector(app.settings.viewSelector);
+        var focusSelector = document.documentElement.getAttribute('data-route-focus');
+        if (focusSelector !== null && view !== null) {
+            var element = (focusSelector === '' ? null : view.querySelector(focusSelector));
+            element = (element === null ? view : element);
+            if (!element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '-1');
+            }
+            element.focus({ preventScroll: true });
+        }
+        var message = document.documentElement.getAttribute('data-route-announce');
+        if (message !== null) {
+            var title = document.title;
+            if (!title && view !== null && view.querySelector('h1') !== null) {
+                title = view.querySelector('h1').textContent.trim();
+            }
+            app.announce(message === '' ? title : message.replace('{title}', title));
+        }
+    }
+
+    /**
+     * Return the route path of a link for [app.prefetchRoute()] or
+     * null if the link is not a route of the current page.
+     *
+     * @param {HTMLAnchorElement} link
+     * @return {string|null}
+     */
+    function getLinkRoutePath(link) {
+        if (link.origin !== window.location.origin) {
+            return null;
+        } else if (routingMode === 'history') {
+            return link.pathname + link.search;
+        } else if (link.pathname !== window.location.pathname || link.hash.indexOf('#/') !== 0) {
+            return null;
+        }
+        return link.hash;
+    }
+
+    /**
+     * Event handler for links that prefetch on hover or focus
+     *
+     * @param {Event} e
+     */
+    function prefetchLink(e) {
+        var path = getLinkRoutePath(e.currentTarget);
+        if (path !== null) {
+            app.prefetchRoute(path);
+        }
+    }
+
+    /**
+     * Setup links to prefetch routes after the view is rendered. Links use
+     * [data-prefetch="hover|visible"] and all route links can be prefetched by
+     * setting a default mode from <html data-prefetch="hover|visible">.
+     * Links with [data-prefetch="none"] are not prefetched. Adding the same
+     * event listener or observing the same link twice has no effect so links
+     * are not tracked between renders.
+     */
+    function setupPrefetchLinks() {
+        var defaultMode = document.documentElement.getAttribute('data-prefetch');
+        var selector = 'a[data-prefetch]';
+        if (defaultMode !== null) {
+            selector += (routingMode === 'history' ? ', a[href^="/"]:not([data-no-pushstate])' : ', a[href^="#/"]');
+        }
+        var links = document.querySelectorAll(selector);
+        Array.prototype.forEach.call(links, function(link) {
+            var mode = link.getAttribute('data-prefetch');
+            if (mode === null || mode === '') {
+                mode = (defaultMode ? defaultMode : 'hover');
+            }
+            if (mode === 'hover') {
+                link.addEventListener('mouseenter', prefetchLink);
+                link.addEventListener('focus', prefetchLink);
+                link.addEventListener('touchstart', prefetchLink);
+            } else if (mode === 'visible' && window.IntersectionObserver !== undefined) {
+                if (prefetchObserver === null) {
+                    prefetchObserver = new IntersectionObserver(function(entries) {
+                        entries.forEach(function(entry) {
+                            if (entry.isIntersecting) {
+                                prefetchObserver.unobserve(entry.target);
+                                prefetchLink({ currentTarget: entry.target });
+                            }
+                        });
+                    });
+                }
+                prefetchObserver.observe(link);
+            }
+        });
+    }
+
+    /**
+     * Download JSON data for a route that has not been viewed yet. This applies
+     * to pages such as [jsonData] that define [url] and [buildFetchUrl()]. The
+     * model is created the same way as [loadModel()] without saving it to the app.
+     * Data is saved to [app.dataCache] using the [cacheTtl] of the route, rules
+     * from [app.dataCache.setTtl()], or [app.dataCache.prefetchTtl].
+     *
+     * @param {object} controller
+     * @param {object} namedArgs
+     * @param {object} query
+     * @return {Promise}
+     */
+    function prefetchData(controller, namedArgs, query) {
+        var model = (controller.modelName ? app.models[controller.modelName] : undefined);
+        if (model === undefined) {
+            var page = (controller.pageType ? app.pages[controller.pageType] : undefined);
+            if (typeof page === 'function') {
+                model = new page();
+            } else if (page !== undefined && typeof page.model === 'object') {
+                model = app.deepClone({}, page.model);
+            } else {
+                model = {};
+            }
+            if (controller.settings !== undefined) {
+                app.deepClone(model, controller.settings);
+            }
+        }
+        if (typeof model.buildFetchUrl !== 'function' || !model.url || model.graphqlQuery || model.graphqlId || model.graphqlSrc) {
+            return Promise.resolve();
+        }
+
+        var url = model.buildFetchUrl(Object.assign({}, query, namedArgs), query);
+        var cacheTtl = (model.cacheTtl === null || model.cacheTtl === undefined ? app.dataCache.getTtl(url) : model.cacheTtl);
+        var isPrefetchTtl = (cacheTtl === null);
+        return app.fetch(url, { cacheTtl: (isPrefetchTtl ? app.dataCache.prefetchTtl : cacheTtl) }).then(function() {
+            if (isPrefetchTtl) {
+                window.dataformsjsPrefetchedUrls[url] = true;
+            }
+        });
+    }
+
+    /**
+     * Find the most specific controller for a URL path. When more than one
+     * controller matches the first one defined is used for routes of equal rank.
+     *
+     * @param {string} path
+     * @return {object} - { controller, routeResult } or { controller:null }
+     */
+    function findController(path) {
+        var controller = null,
+            routeResult = null;
+        for (var n = 0, m = app.controllers.length; n < m; n++) {
+            if (controller !== null && app.compareRoutes(app.controllers[n].path, controller.path) >= 0) {
+                continue;
+            }
+            var result = app.routeMatches(path, app.controllers[n].path);
+            if (result.isMatch) {
+                controller = app.controllers[n];
+                routeResult = result;
+            }
+        }
+        return { controller: controller, routeResult: routeResult };
+    }
+
+    /**
+     * Run route guards before the current route is unloaded. Controllers with a
+     * [redirect] (from [data-redirect]) are checked first followed by [beforeLeave()]
+     * from the active controller or page, the global function [app.beforeRouteChange()],
+     * and then [beforeEnter()] from the controller or page. Guard functions can return `false` to cancel the route
+     * change, a path to redirect to, or a Promise that resolves to either value.
+     * All other values allow the route to load.
+     *
+     * @param {string} path
+     * @param {function} callback - Called with `true`, `false`, or a redirect path
+     */
+    function checkRouteGuards(path, callback) {
+        var controller = null,
+            routeResult = null,
+            previousPath = activeRoutePath,
+            runBeforeRouteChange = !skipBeforeRouteChange;
+
+        skipBeforeRouteChange = false;
+
+        // Find the matching controller
+        var match = findController(path);
+        controller = match.controller;
+        routeResult = match.routeResult;
+
+        // Handle the value returned from a guard function, Promises are
+        // resolved and `next()` is called if the route change is allowed.
+        function handleResult(result, name, next) {
+            if (result && typeof result.then === 'function') {
+                result.then(function(value) {
+                    handleResult(value, name, next);
+                }, function(error) {
+                    app.showErrorAlert('Error from [' + name + ']: ' + error);
+                    console.error(error);
+                    callback(false);
+                });
+            } else if (result === false) {
+                callback(false);
+            } else if (typeof result === 'string') {
+                // Redirect without running [app.beforeRouteChange()] a second time
+                skipBeforeRouteChange = true;
+                callback(result);
+            } else {
+                next();
+            }
+        }
+
+        // Call a guard function and handle errors
+        function runGuard(fn, thisArg, args, name, next) {
+            var result;
+            try {
+                result = fn.apply(thisArg, args);
+            } catch (e) {
+                app.showErrorAlert('Error from [' + name + ']: ' + e.toString());
+                console.error(e);
+                callback(false);
+                return;
+            }
+            handleResult(result, name, next);
+        }
+
+        // Controller or Page [beforeEnter()]
+        function checkBeforeEnter() {
+            if (controller === null || typeof controller.beforeEnter !== 'function') {
+                callback(true);
+                return;
+            }
+            var name = 'Controller [path=' + controller.path + '].beforeEnter()';
+            runGuard(controller.beforeEnter, controller, [path, previousPath, routeResult.namedArgs], name, function() {
+                callback(true);
+            });
+        }
+
+        // Active Controller or Page [beforeLeave()], for example to confirm
+        // unsaved changes. This is called with the active model as [this].
+        function checkBeforeLeave(next) {
+            var active = app.activeController;
+            if (!runBeforeRouteChange || active === null || previousPath === null || typeof active.beforeLeave !== 'function') {
+                next();
+                return;
+            }
+            var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+            var name = 'Controller [path=' + active.path + '].beforeLeave()';
+            runGuard(active.beforeLeave, model, [path, previousPath], name, next);
+        }
+
+        // Global [app.beforeRouteChange()]
+        function checkBeforeRouteChange() {
+            if (runBeforeRouteChange && typeof app.beforeRouteChange === 'function') {
+                runGuard(app.beforeRouteChange, app, [path, previousPath], 'app.beforeRouteChange()', checkBeforeEnter);
+            } else {
+                checkBeforeEnter();
+            }
+        }
+
+        // Redirect routes, ":params" in the redirect path are replaced with values from the URL
+        if (controller !== null && typeof controller.redirect === 'string') {
+            callback(app.buildUrl(controller.redirect, routeResult.namedArgs));
+            return;
+        }
+
+        // Functions from pages are copied to the controller the first time
+        // it's used so the page needs to be loaded to check for [beforeEnter()].
+        checkBeforeLeave(function() {
+            if (controller !== null && controller.pageType && controller._pageCopied === undefined) {
+                loadController(controller, checkBeforeRouteChange);
+            } else {
+                checkBeforeRouteChange();
+            }
+        });
+    }
+
+    /**
+     * Redirect to a path from a route guard or redirect route. The current
+     * history entry is replaced so the back button skips the redirect.
+     *
+     * @param {string} path
+     */
+    function redirectRoute(path) {
+        if (routingMode === 'history') {
+            window.history.replaceState(null, null, path);
+            handleRouteChange();
+        } else {
+            window.location.replace(path.indexOf('#') === 0 ? path : '#' + path);
+        }
+    }
+
     /**
      * Render the view or call functions based on the URL hash.
      * Called from [app.setup()] and the window [hashchange] event.
@@ -513,6 +1128,13 @@
         // This is not unit tested, rather uncomment the [console.log] statements
         // and for slow resources. For example, modify code in 'website\app\app.php'
         // [$app->get('/*' ...] adding a timer and test with a local build of the main site.
+        if (restoringRouteUrl !== null) {
+            var isRestored = (window.location.href === restoringRouteUrl);
+            restoringRouteUrl = null;
+            if (isRestored) {
+                return; // Back to the active route from [restoreActiveRouteUrl()]
+            }
+        }
         if (routeLoadingCount > 200) {
             app.showErrorAlert(app.settings.errors.pageLoading);
             routeLoadingCount = 0;
@@ -546,11 +1168,57 @@
             path = path.substring(1);
         }
 
+        // Split the query string from the path. With hash routing the
+        // query string is part of the hash, for example '#/orders?page=2'.
+        var query = (routingMode === 'history' ? window.location.search.substring(1) : '');
+        var pos = path.indexOf('?');
+        if (pos !== -1) {
+            query = path.substring(pos + 1);
+            path = path.substring(0, pos);
+        }
+
         // Define as root url ('/') if blank
         if (path === '') {
             path = '/';
         }
 
+        // If only the query string changed and the route handles
+        // [onQueryChange()] then the route is not reloaded.
+        var activeQuery = parseQueryString(query);
+        if (path === activeRoutePath &&
+            app.activeController !== null &&
+            typeof app.activeController.onQueryChange === 'function' &&
+            JSON.stringify(activeQuery) !== JSON.stringify(app.activeQuery)
+        ) {
+            handleQueryChange(activeQuery);
+            isLoadingRoute = false;
+            return;
+        }
+
+        // Run route guards before the current route is unloaded. Once
+        // the route is allowed this function is called again to load it.
+        if (allowedRoutePath !== path) {
+            checkRouteGuards(path, function(result) {
+                isLoadingRoute = false;
+                if (result === true) {
+                    allowedRoutePath = path;
+                    handleRouteChange();
+                } else if (result === false) {
+                    // Route change was cancelled so show the URL of the current route
+                    restoreActiveRouteUrl();
+                } else {
+                    redirectRoute(result);
+                }
+            });
+            return;
+        }
+        allowedRoutePath = null;
+        activeRoutePath = path;
+        activeRouteUrl = window.location.href;
+        if (app.controllers.length > 0) {
+            updateHistoryScroll();
+        }
+
         // Allow plugins to cancel the route change. This is not a common
         // event and was created so that DataFormsJS can be used with one page sites
         // rather than Single Page Apps (SPA).
@@ -628,19 +1296,21 @@
         app.activeVueApp = null;
         app.activeParameters = [];
         app.activeParameterList = {};
+        app.activeQuery = activeQuery;
         vueWatcherDepPrevLen = 0;
         vueUpdateView = false;
 
         // Find matching controller for the hash or get default if not match
-        for (n = 0, m = app.controllers.length; n < m; n++) {
-            routeResult = app.routeMatches(path, app.controllers[n].path);
-            if (routeResult.isMatch) {
-                controller = app.controllers[n];
-                app.activeParameters = routeResult.args;
-                app.activeParameterList = routeResult.namedArgs;
-                break;
-            } else if (app.controllers[n].path === app.settings.defaultRoute) {
-                defaultIndex = n;
+        routeResult = findController(path);
+        controller = routeResult.controller;
+        if (controller !== null) {
+            app.activeParameters = routeResult.routeResult.args;
+            app.activeParameterList = routeResult.routeResult.namedArgs;
+        } else {
+            for (n = 0, m = app.controllers.length; n < m; n++) {
+                if (app.controllers[n].path === app.settings.defaultRoute) {
+                    defaultIndex = n;
+                }
             }
         }
 
@@ -711,8 +1381,10 @@
                                 console.error(e);
                             }
                         }
-                        // Reset scroll position and render the view
+                        // Reset scroll position and render the view. When returning to a
+                        // previous history entry the scroll position is restored once rendered.
                         window.scrollTo(0, 0);
+                        isNewRoute = true;
                         app.updateView();
                         isLoadingRoute = false;
                     }
@@ -798,24 +1470,38 @@
             }
         }
 
-        // Items to load are comma delimited, for each item add a promise
-        // to load the related scripts defined from [app.lazyLoad].
-        var lazyLoad = controller.settings.lazyLoad;
-        var routeScripts = lazyLoad.split(',').map(function(s) { return s.trim(); });
+        // Once all scripts are downloaded then finish loading the controller.
+        loadLazyScripts(controller).finally(function () {
+            setControllerFromPage(controller);
+            callback();
+        });
+    }
+
+    /**
+     * Download scripts from [app.lazyLoad] for a controller. Items are comma
+     * delimited and each item is requested only once so a route that is clicked
+     * while [app.prefetchRoute()] is still downloading the scripts waits for them.
+     *
+     * @param {object} controller
+     * @return {Promise}
+     */
+    function loadLazyScripts(controller) {
+        if (controller.settings === undefined || controller.settings.lazyLoad === undefined) {
+            return Promise.resolve();
+        }
+        var routeScripts = controller.settings.lazyLoad.split(',').map(function(s) { return s.trim(); });
         var promises = [];
         routeScripts.forEach(function(script) {
             if (app.lazyLoad[script] === undefined) {
                 console.error('Missing [app.LazyLoad] scripts for: ' + script);
             } else {
-                promises.push(app.loadScripts(app.lazyLoad[script]));
+                if (lazyLoadRequests[script] === undefined) {
+                    lazyLoadRequests[script] = app.loadScripts(app.lazyLoad[script]);
+                }
+                promises.push(lazyLoadRequests[script]);
             }
         });
-
-        // Once all scripts are downloaded then finish loading the controller.
-        Promise.all(promises).finally(function () {
-            setControllerFromPage(controller);
-            callback();
-        });
+        return Promise.all(promises);
     }
 
     /**
@@ -846,7 +1532,7 @@
             if (typeof page === 'function') {
                 // JavaScript class
                 var functions = app.getClassFunctionNames(page);
-                var includeFn = ['onRouteLoad', 'onBeforeRender', 'onRendered', 'onRouteUnload'];
+                var includeFn = ['onRouteLoad', 'onBeforeRender', 'onRendered', 'onRouteUnload', 'onQueryChange', 'beforeEnter', 'beforeLeave'];
                 for (var n = 0; n < functions.length; n++) {
                     var fn = functions[n];
                     if (includeFn.includes(fn)) {
@@ -904,7 +1590,7 @@
                         // Page defined as a `class`
                         model = new page();
                         var fn = app.getClassFunctionNames(page);
-                        var excludeFn = ['constructor', 'onRouteLoad', 'onBeforeRender', 'onRendered', 'onRouteUnload'];
+                        var excludeFn = ['constructor', 'onRouteLoad', 'onBeforeRender', 'onRendered', 'onRouteUnload', 'onQueryChange', 'beforeEnter', 'beforeLeave'];
                         for (var n = 0; n < fn.length; n++) {
                             prop = fn[n];
                             if (!excludeFn.includes(prop)) {
@@ -1002,11 +1688,107 @@
         console.error(errorEvent);
     }
 
+    /**
+     * Private function used with [app.dataCache] to convert a URL pattern to a RegExp.
+     * A RegExp is used as-is and for strings '*' matches any number of characters.
+     *
+     * @param {string|RegExp} pattern
+     * @return {RegExp}
+     */
+    function urlPatternToRegExp(pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern;
+        }
+        var regex = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp('^' + regex + '$');
+    }
+
+    /**
+     * Private function used with [app.dataCache] to return the URL of a cache
+     * key from [app.dataCache.getKey()] so patterns match every key for a URL.
+     *
+     * @param {string} key
+     * @return {string}
+     */
+    function getDataCacheUrl(key) {
+        var pos = key.indexOf('\n');
+        return (pos === -1 ? key : key.substring(0, pos));
+    }
+
+    /**
+     * Private function used with [app.dataCache] to hash Request Header values
+     * so values such as [Authorization] tokens are not saved in cache keys.
+     * This is not a secure hash, it only needs to keep keys unique.
+     *
+     * @param {string} value
+     * @return {string}
+     */
+    function hashDataCacheValue(value) {
+        var h1 = 5381;
+        var h2 = 52711;
+        for (var n = 0, m = value.length; n < m; n++) {
+            var code = value.charCodeAt(n);
+            h1 = ((h1 * 33) ^ code) >>> 0;
+            h2 = ((h2 * 31) ^ code) >>> 0;
+        }
+        return h1.toString(36) + h2.toString(36);
+    }
+
+    /**
+     * Private function used with [app.dataCache] to run a request against
+     * IndexedDB. The database is opened once and then reused.
+     *
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} callback - Called with the IDBObjectStore and returns an optional IDBRequest
+     * @return {Promise}
+     */
+    function dataCacheDbRequest(mode, callback) {
+        if (dataCacheDb === null) {
+            dataCacheDb = new Promise(function(resolve, reject) {
+                if (window.indexedDB === undefined) {
+                    reject(new Error('IndexedDB is not supported by this browser'));
+                    return;
+                }
+                var request = window.indexedDB.open('dataformsjs-cache', 1);
+                request.onupgradeneeded = function() {
+                    request.result.createObjectStore('entries', { keyPath: 'url' });
+                };
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+                request.onerror = function() {
+                    reject(request.error);
+                };
+            });
+        }
+        return dataCacheDb.then(function(db) {
+            return new Promise(function(resolve, reject) {
+                var tx = db.transaction('entries', mode);
+                var request = callback(tx.objectStore('entries'));
+                tx.oncomplete = function() {
+                    resolve(request ? request.result : undefined);
+                };
+                tx.onerror = function() {
+                    reject(tx.error);
+                };
+            });
+        });
+    }
+
     // Exit if this script has already been loaded
     if (window.DataFormsJS !== undefined) {
         return;
     }
 
+    // In-memory data cache shared with Web Components and React, see [app.dataCache]
+    window.dataformsjsDataCache = window.dataformsjsDataCache || {};
+    window.dataformsjsPrefetchedUrls = window.dataformsjsPrefetchedUrls || {};
+    window.dataformsjsDataCacheSettings = window.dataformsjsDataCacheSettings || {
+        storage: 'memory',
+        ttlRules: [],
+        prefetchTtl: 30,
+    };
+
     /**
      * Create the Application Object
      */
@@ -1058,6 +1840,7 @@
         vueDirectives: null, // Vue 3
         activeParameters: [],
         activeParameterList: {},
+        activeQuery: {},
         activeJsControls: [],
 
         // Templates are compiled once and cached to an array
@@ -1068,6 +1851,16 @@
         // can be used by an app for unit testing, debugging, logging, etc.
         onUpdateViewComplete: null,
 
+        // Optional function that apps can define to allow, cancel, or redirect
+        // route changes, for example to prompt about unsaved changes:
+        //     app.beforeRouteChange = function(path, previousPath) {
+        //         return (!hasChanges || window.confirm('Leave without saving?'));
+        //     };
+        // Returns `false` to cancel, a path to redirect to, or a Promise.
+        // [beforeLeave()] and [beforeEnter()] on controllers and pages are
+        // handled the same way.
+        beforeRouteChange: null,
+
         // If using Nunjucks Templating this property allows a custom [nunjucks.Environment()]
         // object to be used when the views are rendered. Nunjucks Environment Objects
         // allow for a site to define custom filters and extensions.
@@ -1180,6 +1973,41 @@
          * the [Content-Type] field. The default [Content-Type] is assumed to be
          * 'application/json' however specifying 'text/plain' will force a text result.
          *
+         * Two additional options can be included with [init]:
+         *     timeout: Number of milliseconds to wait before the request is cancelled.
+         *         If the request times out the Promise is rejected with an Error
+         *         that has [error.name = 'TimeoutError'].
+         *     signal: Standard [AbortSignal] from an [AbortController]. When aborted
+         *         the Promise is rejected with an Error that has [error.name = 'AbortError'].
+         * If the browser does not support [AbortController] (IE) then a timeout will
+         * still reject the Promise however the underlying request is not cancelled.
+         *
+         * Requests can also be retried with exponential backoff by using these options:
+         *     retry: Maximum number of times to retry the request (defaults to 0).
+         *     retryDelay: Milliseconds to wait before the first retry (defaults to 1000).
+         *         The delay doubles for each additional retry (1000, 2000, 4000, etc).
+         *     retryStatusCodes: Array or comma-delimited string of HTTP Response Codes
+         *         that will be retried (defaults to [408, 429, 500, 502, 503, 504]).
+         *         Network errors are always retried while timeouts and aborts are not.
+         *     onRetry: Optional function called before each retry as
+         *         [onRetry(attempt, error, delay)].
+         * When a [timeout] is also used it applies to the total time of all requests.
+         *
+         * The option [onResponse] can be used to read the Response status and headers such
+         * as [ETag]. It's called as [onResponse(response)] for each response before the
+         * status is validated. If the request fails the Response body has not been read
+         * so error details can be read from the saved Response.
+         *
+         * GET requests can use [app.dataCache] with these options:
+         *     cacheTtl: Number of seconds that cached data is valid for. If not specified
+         *         then rules from [app.dataCache.setTtl()] are used and if no rules match
+         *         the request is not cached. Data downloaded from [app.prefetchRoute()]
+         *         is used once by the next request for the same URL.
+         *     staleWhileRevalidate: If [true] and the cached data has expired then it is
+         *         returned immediately and a new request runs in the background.
+         *     onRevalidate: Function called as [onRevalidate(data)] once the background
+         *         request from [staleWhileRevalidate] has downloaded new data.
+         *
          * @param {string} url
          * @param {Object|null|undefined} init
          * @param {string} responseType
@@ -1189,6 +2017,7 @@
             // Default options
             var options = app.deepClone({}, app.settings.fetchOptions);
             options.headers = app.getRequestHeaders(url);
+            var timeout = 0;
 
             // Merge request params if defined
             if (init) {
@@ -1196,6 +2025,65 @@
                 if (init.headers !== undefined) {
                     options.headers = Object.assign({}, app.getRequestHeaders(url), init.headers);
                 }
+                if (init.timeout !== undefined) {
+                    timeout = parseInt(init.timeout, 10);
+                    timeout = (isNaN(timeout) || timeout < 0 ? 0 : timeout);
+                    delete options.timeout;
+                }
+            }
+
+            // Retry options
+            var retry = (options.retry === undefined ? 0 : parseInt(options.retry, 10));
+            var retryDelay = (options.retryDelay === undefined ? 1000 : parseInt(options.retryDelay, 10));
+            var retryStatusCodes = (options.retryStatusCodes === undefined || options.retryStatusCodes === null ? defaultRetryStatusCodes : options.retryStatusCodes);
+            var onRetry = options.onRetry;
+            var onResponse = options.onResponse;
+            var attempt = 0;
+            retry = (isNaN(retry) || retry < 0 ? 0 : retry);
+            retryDelay = (isNaN(retryDelay) || retryDelay < 0 ? 1000 : retryDelay);
+            if (typeof retryStatusCodes === 'string') {
+                retryStatusCodes = retryStatusCodes.split(',').map(function(code) {
+                    return parseInt(code, 10);
+                });
+            }
+            delete options.retry;
+            delete options.retryDelay;
+            delete options.retryStatusCodes;
+            delete options.onRetry;
+            delete options.onResponse;
+
+            // Cache options
+            var cacheKey = app.dataCache.getKey(url, options.headers);
+            var cacheTtl = (options.cacheTtl === undefined || options.cacheTtl === null ? app.dataCache.getTtl(url) : parseFloat(options.cacheTtl));
+            var staleWhileRevalidate = (options.staleWhileRevalidate === true || options.staleWhileRevalidate === 'true');
+            var onRevalidate = options.onRevalidate;
+            var method = (options.method === undefined ? 'GET' : String(options.method).toUpperCase());
+            var isGetRequest = (method === 'GET');
+            if (isNaN(cacheTtl) || !isGetRequest) {
+                cacheTtl = null;
+            } else if (cacheTtl === null) {
+                cacheTtl = app.dataCache.usePrefetched(url);
+            }
+            delete options.cacheTtl;
+            delete options.staleWhileRevalidate;
+            delete options.onRevalidate;
+
+            // When using a timeout create an internal [AbortController] so the request
+            // can be cancelled. If the calling code also passed a [signal] then it is
+            // linked so that aborting from either the timeout or the caller works.
+            var controller = null;
+            if (timeout > 0 && window.AbortController !== undefined) {
+                controller = new AbortController();
+                if (options.signal) {
+                    if (options.signal.aborted) {
+                        controller.abort();
+                    } else {
+                        options.signal.addEventListener('abort', function() {
+                            controller.abort();
+                        });
+                    }
+                }
+                options.signal = controller.signal;
             }
 
             // IE 11 uses very aggressive caching and the GitHub Fetch Polyfill which is used does
@@ -1204,7 +2092,7 @@
             // have the query string `?_={timestamp}` so that the browser always make a new request
             // rather than load cached JSON data. This applies only to GET and HEAD requests. Regex
             // for `reParamSearch` is from: https://github.com/jquery/jquery/blob/master/src/ajax.js
-            if (isIE && (options.method === undefined || options.method === 'GET' || options.method === 'HEAD')) {
+            if (isIE && (method === 'GET' || method === 'HEAD')) {
                 if (options.cache === 'no-store' || options.cache === 'no-cache') {
                     // Search for a '_' parameter in the query string
                     var reParamSearch = /([?&])_=[^&]*/;
@@ -1219,38 +2107,407 @@
                 }
             }
 
+            // Requests are not retried once cancelled
+            function canRetry() {
+                return (attempt < retry && !(options.signal && options.signal.aborted));
+            }
+
+            // Wait and then send the request again. The delay doubles for each attempt.
+            function retryRequest(error) {
+                attempt++;
+                var delay = retryDelay * Math.pow(2, attempt - 1);
+                if (typeof onRetry === 'function') {
+                    onRetry(attempt, error, delay);
+                }
+                return new Promise(function(resolve) {
+                    window.setTimeout(resolve, delay);
+                })
+                .then(function() {
+                    if (options.signal && options.signal.aborted) {
+                        var abortError = new Error('The request was aborted. URL: ' + url);
+                        abortError.name = 'AbortError';
+                        throw abortError;
+                    }
+                    return sendRequest();
+                });
+            }
+
             // Make the request
-            return fetch(url, options)
-            .then(function(response) {
-                // Optionally log fetch requests. This is primarily used for Unit Testing.
-                if (app.settings.logFetchRequests && app.events && typeof app.events.dispatch === 'function') {
-                    app.events.dispatch('fetch', {
-                        url: url,
-                        status: response.status,
+            function sendRequest() {
+                return fetch(url, options)
+                .then(function(response) {
+                    // Optionally log fetch requests. This is primarily used for Unit Testing.
+                    if (app.settings.logFetchRequests && app.events && typeof app.events.dispatch === 'function') {
+                        app.events.dispatch('fetch', {
+                            url: url,
+                            status: response.status,
+                        });
+                    }
+
+                    // Allow the calling code to read the Response headers
+                    if (typeof onResponse === 'function') {
+                        onResponse(response);
+                    }
+
+                    // Validate the Response Code Status
+                    var status = response.status;
+                    if ((status >= 200 && status < 300) || status === 304) {
+                        // Default to expect JSON if content type not specified
+                        var contentType = (responseType === undefined ? 'application/json' : responseType);
+                        if (response.headers.has('Content-Type')) {
+                            contentType = response.headers.get('Content-Type');
+                        }
+                        return (contentType.indexOf('application/json') === 0 ? response.json() : response.text());
+                    } else {
+                        var error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
+                        if (canRetry() && retryStatusCodes.indexOf(status) !== -1) {
+                            return retryRequest(error);
+                        }
+                        return Promise.reject(error);
+                    }
+                }, function(error) {
+                    // Network Error
+                    if (canRetry()) {
+                        return retryRequest(error);
+                    }
+                    return Promise.reject(error);
+                });
+            }
+
+            // Send the request using the timeout if one is specified
+            // and save the response to the cache if caching is used.
+            function runRequest() {
+                var request = sendRequest();
+                if (timeout !== 0) {
+                    request = new Promise(function(resolve, reject) {
+                        var timer = window.setTimeout(function() {
+                            var error = new Error('Error loading data. The request timed out after ' + timeout + ' milliseconds. URL: ' + url);
+                            error.name = 'TimeoutError';
+                            reject(error);
+                            if (controller !== null) {
+                                controller.abort();
+                            }
+                        }, timeout);
+                        request
+                        .then(function(data) {
+                            window.clearTimeout(timer);
+                            resolve(data);
+                        })
+                        .catch(function(error) {
+                            window.clearTimeout(timer);
+                            reject(error);
+                        });
                     });
                 }
-                return Promise.resolve(response);
-            })
-            .then(function(response) {
-                // Validate the Response Code Status
-                var status = response.status;
-                if ((status >= 200 && status < 300) || status === 304) {
-                    return Promise.resolve(response);
-                } else {
-                    var error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
-                    return Promise.reject(error);
+                if (cacheTtl !== null) {
+                    request = request.then(function(data) {
+                        app.dataCache.set(cacheKey, data);
+                        return data;
+                    });
                 }
-            })
-            .then(function(response) {
-                // Default to expect JSON if content type not specified
-                var contentType = (responseType === undefined ? 'application/json' : responseType);
-                if (response.headers.has('Content-Type')) {
-                    contentType = response.headers.get('Content-Type');
+                return request;
+            }
+
+            // Return the request as-is unless caching is used
+            if (cacheTtl === null) {
+                return runRequest();
+            }
+            return app.dataCache.get(cacheKey).then(function(entry) {
+                if (entry !== null) {
+                    // Data is still valid
+                    if (Date.now() - entry.time < cacheTtl * 1000) {
+                        return entry.data;
+                    }
+
+                    // Return expired data and download new data in the background
+                    if (staleWhileRevalidate) {
+                        runRequest()
+                        .then(function(data) {
+                            if (typeof onRevalidate === 'function') {
+                                onRevalidate(data);
+                            }
+                        })
+                        .catch(function(error) {
+                            if (!(error && error.name === 'AbortError')) {
+                                console.error(error);
+                            }
+                        });
+                        return entry.data;
+                    }
                 }
-                return (contentType.indexOf('application/json') === 0 ? response.json() : response.text());
+                return runRequest();
             });
         },
 
+        /**
+         * Data Cache used by [app.fetch()] and the [jsonData] page. Data is saved
+         * per URL along with the time it was downloaded and each request defines how
+         * long the data is valid for (TTL - "time to live" in seconds). Requests can
+         * use [staleWhileRevalidate] so that expired data is returned immediately while
+         * a new request runs in the background and updates the cache.
+         *
+         * The in-memory cache is [window.dataformsjsDataCache] which is shared with
+         * the <json-data> Web Component and React <JsonData> Component so the same
+         * data can be used and invalidated by any of them. Optionally data can be
+         * saved to 'sessionStorage' or 'indexedDB' by setting [app.dataCache.storage].
+         * Both the Web Components and React versions use the same key format and
+         * the settings [storage], [ttlRules], and [prefetchTtl] are shared from
+         * [window.dataformsjsDataCacheSettings].
+         *
+         * Only GET requests are cached. Requests that send [Accept], [Accept-Language],
+         * or [Authorization] headers are cached separately for each value so data for
+         * one user or format is not returned for another, see [getKey()].
+         *
+         * Example Usage:
+         *     // Cache all requests to a URL for 10 minutes
+         *     app.dataCache.setTtl('/api/countries*', 600);
+         *
+         *     // Remove cached data after a record is saved
+         *     app.dataCache.invalidate('/api/orders/*');
+         *     app.dataCache.invalidate(/\/api\/orders\/\d+$/);
+         */
+        dataCache: {
+            // 'memory', 'sessionStorage', or 'indexedDB'
+            get storage() {
+                return window.dataformsjsDataCacheSettings.storage;
+            },
+            set storage(value) {
+                window.dataformsjsDataCacheSettings.storage = value;
+            },
+
+            // Rules from [setTtl()]
+            get ttlRules() {
+                return window.dataformsjsDataCacheSettings.ttlRules;
+            },
+            set ttlRules(value) {
+                window.dataformsjsDataCacheSettings.ttlRules = value;
+            },
+
+            // Number of seconds that data from [app.prefetchRoute()] is valid
+            // for when the route does not define [cacheTtl] or a TTL rule
+            get prefetchTtl() {
+                return window.dataformsjsDataCacheSettings.prefetchTtl;
+            },
+            set prefetchTtl(value) {
+                window.dataformsjsDataCacheSettings.prefetchTtl = value;
+            },
+
+            /**
+             * Define a default TTL in seconds for all URL's that match a pattern.
+             * Patterns can be a RegExp or a string that uses '*' for wildcards.
+             *
+             * @param {string|RegExp} pattern
+             * @param {number} ttl
+             */
+            setTtl: function(pattern, ttl) {
+                this.ttlRules.push({
+                    regex: urlPatternToRegExp(pattern),
+                    ttl: ttl,
+                });
+            },
+
+            /**
+             * Return the TTL in seconds from the first rule that matches the URL
+             * or null if no rules match.
+             *
+             * @param {string} url
+             * @return {number|null}
+             */
+            getTtl: function(url) {
+                for (var n = 0, m = this.ttlRules.length; n < m; n++) {
+                    if (this.ttlRules[n].regex.test(url)) {
+                        return this.ttlRules[n].ttl;
+                    }
+                }
+                return null;
+            },
+
+            /**
+             * Return the key used to cache a GET request. If the request headers include
+             * [Accept], [Accept-Language], or [Authorization] then a hash of the values
+             * is added after the URL on a new line, otherwise the key is the URL.
+             * Patterns from [invalidate()] only compare the URL so all keys for a URL
+             * are removed.
+             *
+             * @param {string} url
+             * @param {object|Headers|undefined} headers
+             * @return {string}
+             */
+            getKey: function(url, headers) {
+                if (!headers) {
+                    return url;
+                }
+                var values = [];
+                var names = (typeof headers.get === 'function' ? null : Object.keys(headers));
+                dataCacheVaryHeaders.forEach(function(name) {
+                    var value = null;
+                    if (names === null) {
+                        value = headers.get(name);
+                    } else {
+                        names.forEach(function(key) {
+                            if (key.toLowerCase() === name) {
+                                value = headers[key];
+                            }
+                        });
+                    }
+                    if (value !== null && value !== undefined) {
+                        values.push(name + ':' + value);
+                    }
+                });
+                return (values.length === 0 ? url : url + '\n' + hashDataCacheValue(values.join('\n')));
+            },
+
+            /**
+             * Return [prefetchTtl] if data for the URL was downloaded from
+             * [app.prefetchRoute()] or null if not. Prefetched URL's are
+             * removed once checked so the data is only used once.
+             *
+             * @param {string} url
+             * @return {number|null}
+             */
+            usePrefetched: function(url) {
+                if (window.dataformsjsPrefetchedUrls[url] === undefined) {
+                    return null;
+                }
+                delete window.dataformsjsPrefetchedUrls[url];
+                return this.prefetchTtl;
+            },
+
+            /**
+             * Return a Promise that resolves to the cached entry in the
+             * format of { data, time } or null if the URL is not cached.
+             *
+             * @param {string} key - URL or key from [getKey()]
+             * @return {Promise}
+             */
+            get: function(key) {
+                var memoryCache = window.dataformsjsDataCache;
+                if (memoryCache[key] !== undefined) {
+                    return Promise.resolve({
+                        data: JSON.parse(memoryCache[key].json),
+                        time: memoryCache[key].time,
+                    });
+                }
+                var storage = this.storage;
+                return new Promise(function(resolve) {
+                    if (storage === 'sessionStorage') {
+                        resolve(JSON.parse(window.sessionStorage.getItem(dataCacheStorageKey + key)));
+                    } else if (storage === 'indexedDB') {
+                        resolve(dataCacheDbRequest('readonly', function(store) {
+                            return store.get(key);
+                        }));
+                    } else {
+                        resolve(null);
+                    }
+                })
+                .then(function(entry) {
+                    if (!entry) {
+                        return null;
+                    }
+                    memoryCache[key] = entry;
+                    return {
+                        data: JSON.parse(entry.json),
+                        time: entry.time,
+                    };
+                })
+                .catch(function(error) {
+                    console.error(error);
+                    return null;
+                });
+            },
+
+            /**
+             * Save data to the cache for a URL. The entry property [url]
+             * is the key and is used as the key for IndexedDB.
+             *
+             * @param {string} key - URL or key from [getKey()]
+             * @param {*} data
+             * @return {Promise}
+             */
+            set: function(key, data) {
+                var entry = {
+                    url: key,
+                    json: JSON.stringify(data),
+                    time: Date.now(),
+                };
+                window.dataformsjsDataCache[key] = entry;
+                var storage = this.storage;
+                return new Promise(function(resolve) {
+                    if (storage === 'sessionStorage') {
+                        window.sessionStorage.setItem(dataCacheStorageKey + key, JSON.stringify(entry));
+                        resolve();
+                    } else if (storage === 'indexedDB') {
+                        resolve(dataCacheDbRequest('readwrite', function(store) {
+                            store.put(entry);
+                        }));
+                    } else {
+                        resolve();
+                    }
+                })
+                .catch(function(error) {
+                    console.error(error);
+                });
+            },
+
+            /**
+             * Remove all cached data for URL's that match the pattern. This would
+             * typically be called after a record is saved so the next request
+             * downloads new data. Patterns can be a RegExp or a string that uses
+             * '*' for wildcards. Returns the number of entries removed from memory.
+             *
+             * @param {string|RegExp} pattern
+             * @return {number}
+             */
+            invalidate: function(pattern) {
+                var regex = urlPatternToRegExp(pattern);
+                var memoryCache = window.dataformsjsDataCache;
+                var count = 0;
+                Object.keys(memoryCache).forEach(function(key) {
+                    if (regex.test(getDataCacheUrl(key))) {
+                        delete memoryCache[key];
+                        count++;
+                    }
+                });
+
+                // Persisted data is always checked in case data was saved from a previous page
+                try {
+                    for (var n = window.sessionStorage.length - 1; n >= 0; n--) {
+                        var key = window.sessionStorage.key(n);
+                        if (key.indexOf(dataCacheStorageKey) === 0 && regex.test(getDataCacheUrl(key.substring(dataCacheStorageKey.length)))) {
+                            window.sessionStorage.removeItem(key);
+                        }
+                    }
+                } catch (e) {
+                    console.error(e);
+                }
+                if (this.storage === 'indexedDB') {
+                    dataCacheDbRequest('readwrite', function(store) {
+                        var request = store.openCursor();
+                        request.onsuccess = function() {
+                            var cursor = request.result;
+                            if (cursor) {
+                                if (regex.test(getDataCacheUrl(cursor.key))) {
+                                    cursor.delete();
+                                }
+                                cursor.continue();
+                            }
+                        };
+                    })
+                    .catch(function(error) {
+                        console.error(error);
+                    });
+                }
+                return count;
+            },
+
+            /**
+             * Remove all cached data
+             */
+            clear: function() {
+                this.invalidate('*');
+            },
+        },
+
         /**
          * Return the routing mode. Either 'hash' or 'history'.
          * Defaults to 'hash'. This only gets set to 'history' if the page
@@ -1289,6 +2546,54 @@
             }
         },
 
+        /**
+         * Update the query string of the current route. Values are merged with
+         * [app.activeQuery] and properties set to [null], [undefined], or an
+         * empty string are removed. By default a new history entry is added,
+         * use `{ replace: true }` to replace the current history entry.
+         *
+         * If the controller or page of the current route defines [onQueryChange(query, previousQuery)]
+         * then it is called instead of reloading the route. Page [jsonData] uses this to fetch
+         * data again. Otherwise the route is reloaded with the new query string. If
+         * [onQueryChange()] returns [false] the change is cancelled and the previous URL is
+         * shown, page [entryForm] uses this when the user chooses to keep unsaved changes.
+         *
+         * Example:
+         *     // '#/orders?status=open' becomes '#/orders?status=open&page=2'
+         *     app.updateQuery({ page: 2 });
+         *
+         * @param {object} query
+         * @param {object|undefined} options - { replace: bool }
+         */
+        updateQuery: function (query, options) {
+            if (query === null || typeof query !== 'object') {
+                throw new TypeError('Expected object for app.updateQuery(query)');
+            }
+            var newQuery = {},
+                prop;
+            for (prop in app.activeQuery) {
+                if (app.activeQuery.hasOwnProperty(prop)) {
+                    newQuery[prop] = app.activeQuery[prop];
+                }
+            }
+            for (prop in query) {
+                if (query.hasOwnProperty(prop)) {
+                    newQuery[prop] = query[prop];
+                }
+            }
+            var queryString = buildQueryString(newQuery);
+            var path = (activeRoutePath === null ? '/' : activeRoutePath) + (queryString === '' ? '' : '?' + queryString);
+            var replace = (options !== undefined && options !== null && options.replace === true);
+            if (routingMode === 'history') {
+                window.history[replace ? 'replaceState' : 'pushState'](null, null, path + window.location.hash);
+                handleRouteChange();
+            } else if (replace) {
+                window.location.replace('#' + path);
+            } else {
+                window.location.hash = '#' + path;
+            }
+        },
+
         /**
          * Use this function to setup manual HTML5 pushState links. Be default
          * links that match <a href="/..."> are handled by DataFormsJS, however
@@ -1315,6 +2620,79 @@
             return false;
         },
 
+        /**
+         * Download the template, page scripts from [data-lazy-load], and JSON data
+         * for a route before it is viewed so that it displays quickly once the user
+         * clicks on a link. Templates are added to [app.compiledTemplates] and
+         * JSON data from pages such as [jsonData] is saved to [app.dataCache].
+         * Each route is prefetched once within [app.dataCache.prefetchTtl] seconds.
+         *
+         * This is called automatically for links that use [data-prefetch]:
+         *     <a href="#/orders/123" data-prefetch>                  Prefetch on hover or focus
+         *     <a href="#/orders/123" data-prefetch="visible">        Prefetch once the link is scrolled into view
+         *     <html data-prefetch="hover">                          Prefetch all route links
+         *     <a href="#/orders/123" data-prefetch="none">           Skip when using <html data-prefetch>
+         *
+         * Example:
+         *     app.prefetchRoute('/orders/123?tab=items');
+         *
+         * @param {string} path - Route path or link URL
+         * @return {Promise} Resolves once downloads finish, errors are logged and not rejected
+         */
+        prefetchRoute: function (path) {
+            // Convert a link URL to the route path and query string
+            path = String(path);
+            if (path.indexOf(window.location.origin) === 0) {
+                path = path.substring(window.location.origin.length);
+            }
+            var pos = path.indexOf('#');
+            if (pos !== -1) {
+                path = (routingMode === 'history' ? path.substring(0, pos) : path.substring(pos + 1));
+            }
+            var query = '';
+            pos = path.indexOf('?');
+            if (pos !== -1) {
+                query = path.substring(pos + 1);
+                path = path.substring(0, pos);
+            }
+            if (path === '') {
+                path = '/';
+            }
+
+            // Skip routes that were recently prefetched
+            var key = path + '?' + query;
+            var prefetched = prefetchedRoutes[key];
+            if (prefetched !== undefined && Date.now() - prefetched.time < app.dataCache.prefetchTtl * 1000) {
+                return prefetched.promise;
+            }
+
+            var match = findController(path);
+            var controller = match.controller;
+            if (controller === null || typeof controller.redirect === 'string') {
+                return Promise.resolve();
+            }
+
+            // Page scripts are loaded first as they can define the
+            // template engine or the page used for downloading data.
+            var promise = loadLazyScripts(controller)
+            .then(function() {
+                return new Promise(function(resolve) {
+                    // Compiling a template can change the current view engine
+                    var currentViewEngine = viewEngine;
+                    compileTemplate(null, controller, resolve);
+                    viewEngine = currentViewEngine;
+                });
+            })
+            .then(function() {
+                return prefetchData(controller, match.routeResult.namedArgs, parseQueryString(query));
+            })
+            .catch(function(error) {
+                console.error(error);
+            });
+            prefetchedRoutes[key] = { time: Date.now(), promise: promise };
+            return promise;
+        },
+
         /**
          * Add a new unique named page and return the app object. A page object
          * is used to define both a model and controller from a single file and
@@ -1339,6 +2717,11 @@
          *        onRouteUnload() {}
          *    })
          *
+         * Pages can also define [beforeEnter(path, previousPath, params)] which
+         * runs before the route is loaded and [beforeLeave(path, currentPath)]
+         * which runs before the user leaves the route, see [app.addController()]
+         * for usage.
+         *
          * When using ES5 syntax and passing an object a `model` object is
          * required and when using a `class` an instance of the class will
          * be created and used as the model.
@@ -1365,7 +2748,7 @@
             } else {
                 throw new TypeError('Page [' + name + '] must be defined as an object or a class when the function app.addPage() is called');
             }
-            validateOptionalFunctions(obj, name, 'page', func);
+            validateOptionalFunctions(obj, name, 'page', func.concat(['onQueryChange', 'beforeEnter', 'beforeLeave']));
             func.pop(); // Remove 'onRouteUnload'
             requireOneNamedProperty(obj, name, 'page', func);
             if (checkModel) {
@@ -1559,6 +2942,23 @@
          *       onRouteUnload:function,
          *   })
          *
+         * Route Guards and Redirects:
+         *   app.addController({
+         *       path: '/admin/:page',
+         *       beforeEnter: function(path, previousPath, params) {
+         *           // Return `false` to cancel, a path to redirect, or a Promise
+         *           return (isLoggedIn() ? true : '/login');
+         *       },
+         *   })
+         *   app.addController({
+         *       path: '/edit/:id',
+         *       beforeLeave: function(path, currentPath) {
+         *           // Called with the active model as [this]
+         *           return (!this.hasChanges || window.confirm('Leave without saving?'));
+         *       },
+         *   })
+         *   app.addController({ path: '/old-page/:id', redirect: '/new-page/:id' })
+         *
          * @param {object} controller
          * @return {this}
          */
@@ -1636,13 +3036,19 @@
             }
 
             // Validate that functions are properly defined
-            validateOptionalFunctions(controller, controller.path, 'controller', func);
+            validateOptionalFunctions(controller, controller.path, 'controller', func.concat(['onQueryChange', 'beforeEnter', 'beforeLeave']));
+
+            // Redirect routes do not use any other properties
+            if (controller.redirect !== undefined) {
+                validateTypeOf(controller.redirect, 'string', 'controller.redirect', funcName);
+                validateStringWithValue(controller.redirect, 'controller.redirect', funcName);
+            }
 
             // Require either a function, a viewId, or a viewUrl to be defined, otherwise
             // no action would be taken with the route becomes active. Don't check when
             // using [pageType] the functions will be copied and validated when the
             // controller is first used.
-            if (controller.pageType === null || controller.pageType === undefined) {
+            if ((controller.pageType === null || controller.pageType === undefined) && controller.redirect === undefined) {
                 func.pop(); // Remove 'onRouteUnload'
                 func.push('viewId');
                 func.push('viewUrl');
@@ -1715,6 +3121,32 @@
             }
         },
 
+        /**
+         * Announce a message to screen readers using a visually hidden [aria-live]
+         * region. This is called automatically after route changes when using
+         * <html data-route-announce> and can be called by apps for other updates.
+         *
+         * @param {string} message
+         */
+        announce: function(message) {
+            var region = document.getElementById('dataformsjs-announcer');
+            if (region === null) {
+                region = document.createElement('div');
+                region.id = 'dataformsjs-announcer';
+                region.setAttribute('role', 'status');
+                region.setAttribute('aria-live', 'polite');
+                region.setAttribute('aria-atomic', 'true');
+                region.style.cssText = 'position:absolute; width:1px; height:1px; margin:-1px; padding:0; overflow:hidden; clip:rect(0,0,0,0); white-space:nowrap; border:0;';
+                document.body.appendChild(region);
+            }
+            // Clear and then set the text after a short delay so
+            // the same message is read again if it's repeated.
+            region.textContent = '';
+            window.setTimeout(function() {
+                region.textContent = message;
+            }, 100);
+        },
+
         /**
          * Helper function that returns `true/false` based on whether Vue is currently
          * being used. If a site is being used with both Vue and other templating engines
@@ -2024,6 +3456,11 @@
                     });
                 }
 
+                // Links with [data-prefetch] or all route links when using <html data-prefetch>
+                if (app.controllers.length > 0) {
+                    setupPrefetchLinks();
+                }
+
                 // Plugins.onRendered()
                 for (var plugin in app.plugins) {
                     if (app.plugins.hasOwnProperty(plugin) && app.plugins[plugin].onRendered !== undefined) {
@@ -2053,6 +3490,9 @@
                     }
                 }
 
+                // Restore scroll position and handle focus for the route
+                afterRouteRender();
+
                 // App.onUpdateViewComplete()
                 if (app.onUpdateViewComplete !== null) {
                     try {
@@ -2556,6 +3996,17 @@
         /**
          * Check if a Route path is a match to a specified URL hash
          *
+         * Route Syntax:
+         *   /orders               Exact segment
+         *   /orders/:id           Named parameter, matches one segment
+         *   /orders/:id?          Optional parameter
+         *   /orders/:id(\d+)      Parameter that must match a RegExp
+         *   /files/*path          Splat, matches the rest of the URL (zero or more segments)
+         *   *                     Catch-all route, for example a custom 404 page
+         *
+         * Optional parameters that are not in the URL are `undefined`
+         * in [args] and not included in [namedArgs].
+         *
          * Examples:
          *   app.routeMatches('/page1', '/page2')
          *       returns { isMatch:false }
@@ -2572,47 +4023,58 @@
          *           args:['orders', 'edit', '123'],
          *           namedArgs: { record: 'orders', view: 'edit', id: '123' }
          *       }
+         *
+         *   app.routeMatches('/files/docs/readme.md', '/files/*path')
+         *       returns { isMatch:true, args:['docs/readme.md'], namedArgs: { path:'docs/readme.md' } }
+         *
          * @param {string} path        The URL hash to compare against
-         * @param {string} routePath   The route, dynamic values are prefixed with ':'
+         * @param {string} routePath   The route, dynamic values are prefixed with ':' or '*'
          */
         routeMatches: function (path, routePath) {
-            var pathParts = path.split('/'),
-                routeParts = routePath.split('/'),
-                n,
-                m = pathParts.length,
+            var parts = path.split('/').map(decodeUrlSegment),
+                values = [],
                 args = [],
-                namedArgs = {},
-                value;
+                namedArgs = {};
 
-            // Quick check if path and route parts are equal
-            if (m !== routeParts.length) {
+            if (!matchRouteSegments(parseRoutePath(routePath), 0, parts, 0, values)) {
                 return { isMatch: false };
-            } else {
-                // Compare each route part
-                for (n = 0; n < m; n++) {
-                    // Get the path value (e.g.: 'order/edit/123' = [ 'order', 'edit', '123' ])
-                    value = decodeURIComponent(pathParts[n]);
-
-                    // Compare to the route path
-                    if (value !== routeParts[n]) {
-                        // If different then does the route path begin with ':'?
-                        // If so it is a parameter and if not the route does not match.
-                        if (routeParts[n].substring(0, 1) === ':') {
-                            // Add the value to the args[] array and as a property
-                            // to the namedArgs{} object.
-                            args.push(value);
-                            namedArgs[routeParts[n].substring(1)] = value;
-                        } else {
-                            return { isMatch: false };
-                        }
-                    }
-                }
             }
-
-            // If code reaches here then it matches
+            values.forEach(function(item) {
+                args.push(item.value);
+                if (item.value !== undefined) {
+                    namedArgs[item.token.name] = item.value;
+                }
+            });
             return { isMatch: true, args: args, namedArgs: namedArgs };
         },
 
+        /**
+         * Compare how specific two routes are. Used to sort routes so that when
+         * multiple routes match a URL the most specific route is used, for example
+         * '/orders/new' is used before '/orders/:id'. Segments are compared from left
+         * to right in the order of: exact segment, RegExp parameter, parameter,
+         * optional parameter, splat.
+         *
+         * Returns a negative number if [routePathA] is more specific, a positive
+         * number if [routePathB] is more specific, or 0 if they are equal.
+         *
+         * @param {string} routePathA
+         * @param {string} routePathB
+         * @return {number}
+         */
+        compareRoutes: function (routePathA, routePathB) {
+            var a = parseRoutePath(routePathA),
+                b = parseRoutePath(routePathB);
+
+            for (var n = 0, m = Math.min(a.length, b.length); n < m; n++) {
+                if (a[n].score !== b[n].score) {
+                    return b[n].score - a[n].score;
+                }
+            }
+            // If all compared segments are equal then the shorter route is used
+            return a.length - b.length;
+        },
+
         /**
          * Return a list of function names for a JavaScript class.
          * The built-in function `Object.getOwnPropertyNames(class.prototype)`
@@ -2946,18 +4408,37 @@
          *
          * Example '/order/:id' becomes '/order/123' if [id] is
          * set in the passed object or [app.activeParameterList].
+         * When [params] is not passed values from the query string
+         * of the current route [app.activeQuery] can also be used.
          *
          * Global variables from the `window` object can be included when using
          * brackets. Example: "{rootApiUrl}/countries" will look for `window.rootApiUrl`.
          *
+         * If [query] is an object then it is appended to the URL as a query string.
+         * Properties that are [null], [undefined], or an empty string are skipped.
+         * Example:
+         *     app.buildUrl('/api/orders', null, { status: 'open', page: 2 })
+         *     returns '/api/orders?status=open&page=2'
+         *
          * @param {*} url
          * @param {*} params
+         * @param {object|undefined} query
          */
-        buildUrl: function (url, params) {
-            // If the active route has defined parameters then
-            // they will be set in [app.activeParameterList].
+        buildUrl: function (url, params, query) {
+            // If the active route has defined parameters then they will be set
+            // in [app.activeParameterList] followed by the query string values.
             if (params === undefined) {
-                params = app.activeParameterList;
+                params = {};
+                for (var name in app.activeQuery) {
+                    if (app.activeQuery.hasOwnProperty(name)) {
+                        params[name] = app.activeQuery[name];
+                    }
+                }
+                for (name in app.activeParameterList) {
+                    if (app.activeParameterList.hasOwnProperty(name)) {
+                        params[name] = app.activeParameterList[name];
+                    }
+                }
             }
 
             // Replace "{variables}" from the global Window Scope.
@@ -2986,6 +4467,14 @@
                 }
             }
 
+            // Append the query string
+            if (query !== null && typeof query === 'object') {
+                var queryString = buildQueryString(query);
+                if (queryString !== '') {
+                    url += (url.indexOf('?') === -1 ? '?' : '&') + queryString;
+                }
+            }
+
             // Return the new URL or if no parameters were defined then
             // the url will be returned as it was passed to this function
             return url;
@@ -3292,6 +4781,20 @@
                     return;
                 }
 
+                // Redirect routes, example:
+                //     <template data-route="/old-page/:id" data-redirect="/new-page/:id"></template>
+                var redirect = script.getAttribute('data-redirect');
+                if (redirect !== null && path !== '') {
+                    try {
+                        app.addController({ path: path, redirect: redirect });
+                    } catch (e) {
+                        app.showErrorAlert('Error from [app.setup()]: ' + e);
+                        console.error(e);
+                    }
+                    script.setAttribute('data-controller-added', 'true');
+                    return;
+                }
+
                 // Check that route-path is not empty and that the view engine if valid
                 if (path === '') {
                     console.log(script);
@@ -3371,6 +4874,12 @@
                 script.setAttribute('data-controller-added', 'true');
             });
 
+            // For SPA's scroll positions are restored by [afterRouteRender()]
+            // once the view is rendered rather than by the browser.
+            if (app.controllers.length > 0 && 'scrollRestoration' in window.history) {
+                window.history.scrollRestoration = 'manual';
+            }
+
             // Handle hash changes and set the first view (active from url or default).
             // Note, if setup() is called twice addEventListener() does not create duplicate
             // Event Listeners because addEventListener() discards duplicate functions.
@@ -174,6 +174,14 @@
             errorTextGraphQLErrors: '{count} GraphQL Errors occurred. See console for full details.',
             loadOnlyOnce: false,
             transformData: null,
+            // Optional retry with exponential backoff, see [app.fetch()]
+            retryCount: 0,
+            retryDelay: 1000,
+            retryStatusCodes: null,
+            retryAttempt: 0,
+            // Optional caching with [app.dataCache], see [app.fetch()]
+            cacheTtl: null,
+            staleWhileRevalidate: false,
             // Vue variables below are set by this script when using Vue
             vueInstance: null,
             vueApp: null,
@@ -345,10 +353,43 @@
                 }
             }
 
+            // Optionally retry the request. While waiting [retryAttempt]
+            // is updated and the control is rendered again.
+            control.retryAttempt = 0;
+            if (control.retryCount) {
+                init = init || {};
+                init.retry = control.retryCount;
+                init.retryDelay = control.retryDelay;
+                init.retryStatusCodes = control.retryStatusCodes;
+                init.onRetry = function(attempt) {
+                    var vm = (control.vueInstance === null ? control : control.vueInstance);
+                    vm.retryAttempt = attempt;
+                    if (activeModelProp !== null) {
+                        activeModelProp.retryAttempt = attempt;
+                    }
+                    jsonData.renderControl(element, vm);
+                };
+            }
+
+            // Optionally use [app.dataCache]
+            if (control.cacheTtl !== null) {
+                init = init || {};
+                init.cacheTtl = control.cacheTtl;
+            }
+            if (control.staleWhileRevalidate) {
+                init = init || {};
+                init.staleWhileRevalidate = true;
+                init.onRevalidate = function(data) {
+                    handleData(data, false);
+                };
+            }
+
             // Make the JSON Request
             app
             .fetch(url, init)
             .then(function(data) {
+                control.retryAttempt = 0;
+
                 // Make sure the response sent an object. This file expects
                 // 'application/json' and not 'text/plain' and other response types.
                 if (!(typeof data === 'object' || data === null)) {
@@ -370,6 +411,7 @@
                 vm.isLoaded = false;
                 vm.hasError = true;
                 vm.errorMessage = error;
+                vm.retryAttempt = 0;
                 if (usingVue) {
                     assignControlToVue();
                 } else if (activeModelProp !== null) {
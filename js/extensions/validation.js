@@ -7,10 +7,60 @@
  *
  * If you would like to use your own validation with one of the above files
  * then simply copy and modify this file for your project.
+ *
+ * Supported HTML Attributes:
+ *     required, min, max, minlength, maxlength, pattern
+ *     type="email|url|number|range|date|datetime-local|month|week|time"
+ *     data-type="int|float|date"
+ *     accept, data-max-file-size="2MB" (for [type="file"])
+ *
+ * [min] and [max] compare numbers for [type="number|range"] and [data-type="int|float"]
+ * and compare dates for date and time inputs or [data-type="date"] using ISO format.
+ *
+ * Additional rules are defined with [data-validate-{rule}] attributes:
+ *     data-validate-email                      Text must be an email address
+ *     data-validate-url                        Text must be a URL starting with a protocol ("https://")
+ *     data-validate-match="#field-password"    Value must equal another field (confirm password)
+ *     data-validate-after="#field-start-date"  Value must be greater than another field
+ *     data-validate-before="#field-end-date"   Value must be less than another field
+ *     data-validate-remote="/api/check/:value" Async server check, for example a unique username
+ *
+ * File inputs check each selected file using the [accept] attribute (".pdf", "image/*",
+ * "image/png") and [data-max-file-size] which is a number of bytes or a size in
+ * [KB|MB|GB]. The error text can use [{file}] for the file name and [{maxsize}].
+ *
+ * Fields for [match|after|before] use a CSS selector. When the field is part of a
+ * [listEditor] row the selector is first checked in the same row ([data-list-item]).
+ * Values are compared as numbers when both are numeric, otherwise as text
+ * which works with ISO dates ("2023-01-31").
+ *
+ * [data-validate-remote] runs only from [validateInputAsync()] so it is not called for
+ * each key press. [:value] in the URL is replaced with the field value or if not used
+ * then [?value={value}] is added. The server returns JSON with either `{ "valid": true }`
+ * or `{ "valid": false }` and an optional `{ "error": "text" }`. If [error] is not set
+ * then [validation.text.remote] is used.
+ *
+ * Custom rules can be added to [app.validation.rules] or [app.validation.asyncRules].
+ * A rule receives the value, the element, and the attribute value and returns null if valid
+ * or error text. Async rules return a Promise. Example:
+ *     // <input name="field-code" data-validate-even>
+ *     app.validation.text.even = '[{field}] must be an even number.';
+ *     app.validation.rules.even = function(value) {
+ *         return (Number(value) % 2 === 0 ? null : app.validation.text.even);
+ *     };
+ *
+ * Errors for each field can be displayed next to the field using [showFieldError()]
+ * and fields can be validated as the user edits them using [setupLiveValidation()].
+ * Both are used by [entryForm] and [listEditor] when this file is loaded.
+ *
+ * Error text is defined in [app.validation.text] and can be changed for a
+ * different language when using the [i18n] plugin or for custom messages.
+ * [{field}] is replaced with the field label and other placeholders such
+ * as [{min}] are replaced with attribute values.
  */
 
 /* Validates with both [jshint] and [eslint] */
-/* global app */
+/* global app, Promise */
 /* jshint strict: true */
 /* eslint-env browser */
 /* eslint quotes: ["error", "single", { "avoidEscape": true }] */
@@ -21,14 +71,400 @@
 (function() {
     'use strict';
 
+    // Input types that use [min] and [max] as numbers or dates/times
+    var numberTypes = ['number', 'range'];
+    var dateTypes = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+    // Based on the email format from the HTML Standard used by <input type="email">
+    var regexEmail = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+    var regexUrl = /^[a-zA-Z][a-zA-Z\d+\-.]*:\/\/[^\s/?#]+[^\s]*$/;
+    var regexDate = /^\d{4}-\d{2}-\d{2}$/;
+    var regexFileSize = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i;
+
+    // Used to create unique id's for field error elements
+    var errorIdCount = 0;
+
+    /**
+     * Check a value against the [pattern] attribute of a field. The same as browsers
+     * an invalid pattern is ignored so the field is valid and a warning is logged.
+     *
+     * @param {string} pattern
+     * @param {string} value
+     * @param {HTMLElement} element
+     * @return {bool}
+     */
+    function matchesPattern(pattern, value, element) {
+        var regex;
+        try {
+            regex = new RegExp('^(?:' + pattern + ')$');
+        } catch (e) {
+            console.warn('Invalid [pattern] attribute for field [' + (element.name || element.id) + ']: ' + e.message);
+            return true;
+        }
+        return regex.test(value);
+    }
+
+    /**
+     * Return the value of a form field. If a input/select has a [data-value]
+     * attribute defined then use that instead of the standard input value.
+     * This is usefull for plugins such as an inputmask or custom code that
+     * defines a different value to save than to show.
+     *
+     * @param {HTMLElement} element
+     * @return {string|bool}
+     */
+    function getValue(element) {
+        var value = element.getAttribute('data-value');
+        if (value === null) {
+            if (element.type === 'checkbox') {
+                value = element.checked;
+            } else {
+                value = element.value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Return the label to display to the user for a form field.
+     *
+     * @param {HTMLElement} element
+     * @param {string|null|undefined} fieldName
+     * @return {string}
+     */
+    function getFieldLabel(element, fieldName) {
+        // Get the related <label> element if one exists.
+        var fieldLabel = null;
+        if (element.id !== '') {
+            fieldLabel = document.querySelector('label[for="' + element.id + '"]');
+            if (fieldLabel !== null) {
+                fieldLabel = fieldLabel.textContent;
+            }
+        }
+        if (fieldLabel === null) {
+            fieldLabel = element.getAttribute('data-label');
+        }
+        if (fieldLabel === null) {
+            // [fieldName] is supplied as an optional parameter to the function.
+            // It is used by [entryForm.js] for validation, however <label> is
+            // the priority as it is what the user would read and is standard HTML.
+            fieldLabel = (typeof fieldName === 'string' ? fieldName : null);
+        }
+        if (fieldLabel === null) {
+            fieldLabel = (element.name ? element.name : element.id);
+        }
+        if (fieldLabel === '') {
+            fieldLabel = 'Form Field';
+        }
+        return fieldLabel;
+    }
+
+    /**
+     * Find a related field for cross-field rules. When the element is in a
+     * [listEditor] row then the row is checked first.
+     *
+     * @param {HTMLElement} element
+     * @param {string} selector
+     * @return {HTMLElement|null}
+     */
+    function getOtherField(element, selector) {
+        var other = null;
+        var row = (typeof element.closest === 'function' ? element.closest('[data-list-item]') : null);
+        if (row !== null) {
+            other = row.querySelector(selector);
+        }
+        if (other === null) {
+            other = document.querySelector(selector);
+        }
+        if (other === null) {
+            console.warn('Validation rule for field [' + (element.name || element.id) + '] references a field that was not found: ' + selector);
+        }
+        return other;
+    }
+
+    /**
+     * Compare two values as numbers if both are numeric otherwise as text.
+     * Returns a negative number, 0, or a positive number.
+     *
+     * @param {string} a
+     * @param {string} b
+     * @return {number}
+     */
+    function compareValues(a, b) {
+        var numA = Number(a);
+        var numB = Number(b);
+        if (String(a).trim() !== '' && String(b).trim() !== '' && isFinite(numA) && isFinite(numB)) {
+            return numA - numB;
+        }
+        a = String(a);
+        b = String(b);
+        return (a < b ? -1 : (a > b ? 1 : 0));
+    }
+
+    /**
+     * Validate a cross-field rule using another field's value and label.
+     *
+     * @param {HTMLElement} element
+     * @param {string} value
+     * @param {string} selector
+     * @param {string} text
+     * @param {function} isValid - Called with the result of [compareValues()]
+     * @return {string|null}
+     */
+    function compareWithField(element, value, selector, text, isValid) {
+        var other = getOtherField(element, selector);
+        if (other === null) {
+            return null;
+        }
+        var otherValue = getValue(other);
+        if (otherValue === '' || isValid(compareValues(value, otherValue))) {
+            return null;
+        }
+        return text.replace(/{otherField}/g, getFieldLabel(other));
+    }
+
+    /**
+     * Return the number of bytes from [data-max-file-size], for example
+     * "500000", "500KB", or "2MB". Returns null for invalid values.
+     *
+     * @param {string} value
+     * @return {number|null}
+     */
+    function parseFileSize(value) {
+        var match = regexFileSize.exec(String(value).trim());
+        if (match === null) {
+            return null;
+        }
+        var units = { B: 0, KB: 1, MB: 2, GB: 3 };
+        var unit = (match[2] === undefined ? 'B' : match[2].toUpperCase());
+        return parseFloat(match[1]) * Math.pow(1024, units[unit]);
+    }
+
+    /**
+     * Return true if a file matches the [accept] attribute of a file input.
+     *
+     * @param {File} file
+     * @param {string} accept
+     * @return {bool}
+     */
+    function isFileAccepted(file, accept) {
+        var fileName = file.name.toLowerCase();
+        var fileType = (file.type || '').toLowerCase();
+        return accept.split(',').some(function(type) {
+            type = type.trim().toLowerCase();
+            if (type === '') {
+                return false;
+            } else if (type.indexOf('.') === 0) {
+                return (fileName.length >= type.length && fileName.substring(fileName.length - type.length) === type);
+            } else if (type.substring(type.length - 2) === '/*') {
+                return (fileType.indexOf(type.substring(0, type.length - 1)) === 0);
+            }
+            return (fileType === type);
+        });
+    }
+
+    /**
+     * Validate selected files from a file input using [accept]
+     * and [data-max-file-size]. Returns null or error text.
+     *
+     * @param {HTMLInputElement} element
+     * @return {string|null}
+     */
+    function validateFiles(element) {
+        var accept = element.getAttribute('accept');
+        var maxSize = element.getAttribute('data-max-file-size');
+        var maxBytes = (maxSize === null ? null : parseFileSize(maxSize));
+        for (var n = 0, m = element.files.length; n < m; n++) {
+            var file = element.files[n];
+            var errorText = null;
+            if (accept !== null && accept.trim() !== '' && !isFileAccepted(file, accept)) {
+                errorText = validation.text.fileType;
+            } else if (maxBytes !== null && file.size > maxBytes) {
+                errorText = validation.text.fileSize;
+            }
+            if (errorText !== null) {
+                return errorText
+                    .replace(/{file}/g, file.name)
+                    .replace(/{maxsize}/g, maxSize);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run rules from [data-validate-*] attributes in the order
+     * they are defined on the element.
+     *
+     * @param {object} rules
+     * @param {HTMLElement} element
+     * @param {string} value
+     * @return {array} - Results from each rule
+     */
+    function runRules(rules, element, value) {
+        var results = [];
+        for (var n = 0, m = element.attributes.length; n < m; n++) {
+            var attr = element.attributes[n];
+            if (attr.name.indexOf('data-validate-') !== 0) {
+                continue;
+            }
+            var ruleName = attr.name.substring(14).replace(/-([a-z])/g, function(match, letter) {
+                return letter.toUpperCase();
+            });
+            if (typeof rules[ruleName] === 'function') {
+                results.push(rules[ruleName](value, element, attr.value));
+            } else if (rules === validation.rules && typeof validation.asyncRules[ruleName] !== 'function') {
+                console.warn('Unknown validation rule [' + attr.name + '] for field [' + (element.name || element.id) + ']');
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Return the error element for a form field, if [create] is true and one does not
+     * exist then an element with [data-error-for="{name or id}"] is used or a new
+     * element is added directly after the form field.
+     *
+     * @param {HTMLElement} element
+     * @param {bool} create
+     * @return {HTMLElement|null}
+     */
+    function getErrorElement(element, create) {
+        var id = element.getAttribute('data-error-id');
+        var errorElement = (id === null ? null : document.getElementById(id));
+        if (errorElement !== null || !create) {
+            return errorElement;
+        }
+        var key = element.name || element.id;
+        if (key) {
+            var row = (typeof element.closest === 'function' ? element.closest('[data-list-item]') : null);
+            errorElement = (row === null ? null : row.querySelector('[data-error-for="' + key + '"]'));
+            if (errorElement === null) {
+                errorElement = document.querySelector('[data-error-for="' + key + '"]');
+            }
+        }
+        if (errorElement === null) {
+            errorElement = document.createElement('div');
+            errorElement.className = validation.fieldErrorClass;
+            element.parentNode.insertBefore(errorElement, element.nextSibling);
+        }
+        if (!errorElement.id) {
+            errorElement.id = 'validation-error-' + String(++errorIdCount);
+        }
+        errorElement.setAttribute('aria-live', 'polite');
+        element.setAttribute('data-error-id', errorElement.id);
+        return errorElement;
+    }
+
+    /**
+     * Add or remove an id from the [aria-describedby] attribute of an element.
+     *
+     * @param {HTMLElement} element
+     * @param {string} id
+     * @param {bool} add
+     */
+    function updateDescribedBy(element, id, add) {
+        var ids = (element.getAttribute('aria-describedby') || '').split(' ').filter(function(value) {
+            return value !== '' && value !== id;
+        });
+        if (add) {
+            ids.push(id);
+        }
+        if (ids.length === 0) {
+            element.removeAttribute('aria-describedby');
+        } else {
+            element.setAttribute('aria-describedby', ids.join(' '));
+        }
+    }
+
     var validation = {
+        // Class for error elements that are created next to each form field
+        fieldErrorClass: 'field-error',
+
         text: {
             requiredField: '[{field}] is a required field.',
             typeNumberInt: '[{field}] needs to be entered as a integer.',
             typeNumber: '[{field}] needs to be entered as a number.',
+            typeDate: '[{field}] needs to be entered as a valid date.',
+            min: '[{field}] must be greater than or equal to {min}.',
+            max: '[{field}] must be less than or equal to {max}.',
+            dateMin: '[{field}] must be on or after {min}.',
+            dateMax: '[{field}] must be on or before {max}.',
+            minLength: '[{field}] must be at least {minlength} characters.',
+            maxLength: '[{field}] must be no more than {maxlength} characters.',
+            pattern: '[{field}] is not in the correct format.',
+            email: '[{field}] needs to be a valid email address.',
+            url: '[{field}] needs to be a valid URL.',
+            match: '[{field}] does not match [{otherField}].',
+            after: '[{field}] must be after [{otherField}].',
+            before: '[{field}] must be before [{otherField}].',
+            remote: '[{field}] is not valid.',
+            remoteError: 'Unable to validate [{field}]: {error}',
+            fileType: '[{field}] - [{file}] is not an allowed file type.',
+            fileSize: '[{field}] - [{file}] is larger than the maximum file size of {maxsize}.',
             row: 'Row',
         },
 
+        /**
+         * Rules for [data-validate-{rule}] attributes. Each rule is called with
+         * (value, element, attributeValue) and returns null or error text.
+         * Rules are only called when the field has a value.
+         */
+        rules: {
+            email: function(value) {
+                return (regexEmail.test(value) ? null : validation.text.email);
+            },
+
+            url: function(value) {
+                return (regexUrl.test(value) ? null : validation.text.url);
+            },
+
+            match: function(value, element, selector) {
+                return compareWithField(element, value, selector, validation.text.match, function(result) { return result === 0; });
+            },
+
+            after: function(value, element, selector) {
+                return compareWithField(element, value, selector, validation.text.after, function(result) { return result > 0; });
+            },
+
+            before: function(value, element, selector) {
+                return compareWithField(element, value, selector, validation.text.before, function(result) { return result < 0; });
+            },
+        },
+
+        /**
+         * Async Rules for [data-validate-{rule}] attributes. These are only called
+         * from [validateInputAsync()] once all other rules are valid. Each
+         * rule returns a Promise that resolves to null or error text.
+         */
+        asyncRules: {
+            remote: function(value, element, url) {
+                if (url.indexOf(':value') !== -1) {
+                    url = app.buildUrl(url, { value: value });
+                } else {
+                    url += (url.indexOf('?') === -1 ? '?' : '&') + 'value=' + encodeURIComponent(value);
+                }
+                return app.fetch(url).then(function(data) {
+                    if (data === true || (data && data.valid === true)) {
+                        return null;
+                    }
+                    return (data && typeof data.error === 'string' ? data.error : validation.text.remote);
+                }).catch(function(error) {
+                    return validation.text.remoteError.replace(/{error}/g, (error && error.message ? error.message : String(error)));
+                });
+            },
+        },
+
+        /**
+         * Validate a form field and return null if valid or an error message.
+         * Async rules such as [data-validate-remote] are not checked,
+         * see [validateInputAsync()].
+         *
+         * @param {HTMLElement} element
+         * @param {string|undefined} fieldName
+         * @param {number|undefined} rowIndex
+         * @param {string|undefined} listLabel
+         * @return {string|null}
+         */
         validateInput: function(element, fieldName, rowIndex, listLabel) {
             // Make sure an valid element was passed
             var elementType = element.nodeName;
@@ -37,18 +473,7 @@
             }
 
             // Get the Form field value
-            // If a input/select has a [data-value] attribute defined
-            // then use that instead of the standard input value.
-            // This is usefull for plugins such as an inputmask or custom
-            // code that defines a different value to save than to show.
-            var value = element.getAttribute('data-value');
-            if (value === null) {
-                if (element.type === 'checkbox') {
-                    value = element.checked;
-                } else {
-                    value = element.value;
-                }
-            }
+            var value = getValue(element);
 
             // HTML [required] attribute
             var errorText = null;
@@ -56,11 +481,17 @@
                 errorText = validation.text.requiredField;
             }
 
-            // If [date-type] is specified then validate the type.
-            // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/isInteger
-            if (value !== '') {
-                var numValue = Number(value);
+            // Other rules are only checked if a value is entered and
+            // are not used with checkboxes. The first error is returned.
+            if (value !== '' && typeof value === 'string' && element.type !== 'checkbox' && errorText === null) {
                 var dataType = element.getAttribute('data-type');
+                var inputType = (elementType === 'INPUT' ? element.type : null);
+                var isNumber = (dataType === 'int' || dataType === 'float' || numberTypes.indexOf(inputType) !== -1);
+                var isDate = (dataType === 'date' || dateTypes.indexOf(inputType) !== -1);
+
+                // If [date-type] is specified then validate the type.
+                // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/isInteger
+                var numValue = Number(value);
                 if (dataType === 'int') {
                     if (!(isFinite(numValue) && Math.floor(numValue) === numValue)) {
                         errorText = validation.text.typeNumberInt;
@@ -69,57 +500,226 @@
                     if (!isFinite(numValue)) {
                         errorText = validation.text.typeNumber;
                     }
+                } else if (dataType === 'date') {
+                    if (!(regexDate.test(value) && !isNaN(new Date(value).getTime()))) {
+                        errorText = validation.text.typeDate;
+                    }
+                } else if (inputType === 'file' && element.files) {
+                    errorText = validateFiles(element);
                 }
-            }
 
-            // Update Error text with field name
-            if (errorText) {
-                // Get field name to display to the user.
-                // Get the related <label> element if one exists.
-                var fieldLabel = null;
-                if (element.id !== '') {
-                    fieldLabel = document.querySelector('label[for="' + element.id + '"]');
-                    if (fieldLabel !== null) {
-                        fieldLabel = fieldLabel.textContent;
-                    }
+                // HTML Constraint Attributes
+                var min = element.getAttribute('min');
+                var max = element.getAttribute('max');
+                var minLength = element.getAttribute('minlength');
+                var maxLength = element.getAttribute('maxlength');
+                var pattern = element.getAttribute('pattern');
+                if (errorText === null && min !== null && (isNumber || isDate) && compareValues(value, min) < 0) {
+                    errorText = (isDate ? validation.text.dateMin : validation.text.min);
+                } else if (errorText === null && max !== null && (isNumber || isDate) && compareValues(value, max) > 0) {
+                    errorText = (isDate ? validation.text.dateMax : validation.text.max);
+                } else if (errorText === null && minLength !== null && value.length < parseInt(minLength, 10)) {
+                    errorText = validation.text.minLength;
+                } else if (errorText === null && maxLength !== null && value.length > parseInt(maxLength, 10)) {
+                    errorText = validation.text.maxLength;
+                } else if (errorText === null && pattern !== null && !matchesPattern(pattern, value, element)) {
+                    errorText = validation.text.pattern;
+                } else if (errorText === null && inputType === 'email' && !regexEmail.test(value)) {
+                    errorText = validation.text.email;
+                } else if (errorText === null && inputType === 'url' && !regexUrl.test(value)) {
+                    errorText = validation.text.url;
                 }
-                if (fieldLabel === null) {
-                    fieldLabel = element.getAttribute('data-label');
+
+                // [data-validate-*] Rules
+                if (errorText === null) {
+                    var results = runRules(validation.rules, element, value);
+                    for (var n = 0, m = results.length; n < m && errorText === null; n++) {
+                        if (results[n]) {
+                            errorText = results[n];
+                        }
+                    }
                 }
-                if (fieldLabel === null) {
-                    // [fieldName] is supplied as an optional parameter to the function.
-                    // It is used by [entryForm.js] for validation, however <label> is
-                    // the priority as it is what the user would read and is standard HTML.
-                    fieldLabel = (typeof fieldName === 'string' ? fieldName : null);
+
+                // Replace attribute values in error text, for example: "{min}"
+                if (typeof errorText === 'string') {
+                    errorText = errorText
+                        .replace(/{min}/g, min)
+                        .replace(/{max}/g, max)
+                        .replace(/{minlength}/g, minLength)
+                        .replace(/{maxlength}/g, maxLength);
                 }
-                if (fieldLabel === null) {
-                    fieldLabel = (element.name ? element.name : element.id);
+            }
+
+            // Returns null or an error message
+            return validation.formatError(errorText, element, fieldName, rowIndex, listLabel);
+        },
+
+        /**
+         * Validate a form field including async rules such as [data-validate-remote].
+         * Async rules are only checked if the field is otherwise valid.
+         *
+         * @param {HTMLElement} element
+         * @param {string|undefined} fieldName
+         * @param {number|undefined} rowIndex
+         * @param {string|undefined} listLabel
+         * @return {Promise} - Resolves to null or an error message
+         */
+        validateInputAsync: function(element, fieldName, rowIndex, listLabel) {
+            var error = validation.validateInput(element, fieldName, rowIndex, listLabel);
+            var value = getValue(element);
+            if (error !== null || value === '' || typeof value !== 'string') {
+                return Promise.resolve(error);
+            }
+            return Promise.all(runRules(validation.asyncRules, element, value)).then(function(results) {
+                for (var n = 0, m = results.length; n < m; n++) {
+                    if (results[n]) {
+                        return validation.formatError(results[n], element, fieldName, rowIndex, listLabel);
+                    }
                 }
-                if (fieldLabel === '') {
-                    fieldLabel = 'Form Field';
+                return null;
+            });
+        },
+
+        /**
+         * Return true if a form field has async rules and needs to be checked
+         * with [validateInputAsync()].
+         *
+         * @param {HTMLElement} element
+         * @return {bool}
+         */
+        hasAsyncRules: function(element) {
+            for (var rule in validation.asyncRules) {
+                if (element.hasAttribute('data-validate-' + rule.replace(/[A-Z]/g, function(letter) { return '-' + letter.toLowerCase(); }))) {
+                    return true;
                 }
+            }
+            return false;
+        },
 
-                // Row index and Table Name can be passed to build messages when there are multiple records in a list
-                if (rowIndex) {
-                    fieldLabel = validation.text.row + ' ' + String(rowIndex) + ', ' + fieldLabel;
+        /**
+         * Update Error text with the field name to display to the user.
+         *
+         * @param {string|null|undefined} errorText
+         * @param {HTMLElement} element
+         * @param {string|undefined} fieldName
+         * @param {number|undefined} rowIndex
+         * @param {string|undefined} listLabel
+         * @return {string|null}
+         */
+        formatError: function(errorText, element, fieldName, rowIndex, listLabel) {
+            if (errorText === null) {
+                return null;
+            }
+            var fieldLabel = getFieldLabel(element, fieldName);
+
+            // Row index and Table Name can be passed to build messages when there are multiple records in a list
+            if (rowIndex) {
+                fieldLabel = validation.text.row + ' ' + String(rowIndex) + ', ' + fieldLabel;
+            }
+            if (listLabel) {
+                fieldLabel = listLabel + ', ' + fieldLabel;
+            }
+
+            // Update Error Text with field name. [undefined] could happen if a value
+            // such as [validation.text.requiredField] were overwritten by other code.
+            if (errorText === undefined) {
+                return 'Error with field [' + fieldLabel + '].';
+            }
+            return errorText.replace(/{field}/g, fieldLabel);
+        },
+
+        /**
+         * Show an error message next to a form field and mark the field
+         * with [aria-invalid] and [aria-describedby] for screen readers.
+         * By default a <div class="field-error"> is added after the field.
+         * To control where the error is displayed add an element to the
+         * template using [data-error-for="{field name or id}"].
+         *
+         * @param {HTMLElement} element
+         * @param {string} errorText
+         */
+        showFieldError: function(element, errorText) {
+            var errorElement = getErrorElement(element, true);
+            errorElement.textContent = errorText;
+            errorElement.style.display = '';
+            element.setAttribute('aria-invalid', 'true');
+            updateDescribedBy(element, errorElement.id, true);
+        },
+
+        /**
+         * Hide the error message for a form field.
+         *
+         * @param {HTMLElement} element
+         */
+        clearFieldError: function(element) {
+            element.removeAttribute('aria-invalid');
+            var errorElement = getErrorElement(element, false);
+            if (errorElement !== null) {
+                errorElement.textContent = '';
+                errorElement.style.display = 'none';
+                updateDescribedBy(element, errorElement.id, false);
+            }
+        },
+
+        /**
+         * Show or hide the error message for a form field.
+         *
+         * @param {HTMLElement} element
+         * @param {string|null} errorText
+         */
+        updateFieldError: function(element, errorText) {
+            if (errorText) {
+                validation.showFieldError(element, errorText);
+            } else {
+                validation.clearFieldError(element);
+            }
+        },
+
+        /**
+         * Validate a form field as the user edits it. The field is first validated
+         * once it loses focus and then on each change so errors are not shown while
+         * the user is still typing a new value. Async rules run only on blur.
+         * Calling this more than once for the same element has no effect.
+         *
+         * @param {HTMLElement} element
+         * @param {function|undefined} getArgs - Called with the element and returns [fieldName, rowIndex, listLabel] for [validateInput()]
+         * @param {function|undefined} onValidated - Called with (element, errorText) after validation
+         */
+        setupLiveValidation: function(element, getArgs, onValidated) {
+            if (element.getAttribute('data-live-validation-setup') !== null) {
+                return;
+            }
+            element.setAttribute('data-live-validation-setup', '');
+
+            var touched = false;
+            var validate = function(e) {
+                if (e.type === 'blur' || e.type === 'change') {
+                    touched = true;
+                } else if (!touched && element.getAttribute('aria-invalid') !== 'true') {
+                    return;
                 }
-                if (listLabel) {
-                    fieldLabel = listLabel + ', ' + fieldLabel;
+                var args = [element].concat(typeof getArgs === 'function' ? getArgs(element) : []);
+                var error = validation.validateInput.apply(null, args);
+                validation.updateFieldError(element, error);
+                if (typeof onValidated === 'function') {
+                    onValidated(element, error);
                 }
-
-                // Update Error Text with field name. [undefined] could happen if a value
-                // such as [validation.text.requiredField] were overwritten by other code.
-                if (errorText === undefined) {
-                    errorText = 'Error with field [' + fieldLabel + '].';
-                } else {
-                    errorText = errorText.replace(/{field}/g, fieldLabel);
+                if (error === null && e.type === 'blur' && validation.hasAsyncRules(element)) {
+                    validation.validateInputAsync.apply(null, args).then(function(error) {
+                        validation.updateFieldError(element, error);
+                        if (typeof onValidated === 'function') {
+                            onValidated(element, error);
+                        }
+                    });
                 }
-            }
+            };
 
-            // Returns null or an error message
-            return errorText;
+            var type = element.type;
+            var eventName = (type === 'checkbox' || type === 'radio' || element.nodeName === 'SELECT' || element.oninput === undefined ? 'change' : 'input');
+            element.addEventListener('blur', validate);
+            element.addEventListener(eventName, validate);
         },
     };
 
     app.validation = validation;
-})();
\ No newline at end of file
+})();
@@ -62,9 +62,100 @@ class JsonData {
         // the attribute [data-load-only-once].
         this.loadOnlyOnce = false;
 
+        // Optional timeout in milliseconds for the web service request. When set
+        // the request is cancelled if it takes longer than the specified time and
+        // [errorTextFetchTimeout] is displayed. This property can also be defined
+        // in the script element using the attribute [data-fetch-timeout].
+        this.fetchTimeout = 0;
+
+        // [AbortController] for the current request, this is set from [fetchData()]
+        // and used by [abortFetch()] when the route is unloaded. This is a public
+        // property however the calling app should not overwrite it.
+        this.fetchAbortController = null;
+
+        // [ETag] Response Header from the last successful request, or null if
+        // the server did not send one or the data was read from [app.dataCache].
+        // Used by [entryForm] to send [If-Match] when saving the record.
+        this.responseEtag = null;
+
+        // Optional number of times to retry the request if it fails from a network
+        // error or from one of the Response Codes in [retryStatusCodes]. Each retry
+        // waits twice as long as the previous one starting from [retryDelay] in
+        // milliseconds. These properties can also be defined in the script element
+        // using the attributes [data-retry], [data-retry-delay], and
+        // [data-retry-status-codes="502,503"]. While a request is being retried
+        // [retryAttempt] is set to the current retry count so the template can
+        // show a message such as "Retrying...". It is reset to 0 once complete.
+        this.retry = 0;
+        this.retryDelay = 1000;
+        this.retryStatusCodes = [408, 429, 500, 502, 503, 504];
+        this.retryAttempt = 0;
+
+        // Optional caching using [app.dataCache]. [cacheTtl] is the number of seconds
+        // that downloaded data is valid for and when [staleWhileRevalidate] is [true]
+        // expired data is displayed immediately while new data is downloaded in the
+        // background and then the view is updated again. These properties can also
+        // be defined in the script element using the attributes [data-cache-ttl]
+        // and [data-stale-while-revalidate].
+        this.cacheTtl = null;
+        this.staleWhileRevalidate = false;
+
+        // Optional values from the query string of the current route [app.activeQuery]
+        // to append to the web service URL. This can be a comma-separated list of names,
+        // an array, or [true] to include all values. This property can also be defined
+        // in the script element using the attribute [data-query-params="status,page"].
+        // When only the query string changes [onQueryChange()] downloads the data again.
+        this.queryParams = null;
+
+        // Optional pagination for paged web services. [pagination] can be one of:
+        //   'offset' - Sends [offsetParam] and [limitParam], example: '?offset=40&limit=20'
+        //   'page'   - Sends [pageParam] and [pageSizeParam], example: '?page=3&pageSize=20'
+        //   'cursor' - Sends [cursorParam] and [limitParam] using the cursor from [nextCursorField]
+        //              of the previous response or follows the URL from the Response Header
+        //              [Link: <url>; rel="next"].
+        // Records are read from [listField] of the response or from the response itself if
+        // it is an array. [totalCount] is read from [totalCountField] or the Response Header
+        // [X-Total-Count]. Templates can use [page], [pageCount], [totalCount], [hasMore],
+        // [hasPrevious], and [pageNumbers] and elements with the attributes [data-page-previous],
+        // [data-page-next], [data-page-goto="{page}"], and [data-load-more] call the related
+        // functions when clicked. When [appendPages] is [true] records from the next page are
+        // appended to the existing list instead of replacing it and [isLoadingMore] is set while
+        // downloading. [infiniteScroll] loads the next page once an element with the attribute
+        // [data-infinite-scroll-trigger] scrolls into view. These properties can also be defined
+        // in the script element, for example [data-pagination="page"] and [data-page-size="50"].
+        this.pagination = null;
+        this.page = 1;
+        this.pageSize = 20;
+        this.pageCount = null;
+        this.totalCount = null;
+        this.hasMore = false;
+        this.hasPrevious = false;
+        this.pageNumbers = [];
+        this.pageNumberCount = 7;
+        this.isLoadingMore = false;
+        this.appendPages = false;
+        this.infiniteScroll = false;
+        this.listField = 'data';
+        this.totalCountField = 'totalCount';
+        this.nextCursorField = 'nextCursor';
+        this.pageParam = 'page';
+        this.pageSizeParam = 'pageSize';
+        this.offsetParam = 'offset';
+        this.limitParam = 'limit';
+        this.cursorParam = 'cursor';
+
+        // Cursors of pages that have been loaded when using [pagination="cursor"], the
+        // click handler for pagination elements, and the [IntersectionObserver] for
+        // [infiniteScroll]. These are public properties however the calling app should
+        // not overwrite them.
+        this.pageCursors = [null];
+        this.pageClickHandler = null;
+        this.infiniteScrollObserver = null;
+
         // Default error messages, these can be changed from the calling app or for specific routes.
         this.errorTextMissingUrl = 'Error, unable to fetch data. No URL [data-route | model.url | graphql] was specified for this current route.';
         this.errorTextFetchError = 'An error has occurred loading the data. Please refresh the page to try again and if the problem continues contact support.';
+        this.errorTextFetchTimeout = 'The request timed out while loading the data. Please refresh the page to try again and if the problem continues contact support.';
         this.errorTextGraphQLErrors = '{count} GraphQL Errors occurred. See [app.activeModel.errors] in console for full details.';
 
         // Total event count for the model and fetch times of the last web service calls.
@@ -116,6 +207,308 @@ class JsonData {
         }
     }
 
+    /**
+     * Return the web service URL with ":params" replaced and values
+     * from [queryParams] appended as a query string. By default the
+     * current route is used, [app.prefetchRoute()] passes [params]
+     * and [activeQuery] for a route that has not been viewed yet.
+     *
+     * @param {object|undefined} params
+     * @param {object|undefined} activeQuery
+     * @return {string}
+     */
+    buildFetchUrl(params, activeQuery = app.activeQuery) {
+        let query = null;
+        if (this.queryParams === true) {
+            query = activeQuery;
+        } else if (this.queryParams) {
+            const names = (Array.isArray(this.queryParams) ? this.queryParams : String(this.queryParams).split(','));
+            query = {};
+            for (const name of names) {
+                query[name.trim()] = activeQuery[name.trim()];
+            }
+        }
+        const pageQuery = this.getPageQuery();
+        if (typeof pageQuery === 'string') {
+            return pageQuery;
+        } else if (pageQuery !== null) {
+            query = Object.assign({}, query, pageQuery);
+        }
+        return app.buildUrl(this.url, params, query);
+    }
+
+    /**
+     * Return query string values for the current [page] based on the [pagination]
+     * type or null if pagination is not used. When using [pagination="cursor"] and
+     * the previous response defined the next page from a [Link] Response Header
+     * then the URL from the header is returned.
+     *
+     * @return {object|string|null}
+     */
+    getPageQuery() {
+        const page = parseInt(this.page, 10) || 1;
+        const pageSize = parseInt(this.pageSize, 10);
+        const query = {};
+        switch (this.pagination) {
+            case 'offset':
+                query[this.offsetParam] = (page - 1) * pageSize;
+                query[this.limitParam] = pageSize;
+                return query;
+            case 'page':
+                query[this.pageParam] = page;
+                query[this.pageSizeParam] = pageSize;
+                return query;
+            case 'cursor': {
+                const cursor = this.pageCursors[page - 1];
+                if (cursor && typeof cursor === 'object') {
+                    return cursor.url;
+                }
+                query[this.cursorParam] = cursor;
+                query[this.limitParam] = pageSize;
+                return query;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Update pagination properties from a downloaded page and return the data
+     * that will be assigned to the model. If [previousList] is an array then
+     * records from the response are added to the end of it.
+     *
+     * @param {object|array} data
+     * @param {object} headers - [totalCount] and [nextUrl] from Response Headers
+     * @param {array|null} previousList
+     * @return {object|array}
+     */
+    setPageData(data, headers, previousList) {
+        const page = parseInt(this.page, 10) || 1;
+        const pageSize = parseInt(this.pageSize, 10);
+        const isArray = Array.isArray(data);
+        let list = (isArray ? data : data[this.listField]);
+        list = (Array.isArray(list) ? list : []);
+        const pageLength = list.length;
+
+        // Add to the existing list. A new array is created so that
+        // data saved in [app.dataCache] is not modified.
+        if (Array.isArray(previousList)) {
+            list = previousList.concat(list);
+        }
+
+        // Total Count and Page Count
+        let totalCount = (isArray ? null : parseInt(data[this.totalCountField], 10));
+        if (totalCount === null || isNaN(totalCount)) {
+            totalCount = (headers.totalCount === null ? null : parseInt(headers.totalCount, 10));
+        }
+        this.totalCount = (totalCount === null || isNaN(totalCount) ? null : totalCount);
+        this.pageCount = (this.totalCount === null ? null : Math.max(1, Math.ceil(this.totalCount / pageSize)));
+
+        // Check if there is another page
+        let hasMore;
+        if (this.pagination === 'cursor') {
+            let nextCursor = (isArray ? null : data[this.nextCursorField]);
+            if (nextCursor === undefined || nextCursor === null || nextCursor === '') {
+                nextCursor = (headers.nextUrl ? { url: headers.nextUrl } : null);
+            }
+            this.pageCursors = this.pageCursors.slice(0, page);
+            if (nextCursor !== null) {
+                this.pageCursors.push(nextCursor);
+            }
+            hasMore = (nextCursor !== null);
+        } else if (this.pageCount !== null) {
+            hasMore = (page < this.pageCount);
+        } else {
+            hasMore = (pageLength >= pageSize);
+        }
+        if (!isArray && typeof data.hasMore === 'boolean') {
+            hasMore = data.hasMore;
+        }
+        this.hasMore = hasMore;
+        this.hasPrevious = (page > 1 && previousList === null && !this.appendPages);
+
+        // Page numbers to show around the current page, example for page 5 of 20
+        // with the default [pageNumberCount]: [2, 3, 4, 5, 6, 7, 8]
+        this.pageNumbers = [];
+        let lastPage = this.pageCount;
+        if (this.pagination === 'cursor') {
+            lastPage = this.pageCursors.length;
+        } else if (lastPage === null) {
+            lastPage = (hasMore ? page + 1 : page);
+        }
+        const count = parseInt(this.pageNumberCount, 10);
+        const start = Math.max(1, Math.min(page - Math.floor(count / 2), lastPage - count + 1));
+        for (let n = start; n <= lastPage && n < start + count; n++) {
+            this.pageNumbers.push({
+                page: n,
+                isCurrent: (n === page),
+            });
+        }
+
+        // Return data to assign to the model
+        if (isArray) {
+            if (typeof this.prop === 'string') {
+                return list;
+            }
+            data = {};
+        } else {
+            data = Object.assign({}, data);
+        }
+        data[this.listField] = list;
+        return data;
+    }
+
+    /**
+     * Return the current list of records from [listField] or [prop]
+     * or null if records have not been downloaded.
+     *
+     * @return {array|null}
+     */
+    getPageList() {
+        const data = (typeof this.prop === 'string' ? this[this.prop] : this);
+        const list = (Array.isArray(data) ? data : (data ? data[this.listField] : null));
+        return (Array.isArray(list) ? list : null);
+    }
+
+    /**
+     * Reset [page] and related properties so the first page is downloaded
+     * the next time [fetchData()] is called. This gets called automatically
+     * when the route is loaded and when the query string changes.
+     */
+    resetPagination() {
+        this.page = 1;
+        this.pageCursors = [null];
+        this.pageNumbers = [];
+        this.pageCount = null;
+        this.totalCount = null;
+        this.hasMore = false;
+        this.hasPrevious = false;
+        this.isLoadingMore = false;
+    }
+
+    /**
+     * Download a specific page. When [append] is true records are added to the
+     * existing list, otherwise the current records are replaced. Returns [false]
+     * if the page cannot be loaded, for example when using [pagination="cursor"]
+     * the cursor for a page is only known once the previous page has loaded.
+     *
+     * @param {number|string} page
+     * @param {boolean|undefined} append
+     * @return {boolean}
+     */
+    goToPage(page, append) {
+        page = parseInt(page, 10);
+        if (isNaN(page) || page < 1 || (this.pageCount !== null && page > this.pageCount)) {
+            return false;
+        }
+        if (this.pagination === 'cursor' && page > this.pageCursors.length) {
+            return false;
+        }
+        this.page = page;
+        this.isLoadingMore = (append === true);
+        this.fetchData();
+        app.updateView();
+        return true;
+    }
+
+    /**
+     * Download the next page. If [appendPages] is true records are added to the
+     * existing list, otherwise the current records are replaced.
+     *
+     * @return {boolean}
+     */
+    nextPage() {
+        if (this.appendPages) {
+            return this.loadMore();
+        }
+        if (!this.hasMore || this.isLoading) {
+            return false;
+        }
+        return this.goToPage((parseInt(this.page, 10) || 1) + 1);
+    }
+
+    /**
+     * Download the previous page.
+     *
+     * @return {boolean}
+     */
+    previousPage() {
+        if (this.isLoading) {
+            return false;
+        }
+        return this.goToPage((parseInt(this.page, 10) || 1) - 1);
+    }
+
+    /**
+     * Download the next page and add records to the end of the existing list.
+     * This gets called from elements with [data-load-more] and when using
+     * [infiniteScroll].
+     *
+     * @return {boolean}
+     */
+    loadMore() {
+        if (!this.hasMore || this.isLoading || this.isLoadingMore) {
+            return false;
+        }
+        return this.goToPage((parseInt(this.page, 10) || 1) + 1, true);
+    }
+
+    /**
+     * Handle clicks on elements with [data-page-previous], [data-page-next],
+     * [data-page-goto], and [data-load-more]. This is added to the document
+     * when the route loads if [pagination] is used.
+     *
+     * @param {Event} e
+     */
+    handlePageClick(e) {
+        const element = (e.target && e.target.closest ? e.target.closest('[data-page-previous],[data-page-next],[data-page-goto],[data-load-more]') : null);
+        if (element === null || element.disabled) {
+            return;
+        }
+        e.preventDefault();
+        if (element.hasAttribute('data-page-previous')) {
+            this.previousPage();
+        } else if (element.hasAttribute('data-page-next')) {
+            this.nextPage();
+        } else if (element.hasAttribute('data-page-goto')) {
+            this.goToPage(element.getAttribute('data-page-goto'));
+        } else {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * When using [infiniteScroll] call [loadMore()] once the element with
+     * [data-infinite-scroll-trigger] becomes visible. This gets called each time
+     * the view is rendered because the element can be replaced.
+     */
+    setupInfiniteScroll() {
+        this.removeInfiniteScroll();
+        if (!this.infiniteScroll || window.IntersectionObserver === undefined) {
+            return;
+        }
+        const element = document.querySelector('[data-infinite-scroll-trigger]');
+        if (element === null) {
+            return;
+        }
+        this.infiniteScrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        });
+        this.infiniteScrollObserver.observe(element);
+    }
+
+    /**
+     * Stop watching the [data-infinite-scroll-trigger] element.
+     */
+    removeInfiniteScroll() {
+        if (this.infiniteScrollObserver) {
+            this.infiniteScrollObserver.disconnect();
+            this.infiniteScrollObserver = null;
+        }
+    }
+
     /**
      * Fetch data from the web service and update the model. This function gets called
      * automatically from the controller [onRouteLoad()] function and controllers
@@ -144,16 +537,25 @@ class JsonData {
             return;
         }
 
-        // Set prop so the template can show the user that data is loading
-        this.isLoading = true;
-        this.setViewClass('loading');
+        // Cancel the previous request if it is still running
+        this.abortFetch();
+
+        // Set prop so the template can show the user that data is loading.
+        // When loading more records with [loadMore()] the current records
+        // remain visible and only [isLoadingMore] is set.
+        const isLoadingMore = (this.isLoadingMore === true);
+        const previousList = (isLoadingMore ? this.getPageList() : null);
+        if (!isLoadingMore) {
+            this.isLoading = true;
+            this.setViewClass('loading');
+        }
 
         // Reset fetch times
         this.fetchTimeStart = new Date();
         this.fetchTimeComplete = null;
 
         // Build Request URL
-        this.submittedFetchUrl = (this.graphqlQuery ? this.url : app.buildUrl(this.url));
+        this.submittedFetchUrl = (this.graphqlQuery ? this.url : this.buildFetchUrl());
         this.submittedFetchParams = JSON.stringify(app.activeParameterList);
 
         // If using GraphQL then POST the Query and Variables.
@@ -180,10 +582,44 @@ class JsonData {
             }
         }
 
-        // Make the JSON Request
-        app
-        .fetch(this.submittedFetchUrl, init)
-        .then(data => {
+        // Add timeout and cancellation options
+        init = init || {};
+        if (this.fetchTimeout) {
+            init.timeout = this.fetchTimeout;
+        }
+        this.retryAttempt = 0;
+        if (this.retry) {
+            init.retry = this.retry;
+            init.retryDelay = this.retryDelay;
+            init.retryStatusCodes = this.retryStatusCodes;
+            init.onRetry = (attempt) => {
+                this.retryAttempt = attempt;
+                app.updateView();
+            };
+        }
+        const controller = (window.AbortController === undefined ? null : new AbortController());
+        if (controller !== null) {
+            init.signal = controller.signal;
+        }
+        this.fetchAbortController = controller;
+        this.responseEtag = null;
+        const pageHeaders = { totalCount: null, nextUrl: null };
+        init.onResponse = (response) => {
+            if (response.ok) {
+                this.responseEtag = response.headers.get('ETag');
+                if (this.pagination) {
+                    const link = response.headers.get('Link');
+                    const match = (link ? /<([^>]*)>[^<]*rel="?next"?/i.exec(link) : null);
+                    pageHeaders.totalCount = response.headers.get('X-Total-Count');
+                    pageHeaders.nextUrl = (match ? match[1] : null);
+                }
+            }
+        };
+
+        // Update the model and view using data downloaded from the web service
+        // or read from [app.dataCache]. This is also called when using
+        // [staleWhileRevalidate] once the new data is downloaded.
+        const handleData = (data) => {
             // Make sure the response sent an object or array. This file expects
             // 'application/json' and not 'text/plain' and other response types.
             if (!(typeof data === 'object' || data === null)) {
@@ -193,9 +629,11 @@ class JsonData {
             // Stats
             this.fetchTimeComplete = new Date();
             this.loadCount++;
+            this.retryAttempt = 0;
 
             // Set initial props for a successful json request
             this.isLoading = false;
+            this.isLoadingMore = false;
             this.isLoaded = true;
             this.hasError = false;
             this.errorMessage = null;
@@ -209,10 +647,14 @@ class JsonData {
             // or
             //     { isLoaded:false, hasError:true, errorMessage:'Error...' }
             if (!this.graphqlQuery) {
+                let result = data;
+                if (this.pagination && data !== null) {
+                    result = this.setPageData(data, pageHeaders, previousList);
+                }
                 if (typeof this.prop === 'string') {
-                    this[this.prop] = data;
+                    this[this.prop] = result;
                 } else {
-                    Object.assign(this, data);
+                    Object.assign(this, result);
                 }
             } else {
                 // If using GraphQL then copy from the [data] property and
@@ -255,17 +697,67 @@ class JsonData {
 
             // Update the view
             app.updateView();
+        };
+
+        // Optionally use cached data
+        if (this.cacheTtl !== null) {
+            init.cacheTtl = this.cacheTtl;
+        }
+        if (this.staleWhileRevalidate) {
+            init.staleWhileRevalidate = true;
+            init.onRevalidate = (data) => {
+                if (controller === null || !controller.signal.aborted) {
+                    handleData(data);
+                }
+            };
+        }
+
+        // Make the JSON Request
+        app
+        .fetch(this.submittedFetchUrl, init)
+        .then(data => {
+            // Ignore the response if the request was cancelled
+            if (controller !== null && controller.signal.aborted) {
+                return;
+            }
+            handleData(data);
         })
-        .catch(() => {
+        .catch(error => {
+            // If the request was cancelled from [abortFetch()] then the
+            // route has changed or a new request has started so there is
+            // no error to show. This does not apply to timeouts.
+            const isTimeout = (error && error.name === 'TimeoutError');
+            if (!isTimeout && controller !== null && controller.signal.aborted) {
+                return;
+            }
+            if (this.fetchAbortController === controller) {
+                this.fetchAbortController = null;
+            }
+
             // Stats
             this.fetchTimeComplete = new Date();
             this.errorCount++;
+            this.retryAttempt = 0;
+
+            // If loading more records fails then keep showing the current
+            // records and go back to the previous page number.
+            if (isLoadingMore) {
+                this.isLoadingMore = false;
+                this.page = (parseInt(this.page, 10) || 2) - 1;
+                this.errorMessage = (isTimeout ? this.errorTextFetchTimeout : this.errorTextFetchError);
+                console.error(error);
+                if (typeof this.onError === 'function') {
+                    this.onError();
+                }
+                app.updateView();
+                return;
+            }
 
             // Set props for an error with the json request
             this.isLoading = false;
             this.isLoaded = false;
             this.hasError = true;
-            this.errorMessage = this.errorTextFetchError;
+            this.errorMessage = (isTimeout ? this.errorTextFetchTimeout : this.errorTextFetchError);
             this.setViewClass('error');
 
             // Call the onError() function if one is defined. [onError()] would
@@ -279,6 +771,18 @@ class JsonData {
         });
     }
 
+    /**
+     * Cancel the current web service request if one is running. This gets called
+     * automatically when a new request starts and when the route is unloaded.
+     */
+    abortFetch() {
+        if (this.fetchAbortController) {
+            this.fetchAbortController.abort();
+            this.fetchAbortController = null;
+            this.isLoading = false;
+        }
+    }
+
     /**
      * Set CSS on the View Element.
      * This only makes changes for <template> views.
@@ -335,11 +839,24 @@ class JsonData {
      * on [mounted] after the Vue instance is created.
      */
     onRouteLoad() {
+        // When using pagination start from the first page unless data is being
+        // kept from [loadOnlyOnce]. Elements such as [data-page-next] are handled
+        // from a single click event on the document.
+        if (this.pagination) {
+            if (!this.loadOnlyOnce || this.submittedFetchParams !== JSON.stringify(app.activeParameterList)) {
+                this.resetPagination();
+            }
+            if (this.pageClickHandler === null) {
+                this.pageClickHandler = this.handlePageClick.bind(this);
+                document.addEventListener('click', this.pageClickHandler);
+            }
+        }
+
         // If loadOnlyOnce is set to false or if the named parameter
         // URL does not match the previously submitted URL then clear
         // properties so the template will reload the data.
         if (!this.loadOnlyOnce ||
-            this.submittedFetchUrl !== app.buildUrl(this.url) ||
+            this.submittedFetchUrl !== this.buildFetchUrl() ||
             this.submittedFetchParams !== JSON.stringify(app.activeParameterList)
         ) {
             this.isLoaded = false;
@@ -375,12 +892,41 @@ class JsonData {
         }
     }
 
+    /**
+     * Gets called instead of [onRouteLoad()] when only the query string
+     * of the route changes, for example from [app.updateQuery()] or
+     * the back button. Data is downloaded again using the new values.
+     */
+    onQueryChange() {
+        if (this.pagination) {
+            this.resetPagination();
+        }
+        this.fetchData();
+    }
+
+    /**
+     * Gets called each time the view is rendered. When using
+     * [infiniteScroll] the [data-infinite-scroll-trigger] element is observed.
+     */
+    onRendered() {
+        if (this.pagination) {
+            this.setupInfiniteScroll();
+        }
+    }
+
     /**
      * Gets called when a route is unloaded, this function can be
-     * overwritten by an inherited page object.
+     * overwritten by an inherited page object. Any web service
+     * request that is still running is cancelled.
      */
     onRouteUnload() {
+        this.abortFetch();
         this.unloadView();
+        this.removeInfiniteScroll();
+        if (this.pageClickHandler !== null) {
+            document.removeEventListener('click', this.pageClickHandler);
+            this.pageClickHandler = null;
+        }
     }
 }
 
@@ -16,6 +16,40 @@
  *    <input name="field-name">
  *    <input name="field-active">
  *
+ * Nested objects and arrays can be edited using a path for the field name:
+ *    <input name="field-address.city">
+ *    <input name="field-phones[0].number">
+ * The record is built with nested values { address: { city }, phones: [{ number }] }
+ * and errors from [validation.js] use the full path when the field has no label.
+ *
+ * Changes are tracked once the form loads using [model.isDirty] and
+ * [model.changedFields]. By default the user is asked to confirm before leaving
+ * a form with unsaved changes. Use [data-skip-save-when-unchanged="true"] to skip
+ * saving an existing record when nothing has changed.
+ * Use [data-patch-changes="true"] to submit only changed fields with a PATCH request.
+ *
+ * Saves use optimistic concurrency when the server sends an [ETag] with the record
+ * or when [data-version-field] is defined. If the record was changed by someone else
+ * a 409 or 412 response shows both values in [.conflict-message] with options to
+ * reload the record or save anyway.
+ *
+ * Multi-step forms (wizards) are created by adding [data-form-step="{title}"] to
+ * sections of the form. One step is shown at a time using [.btn-next] and [.btn-back]
+ * buttons, fields are validated for each step before moving to the next, and
+ * progress is shown in [.form-step-progress]. A step can be saved before moving
+ * to the next step using [data-save-url] on the step element. The save button
+ * is only shown on the last step and submits the full record.
+ *
+ * File inputs such as <input type="file" name="field-attachment"> are submitted with
+ * the record as [multipart/form-data] when files are selected. Upload progress is
+ * shown in [.info-message] and images are previewed after the file input. File
+ * type and size limits use [accept] and [data-max-file-size] from [validation.js].
+ *
+ * Use [data-autosave="{key}"] to save a draft of the form to [localStorage] as the
+ * user edits it. The draft is keyed by the route and record id and the next time
+ * the form loads the user is asked to restore it. Drafts are removed once the
+ * record is saved or deleted.
+ *
  * This page contains many options and HTML attributes. For usage see examples:
  *     https://www.dataformsjs.com/examples/entry-form-demo-vue.htm
  *     https://www.dataformsjs.com/examples/entry-form-demo-hbs.htm
@@ -24,7 +58,7 @@
  */
 
 /* Validates with both [jshint] and [eslint] */
-/* global app */
+/* global app, Promise */
 /* jshint strict: true */
 /* eslint-env browser */
 /* eslint quotes: ["error", "single", { "avoidEscape": true }] */
@@ -35,6 +69,298 @@
 (function () {
     'use strict';
 
+    /**
+     * Return [app.validation] if the extension [validation.js] is loaded
+     *
+     * @return {object|null}
+     */
+    function getValidation() {
+        return (app.validation !== undefined && typeof app.validation.validateInput === 'function' ? app.validation : null);
+    }
+
+    /**
+     * Parse field name from the HTML Form Element, for example
+     * <input name="field-name"> returns "name".
+     *
+     * @param {HTMLElement} formField
+     * @return {string}
+     */
+    function getFieldName(formField) {
+        var fieldName = (formField.name.indexOf('field-') === 0 ? formField.name : formField.id);
+        if (fieldName.indexOf('field-') === 0) {
+            fieldName = fieldName.substring(6); // Field name after 'field-'
+        }
+        return fieldName;
+    }
+
+    /**
+     * Split a field name into a path of object properties and array indexes,
+     * for example "phones[0].number" returns ['phones', 0, 'number'].
+     *
+     * @param {string} fieldName
+     * @return {array}
+     */
+    function parsePath(fieldName) {
+        var path = [];
+        fieldName.replace(/([^.[\]]+)|\[(\d+)\]/g, function(match, name, index) {
+            path.push(name ? name : parseInt(index, 10));
+        });
+        return path;
+    }
+
+    /**
+     * Return true if a field name path uses a property that would change the
+     * prototype of the record rather than add a field, for example
+     * "__proto__.isAdmin" or "constructor.prototype.isAdmin".
+     *
+     * @param {array} path - Result of [parsePath()]
+     * @return {bool}
+     */
+    function isUnsafePath(path) {
+        for (var n = 0, m = path.length; n < m; n++) {
+            if (path[n] === '__proto__' || path[n] === 'constructor' || path[n] === 'prototype') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Return the title of a step element for [{title}] in [stepProgressText].
+     * The title is read from the first attribute used in [stepSelector], for
+     * example [data-wizard-step] when the selector is "[data-wizard-step]".
+     *
+     * @param {HTMLElement} step
+     * @param {string} stepSelector
+     * @return {string}
+     */
+    function getStepTitle(step, stepSelector) {
+        var match = /\[\s*([^\s\]=~|^$*]+)/.exec(stepSelector);
+        var title = (match === null ? null : step.getAttribute(match[1]));
+        return (title === null ? '' : title);
+    }
+
+    /**
+     * Return a value from an object using a field name path such as
+     * "address.city" or [undefined] if it does not exist.
+     *
+     * @param {object} obj
+     * @param {string} fieldName
+     * @return {*}
+     */
+    function getPathValue(obj, fieldName) {
+        var path = parsePath(fieldName);
+        if (isUnsafePath(path)) {
+            return undefined;
+        }
+        for (var n = 0, m = path.length; n < m; n++) {
+            if (obj === null || typeof obj !== 'object') {
+                return undefined;
+            }
+            obj = obj[path[n]];
+        }
+        return obj;
+    }
+
+    /**
+     * Set a value on an object using a field name path. Objects and
+     * Arrays are created as needed based on the path. Paths that use
+     * [__proto__], [constructor], or [prototype] are ignored.
+     *
+     * @param {object} obj
+     * @param {string} fieldName
+     * @param {*} value
+     */
+    function setPathValue(obj, fieldName, value) {
+        var path = parsePath(fieldName);
+        if (isUnsafePath(path)) {
+            console.warn('Field [' + fieldName + '] was ignored because the name is not allowed for a record field.');
+            return;
+        }
+        for (var n = 0, m = path.length - 1; n < m; n++) {
+            if (obj[path[n]] === null || typeof obj[path[n]] !== 'object') {
+                obj[path[n]] = (typeof path[n + 1] === 'number' ? [] : {});
+            }
+            obj = obj[path[n]];
+        }
+        obj[path[path.length - 1]] = value;
+    }
+
+    /**
+     * Add a record field to [FormData]. Nested objects and arrays are added
+     * using the same path format as field names, for example "address.city"
+     * and "phones[0].number".
+     *
+     * @param {FormData} formData
+     * @param {string} name
+     * @param {*} value
+     */
+    function appendFormData(formData, name, value) {
+        if (value !== null && typeof value === 'object') {
+            var isArray = Array.isArray(value);
+            Object.keys(value).forEach(function(key) {
+                appendFormData(formData, name + (isArray ? '[' + key + ']' : '.' + key), value[key]);
+            });
+        } else {
+            formData.append(name, formDataValue(value));
+        }
+    }
+
+    /**
+     * Format a field value for display and comparison when a save conflict occurs
+     *
+     * @param {*} value
+     * @return {string}
+     */
+    function formatConflictValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        } else if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Return the value of a record field for [FormData] when uploading files
+     *
+     * @param {*} value
+     * @return {string}
+     */
+    function formDataValue(value) {
+        return (value === null || value === undefined ? '' : String(value));
+    }
+
+    /**
+     * Submit [FormData] using [XMLHttpRequest] so that upload progress can be
+     * displayed, [fetch()] does not provide upload progress. The returned Promise
+     * and the [onResponse] option work the same as [app.fetch()] so the caller can
+     * handle both types of requests the same way. Cookies are sent to other sites
+     * when [credentials] or [app.settings.fetchOptions.credentials] is 'include'.
+     *
+     * @param {string} url
+     * @param {object} options - { method, headers, body, timeout, signal, credentials, onResponse, onProgress }
+     * @return {Promise}
+     */
+    function sendFormData(url, options) {
+        return new Promise(function(resolve, reject) {
+            var xhr = new XMLHttpRequest();
+            xhr.open(options.method, url);
+            var headers = Object.assign({}, app.getRequestHeaders(url), options.headers);
+            for (var name in headers) {
+                // The browser sets [Content-Type] with the multipart boundary
+                if (headers.hasOwnProperty(name) && name.toLowerCase() !== 'content-type') {
+                    xhr.setRequestHeader(name, headers[name]);
+                }
+            }
+            var timeout = parseInt(options.timeout, 10);
+            if (!isNaN(timeout) && timeout > 0) {
+                xhr.timeout = timeout;
+            }
+            var credentials = (options.credentials !== undefined ? options.credentials : app.settings.fetchOptions.credentials);
+            xhr.withCredentials = (credentials === 'include');
+            if (xhr.upload && typeof options.onProgress === 'function') {
+                xhr.upload.onprogress = function(e) {
+                    if (e.lengthComputable) {
+                        options.onProgress(e.loaded, e.total);
+                    }
+                };
+            }
+            xhr.onload = function() {
+                var status = xhr.status;
+                var contentType = xhr.getResponseHeader('Content-Type');
+                var response = {
+                    status: status,
+                    statusText: xhr.statusText,
+                    ok: (status >= 200 && status < 300),
+                    headers: {
+                        get: function(name) { return xhr.getResponseHeader(name); },
+                        has: function(name) { return xhr.getResponseHeader(name) !== null; },
+                    },
+                    json: function() {
+                        return new Promise(function(resolve) {
+                            resolve(JSON.parse(xhr.responseText));
+                        });
+                    },
+                    text: function() {
+                        return Promise.resolve(xhr.responseText);
+                    },
+                };
+                if (typeof options.onResponse === 'function') {
+                    options.onResponse(response);
+                }
+                if (response.ok) {
+                    if (contentType === null || contentType.indexOf('application/json') === 0) {
+                        response.json().then(resolve).catch(reject);
+                    } else {
+                        resolve(xhr.responseText);
+                    }
+                } else {
+                    reject('Error loading data. Server Response Code: ' + status + ', Response Text: ' + xhr.statusText);
+                }
+            };
+            xhr.onerror = function() {
+                reject('Network error uploading files. URL: ' + url);
+            };
+            xhr.ontimeout = function() {
+                var error = new Error('Error loading data. The request timed out after ' + timeout + ' milliseconds. URL: ' + url);
+                error.name = 'TimeoutError';
+                reject(error);
+            };
+            if (options.signal) {
+                var abort = function() {
+                    xhr.abort();
+                    var error = new Error('The request was cancelled. URL: ' + url);
+                    error.name = 'AbortError';
+                    reject(error);
+                };
+                if (options.signal.aborted) {
+                    abort();
+                    return;
+                }
+                options.signal.addEventListener('abort', abort);
+            }
+            xhr.send(options.body);
+        });
+    }
+
+    /**
+     * Create an [AbortController] for a save or delete request and assign it to
+     * [model.fetchAbortController] so the request is cancelled by [abortFetch()]
+     * when the route is unloaded. Returns null if the browser does not support it.
+     *
+     * @param {object} model
+     * @return {AbortController|null}
+     */
+    function startRequest(model) {
+        var controller = null;
+        if (window.AbortController !== undefined) {
+            controller = new AbortController();
+        }
+        model.fetchAbortController = controller;
+        return controller;
+    }
+
+    /**
+     * Called once a request from [startRequest()] has finished. Returns true
+     * if the request was cancelled so the result can be ignored, timeouts
+     * are not treated as cancelled so the error is still displayed.
+     *
+     * @param {object} model
+     * @param {AbortController|null} controller
+     * @param {*} [error]
+     * @return {bool}
+     */
+    function endRequest(model, controller, error) {
+        if (model.fetchAbortController === controller) {
+            model.fetchAbortController = null;
+        }
+        if (controller === null || !controller.signal.aborted) {
+            return false;
+        }
+        return !(error && error.name === 'TimeoutError');
+    }
+
     /**
      * Create the Page Object by copying the jsonData Page
      */
@@ -47,6 +373,55 @@
         // General Properties
         newRecord: false,
         recordDeleted: false,
+        // Changes to the form, updated as the user edits fields. [originalRecord]
+        // is the result of [getRecord()] when the form is loaded or saved.
+        isDirty: false,
+        changedFields: [],
+        originalRecord: null,
+        // Show a confirmation when leaving the route or closing the page with unsaved changes
+        confirmUnsavedChanges: true,
+        // Show [noChangesText] instead of saving if an existing record has no changes,
+        // opt-in using [data-skip-save-when-unchanged="true"]
+        skipSaveWhenUnchanged: false,
+        // Submit only changed fields to [saveUrl] using the HTTP PATCH method for existing records
+        patchChanges: false,
+        // Optimistic concurrency for existing records. The [ETag] from loading the record
+        // is sent as [If-Match] when [sendIfMatch] is true and the field from [versionField]
+        // (example [data-version-field="version"]) is always submitted with the record.
+        // If the server responds with 409 (Conflict) or 412 (Precondition Failed) then
+        // [conflict] is set and saved vs. local values are shown in [conflictSelector]
+        // so the user can reload the record or save anyway.
+        versionField: null,
+        sendIfMatch: true,
+        conflict: null,
+        conflictSelector: '.conflict-message',
+        // Save drafts of the form to [localStorage] while the user edits it. [autosave] is
+        // a key for the form and is combined with the route URL such as '/orders/123'
+        // so each record has its own draft. [restoredDraft] is set to the draft
+        // {time, record} when the user chooses to restore it.
+        autosave: null,
+        restoredDraft: null,
+        // When files are selected the record is submitted as [multipart/form-data] and
+        // [uploadProgress] is set from 0 to 100 during the upload. Images are shown
+        // in an element with [previewClass] after each file input or in the element
+        // from the file input's [data-preview-selector] attribute.
+        uploadProgress: null,
+        imagePreviews: true,
+        previewClass: 'file-preview',
+        // Multi-step forms using [data-form-step]. [currentStep] is the index of the
+        // visible step and [stepCount] is the number of steps found when the form loads.
+        // If [stepProgressSelector] is a <progress> element its value is updated
+        // otherwise [stepProgressText] is displayed, [{title}] can be used in the
+        // text for the value of the attribute used in [stepSelector].
+        currentStep: 0,
+        stepCount: 0,
+        stepSelector: '[data-form-step]',
+        nextButtonSelector: '.btn-next',
+        backButtonSelector: '.btn-back',
+        stepProgressSelector: '.form-step-progress',
+        // Set from [forceSaveRecord()] when the server version is not known
+        // so the next save is submitted without [versionField]
+        forceSave: false,
         // By default look for <input>, <select>, and <textarea> elements
         // that start with "field-" in either the id or name.
         fieldSelector: 'input[id^="field-"],input[name^="field-"],select[id^="field-"],select[name^="field-"],textarea[id^="field-"],textarea[name^="field-"]',
@@ -57,6 +432,14 @@
         infoSelector: '.info-message',
         errorSelector: '.error-message',
         errorListSelector: '.error-list',
+        // When [validation.js] is loaded errors can be shown next to each field
+        // and fields can be validated as the user edits them. Each option is
+        // opt-in from HTML, example: [data-show-field-errors="true"] and
+        // [data-live-validation="true"]. To disable the save button while the
+        // form has errors use [data-disable-save-when-invalid="true"].
+        showFieldErrors: false,
+        liveValidation: false,
+        disableSaveWhenInvalid: false,
         saveUrl: null,
         deleteUrl: null,
         // This applies to [saveUrl], by default a response of {success:true} and optionally {fields}
@@ -76,10 +459,23 @@
         // overwritten from HTML, example:
         //     [data-saving-record-text="Saving Sales Order..."]
         savingRecordText: 'Saving Record...',
+        savingStepText: 'Saving...',
+        stepProgressText: 'Step {step} of {count}',
+        uploadingFilesText: 'Uploading Files... {percent}%',
         deletingRecordText: 'Deleting Record...',
         recordSavedText: 'Record saved at {time}',
         recordDeletedText: 'Record deleted at {time}',
         confirmDeleteText: 'Are you sure that you want to delete this record?',
+        unsavedChangesText: 'You have unsaved changes. Are you sure that you want to leave this page?',
+        noChangesText: 'No changes to save.',
+        conflictText: 'This record was changed by someone else after you opened it.',
+        conflictFieldText: 'Field',
+        conflictServerValueText: 'Saved Value',
+        conflictLocalValueText: 'Your Value',
+        conflictReloadText: 'Reload Record',
+        conflictForceSaveText: 'Save Anyway',
+        restoreDraftText: 'You have unsaved changes to this form from {time}. Do you want to restore them?',
+        conflictConfirmText: 'This record was changed by someone else after you opened it. Click [OK] to save your changes anyway or [Cancel] to reload the record.',
 
         // Callback functions that can be handled. If using this the recommend
         // method is to extend the [entryForm] page object to a new object
@@ -92,6 +488,7 @@
         onFormAfterDelete: null,
         onFormSaveError: null,
         onFormDeleteError: null,
+        onFormStepChange: null,
 
         /**
          * Populate On-Screen Form Controls from the Model Record Object
@@ -101,7 +498,8 @@
             var model = this;
 
             // Is there a record? If not then the the default values will be kept
-            if (model.newRecord) {
+            // unless the user restored a draft of the new record.
+            if (model.newRecord && model.restoredDraft === null) {
                 return;
             }
 
@@ -112,7 +510,8 @@
                 var elementType = formField.nodeName;
                 if (elementType === 'INPUT' || elementType === 'SELECT' || elementType === 'TEXTAREA') {
                     // Skip if attribute [data-keep-default] is defined.
-                    if (formField.getAttribute('data-keep-default') !== null) {
+                    // File inputs can only be set by the user.
+                    if (formField.getAttribute('data-keep-default') !== null || formField.type === 'file') {
                         return;
                     }
                     // Parse field name from the HTML Form Element and set the element value
@@ -120,7 +519,8 @@
                     if (fieldName.indexOf('field-') === 0) {
                         fieldName = fieldName.substring(6); // Field name after 'field-'
                     }
-                    var value = (model[fieldName] !== undefined ? model[fieldName] : '');
+                    var value = getPathValue(model, fieldName);
+                    value = (value !== undefined ? value : '');
                     if (formField.type === 'checkbox') {
                         value = String(value).toLowerCase();
                         formField.checked = (value === 'true' || value === '1' || value === 'yes' || value === 'y');
@@ -178,6 +578,7 @@
                     }
                 }
             }
+            this.updateSaveButton();
         },
 
         /**
@@ -301,27 +702,821 @@
                     btn.disabled = !enabled;
                 }
             });
+            if (enabled) {
+                this.updateSaveButton();
+            }
+        },
+
+        /**
+         * Return true if all form fields and [listEditor] rows are valid using
+         * [app.validation.validateInput()]. Errors are not displayed and async
+         * rules are not checked. If [validation.js] is not loaded this returns true.
+         *
+         * @return {bool}
+         */
+        isFormValid: function() {
+            if (getValidation() === null) {
+                return true;
+            }
+            var formFields = document.querySelectorAll(this.fieldSelector);
+            for (var n = 0, m = formFields.length; n < m; n++) {
+                if (app.validation.validateInput(formFields[n], getFieldName(formFields[n]))) {
+                    return false;
+                }
+            }
+            if (app.plugins.listEditor !== undefined && typeof app.plugins.listEditor.validate === 'function') {
+                return (app.plugins.listEditor.validate().length === 0);
+            }
+            return true;
+        },
+
+        /**
+         * Disable the save button while the form has errors
+         * when using [disableSaveWhenInvalid].
+         */
+        updateSaveButton: function() {
+            if (!this.disableSaveWhenInvalid || this.recordDeleted || this.saveButtonSelector === '' || getValidation() === null) {
+                return;
+            }
+            var btn = document.querySelector(this.saveButtonSelector);
+            if (btn !== null) {
+                btn.disabled = !this.isFormValid();
+            }
+        },
+
+        /**
+         * Validate form fields as the user edits them when using [liveValidation].
+         * This requires the extension [validation.js].
+         */
+        setupLiveValidation: function() {
+            var model = this;
+            var validation = getValidation();
+            if (!model.liveValidation || validation === null || typeof validation.setupLiveValidation !== 'function') {
+                return;
+            }
+            var formFields = document.querySelectorAll(model.fieldSelector);
+            Array.prototype.forEach.call(formFields, function (formField) {
+                validation.setupLiveValidation(formField, function(element) {
+                    return [getFieldName(element)];
+                }, function() {
+                    model.updateSaveButton();
+                });
+            });
+        },
+
+        /**
+         * Show or hide errors next to each form field when using [showFieldErrors].
+         *
+         * @param {array} fieldErrors - [{ element, field, error }]
+         */
+        updateFieldErrors: function(fieldErrors) {
+            var validation = getValidation();
+            if (!this.showFieldErrors || validation === null || typeof validation.updateFieldError !== 'function') {
+                return;
+            }
+            fieldErrors.forEach(function(item) {
+                validation.updateFieldError(item.element, item.error);
+            });
+        },
+
+        /**
+         * Show previews of selected images when using [imagePreviews].
+         * This is called once the form is loaded.
+         */
+        setupFileFields: function() {
+            var model = this;
+            if (!model.imagePreviews || window.URL === undefined || typeof URL.createObjectURL !== 'function') {
+                return;
+            }
+            var formFields = document.querySelectorAll(model.fieldSelector);
+            Array.prototype.forEach.call(formFields, function (formField) {
+                if (formField.type !== 'file' || formField.getAttribute('data-file-preview-setup') !== null) {
+                    return;
+                }
+                formField.setAttribute('data-file-preview-setup', '');
+                formField.addEventListener('change', function() {
+                    model.showFilePreview(formField);
+                });
+            });
+        },
+
+        /**
+         * Return the element used for image previews of a file input. If [create]
+         * is true and an element does not exist then it is added after the input.
+         *
+         * @param {HTMLInputElement} formField
+         * @param {bool} create
+         * @return {HTMLElement|null}
+         */
+        getPreviewElement: function(formField, create) {
+            var selector = formField.getAttribute('data-preview-selector');
+            if (selector !== null) {
+                return document.querySelector(selector);
+            }
+            var el = formField.nextElementSibling;
+            if (el !== null && el.classList.contains(this.previewClass)) {
+                return el;
+            } else if (!create) {
+                return null;
+            }
+            el = document.createElement('div');
+            el.className = this.previewClass;
+            formField.parentNode.insertBefore(el, formField.nextSibling);
+            return el;
+        },
+
+        /**
+         * Show an <img> for each selected image from a file input.
+         *
+         * @param {HTMLInputElement} formField
+         */
+        showFilePreview: function(formField) {
+            var images = Array.prototype.filter.call(formField.files || [], function(file) {
+                return (file.type.indexOf('image/') === 0);
+            });
+            var el = this.getPreviewElement(formField, images.length > 0);
+            if (el === null) {
+                return;
+            }
+            Array.prototype.forEach.call(el.querySelectorAll('img'), function(img) {
+                URL.revokeObjectURL(img.src);
+            });
+            el.innerHTML = '';
+            images.forEach(function(file) {
+                var img = document.createElement('img');
+                img.src = URL.createObjectURL(file);
+                img.alt = file.name;
+                el.appendChild(img);
+            });
+            el.style.display = (images.length === 0 ? 'none' : '');
+        },
+
+        /**
+         * Clear file inputs and image previews after files are uploaded.
+         */
+        clearFileFields: function() {
+            var model = this;
+            var formFields = document.querySelectorAll(model.fieldSelector);
+            Array.prototype.forEach.call(formFields, function (formField) {
+                if (formField.type === 'file') {
+                    formField.value = '';
+                    if (model.imagePreviews && window.URL !== undefined && typeof URL.revokeObjectURL === 'function') {
+                        model.showFilePreview(formField);
+                    }
+                }
+            });
+        },
+
+        /**
+         * Return an Array of step elements from [stepSelector].
+         *
+         * @return {array}
+         */
+        getSteps: function() {
+            return (this.stepSelector ? Array.prototype.slice.call(document.querySelectorAll(this.stepSelector)) : []);
+        },
+
+        /**
+         * Setup multi-step forms when the form loads. If there are
+         * no [data-form-step] elements then this does nothing.
+         */
+        setupSteps: function() {
+            var steps = this.getSteps();
+            this.stepCount = steps.length;
+            if (steps.length === 0) {
+                return;
+            }
+            var btn = (this.nextButtonSelector ? document.querySelector(this.nextButtonSelector) : null);
+            if (btn !== null) {
+                btn.onclick = this.nextStep.bind(this);
+            }
+            btn = (this.backButtonSelector ? document.querySelector(this.backButtonSelector) : null);
+            if (btn !== null) {
+                btn.onclick = this.previousStep.bind(this);
+            }
+            this.showStep(Math.min(this.currentStep, steps.length - 1), false);
+        },
+
+        /**
+         * Show one step and hide all others. Back/Next buttons are hidden on
+         * the first/last step and the save button is only shown on the last step.
+         *
+         * @param {number} index
+         * @param {bool} setFocus - Focus the first field of the step
+         */
+        showStep: function(index, setFocus) {
+            var model = this;
+            var steps = model.getSteps();
+            if (index < 0 || index >= steps.length) {
+                return;
+            }
+            var previousStep = model.currentStep;
+            model.currentStep = index;
+            steps.forEach(function(step, n) {
+                if (n === index) {
+                    step.removeAttribute('hidden');
+                } else {
+                    step.setAttribute('hidden', '');
+                }
+            });
+
+            var isLastStep = (index === steps.length - 1);
+            [
+                { selector: model.backButtonSelector, visible: (index > 0) },
+                { selector: model.nextButtonSelector, visible: !isLastStep },
+                { selector: model.saveButtonSelector, visible: isLastStep && !model.recordDeleted },
+            ].forEach(function(item) {
+                var btn = (item.selector ? document.querySelector(item.selector) : null);
+                if (btn !== null) {
+                    btn.style.display = (item.visible ? '' : 'none');
+                }
+            });
+
+            // Update progress
+            var progress = (model.stepProgressSelector ? document.querySelector(model.stepProgressSelector) : null);
+            if (progress !== null) {
+                if (progress.nodeName === 'PROGRESS') {
+                    progress.max = steps.length;
+                    progress.value = index + 1;
+                } else {
+                    progress.textContent = model.stepProgressText
+                        .replace(/{step}/g, index + 1)
+                        .replace(/{count}/g, steps.length)
+                        .replace(/{title}/g, getStepTitle(steps[index], model.stepSelector));
+                }
+            }
+
+            if (setFocus) {
+                var field = steps[index].querySelector(model.fieldSelector);
+                if (field !== null) {
+                    field.focus();
+                }
+            }
+            if (index !== previousStep && typeof model.onFormStepChange === 'function') {
+                model.onFormStepChange(index, previousStep);
+            }
+        },
+
+        /**
+         * Return the index of the step that contains an element or -1.
+         *
+         * @param {HTMLElement} element
+         * @return {number}
+         */
+        getStepIndex: function(element) {
+            var steps = this.getSteps();
+            for (var n = 0, m = steps.length; n < m; n++) {
+                if (steps[n].contains(element)) {
+                    return n;
+                }
+            }
+            return -1;
+        },
+
+        /**
+         * Show the first step with an invalid field when the full record is
+         * validated from [saveRecord()].
+         *
+         * @param {array} fieldErrors - [{ element, field, error }]
+         */
+        showStepWithError: function(fieldErrors) {
+            if (this.stepCount === 0) {
+                return;
+            }
+            for (var n = 0, m = fieldErrors.length; n < m; n++) {
+                if (fieldErrors[n].error) {
+                    var index = this.getStepIndex(fieldErrors[n].element);
+                    if (index !== -1 && index !== this.currentStep) {
+                        this.showStep(index, true);
+                    }
+                    return;
+                }
+            }
+        },
+
+        /**
+         * Validate the fields of a step using [app.validation]. Async rules
+         * are also checked. If [validation.js] is not loaded there are no errors.
+         *
+         * @param {HTMLElement} step
+         * @return {Promise} - Resolves to an Array of error messages
+         */
+        validateStep: function(step) {
+            var model = this;
+            var validation = getValidation();
+            if (validation === null) {
+                return Promise.resolve([]);
+            }
+            var errors = [];
+            var fieldErrors = [];
+            var asyncFields = [];
+            var formFields = step.querySelectorAll(model.fieldSelector);
+            Array.prototype.forEach.call(formFields, function(formField) {
+                var fieldName = getFieldName(formField);
+                var error = validation.validateInput(formField, fieldName);
+                fieldErrors.push({ element: formField, field: fieldName, error: error });
+                if (error) {
+                    errors.push(error);
+                } else if (typeof validation.hasAsyncRules === 'function' && validation.hasAsyncRules(formField)) {
+                    asyncFields.push({ element: formField, fieldName: fieldName });
+                }
+            });
+            model.updateFieldErrors(fieldErrors);
+            if (errors.length > 0 || asyncFields.length === 0) {
+                return Promise.resolve(errors);
+            }
+            return Promise.all(asyncFields.map(function(field) {
+                return validation.validateInputAsync(field.element, field.fieldName);
+            }))
+            .then(function(results) {
+                model.updateFieldErrors(asyncFields.map(function(field, index) {
+                    return { element: field.element, field: field.fieldName, error: results[index] };
+                }));
+                return results.filter(function(error) { return error !== null; });
+            });
+        },
+
+        /**
+         * Submit the fields of a step to the step's [data-save-url]. The same API
+         * as [saveUrl] is used so {success:true} and optionally {fields} are expected
+         * unless [useSaveApi] is false.
+         *
+         * @param {HTMLElement} step
+         * @return {Promise} - Resolves to true if the step was saved
+         */
+        saveStep: function(step) {
+            var model = this;
+            var record = model.getRecord(true).record;
+            var stepRecord = {};
+            var formFields = step.querySelectorAll(model.fieldSelector);
+            Array.prototype.forEach.call(formFields, function(formField) {
+                var fieldName = getFieldName(formField);
+                var value = getPathValue(record, fieldName);
+                if (value !== undefined) {
+                    setPathValue(stepRecord, fieldName, value);
+                }
+            });
+            model.showInfo(model.savingStepText);
+            var controller = startRequest(model);
+            return app
+            .fetch(app.buildUrl(step.getAttribute('data-save-url'), model), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(stepRecord),
+                timeout: model.fetchTimeout,
+                signal: (controller === null ? undefined : controller.signal),
+            })
+            .then(function(data) {
+                if (endRequest(model, controller)) {
+                    return false;
+                }
+                model.hideInfo();
+                var success = (model.useSaveApi ? data.success : true);
+                if (!success) {
+                    model.showError(data.errorMessage === undefined ? null : data.errorMessage);
+                    return false;
+                }
+                var fields = (model.useSaveApi ? data.fields : data);
+                if (fields !== undefined && fields !== null) {
+                    Object.assign(model, fields);
+                }
+                return true;
+            })
+            .catch(function(error) {
+                if (endRequest(model, controller, error)) {
+                    return false;
+                }
+                model.hideInfo();
+                model.showError(error);
+                return false;
+            });
+        },
+
+        /**
+         * Validate and optionally save the current step and then show the next step.
+         * By default this gets assigned to an element [.btn-next].
+         *
+         * @param {Event} e
+         * @return {Promise} - Resolves to true if the next step is shown
+         */
+        nextStep: function(e) {
+            var model = this;
+            if (e && e.preventDefault) {
+                e.preventDefault();
+            }
+            var step = model.getSteps()[model.currentStep];
+            if (step === undefined) {
+                return Promise.resolve(false);
+            }
+            var btn = (model.nextButtonSelector ? document.querySelector(model.nextButtonSelector) : null);
+            if (btn !== null) {
+                btn.disabled = true;
+            }
+            model.hideError();
+            return model.validateStep(step)
+            .then(function(errors) {
+                if (errors.length > 0) {
+                    model.showErrorList(errors);
+                    return false;
+                }
+                return (step.getAttribute('data-save-url') ? model.saveStep(step) : true);
+            })
+            .catch(function(error) {
+                model.showError(error);
+                return false;
+            })
+            .then(function(isValid) {
+                if (btn !== null) {
+                    btn.disabled = false;
+                }
+                if (isValid) {
+                    model.showStep(model.currentStep + 1, true);
+                }
+                return isValid;
+            });
+        },
+
+        /**
+         * Show the previous step, fields are not validated.
+         * By default this gets assigned to an element [.btn-back].
+         *
+         * @param {Event} e
+         */
+        previousStep: function(e) {
+            if (e && e.preventDefault) {
+                e.preventDefault();
+            }
+            this.hideError();
+            this.showStep(this.currentStep - 1, true);
+        },
+
+        /**
+         * Compare the current form with [originalRecord] and update [isDirty]
+         * and [changedFields]. This is called as the user edits the form.
+         */
+        checkForChanges: function() {
+            if (this.originalRecord === null) {
+                return;
+            }
+            var data = this.getRecord(true);
+            var record = data.record;
+            var original = this.originalRecord;
+            var changedFields = Object.keys(data.files);
+            var fieldName;
+            for (fieldName in record) {
+                if (JSON.stringify(record[fieldName]) !== JSON.stringify(original[fieldName])) {
+                    changedFields.push(fieldName);
+                }
+            }
+            for (fieldName in original) {
+                if (!record.hasOwnProperty(fieldName)) {
+                    changedFields.push(fieldName);
+                }
+            }
+            var isDirty = (changedFields.length > 0);
+            if (isDirty !== this.isDirty || changedFields.join() !== this.changedFields.join()) {
+                this.changedFields = changedFields;
+                this.isDirty = isDirty;
+            }
+            if (this.autosave) {
+                if (isDirty) {
+                    this.saveDraft(record);
+                } else {
+                    this.clearDraft();
+                }
+            }
+        },
+
+        /**
+         * Return the [localStorage] key for the draft of the current form based on
+         * [autosave] and the route URL, or null if [autosave] is not used.
+         *
+         * @return {string|null}
+         */
+        getDraftKey: function() {
+            if (!this.autosave || window.localStorage === undefined) {
+                return null;
+            }
+            var path = (app.activeController === null ? window.location.pathname : app.buildUrl(app.activeController.path, app.activeParameterList));
+            return 'dataformsjs-draft:' + this.autosave + ':' + path;
+        },
+
+        /**
+         * Return the saved draft {time, record} for the current form or null.
+         *
+         * @return {object|null}
+         */
+        getDraft: function() {
+            var key = this.getDraftKey();
+            if (key === null) {
+                return null;
+            }
+            try {
+                var draft = JSON.parse(window.localStorage.getItem(key));
+                return (draft !== null && typeof draft === 'object' && draft.record !== undefined ? draft : null);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Save a draft of the form to [localStorage]. This is called from
+         * [checkForChanges()] as the user edits the form when using [autosave].
+         *
+         * @param {object} record - Result of [getRecord(true).record]
+         */
+        saveDraft: function(record) {
+            var key = this.getDraftKey();
+            if (key === null) {
+                return;
+            }
+            try {
+                window.localStorage.setItem(key, JSON.stringify({
+                    time: new Date().getTime(),
+                    record: record,
+                }));
+            } catch (e) {
+                // Storage is full or not allowed (for example some private browsing modes)
+                console.warn('Unable to save draft for [' + key + ']: ' + e.toString());
+            }
+        },
+
+        /**
+         * Remove the draft of the current form from [localStorage] along
+         * with drafts of lists that use [listEditor] with [data-autosave].
+         */
+        clearDraft: function() {
+            var key = this.getDraftKey();
+            if (key !== null) {
+                try {
+                    window.localStorage.removeItem(key);
+                } catch (e) {
+                    console.warn('Unable to remove draft for [' + key + ']: ' + e.toString());
+                }
+            }
+            if (app.plugins.listEditor !== undefined && typeof app.plugins.listEditor.clearDraft === 'function') {
+                app.plugins.listEditor.clearDraft();
+            }
+        },
+
+        /**
+         * If a draft exists for the current form ask the user to restore it
+         * using [restoreDraftText]. This is called once the form is loaded and
+         * after [originalRecord] is set so the restored fields show as changed.
+         */
+        restoreDraft: function() {
+            var model = this;
+            var draft = model.getDraft();
+            if (draft === null) {
+                return;
+            }
+            var time = new Date(draft.time);
+            time = (time.toLocaleString ? time.toLocaleString() : time.toString());
+            if (!window.confirm(model.restoreDraftText.replace(/{time}/g, time))) {
+                model.clearDraft();
+                return;
+            }
+
+            // Update the model and form fields. Lists from [listEditor] are
+            // re-rendered so the full view is updated when not using Vue.
+            model.restoredDraft = draft;
+            var hasLists = false;
+            for (var fieldName in draft.record) {
+                if (Object.prototype.hasOwnProperty.call(draft.record, fieldName)) {
+                    model[fieldName] = draft.record[fieldName];
+                    if (Array.isArray(draft.record[fieldName])) {
+                        hasLists = true;
+                    }
+                }
+            }
+            if (app.activeVueModel !== null) {
+                app.activeVueModel.$nextTick(function () {
+                    model.loadFormFields();
+                    model.checkForChanges();
+                });
+            } else if (hasLists) {
+                app.updateView();
+                model.checkForChanges();
+            } else {
+                model.loadFormFields();
+                model.checkForChanges();
+            }
+        },
+
+        /**
+         * Save the current form as [originalRecord] so there are no changes.
+         * This is called when the form is loaded and after it's saved.
+         */
+        resetChanges: function() {
+            this.originalRecord = JSON.parse(JSON.stringify(this.getRecord(true).record));
+            this.changedFields = [];
+            this.isDirty = false;
+        },
+
+        /**
+         * Handle a 409 or 412 Response from [saveUrl]. The current server record is read
+         * from the Response JSON (either the record or {fields}) and if not included
+         * it's downloaded again from the URL used to load the form. Fields with
+         * different values are saved to [conflict] and then [showConflict()] is called.
+         *
+         * @param {Response} response
+         * @param {object} localRecord
+         * @return {Promise}
+         */
+        handleConflict: function(response, localRecord) {
+            var model = this;
+            var etag = response.headers.get('ETag');
+            var contentType = response.headers.get('Content-Type');
+            var request = (contentType !== null && contentType.indexOf('application/json') === 0 ? response.json() : Promise.resolve(null));
+            var controller = null;
+            return request
+            .catch(function() {
+                return null;
+            })
+            .then(function(data) {
+                if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+                    return (data.fields !== null && typeof data.fields === 'object' ? data.fields : data);
+                } else if (!model.submittedFetchUrl) {
+                    return null;
+                }
+                app.dataCache.invalidate(model.submittedFetchUrl);
+                controller = startRequest(model);
+                return app.fetch(model.submittedFetchUrl, {
+                    cache: 'no-store',
+                    timeout: model.fetchTimeout,
+                    signal: (controller === null ? undefined : controller.signal),
+                    onResponse: function(response) {
+                        if (response.ok && etag === null) {
+                            etag = response.headers.get('ETag');
+                        }
+                    },
+                })
+                .then(function(data) {
+                    return (model.prop && data !== null && typeof data === 'object' && data[model.prop] !== undefined ? data[model.prop] : data);
+                })
+                .catch(function() {
+                    return null;
+                });
+            })
+            .then(function(serverRecord) {
+                if (endRequest(model, controller)) {
+                    return;
+                }
+                var fields = [];
+                if (serverRecord !== null && typeof serverRecord === 'object') {
+                    Object.keys(localRecord).forEach(function(field) {
+                        if (field !== model.versionField &&
+                            serverRecord[field] !== undefined &&
+                            formatConflictValue(serverRecord[field]) !== formatConflictValue(localRecord[field])
+                        ) {
+                            fields.push({
+                                field: field,
+                                serverValue: serverRecord[field],
+                                localValue: localRecord[field],
+                            });
+                        }
+                    });
+                } else {
+                    serverRecord = null;
+                }
+                model.conflict = {
+                    status: response.status,
+                    etag: etag,
+                    serverRecord: serverRecord,
+                    localRecord: localRecord,
+                    fields: fields,
+                };
+                model.showConflict();
+            });
+        },
+
+        /**
+         * Show [conflict] in the element from [conflictSelector] with a table of
+         * saved vs. local values and buttons to reload the record or save anyway.
+         * If the element does not exist then the user is asked with [window.confirm()].
+         */
+        showConflict: function() {
+            var model = this;
+            var el = (model.conflictSelector ? document.querySelector(model.conflictSelector) : null);
+            if (el === null) {
+                if (window.confirm(model.conflictConfirmText)) {
+                    model.forceSaveRecord();
+                } else {
+                    model.reloadRecord();
+                }
+                return;
+            }
+
+            el.innerHTML = '';
+            var text = document.createElement('p');
+            text.textContent = model.conflictText;
+            el.appendChild(text);
+
+            if (model.conflict.fields.length > 0) {
+                var table = document.createElement('table');
+                var thead = table.appendChild(document.createElement('thead'));
+                var tr = thead.appendChild(document.createElement('tr'));
+                [model.conflictFieldText, model.conflictServerValueText, model.conflictLocalValueText].forEach(function(heading) {
+                    var th = tr.appendChild(document.createElement('th'));
+                    th.textContent = heading;
+                });
+                var tbody = table.appendChild(document.createElement('tbody'));
+                model.conflict.fields.forEach(function(item) {
+                    var tr = tbody.appendChild(document.createElement('tr'));
+                    [item.field, formatConflictValue(item.serverValue), formatConflictValue(item.localValue)].forEach(function(value) {
+                        var td = tr.appendChild(document.createElement('td'));
+                        td.textContent = value;
+                    });
+                });
+                el.appendChild(table);
+            }
+
+            var buttons = [
+                { text: model.conflictReloadText, className: 'btn-conflict-reload', onclick: model.reloadRecord.bind(model) },
+                { text: model.conflictForceSaveText, className: 'btn-conflict-force-save', onclick: model.forceSaveRecord.bind(model) },
+            ];
+            buttons.forEach(function(item) {
+                var btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = item.className;
+                btn.textContent = item.text;
+                btn.onclick = item.onclick;
+                el.appendChild(btn);
+            });
+
+            el.setAttribute('role', 'alert');
+            el.style.display = '';
+        },
+
+        /**
+         * Hide the conflict element from [conflictSelector].
+         */
+        hideConflict: function() {
+            var el = (this.conflictSelector ? document.querySelector(this.conflictSelector) : null);
+            if (el !== null) {
+                el.style.display = 'none';
+                el.innerHTML = '';
+            }
+        },
+
+        /**
+         * Discard local changes after a conflict and download the record again.
+         */
+        reloadRecord: function() {
+            this.hideConflict();
+            this.hideError();
+            this.conflict = null;
+            this.originalRecord = null;
+            this.isDirty = false;
+            this.changedFields = [];
+            this.clearDraft();
+            if (this.submittedFetchUrl) {
+                app.dataCache.invalidate(this.submittedFetchUrl);
+            }
+            this.fetchData();
+        },
+
+        /**
+         * Save local changes after a conflict and overwrite the server record.
+         * The [ETag] and [versionField] from the server are used when known
+         * otherwise the next save is submitted without them.
+         */
+        forceSaveRecord: function() {
+            var conflict = this.conflict;
+            var serverRecord = (conflict === null ? null : conflict.serverRecord);
+            this.hideConflict();
+            this.conflict = null;
+            this.responseEtag = (conflict === null ? null : conflict.etag);
+            if (this.versionField && serverRecord !== null && serverRecord[this.versionField] !== undefined) {
+                this[this.versionField] = serverRecord[this.versionField];
+            } else {
+                this.forceSave = true;
+            }
+            this.saveRecord(null, true);
         },
 
         /**
          * Return the Record (Plain JavaScript Object) based on entered form fields.
+         * Selected files from file inputs are returned in [files] by field name.
+         * @param {bool|undefined} skipValidation
          * @return {object}
          */
-        getRecord: function() {
+        getRecord: function(skipValidation) {
             var record = {};
+            var files = {};
             var errors = [];
+            var asyncFields = [];
+            var fieldErrors = [];
             // Get validation function if one is defined
-            var validateInput = (app.validation !== undefined && typeof app.validation.validateInput === 'function' ? app.validation.validateInput : null);
+            var validateInput = (skipValidation !== true && getValidation() !== null ? app.validation.validateInput : null);
+            var hasAsyncRules = (validateInput && typeof app.validation.hasAsyncRules === 'function' ? app.validation.hasAsyncRules : null);
 
             // Add all form fields that start with "field-" to the record
             // and validate fields as they are read.
             var formFields = document.querySelectorAll(this.fieldSelector);
             Array.prototype.forEach.call(formFields, function (formField) {
                 // Parse field name from the HTML Form Element
-                var fieldName = (formField.name.indexOf('field-') === 0 ? formField.name : formField.id);
-                if (fieldName.indexOf('field-') === 0) {
-                    fieldName = fieldName.substring(6); // Field name after 'field-'
-                }
+                var fieldName = getFieldName(formField);
 
                 // Get the Form field value
                 // If a input/select has a [data-value] attribute defined
@@ -363,13 +1558,26 @@
                 // Validate
                 if (validateInput) {
                     var error = validateInput(formField, fieldName);
+                    fieldErrors.push({ element: formField, field: fieldName, error: error });
                     if (error) {
                         errors.push(error);
+                    } else if (hasAsyncRules && hasAsyncRules(formField)) {
+                        // Fields with async rules such as [data-validate-remote]
+                        // are checked from [saveRecord()] before the record is saved.
+                        asyncFields.push({ element: formField, fieldName: fieldName });
                     }
                 }
 
-                // Add field as a object property
-                record[fieldName] = value;
+                // Add field as a object property or as a nested value when the field
+                // name is a path such as "address.city". Selected files are returned
+                // separately because they are not included with JSON saves.
+                if (formField.type === 'file') {
+                    if (formField.files && formField.files.length > 0) {
+                        files[fieldName] = Array.prototype.slice.call(formField.files);
+                    }
+                } else {
+                    setPathValue(record, fieldName, value);
+                }
             });
 
             // Add multiple records if using the plugin [listEditor.js]. These will
@@ -381,7 +1589,7 @@
             ) {
                 // Optional validation
                 if (validateInput) {
-                    errors = errors.concat(app.plugins.listEditor.validate());
+                    errors = errors.concat(app.plugins.listEditor.validate(this.showFieldErrors));
                 }
 
                 // Add each list as a new property to the record object
@@ -400,7 +1608,7 @@
                 });
             }
 
-            return {record:record, errors:errors};
+            return {record:record, files:files, errors:errors, asyncFields:asyncFields, fieldErrors:fieldErrors};
         },
 
         /**
@@ -408,9 +1616,13 @@
          * By default this gets assigned to an element [.btn-save]
          * if one exists on the screen.
          *
+         * If the form has fields with async validation rules then they are checked
+         * first and this function is called again with [asyncValidated = true].
+         *
          * @param {Event} e
+         * @param {bool|undefined} asyncValidated
          */
-        saveRecord: function (e) {
+        saveRecord: function (e, asyncValidated) {
             // Reference the current model object
             var model = this;
 
@@ -424,16 +1636,45 @@
             // Get record
             var data = model.getRecord();
             var record = data.record;
+            var files = data.files;
+            var hasFiles = (Object.keys(files).length > 0);
 
             // Validate
-            if (Object.keys(record).length === 0) {
+            if (Object.keys(record).length === 0 && !hasFiles) {
                 model.showError('Error - Unable to save. No fields were found on the page.');
                 return;
             } else if (model.saveUrl === null || model.saveUrl === '') {
                 model.showError('Error - Unable to save. The property [entryForm.saveUrl] or [data-save-url] is not defined.');
                 return;
-            } else if (data.errors.length > 0) {
+            }
+
+            // Show or clear errors next to each field
+            model.updateFieldErrors(data.fieldErrors);
+            if (data.errors.length > 0) {
                 model.showErrorList(data.errors);
+                model.showStepWithError(data.fieldErrors);
+                return;
+            } else if (data.asyncFields.length > 0 && asyncValidated !== true) {
+                model.enableButtons(false);
+                Promise.all(data.asyncFields.map(function(field) {
+                    return app.validation.validateInputAsync(field.element, field.fieldName);
+                }))
+                .then(function(results) {
+                    model.enableButtons(true);
+                    model.updateFieldErrors(data.asyncFields.map(function(field, index) {
+                        return { element: field.element, error: results[index] };
+                    }));
+                    var errors = results.filter(function(error) { return error !== null; });
+                    if (errors.length > 0) {
+                        model.showErrorList(errors);
+                    } else {
+                        model.saveRecord(null, true);
+                    }
+                })
+                .catch(function(error) {
+                    model.enableButtons(true);
+                    model.showError(error);
+                });
                 return;
             } else if (typeof model.onFormBeforeSave === 'function') {
                 var isValid = model.onFormBeforeSave(record);
@@ -442,23 +1683,99 @@
                 }
             }
 
+            // Skip saving if nothing has changed or submit only the changed fields
+            var method = 'POST';
+            var body = record;
+            if (!model.newRecord && model.originalRecord !== null) {
+                model.checkForChanges();
+                if (!model.isDirty && model.skipSaveWhenUnchanged) {
+                    model.hideError();
+                    model.showInfo(model.noChangesText, model.resultSuccessDisplayInterval);
+                    return;
+                } else if (model.patchChanges) {
+                    method = 'PATCH';
+                    body = {};
+                    model.changedFields.forEach(function(fieldName) {
+                        if (files[fieldName] === undefined) {
+                            body[fieldName] = (record[fieldName] === undefined ? null : record[fieldName]);
+                        }
+                    });
+                }
+            }
+
+            // Submit the version and ETag that were loaded with the record
+            var headers = { 'Content-Type': 'application/json' };
+            if (!model.newRecord) {
+                if (model.versionField) {
+                    if (model.forceSave) {
+                        delete body[model.versionField];
+                    } else if (model[model.versionField] !== undefined) {
+                        body[model.versionField] = model[model.versionField];
+                    }
+                }
+                if (model.sendIfMatch && model.responseEtag) {
+                    headers['If-Match'] = model.responseEtag;
+                }
+            }
+            model.forceSave = false;
+
             // Update model with current record properties
             Object.assign(model, record);
 
             // Disable Buttons and show Saving Status
             model.enableButtons(false);
             model.hideError();
+            model.hideConflict();
             model.showInfo(model.savingRecordText);
 
-            // Save the record
+            // Save the record. The Response is kept for 409/412 errors and
+            // a new [ETag] from the server is used for the next save.
             var url = app.buildUrl(model.saveUrl, model);
-            app
-            .fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(record),
-            })
+            var conflictResponse = null;
+            var controller = startRequest(model);
+            var options = {
+                method: method,
+                headers: headers,
+                body: JSON.stringify(body),
+                timeout: model.fetchTimeout,
+                signal: (controller === null ? undefined : controller.signal),
+                onResponse: function(response) {
+                    if (response.status === 409 || response.status === 412) {
+                        conflictResponse = response;
+                    } else if (response.ok && response.headers.has('ETag')) {
+                        model.responseEtag = response.headers.get('ETag');
+                    }
+                },
+            };
+            var request;
+            if (hasFiles) {
+                // Submit fields and files as [multipart/form-data] and show upload progress
+                var formData = new FormData();
+                Object.keys(body).forEach(function(fieldName) {
+                    appendFormData(formData, fieldName, body[fieldName]);
+                });
+                Object.keys(files).forEach(function(fieldName) {
+                    files[fieldName].forEach(function(file) {
+                        formData.append(fieldName, file, file.name);
+                    });
+                });
+                delete headers['Content-Type'];
+                options.body = formData;
+                options.onProgress = function(loaded, total) {
+                    model.uploadProgress = Math.round(loaded / total * 100);
+                    model.showInfo(model.uploadingFilesText.replace(/{percent}/g, model.uploadProgress));
+                };
+                model.uploadProgress = 0;
+                request = sendFormData(url, options);
+            } else {
+                request = app.fetch(url, options);
+            }
+            request
             .then(function(data) {
+                model.uploadProgress = null;
+                if (endRequest(model, controller)) {
+                    return;
+                }
                 var newRecordWasAdded = false;
 
                 // When using the default save API the property {success:bool} is expected
@@ -499,6 +1816,20 @@
                         }
                     }
 
+                    // The form now matches the saved record
+                    if (hasFiles) {
+                        model.clearFileFields();
+                    }
+                    model.clearDraft();
+                    model.restoredDraft = null;
+                    if (app.activeVueModel !== null) {
+                        app.activeVueModel.$nextTick(function () {
+                            model.resetChanges();
+                        });
+                    } else {
+                        model.resetChanges();
+                    }
+
                     // Show Saved Message
                     // Defaults to a generic "Record saved at {time}", however this can be overridden client-side
                     // by setting [model.recordSavedText] or server-side by returning [result].
@@ -544,8 +1875,17 @@
                 }
             })
             .catch(function(error) {
+                model.uploadProgress = null;
+                if (endRequest(model, controller, error)) {
+                    return;
+                }
                 model.setButtonEvents();
-                model.showError(error);
+                if (conflictResponse !== null) {
+                    model.hideInfo();
+                    model.handleConflict(conflictResponse, record);
+                } else {
+                    model.showError(error);
+                }
                 if (typeof model.onFormSaveError === 'function') {
                     model.onFormSaveError(error);
                 }
@@ -602,16 +1942,25 @@
             model.showInfo(model.deletingRecordText);
 
             // Delete the Record
+            var controller = startRequest(model);
             app
             .fetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: record,
+                timeout: model.fetchTimeout,
+                signal: (controller === null ? undefined : controller.signal),
             })
             .then(function(data) {
+                if (endRequest(model, controller)) {
+                    return;
+                }
                 if (data.success) {
                     // Set model properties and hide save/delete buttons
                     model.recordDeleted = true;
+                    model.isDirty = false;
+                    model.changedFields = [];
+                    model.clearDraft();
                     model.setButtonEvents();
 
                     // Show Deleted Message
@@ -654,6 +2003,9 @@
                 }
             })
             .catch(function(error) {
+                if (endRequest(model, controller, error)) {
+                    return;
+                }
                 model.setButtonEvents();
                 model.showError(error);
                 if (typeof model.onFormDeleteError === 'function') {
@@ -665,7 +2017,14 @@
         // Called once when the view is loaded with data
         setupView: function () {
             this.loadFormFields();
+            if (this.originalRecord === null) {
+                this.resetChanges();
+                this.restoreDraft();
+            }
+            this.setupLiveValidation();
+            this.setupFileFields();
             this.setButtonEvents();
+            this.setupSteps();
             this.updateCssElements();
 
             // If a callback event is defined for the save event then call it
@@ -675,11 +2034,27 @@
         }
     });
 
+    /**
+     * Clear changes and state from the previous record before a record is loaded
+     *
+     * @param {object} model
+     */
+    function resetFormState(model) {
+        model.originalRecord = null;
+        model.conflict = null;
+        model.forceSave = false;
+        model.restoredDraft = null;
+        model.currentStep = 0;
+        model.isDirty = false;
+        model.changedFields = [];
+    }
+
     /**
      * Load data when the route has changed.
      * Code here is based on and overrides the version from [jsonData].
      */
     entryForm.onRouteLoad = function () {
+        resetFormState(this);
         if (this.newRecord && !this.url) {
             this.isLoaded = true;
             this.hasError = false;
@@ -689,6 +2064,25 @@
         app.pages.jsonData.onRouteLoad.call(this);
     };
 
+    /**
+     * Called when only the query string of the route changes. [jsonData] downloads the
+     * record again which would replace unsaved edits so the user is first asked to confirm
+     * using the same prompt as [beforeLeave()]. Returning [false] keeps the current form
+     * and the Framework shows the previous URL.
+     *
+     * @return {undefined|bool}
+     */
+    entryForm.onQueryChange = function () {
+        if (!entryForm.beforeLeave.call(this)) {
+            return false;
+        }
+        if (this.newRecord && !this.url) {
+            return;
+        }
+        resetFormState(this);
+        app.pages.jsonData.onQueryChange.call(this);
+    };
+
     /**
      * Define the Controller onRendered() function
      * This gets called each time the view is redrawn.
@@ -699,6 +2093,54 @@
         }
     };
 
+    /**
+     * Confirm with the user before leaving a form with unsaved changes.
+     * This is a route guard called from the Framework with the model as [this].
+     *
+     * @return {bool}
+     */
+    entryForm.beforeLeave = function () {
+        if (this.isDirty && this.confirmUnsavedChanges && !this.recordDeleted) {
+            return window.confirm(this.unsavedChangesText);
+        }
+        return true;
+    };
+
+    /**
+     * Return the active model if it's from [entryForm]
+     *
+     * @return {object|null}
+     */
+    function getActiveForm() {
+        var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+        return (model && typeof model.checkForChanges === 'function' ? model : null);
+    }
+
+    /**
+     * Track changes as the user edits any field on the active form
+     */
+    function handleFieldChange() {
+        var model = getActiveForm();
+        if (model !== null) {
+            model.checkForChanges();
+        }
+    }
+    document.addEventListener('input', handleFieldChange);
+    document.addEventListener('change', handleFieldChange);
+
+    /**
+     * Browsers show their own message when the page is closed or reloaded
+     * with unsaved changes, the text from the model is not displayed.
+     */
+    window.addEventListener('beforeunload', function (e) {
+        var model = getActiveForm();
+        if (model !== null && model.isDirty && model.confirmUnsavedChanges && !model.recordDeleted) {
+            e.preventDefault();
+            e.returnValue = model.unsavedChangesText;
+            return model.unsavedChangesText;
+        }
+    });
+
     /**
      * Add entryForm as a Page object
      */
@@ -16,6 +16,13 @@
  *     data-filter-clear
  *     data-filter-clear-all
  *     data-filter-search-text
+ *     data-filter-search
+ *     data-filter-fuzzy
+ *     data-filter-rank
+ *     data-filter-highlight
+ *     data-filter-type
+ *     data-filter-facet
+ *     data-filter-row
  *     data-set-filter-selector
  *     data-sort-class-odd
  *     data-sort-class-even
@@ -23,6 +30,27 @@
  * Additional attributes such as [data-filter-setup] will be added to elements
  * when the plugin runs.
  *
+ * Operators [>, <, >=, <=, between] compare numbers or dates using [data-filter-type="number|date"]
+ * and operator [in] matches one of several values, for example [data-filter-value="error|warning"].
+ * With <input> and <select> elements these operators use the value of the control. A <select>
+ * is filtered using [in] by default and the selected options, when [data-filter-facet] is used
+ * each option shows the number of records that match the option along with the other filters.
+ *
+ * <table data-filter-row> adds a row of filter controls under the table header. The control for
+ * each column is based on [data-filter-type] of the header cell:
+ *     text (default)  <input type="search">
+ *     number          <input type="number"> for min and max values
+ *     date            <input type="date"> for a date range
+ *     select          <select multiple data-filter-facet> with each distinct value and counts
+ *     none            No filter for the column
+ *
+ * <input data-filter-search> uses search mode rather than matching text as typed. Search ignores
+ * case and accents, matches all words in any order across table columns, and keeps words in
+ * double quotes together as a phrase. Optional attributes:
+ *     data-filter-fuzzy="{0 to 1}"      Allow for typos, optional minimum similarity (default 0.7)
+ *     data-filter-rank                  Order matched items by score, the original order is restored once cleared
+ *     data-filter-highlight="{class}"   Highlight matched text using [app.plugins.highlighter.highlightTerms()]
+ *
  * When elements are filtered they have [style.display] set to either 'none' or
  * empty ''. With older browsers (ex: IE6) it was often faster to reset [innerHTML]
  * than to show/hide elements, however modern browsers render style display changes
@@ -47,11 +75,268 @@
     'use strict';
 
     // Supported Operators when using [data-filter-operator] with [data-filter-value]
-    var _operators = ['excludes', 'excludes_list', '!==', '==='];
+    var _operators = ['excludes', 'excludes_list', '!==', '===', '>', '<', '>=', '<=', 'between', 'in'];
+
+    // Operators that compare numbers or dates, and operators that can use the value of <input> and <select>
+    var _rangeOperators = ['>', '<', '>=', '<=', 'between'];
+    var _valueOperators = _rangeOperators.concat(['in']);
 
     // Private flag variable to prevent filtering while changes are being made
     var _runFilter = true;
 
+    // Counter used to link controls from [data-filter-row] to their table
+    var _filterTableCount = 0;
+
+    // Default minimum similarity (0 to 1) for [data-filter-fuzzy]
+    var _defaultFuzzyScore = 0.7;
+
+    // Characters that are not part of a word after search text is normalized
+    var _wordSeparator = /[^a-z0-9\u00c0-\uffff]/;
+
+    // Return the header row of a table (the last row of <thead>), a row
+    // of filter controls added from [data-filter-row] is skipped.
+    function getHeaderRow(table) {
+        var rows = table.tHead.rows;
+        for (var n = rows.length - 1; n > 0; n--) {
+            if (rows[n].getAttribute('data-filter-controls') === null) {
+                return rows[n];
+            }
+        }
+        return rows[0];
+    }
+
+    // Convert text to a number for range filters, dates are converted to a timestamp.
+    // Date only values such as '2024-01-31' from <input type="date"> use the local
+    // time zone. Returns null if the value cannot be converted.
+    function getRangeValue(text, filterType) {
+        if (text === null || text === undefined || text === '') {
+            return null;
+        }
+        text = String(text).trim();
+        if (filterType === 'date') {
+            var dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+            var date = (dateOnly === null ? new Date(text) : new Date(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10)));
+            return (isNaN(date.getTime()) ? null : date.getTime());
+        }
+        var number = parseFloat(text.replace(/[^0-9.-]/g, ''));
+        return (isNaN(number) ? null : number);
+    }
+
+    // Return the min and max values for a range operator. For date only values
+    // the max value of [<=] and the min value of [>] include the full day.
+    function getFilterRange(operator, values, filterType) {
+        var range = { min: null, max: null, minExclusive: false, maxExclusive: false };
+
+        function isDay(text) {
+            return (filterType === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(text));
+        }
+
+        function nextDay(time) {
+            var date = new Date(time);
+            date.setDate(date.getDate() + 1);
+            return date.getTime();
+        }
+
+        function setMin(text, exclusive) {
+            range.min = getRangeValue(text, filterType);
+            range.minExclusive = exclusive;
+            if (exclusive && range.min !== null && isDay(text)) {
+                range.min = nextDay(range.min);
+                range.minExclusive = false;
+            }
+        }
+
+        function setMax(text, exclusive) {
+            range.max = getRangeValue(text, filterType);
+            range.maxExclusive = exclusive;
+            if (!exclusive && range.max !== null && isDay(text)) {
+                range.max = nextDay(range.max);
+                range.maxExclusive = true;
+            }
+        }
+
+        switch (operator) {
+            case '>':
+            case '>=':
+                setMin(values[0], operator === '>');
+                break;
+            case '<':
+            case '<=':
+                setMax(values[0], operator === '<');
+                break;
+            case 'between':
+                setMin(values[0], false);
+                setMax(values.length > 1 ? values[1] : '', false);
+                break;
+        }
+        return range;
+    }
+
+    // Return sorted distinct text values of a table column for a <select> filter
+    function getDistinctValues(rows, colIndex) {
+        var values = [];
+        Array.prototype.forEach.call(rows, function (row) {
+            var text = '';
+            if (row.cells.length > colIndex) {
+                text = row.cells[colIndex].getAttribute('data-filter-search-text');
+                text = (text === null ? row.cells[colIndex].textContent : text);
+            }
+            text = text.trim();
+            if (text !== '' && values.indexOf(text) === -1) {
+                values.push(text);
+            }
+        });
+        return values.sort(function (a, b) {
+            return a.localeCompare(b, undefined, { numeric: true });
+        });
+    }
+
+    // Add an <option> to a <select> for each value
+    function addOptions(select, values) {
+        values.forEach(function (value) {
+            var option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+    }
+
+    // Values for operators that use multiple values are separated with '|'
+    function getOperatorValues(operator, text) {
+        text = text.toLowerCase().trim();
+        if (operator === 'between' || operator === 'in') {
+            return text.split('|').map(function (value) {
+                return value.trim();
+            });
+        }
+        return [text];
+    }
+
+    // Return lower-case text with accents removed so that searching for 'jose' matches 'José'.
+    // The same logic is used by [highlighter.js] and Web Component [utils-search.js].
+    function normalizeText(text) {
+        text = String(text);
+        if (text.normalize !== undefined) {
+            text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        return text.toLowerCase();
+    }
+
+    // Split search text into terms, text in double quotes is kept together as a phrase
+    function parseSearchTerms(value) {
+        var terms = [],
+            regex = /"([^"]*)"?|(\S+)/g,
+            match,
+            isPhrase,
+            text;
+
+        while ((match = regex.exec(value)) !== null) {
+            isPhrase = (match[1] !== undefined);
+            text = normalizeText(isPhrase ? match[1] : match[2]).replace(/\s+/g, ' ').trim();
+            if (text !== '') {
+                terms.push({ text: text, isPhrase: isPhrase });
+            }
+        }
+        return terms;
+    }
+
+    // Levenshtein distance, the number of single character edits between two strings
+    function editDistance(a, b) {
+        var previous = [],
+            current,
+            x,
+            y;
+
+        for (y = 0; y <= b.length; y++) {
+            previous.push(y);
+        }
+        for (x = 1; x <= a.length; x++) {
+            current = [x];
+            for (y = 1; y <= b.length; y++) {
+                current.push(Math.min(
+                    previous[y] + 1,
+                    current[y - 1] + 1,
+                    previous[y - 1] + (a[x - 1] === b[y - 1] ? 0 : 1)
+                ));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Similarity from 0 to 1 between a search term and the start of a word
+    function wordSimilarity(term, word) {
+        var best = 0,
+            minLength = Math.max(1, term.length - 1),
+            maxLength = Math.max(minLength, Math.min(word.length, term.length + 1)),
+            length,
+            text;
+
+        for (length = minLength; length <= maxLength; length++) {
+            text = word.substring(0, length);
+            best = Math.max(best, 1 - (editDistance(term, text) / Math.max(term.length, text.length)));
+        }
+        return best;
+    }
+
+    // Search text for all terms. Returns null if a term is not found, otherwise an object
+    // with a [score] from 0 to 1 used for ranking and the normalized text of each match.
+    // Full words score higher than the start of a word and matches inside of a word.
+    // With [fuzzy] words that are not found can match with typos, phrases must match exactly.
+    function matchSearchTerms(text, terms, fuzzy) {
+        var normalized = normalizeText(text).replace(/\s+/g, ' '),
+            matches = [],
+            words = null,
+            total = 0,
+            n,
+            m,
+            x,
+            term,
+            score,
+            matchText,
+            pos,
+            end,
+            isStart,
+            best,
+            similarity;
+
+        for (n = 0, m = terms.length; n < m; n++) {
+            term = terms[n];
+            score = 0;
+            matchText = term.text;
+            pos = normalized.indexOf(term.text);
+            if (pos !== -1) {
+                end = pos + term.text.length;
+                isStart = (pos === 0 || _wordSeparator.test(normalized[pos - 1]));
+                score = (isStart && (end === normalized.length || _wordSeparator.test(normalized[end])) ? 1 : (isStart ? 0.9 : 0.8));
+            } else if (fuzzy !== null && !term.isPhrase && term.text.length >= 3) {
+                if (words === null) {
+                    words = normalized.split(new RegExp(_wordSeparator.source + '+'));
+                }
+                best = 0;
+                for (x = 0; x < words.length; x++) {
+                    similarity = (words[x] === '' ? 0 : wordSimilarity(term.text, words[x]));
+                    if (similarity > best) {
+                        best = similarity;
+                        matchText = words[x];
+                    }
+                }
+                if (best >= fuzzy) {
+                    score = best * 0.7;
+                }
+            }
+            if (score === 0) {
+                return null;
+            }
+            total += score;
+            matches.push(matchText);
+        }
+        return {
+            score: (terms.length === 0 ? 1 : total / terms.length),
+            matches: matches,
+        };
+    }
+
     // Private function that returns settings from a filter element
     function getFilter(element) {
         // Define variables and create an object with info related to the input control
@@ -59,10 +344,13 @@
             n,
             m,
             table,
-            rowIndex,
+            headerRow,
+            isControl,
+            usesControlValue,
             itemsSelector = element.getAttribute('data-filter-selector'),
             resultsTextSelector = element.getAttribute('data-filter-results-text-selector'),
             settings = {
+                element: element,
                 itemsSelector: itemsSelector,
                 items: (itemsSelector === null ? null : document.querySelectorAll(itemsSelector)),
                 columnFilter: element.getAttribute('data-filter-column'),
@@ -78,7 +366,14 @@
                 clickedFilter: element.getAttribute('data-filter-clicked'),
                 operator: element.getAttribute('data-filter-operator'),
                 filterValue: element.getAttribute('data-filter-value'),
+                filterType: element.getAttribute('data-filter-type'),
                 filterWords: [],
+                searchTerms: null,
+                fuzzy: null,
+                rank: (element.getAttribute('data-filter-rank') !== null),
+                highlight: element.getAttribute('data-filter-highlight'),
+                range: null,
+                isFacet: (element.nodeName === 'SELECT' && element.getAttribute('data-filter-facet') !== null),
                 containsInputs: (itemsSelector && document.querySelector(itemsSelector + ' input, ' + itemsSelector + ' select, ' + itemsSelector + ' textarea') !== null),
             };
 
@@ -95,9 +390,16 @@
             return settings;
         }
 
+        // A <select> matches any of the selected options by default
+        if (settings.operator === null && element.nodeName === 'SELECT') {
+            settings.operator = 'in';
+        }
+        isControl = (element.nodeName === 'INPUT' || element.nodeName === 'SELECT');
+        usesControlValue = (isControl && _valueOperators.indexOf(settings.operator) !== -1);
+
         // Validate handled operators
         if (settings.operator !== null) {
-            if (settings.filterValue === null) {
+            if (settings.filterValue === null && !usesControlValue) {
                 filterError('Filter if attribute [data-filter-operator] is defined then the attribute [data-filter-value] must also be defined.');
             } else {
                 if (_operators.indexOf(settings.operator) === -1) {
@@ -107,7 +409,27 @@
         }
 
         // Get values to filter
-        if (element.nodeName === 'INPUT') {
+        if (element.nodeName === 'SELECT') {
+            values = [];
+            Array.prototype.forEach.call(element.options, function (option) {
+                if (option.selected) {
+                    values.push(option.value.toLowerCase().trim());
+                }
+            });
+        } else if (usesControlValue) {
+            values = getOperatorValues(settings.operator, element.value);
+        } else if (element.nodeName === 'INPUT' && element.getAttribute('data-filter-search') !== null) {
+            // Search mode, [filterWords] is only used to check if the filter is active
+            settings.searchTerms = parseSearchTerms(element.value);
+            settings.fuzzy = element.getAttribute('data-filter-fuzzy');
+            if (settings.fuzzy !== null) {
+                settings.fuzzy = parseFloat(settings.fuzzy);
+                settings.fuzzy = (isNaN(settings.fuzzy) ? _defaultFuzzyScore : settings.fuzzy);
+            }
+            values = settings.searchTerms.map(function (term) {
+                return term.text;
+            });
+        } else if (element.nodeName === 'INPUT') {
             values = element.value.toLowerCase().trim().split(' ');
         } else {
             if (settings.filterValue === null) {
@@ -122,6 +444,8 @@
                 } else if (settings.operator === '!==' || settings.operator === '===') {
                     settings.filterValue = settings.filterValue.toLowerCase();
                     values = [ settings.filterValue ];
+                } else if (_valueOperators.indexOf(settings.operator) !== -1) {
+                    values = getOperatorValues(settings.operator, settings.filterValue);
                 } else {
                     values = settings.filterValue.toLowerCase().trim().split(' ');
                 }
@@ -135,11 +459,21 @@
             }
         }
 
+        // Range filters compare numbers unless [data-filter-type="date"] is used.
+        // If the values cannot be converted then the filter is not used.
+        if (_rangeOperators.indexOf(settings.operator) !== -1) {
+            settings.filterType = (settings.filterType === 'date' ? 'date' : 'number');
+            settings.range = getFilterRange(settings.operator, values, settings.filterType);
+            if (settings.range.min === null && settings.range.max === null) {
+                settings.filterWords = [];
+            }
+        }
+
         // Is this filter for a specific column of a table?
         if (settings.columnFilter !== null) {
             // Validate that everything is setup correctly
             if (!(settings.items.length === 1 && settings.items[0].tagName === 'TABLE' &&
-                settings.items[0].tHead && settings.items[0].tHead.rows.length === 1 &&
+                settings.items[0].tHead && settings.items[0].tHead.rows.length > 0 &&
                 settings.items[0].tBodies.length === 1)) {
                 // Exit if the table was not found. The page could still be rendering.
                 // For example this is happens when using the Web Components Polyfill.
@@ -155,9 +489,9 @@
             }
 
             // Find the column index using the last row of the table header
-            rowIndex = table.tHead.rows.length - 1;
-            for (n = 0, m = table.tHead.rows[rowIndex].cells.length; n < m; n++) {
-                if (table.tHead.rows[rowIndex].cells[n].textContent.trim() === settings.columnFilter) {
+            headerRow = getHeaderRow(table);
+            for (n = 0, m = headerRow.cells.length; n < m; n++) {
+                if (headerRow.cells[n].textContent.trim() === settings.columnFilter) {
                     settings.colIndex = n;
                     break;
                 }
@@ -232,14 +566,11 @@
                 y,
                 itemWasHidden;
 
-            // Private function to hide a row or list item based on filter settings.
-            // Returns true if the item was hidden based on the current filter.
-            function hideFilteredItem(settings, item) {
+            // Private function that returns lower-case text of an item used for filtering
+            function getSearchText(settings, item) {
                 var searchText = '',
                     n,
                     m,
-                    hideElement,
-                    matched = false,
                     inputs = null,
                     searchItem = null;
 
@@ -256,13 +587,18 @@
                 }
                 if (searchItem !== null) {
                     searchText = searchItem.getAttribute('data-filter-search-text');
-                    if (searchText === null) {
+                    if (searchText === null && settings.searchTerms !== null && searchItem.nodeName === 'TR') {
+                        // For search mode separate cells so words from different columns are not joined
+                        searchText = Array.prototype.map.call(searchItem.cells, function (cell) {
+                            return cell.textContent;
+                        }).join(' ');
+                    } else if (searchText === null) {
                         searchText = searchItem.textContent;
                     }
                     searchText = searchText.toLowerCase();
                     inputs = (settings.containsInputs ? searchItem.querySelectorAll('input, select, textarea') : null);
                 }
-                if (inputs !== null) {
+                if (inputs !== null && inputs.length > 0) {
                     searchText = '';
                     for (n = 0, m = inputs.length; n < m; n++) {
                         if (inputs[n].nodeName === 'INPUT' && (inputs[n].type === 'checkbox' || inputs[n].type === 'radio')) {
@@ -279,61 +615,67 @@
                         }
                     }
                 }
+                return searchText;
+            }
+
+            // Private function that returns true if a row or list item does not match the filter
+            function isFilteredItem(settings, item) {
+                var searchText = getSearchText(settings, item),
+                    n,
+                    m,
+                    value,
+                    range = settings.range,
+                    matched = false;
+
+                // Search mode, all terms must be found
+                if (settings.searchTerms !== null) {
+                    return (matchSearchTerms(searchText, settings.searchTerms, settings.fuzzy) === null);
+                }
+
+                // Compare numbers or dates for range filters
+                if (range !== null) {
+                    value = getRangeValue(searchText, settings.filterType);
+                    return (value === null ||
+                        (range.min !== null && (range.minExclusive ? value <= range.min : value < range.min)) ||
+                        (range.max !== null && (range.maxExclusive ? value >= range.max : value > range.max)));
+                }
 
                 // Which Search Operator Type?
                 switch (settings.operator) {
                     case '===':
                         // Hide unless an exact match
-                        if (searchText !== settings.filterValue) {
-                            item.style.display = 'none';
-                            return true;
-                        }
-                        break;
+                        return (searchText !== settings.filterValue);
                     case '!==':
                         // Hide if an exact match
-                        if (searchText === settings.filterValue) {
-                            item.style.display = 'none';
-                            return true;
-                        }
-                        break;
+                        return (searchText === settings.filterValue);
+                    case 'in':
+                        // Hide unless the value equals one of the list items
+                        return (settings.filterWords.indexOf(searchText.trim()) === -1);
                     case 'excludes':
                         // Check each word in the filter, if the value does not contain
                         // all of the following words from the excludes list then hide it.
-                        hideElement = false;
                         for (n = 0, m = settings.filterWords.length; n < m; n++) {
                             matched = (searchText.indexOf(settings.filterWords[n]) !== -1);
                             if (matched) {
-                                hideElement = true;
-                                break;
+                                return true;
                             }
                         }
-                        if (hideElement) {
-                            item.style.display = 'none';
-                            return true;
-                        }
                         break;
                     case 'excludes_list':
                         // Check an exact match in the filter, if the value
                         // equals one of the list items then hide it.
-                        hideElement = false;
                         for (n = 0, m = settings.filterWords.length; n < m; n++) {
                             matched = (searchText === settings.filterWords[n]);
                             if (matched) {
-                                hideElement = true;
-                                break;
+                                return true;
                             }
                         }
-                        if (hideElement) {
-                            item.style.display = 'none';
-                            return true;
-                        }
                         break;
                     default:
                         // Check each word in the filter, if the row doesn't contain
                         // it then hide the element and continue with the next item.
                         for (n = 0, m = settings.filterWords.length; n < m; n++) {
                             if (searchText.indexOf(settings.filterWords[n]) === -1) {
-                                item.style.display = 'none';
                                 return true;
                             }
                         }
@@ -344,6 +686,122 @@
                 return false;
             }
 
+            // Private function to hide a row or list item based on filter settings.
+            // Returns true if the item was hidden based on the current filter.
+            function hideFilteredItem(settings, item) {
+                if (isFilteredItem(settings, item)) {
+                    item.style.display = 'none';
+                    return true;
+                }
+                return false;
+            }
+
+            // Private function to show the number of matching records on each option of a
+            // [data-filter-facet] <select>. Counts include other active filters for the same
+            // items so each option shows the number of records that would be displayed.
+            function updateFacetCounts(settings, settingsList) {
+                var counts = {};
+                var otherFilters = settingsList.filter(function (other) {
+                    return (other !== settings && other.itemsSelector === settings.itemsSelector && other.items !== null && other.filterWords.length > 0);
+                });
+                Array.prototype.forEach.call(settings.items, function (item) {
+                    var isShown = otherFilters.every(function (other) {
+                        return !isFilteredItem(other, item);
+                    });
+                    if (isShown) {
+                        var text = getSearchText(settings, item).trim();
+                        counts[text] = (counts[text] === undefined ? 1 : counts[text] + 1);
+                    }
+                });
+                Array.prototype.forEach.call(settings.element.options, function (option) {
+                    if (option.value === '') {
+                        return;
+                    }
+                    var label = option.getAttribute('data-facet-label');
+                    if (label === null) {
+                        label = option.textContent;
+                        option.setAttribute('data-facet-label', label);
+                    }
+                    var count = counts[option.value.toLowerCase().trim()];
+                    option.textContent = label + ' (' + (count === undefined ? 0 : count) + ')';
+                });
+            }
+
+            // Private function for [data-filter-search] to rank shown items by score with
+            // [data-filter-rank] and to highlight matched text with [data-filter-highlight].
+            // The original order is saved in [data-filter-index] and restored once cleared.
+            // Returns items in the new order if they were ranked or restored, otherwise null.
+            function updateSearchResults(settings) {
+                var items = Array.prototype.slice.call(settings.items),
+                    hasTerms = (settings.searchTerms.length > 0),
+                    highlighter = app.plugins.highlighter,
+                    canHighlight = (settings.highlight !== null),
+                    hasIndex = false,
+                    results,
+                    parent;
+
+                if (items.length === 0) {
+                    return null;
+                }
+                if (canHighlight && (highlighter === undefined || typeof highlighter.highlightTerms !== 'function')) {
+                    console.warn('Filter attribute [data-filter-highlight] requires the [highlighter] plugin.');
+                    canHighlight = false;
+                }
+                if (settings.rank) {
+                    hasIndex = items.every(function (item) {
+                        return (item.getAttribute('data-filter-index') !== null);
+                    });
+                    if (hasTerms && !hasIndex) {
+                        items.forEach(function (item, index) {
+                            item.setAttribute('data-filter-index', String(index));
+                        });
+                        hasIndex = true;
+                    }
+                }
+
+                // Search shown items
+                results = items.map(function (item) {
+                    var result = null;
+                    if (hasTerms && item.style.display === '') {
+                        result = matchSearchTerms(getSearchText(settings, item), settings.searchTerms, settings.fuzzy);
+                    }
+                    if (canHighlight) {
+                        if (result === null) {
+                            highlighter.clearHighlights(item);
+                        } else {
+                            highlighter.highlightTerms(item, result.matches, settings.highlight || null);
+                        }
+                    }
+                    return {
+                        item: item,
+                        score: (result === null ? -1 : result.score),
+                        index: (hasIndex ? parseInt(item.getAttribute('data-filter-index'), 10) : 0),
+                    };
+                });
+
+                // Rank by score, items with the same score keep their original order
+                if (hasIndex) {
+                    results.sort(function (a, b) {
+                        return (b.score - a.score) || (a.index - b.index);
+                    });
+                    parent = items[0].parentNode;
+                    results.forEach(function (result) {
+                        parent.appendChild(result.item);
+                    });
+                }
+                if (settings.rank && !hasTerms) {
+                    items.forEach(function (item) {
+                        item.removeAttribute('data-filter-index');
+                    });
+                }
+                if (!hasIndex) {
+                    return null;
+                }
+                return results.map(function (result) {
+                    return result.item;
+                });
+            }
+
             // Check - if internal code is running then don't filter
             if (!_runFilter) {
                 return;
@@ -409,6 +867,29 @@
                 }
             }
 
+            // Update result counts of facet filters
+            settingsList.forEach(function (settings) {
+                if (settings.isFacet && settings.items !== null) {
+                    updateFacetCounts(settings, settingsList);
+                }
+            });
+
+            // Rank and highlight items for search filters. If items are ranked then
+            // settings for the same items use the new order for odd/even CSS.
+            settingsList.forEach(function (settings) {
+                var rankedItems;
+                if (settings.searchTerms !== null && settings.items !== null && (settings.rank || settings.highlight !== null)) {
+                    rankedItems = updateSearchResults(settings);
+                    if (rankedItems !== null) {
+                        settingsList.forEach(function (other) {
+                            if (other.itemsSelector === settings.itemsSelector && other.items !== null) {
+                                other.items = rankedItems;
+                            }
+                        });
+                    }
+                }
+            });
+
             // After all filters have been processed then update css for
             // odd/even of each item and update any result text elements.
             settingsList.forEach(function (settings) {
@@ -492,6 +973,77 @@
             });
         },
 
+        /**
+         * Add a row of filter controls under the header of tables with [data-filter-row].
+         * The type of control for each column is from [data-filter-type] on the header cell.
+         * @param {HTMLElement|undefined} element
+         */
+        setupFilterRows: function (element) {
+            var tables = (element || document).querySelectorAll('table[data-filter-row]');
+            Array.prototype.forEach.call(tables, function (table) {
+                // Skip tables that are still loading or already have a filter row
+                if (table.tHead === null || table.tHead.rows.length === 0 || table.tBodies.length !== 1 ||
+                    table.tHead.querySelector('tr[data-filter-controls]') !== null
+                ) {
+                    return;
+                }
+
+                // Controls use a selector with a unique attribute value for the table
+                if (table.getAttribute('data-filter-table') === null) {
+                    _filterTableCount++;
+                    table.setAttribute('data-filter-table', String(_filterTableCount));
+                }
+                var selector = 'table[data-filter-table="' + table.getAttribute('data-filter-table') + '"]';
+
+                // Create a control for each column
+                var filterRow = document.createElement('tr');
+                filterRow.setAttribute('data-filter-controls', '');
+                var headerRow = getHeaderRow(table);
+                Array.prototype.forEach.call(headerRow.cells, function (headerCell, colIndex) {
+                    var label = headerCell.textContent.trim();
+                    var cell = document.createElement('td');
+                    if (headerCell.colSpan > 1) {
+                        cell.colSpan = headerCell.colSpan;
+                    }
+
+                    function addControl(nodeName, attributes) {
+                        var control = document.createElement(nodeName);
+                        control.setAttribute('data-filter-selector', selector);
+                        control.setAttribute('data-filter-column', label);
+                        for (var name in attributes) {
+                            if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+                                control.setAttribute(name, attributes[name]);
+                            }
+                        }
+                        cell.appendChild(control);
+                        return control;
+                    }
+
+                    var filterType = headerCell.getAttribute('data-filter-type');
+                    switch (filterType) {
+                        case 'none':
+                            break;
+                        case 'number':
+                        case 'date':
+                            addControl('input', { type: filterType, 'data-filter-type': filterType, 'data-filter-operator': '>=', 'aria-label': label + (filterType === 'date' ? ' From' : ' Min'), placeholder: 'Min' });
+                            addControl('input', { type: filterType, 'data-filter-type': filterType, 'data-filter-operator': '<=', 'aria-label': label + (filterType === 'date' ? ' To' : ' Max'), placeholder: 'Max' });
+                            break;
+                        case 'select':
+                            addOptions(
+                                addControl('select', { multiple: '', 'data-filter-facet': '', 'aria-label': label }),
+                                getDistinctValues(table.tBodies[0].rows, colIndex)
+                            );
+                            break;
+                        default:
+                            addControl('input', { type: 'search', 'aria-label': 'Filter ' + label, placeholder: 'Filter' });
+                            break;
+                    }
+                    filterRow.appendChild(cell);
+                });
+                table.tHead.appendChild(filterRow);
+            });
+        },
+
         /**
          * Setup items that reference a <datalist> element
          * @param {HTMLElement|undefined} element
@@ -569,10 +1121,10 @@
          * @param {string} filterSelector
          */
         clearFilter: function (filterSelector) {
-            var elements = document.querySelectorAll('input[data-filter-selector],[data-filter-selector][data-filter-clicked]');
+            var elements = document.querySelectorAll('input[data-filter-selector],select[data-filter-selector],[data-filter-selector][data-filter-clicked]');
             Array.prototype.forEach.call(elements, function (element) {
                 if (element.getAttribute('data-filter-selector') === filterSelector) {
-                    if (element.nodeName === 'INPUT') {
+                    if (element.nodeName === 'INPUT' || element.nodeName === 'SELECT') {
                         element.value = '';
                     } else {
                         element.removeAttribute('data-filter-clicked');
@@ -586,9 +1138,9 @@
          * This updates the screen to show all elements.
          */
         clearAllFilters: function () {
-            var elements = document.querySelectorAll('input[data-filter-selector],[data-filter-selector][data-filter-clicked]');
+            var elements = document.querySelectorAll('input[data-filter-selector],select[data-filter-selector],[data-filter-selector][data-filter-clicked]');
             Array.prototype.forEach.call(elements, function (element) {
-                if (element.nodeName === 'INPUT') {
+                if (element.nodeName === 'INPUT' || element.nodeName === 'SELECT') {
                     element.value = '';
                 } else {
                     element.removeAttribute('data-filter-clicked');
@@ -605,10 +1157,12 @@
             // [data-filter-selector] that have not already been setup.
             var elements = (element || document).querySelectorAll('[data-filter-selector]:not([data-filter-setup])');
             Array.prototype.forEach.call(elements, function (el) {
-                // Handle <input> using 'input' events and other element
-                // types using 'click' events.
+                // Handle <input> using 'input' events, <select> using 'change'
+                // events, and other element types using 'click' events.
                 if (el.nodeName === 'INPUT') {
                     el.addEventListener('input', filter.filter);
+                } else if (el.nodeName === 'SELECT') {
+                    el.addEventListener('change', filter.filter);
                 } else {
                     // Once clicked mark clear previous clicks and mark the current element
                     el.addEventListener('click', function setupClickFilter() {
@@ -680,6 +1234,7 @@
          * @param {HTMLElement|undefined} element
          */
         onRendered: function (element) {
+            this.setupFilterRows(element);
             this.setupDataLists(element);
             this.setupFilters(element);
         },
@@ -16,6 +16,13 @@
  *     data-highlight-class
  *
  * For example usage see the [DataFormsJS\examples\log-table-*.htm] demos.
+ *
+ * Search terms can also be highlighted in the text of elements using
+ * [app.plugins.highlighter.highlightTerms()]. Matches are wrapped in <mark data-highlight-term>
+ * elements and found ignoring case and accents. This is used by the [filter.js] plugin
+ * with [data-filter-search] and [data-filter-highlight].
+ *     app.plugins.highlighter.highlightTerms(element, ['john', 'new york'], 'highlight');
+ *     app.plugins.highlighter.clearHighlights(element);
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -30,7 +37,143 @@
 (function () {
     'use strict';
 
+    // Return lower-case text with accents removed, the same as [filter.js]
+    function normalizeText(text) {
+        text = String(text);
+        if (text.normalize !== undefined) {
+            text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        return text.toLowerCase();
+    }
+
+    // Return [start, end] positions of search terms in text. The text is normalized one
+    // character at a time so positions match the original text with accents. Whitespace
+    // is collapsed to a single space to match how [filter.js] searches text.
+    function findTermRanges(text, terms) {
+        var normalized = '',
+            positions = [],
+            ranges = [],
+            merged = [],
+            chars,
+            isSpace,
+            n,
+            m,
+            x;
+
+        for (n = 0, m = text.length; n < m; n++) {
+            isSpace = /\s/.test(text[n]);
+            if (isSpace && normalized[normalized.length - 1] === ' ') {
+                continue;
+            }
+            chars = (isSpace ? ' ' : normalizeText(text[n]));
+            for (x = 0; x < chars.length; x++) {
+                normalized += chars[x];
+                positions.push(n);
+            }
+        }
+        terms.forEach(function (term) {
+            var pos = normalized.indexOf(term);
+            while (pos !== -1) {
+                ranges.push([positions[pos], positions[pos + term.length - 1] + 1]);
+                pos = normalized.indexOf(term, pos + term.length);
+            }
+        });
+
+        // Sort and merge overlapping matches
+        ranges.sort(function (a, b) {
+            return a[0] - b[0];
+        });
+        ranges.forEach(function (range) {
+            var last = merged[merged.length - 1];
+            if (last !== undefined && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        });
+        return merged;
+    }
+
+    // Replace a text node with text and <mark> elements for each matched range
+    function highlightTextNode(node, ranges, className) {
+        var text = node.nodeValue,
+            fragment = document.createDocumentFragment(),
+            pos = 0;
+
+        ranges.forEach(function (range) {
+            var mark = document.createElement('mark');
+            if (range[0] > pos) {
+                fragment.appendChild(document.createTextNode(text.substring(pos, range[0])));
+            }
+            mark.setAttribute('data-highlight-term', '');
+            if (className) {
+                mark.className = className;
+            }
+            mark.textContent = text.substring(range[0], range[1]);
+            fragment.appendChild(mark);
+            pos = range[1];
+        });
+        if (pos < text.length) {
+            fragment.appendChild(document.createTextNode(text.substring(pos)));
+        }
+        node.parentNode.replaceChild(fragment, node);
+    }
+
     var highlighter = {
+        /**
+         * Highlight search terms in the text of an element by wrapping each match in
+         * a <mark> element. Previous highlights from this function are removed first.
+         *
+         * @param {HTMLElement} element
+         * @param {array} terms - Lower-case text to highlight without accents
+         * @param {string|null} className - Optional class for the <mark> elements
+         */
+        highlightTerms: function (element, terms, className) {
+            var textNodes = [],
+                walker,
+                parentName;
+
+            highlighter.clearHighlights(element);
+            terms = terms.filter(function (term) {
+                return (term !== '');
+            });
+            if (terms.length === 0) {
+                return;
+            }
+
+            // Get text nodes first as nodes are replaced while highlighting
+            walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+            while (walker.nextNode()) {
+                parentName = walker.currentNode.parentNode.nodeName;
+                if (parentName !== 'SCRIPT' && parentName !== 'STYLE' && parentName !== 'TEXTAREA') {
+                    textNodes.push(walker.currentNode);
+                }
+            }
+            textNodes.forEach(function (node) {
+                var ranges = findTermRanges(node.nodeValue, terms);
+                if (ranges.length > 0) {
+                    highlightTextNode(node, ranges, className);
+                }
+            });
+        },
+
+        /**
+         * Remove highlights added from [highlightTerms()]
+         *
+         * @param {HTMLElement} element
+         */
+        clearHighlights: function (element) {
+            var marks = element.querySelectorAll('mark[data-highlight-term]');
+            if (marks.length === 0) {
+                return;
+            }
+            Array.prototype.forEach.call(marks, function (mark) {
+                mark.parentNode.replaceChild(document.createTextNode(mark.textContent), mark);
+            });
+            element.normalize();
+        },
+
+
         /**
          * Check for required elements and if found highlight
          * related elements based on the highlighter options.
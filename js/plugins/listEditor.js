@@ -25,8 +25,33 @@
  *    data-add-item           The control/template can have one add-item section for adding new records
  *    data-add-button         Button/Link that adds the record, this must go under [data-add-item]
  *    data-delete-button      Button/Link for each record under [data-list-item]
+ *    data-move-up            Button/Link that moves the record up one row
+ *    data-move-down          Button/Link that moves the record down one row
+ *    data-duplicate-button   Button/Link that adds a copy of the record after it
+ *    data-drag-handle        Element under [data-list-item] used to drag and drop the record
+ *    data-undo-button        Button/Link under the control that restores the last deleted record
  *    data-type="int|float"   Used when converting data type from <input> to JavaScript object
  *    data-list-label="name"  Optional display text if using validation
+ *    data-live-validation="true"   Validate rows while editing, [entryForm] routes
+ *                                  with [data-live-validation="true"] also do this
+ *    data-autosave="{key}"   Save a draft of the list to [localStorage] while it's edited
+ *
+ * Records can also be moved from the keyboard by pressing [Alt + Up/Down Arrow]
+ * while a field or button in the row has focus. Moving, duplicating, and restoring
+ * records updates the Array from [data-edit-list] on the active model so the new
+ * order is saved with [entryForm]. While dragging the row under the cursor has
+ * the class [drag-over]. The undo button is hidden when no record can be restored.
+ *
+ * Lists with [data-autosave] on the [data-edit-list] element are saved to [localStorage]
+ * once the user changes them. The draft is keyed by the route and list name and the
+ * next time the list loads the user is asked to restore it using [restoreDraftText].
+ * Call [app.plugins.listEditor.clearDraft()] once the list is saved, [entryForm] does
+ * this after saving or deleting the record. When [entryForm] uses [data-autosave]
+ * the lists are included with the form's draft and [data-autosave] is not needed.
+ *
+ * When the extension [validation.js] is loaded fields in each row are validated
+ * as the user edits them and errors are shown next to each field. Validation
+ * uses the same attributes as [entryForm] such as [required] and [data-type].
  *
  *  Form Field Naming. Fields must be named in the format of "item-field-{name}"
  *  Example:
@@ -46,10 +71,54 @@
 (function () {
     'use strict';
 
+    // The last deleted record for each list {index, record} used
+    // for [data-undo-button] and the row that is being dragged.
+    var deletedItems = {};
+    var dragItem = null;
+
+    // JSON of each list with [data-autosave] when it was loaded, by draft key.
+    // Drafts are saved only when the list is different from the loaded list.
+    var loadedLists = {};
+
+    /**
+     * Return the Array for [data-edit-list] from the active model
+     *
+     * @param {string} recordName
+     * @return {array}
+     */
+    function getList(recordName) {
+        if (app.activeVueModel && app.activeVueModel[recordName]) {
+            return app.activeVueModel[recordName];
+        }
+        return app.activeModel[recordName];
+    }
+
+    /**
+     * Return the [data-list-item] element for an element and its index in the control
+     *
+     * @param {HTMLElement} element
+     * @param {HTMLElement} control
+     * @return {object} - { listItem, index }
+     */
+    function getListItem(element, control) {
+        var listItem = element;
+        while (listItem !== null && listItem !== control && listItem.getAttribute('data-list-item') === null) {
+            listItem = listItem.parentNode;
+        }
+        if (listItem === null || listItem === control) {
+            return { listItem: null, index: -1 };
+        }
+        var listItems = control.querySelectorAll('[data-list-item]');
+        return { listItem: listItem, index: Array.prototype.indexOf.call(listItems, listItem) };
+    }
+
     /**
      * Plugin Object
      */
     var listEditor = {
+        // Text for [window.confirm()] when a draft from [data-autosave] exists
+        restoreDraftText: 'You have unsaved changes to this list from {time}. Do you want to restore them?',
+
         /**
          * Return the CSS selector for list controls that can be used
          * with [document.querySelectorAll()].
@@ -93,13 +162,28 @@
                 fields,
                 addButton,
                 deleteButton,
+                rowButtons,
+                button,
+                dragHandle,
+                undoButton,
                 n,
                 m,
                 x,
                 y,
+                j,
                 nodeName,
                 eventName,
-                type;
+                type,
+                liveValidation = (
+                    app.validation !== undefined &&
+                    typeof app.validation.setupLiveValidation === 'function' &&
+                    listEditor.useLiveValidation(control)
+                );
+
+            // If a draft is restored the control is refreshed and set up again
+            if (listEditor.restoreDraft(control)) {
+                return;
+            }
 
             // Process each list item element
             for (n = 0, m = listItems.length; n < m; n++) {
@@ -130,6 +214,11 @@
                         }
                         fields[x].addEventListener(eventName, listEditor.listItemValueChanged);
 
+                        // Validate while editing if [validation.js] is loaded
+                        if (liveValidation) {
+                            app.validation.setupLiveValidation(fields[x], listEditor.getValidationArgs, listEditor.updateEntryForm);
+                        }
+
                         // IMPORTANT - if a change is not being handled then likely a third-party
                         // JavaScript file is already listening for the change or input event on
                         // the control and canceling additional `addEventListener()` events from running.
@@ -156,6 +245,47 @@
                     deleteButton.addEventListener('click', listEditor.listItemDeleteClick);
                     deleteButton.style.cursor = 'pointer';
                 }
+
+                // Move, Duplicate, and Drag and Drop for each Line Item. Move buttons
+                // are disabled on the first and last rows. Event handlers are the
+                // same functions each time so they are only added once per element.
+                rowButtons = [
+                    { selector: '[data-move-up]', handler: listEditor.listItemMoveClick, disabled: (n === 0) },
+                    { selector: '[data-move-down]', handler: listEditor.listItemMoveClick, disabled: (n === m - 1) },
+                    { selector: '[data-duplicate-button]', handler: listEditor.listItemDuplicateClick, disabled: false },
+                ];
+                for (j = 0; j < rowButtons.length; j++) {
+                    button = listItems[n].querySelector(rowButtons[j].selector);
+                    if (button !== null) {
+                        button.setAttribute('data-array', editListProp);
+                        button.setAttribute('data-index', n);
+                        button.addEventListener('click', rowButtons[j].handler);
+                        button.style.cursor = 'pointer';
+                        if (button.nodeName === 'BUTTON') {
+                            button.disabled = rowButtons[j].disabled;
+                        }
+                    }
+                }
+                listItems[n].addEventListener('keydown', listEditor.listItemKeyDown);
+                dragHandle = listItems[n].querySelector('[data-drag-handle]');
+                if (dragHandle !== null) {
+                    dragHandle.setAttribute('draggable', 'true');
+                    dragHandle.style.cursor = 'move';
+                    dragHandle.addEventListener('dragstart', listEditor.listItemDragStart);
+                    dragHandle.addEventListener('dragend', listEditor.listItemDragEnd);
+                    listItems[n].addEventListener('dragover', listEditor.listItemDragOver);
+                    listItems[n].addEventListener('dragleave', listEditor.listItemDragLeave);
+                    listItems[n].addEventListener('drop', listEditor.listItemDrop);
+                }
+            }
+
+            // Show the undo button only if a deleted record can be restored
+            undoButton = control.querySelector('[data-undo-button]');
+            if (undoButton !== null) {
+                undoButton.setAttribute('data-array', editListProp);
+                undoButton.addEventListener('click', listEditor.listItemUndoClick);
+                undoButton.style.cursor = 'pointer';
+                undoButton.style.display = (deletedItems[editListProp] === undefined ? 'none' : '');
             }
 
             // Setup the Add Item Section on the Control if one exists
@@ -172,6 +302,11 @@
                 }
             }
 
+            // Rows can be added or deleted so the save button
+            // and changes of [entryForm] may need to be updated.
+            listEditor.updateEntryForm();
+            listEditor.saveDraft(control);
+
             // Run Application Events (if any are defined). For example if a
             // jQuery Control needs to be updated when an input field is set.
             if (app.events !== undefined && typeof app.events.dispatch === 'function') {
@@ -179,6 +314,55 @@
             }
         },
 
+        /**
+         * Internal function used with [app.validation.setupLiveValidation()] that returns
+         * arguments for [app.validation.validateInput()]. Rows can be deleted so
+         * the row number is read from the element when the field is validated.
+         *
+         * @param {HTMLElement} element
+         * @returns {array} - [fieldName, rowIndex, listLabel]
+         */
+        getValidationArgs: function(element) {
+            var control = listEditor.getParentControl(element);
+            return [
+                null,
+                parseInt(element.getAttribute('data-index'), 10) + 1,
+                (control === null ? null : control.getAttribute('data-list-label')),
+            ];
+        },
+
+        /**
+         * Internal function that returns true if fields in the list should be validated
+         * while editing. This is opt-in using [data-live-validation="true"] on the
+         * control or the [liveValidation] option of the active model from [entryForm].
+         *
+         * @param {HTMLElement} control
+         * @returns {bool}
+         */
+        useLiveValidation: function(control) {
+            var value = control.getAttribute('data-live-validation');
+            if (value !== null) {
+                return (value === 'true');
+            }
+            var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+            return (model ? model.liveValidation === true : false);
+        },
+
+        /**
+         * Internal function that gets called after list items are validated, added,
+         * or deleted. If using [entryForm] this enables or disables the save button
+         * and checks for changes.
+         */
+        updateEntryForm: function() {
+            var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+            if (model && typeof model.updateSaveButton === 'function') {
+                model.updateSaveButton();
+            }
+            if (model && typeof model.checkForChanges === 'function') {
+                model.checkForChanges();
+            }
+        },
+
         /**
          * Internal function that converts a form field to the specified data type.
          * @param {HTMLElement} element
@@ -257,6 +441,7 @@
             } else {
                 app.activeModel[recordName][recordIndex][fieldName] = value;
             }
+            listEditor.saveDraft(listEditor.getParentControl(element));
         },
 
         /**
@@ -328,9 +513,18 @@
                 recordIndex = parseInt(element.getAttribute('data-index'), 10),
                 control = listEditor.getParentControl(element);
 
+            // Save the record so it can be restored from [data-undo-button]
+            deletedItems[recordName] = {
+                index: recordIndex,
+                record: getList(recordName)[recordIndex],
+            };
+
             // Remove from the Model's Array and then related if not using Vue
             if (app.activeVueModel && app.activeVueModel[recordName]) {
                 app.activeVueModel[recordName].splice(recordIndex, 1);
+                app.activeVueModel.$nextTick(function () {
+                    listEditor.setuplistEditorControl(control);
+                });
                 return;
             } else {
                 app.activeModel[recordName].splice(recordIndex, 1);
@@ -338,6 +532,195 @@
             }
         },
 
+        /**
+         * Internal function called from [setuplistEditorControl()] that gets
+         * called when a User clicks a [data-move-up] or [data-move-down] button.
+         * @param {MouseEvent} e
+         */
+        listItemMoveClick: function (e) {
+            var element = e.currentTarget,
+                recordName = element.getAttribute('data-array'),
+                recordIndex = parseInt(element.getAttribute('data-index'), 10),
+                moveUp = (element.getAttribute('data-move-up') !== null),
+                control = listEditor.getParentControl(element);
+
+            listEditor.moveListItem(control, recordName, recordIndex, recordIndex + (moveUp ? -1 : 1), (moveUp ? '[data-move-up]' : '[data-move-down]'));
+        },
+
+        /**
+         * Internal function that moves a record when the user presses
+         * [Alt + Up Arrow] or [Alt + Down Arrow] from a row.
+         * @param {KeyboardEvent} e
+         */
+        listItemKeyDown: function (e) {
+            var key = e.key || e.keyCode;
+            var moveUp = (key === 'ArrowUp' || key === 'Up' || key === 38);
+            var moveDown = (key === 'ArrowDown' || key === 'Down' || key === 40);
+            if (!e.altKey || !(moveUp || moveDown)) {
+                return;
+            }
+            var control = listEditor.getParentControl(e.currentTarget);
+            var item = getListItem(e.currentTarget, control);
+            if (item.index === -1) {
+                return;
+            }
+            e.preventDefault();
+
+            // Keep focus on the same field or button once the row is moved
+            var target = e.target;
+            var focusSelector = null;
+            if (target.name) {
+                focusSelector = '[name="' + target.name + '"]';
+            } else {
+                ['data-move-up', 'data-move-down', 'data-duplicate-button', 'data-delete-button', 'data-drag-handle'].forEach(function(attr) {
+                    if (focusSelector === null && target.getAttribute(attr) !== null) {
+                        focusSelector = '[' + attr + ']';
+                    }
+                });
+            }
+            listEditor.moveListItem(control, control.getAttribute('data-edit-list'), item.index, item.index + (moveUp ? -1 : 1), focusSelector);
+        },
+
+        /**
+         * Internal function called from [setuplistEditorControl()] that gets
+         * called when a User clicks a [data-duplicate-button] button. The copy
+         * is added directly after the record.
+         * @param {MouseEvent} e
+         */
+        listItemDuplicateClick: function (e) {
+            var element = e.currentTarget,
+                recordName = element.getAttribute('data-array'),
+                recordIndex = parseInt(element.getAttribute('data-index'), 10),
+                control = listEditor.getParentControl(element),
+                list = getList(recordName),
+                record = JSON.parse(JSON.stringify(list[recordIndex]));
+
+            list.splice(recordIndex + 1, 0, record);
+            listEditor.refreshList(control, recordName, recordIndex + 1, '[data-duplicate-button]');
+        },
+
+        /**
+         * Internal function called from [setuplistEditorControl()] that gets called
+         * when a User clicks [data-undo-button] to restore the last deleted record.
+         * @param {MouseEvent} e
+         */
+        listItemUndoClick: function (e) {
+            var element = e.currentTarget,
+                recordName = element.getAttribute('data-array'),
+                control = listEditor.getParentControl(element),
+                deleted = deletedItems[recordName],
+                list = getList(recordName);
+
+            if (deleted === undefined) {
+                return;
+            }
+            delete deletedItems[recordName];
+            var index = Math.min(deleted.index, list.length);
+            list.splice(index, 0, deleted.record);
+            listEditor.refreshList(control, recordName, index, '[data-delete-button]');
+        },
+
+        /**
+         * Internal functions for Drag and Drop of rows using [data-drag-handle]
+         * @param {DragEvent} e
+         */
+        listItemDragStart: function (e) {
+            var control = listEditor.getParentControl(e.currentTarget);
+            var item = getListItem(e.currentTarget, control);
+            dragItem = { control: control, index: item.index };
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox requires data to be set for dragging to work
+            e.dataTransfer.setData('text/plain', String(item.index));
+            if (item.listItem !== null && typeof e.dataTransfer.setDragImage === 'function') {
+                e.dataTransfer.setDragImage(item.listItem, 0, 0);
+            }
+        },
+
+        listItemDragOver: function (e) {
+            if (dragItem !== null && listEditor.getParentControl(e.currentTarget) === dragItem.control) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                e.currentTarget.classList.add('drag-over');
+            }
+        },
+
+        listItemDragLeave: function (e) {
+            e.currentTarget.classList.remove('drag-over');
+        },
+
+        listItemDrop: function (e) {
+            e.currentTarget.classList.remove('drag-over');
+            if (dragItem === null) {
+                return;
+            }
+            var control = listEditor.getParentControl(e.currentTarget);
+            var item = getListItem(e.currentTarget, control);
+            if (control !== dragItem.control || item.index === -1) {
+                return;
+            }
+            e.preventDefault();
+            var fromIndex = dragItem.index;
+            dragItem = null;
+            listEditor.moveListItem(control, control.getAttribute('data-edit-list'), fromIndex, item.index, '[data-drag-handle]');
+        },
+
+        listItemDragEnd: function () {
+            dragItem = null;
+        },
+
+        /**
+         * Move a record in the list from one position to another and then reload
+         * the control. This updates the Array from [data-edit-list] on the active
+         * model. If [focusSelector] is specified then the matching element in the
+         * moved row receives focus.
+         *
+         * @param {HTMLElement} control
+         * @param {string} recordName
+         * @param {number} fromIndex
+         * @param {number} toIndex
+         * @param {string|null|undefined} focusSelector
+         */
+        moveListItem: function (control, recordName, fromIndex, toIndex, focusSelector) {
+            var list = getList(recordName);
+            if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 || fromIndex >= list.length || toIndex >= list.length) {
+                return;
+            }
+            var record = list.splice(fromIndex, 1)[0];
+            list.splice(toIndex, 0, record);
+            listEditor.refreshList(control, recordName, toIndex, focusSelector);
+        },
+
+        /**
+         * Internal function that updates the control after the Array from
+         * [data-edit-list] changes and optionally sets focus on a row.
+         *
+         * @param {HTMLElement} control
+         * @param {string} recordName
+         * @param {number} focusIndex
+         * @param {string|null|undefined} focusSelector
+         */
+        refreshList: function (control, recordName, focusIndex, focusSelector) {
+            function setFocus() {
+                if (!focusSelector) {
+                    return;
+                }
+                var listItem = control.querySelectorAll('[data-list-item]')[focusIndex];
+                var element = (listItem === undefined ? null : listItem.querySelector(focusSelector));
+                if (element !== null && !element.disabled) {
+                    element.focus();
+                }
+            }
+
+            if (app.activeVueModel && app.activeVueModel[recordName]) {
+                app.activeVueModel.$nextTick(function () {
+                    listEditor.setuplistEditorControl(control);
+                    setFocus();
+                });
+            } else {
+                listEditor.reloadListEditorControl(control, setFocus);
+            }
+        },
+
         /**
          * Internal function to find the Parent Control. This code loops
          * up parent nodes until the control/template is found.
@@ -368,12 +751,134 @@
         },
 
         /**
-         * Reload a list control. This gets called when a users adds or deletes a record
+         * Reload a list control. This gets called when a users adds, deletes, or moves a record
          * @param {HTMLElement} control
+         * @param {function|undefined} callback
          */
-        reloadListEditorControl: function (control) {
+        reloadListEditorControl: function (control, callback) {
             app.refreshHtmlControl(control, function () {
                 listEditor.setuplistEditorControl(control);
+                if (typeof callback === 'function') {
+                    callback();
+                }
+            });
+        },
+
+        /**
+         * Return the [localStorage] key for the draft of a list based on [data-autosave],
+         * the route URL, and the list name. Returns null if [data-autosave] is not used
+         * or if the active [entryForm] already saves the list with its own draft.
+         *
+         * @param {HTMLElement|null} control
+         * @returns {string|null}
+         */
+        getDraftKey: function (control) {
+            var autosave = (control === null ? null : control.getAttribute('data-autosave'));
+            if (!autosave || window.localStorage === undefined) {
+                return null;
+            }
+            var model = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+            if (model && model.autosave && typeof model.getDraftKey === 'function') {
+                return null;
+            }
+            var path = (app.activeController === null ? window.location.pathname : app.buildUrl(app.activeController.path, app.activeParameterList));
+            return 'dataformsjs-draft:' + autosave + ':' + path + ':' + control.getAttribute('data-edit-list');
+        },
+
+        /**
+         * Internal function called the first time a list with [data-autosave] is set up
+         * on a route. If a draft exists the user is asked to restore it and when restored
+         * the Array from [data-edit-list] is updated and the control is refreshed.
+         *
+         * @param {HTMLElement} control
+         * @returns {bool} - true if the draft was restored
+         */
+        restoreDraft: function (control) {
+            var key = listEditor.getDraftKey(control);
+            if (key === null || loadedLists[key] !== undefined) {
+                return false;
+            }
+            var recordName = control.getAttribute('data-edit-list');
+            var list = getList(recordName);
+            if (!Array.isArray(list)) {
+                return false;
+            }
+            loadedLists[key] = JSON.stringify(list);
+
+            var draft = null;
+            try {
+                draft = JSON.parse(window.localStorage.getItem(key));
+            } catch (e) {
+                draft = null;
+            }
+            if (draft === null || typeof draft !== 'object' || !Array.isArray(draft.records)) {
+                return false;
+            }
+            var time = new Date(draft.time);
+            time = (time.toLocaleString ? time.toLocaleString() : time.toString());
+            if (!window.confirm(listEditor.restoreDraftText.replace(/{time}/g, time))) {
+                listEditor.clearDraft(control);
+                return false;
+            }
+            list.splice.apply(list, [0, list.length].concat(draft.records));
+            listEditor.refreshList(control, recordName, -1, null);
+            return true;
+        },
+
+        /**
+         * Internal function that saves a draft of a list with [data-autosave] to
+         * [localStorage]. This is called as the user edits the list and the
+         * draft is removed if the list is the same as when it was loaded.
+         *
+         * @param {HTMLElement|null} control
+         */
+        saveDraft: function (control) {
+            var key = listEditor.getDraftKey(control);
+            if (key === null || loadedLists[key] === undefined) {
+                return;
+            }
+            try {
+                var records = getList(control.getAttribute('data-edit-list'));
+                if (JSON.stringify(records) === loadedLists[key]) {
+                    window.localStorage.removeItem(key);
+                } else {
+                    window.localStorage.setItem(key, JSON.stringify({
+                        time: new Date().getTime(),
+                        records: records,
+                    }));
+                }
+            } catch (e) {
+                // Storage is full or not allowed (for example some private browsing modes)
+                console.warn('Unable to save draft for [' + key + ']: ' + e.toString());
+            }
+        },
+
+        /**
+         * Remove the draft of a list with [data-autosave] from [localStorage]. If no
+         * control is specified then drafts for all lists on screen are removed.
+         * The current list is then used to check for new changes.
+         *
+         * Example usage after a custom page saves the lists:
+         *     app.plugins.listEditor.clearDraft();
+         *
+         * @param {HTMLElement|undefined} control
+         */
+        clearDraft: function (control) {
+            var controls = (control === undefined ? document.querySelectorAll(listEditor.listSelector()) : [control]);
+            Array.prototype.forEach.call(controls, function(control) {
+                var key = listEditor.getDraftKey(control);
+                if (key === null) {
+                    return;
+                }
+                try {
+                    window.localStorage.removeItem(key);
+                } catch (e) {
+                    console.warn('Unable to remove draft for [' + key + ']: ' + e.toString());
+                }
+                var list = getList(control.getAttribute('data-edit-list'));
+                if (Array.isArray(list)) {
+                    loadedLists[key] = JSON.stringify(list);
+                }
             });
         },
 
@@ -383,12 +888,16 @@
          * function is defined. The default validation function is available with
          * [Extensions\validation.js].
          *
+         * If [showFieldErrors] is true then errors are also shown next to
+         * each field using [app.validation.updateFieldError()].
+         *
          * Example usage:
          *     var errors = app.plugins.listEditor.validate();
          *
+         * @param {bool|undefined} showFieldErrors
          * @returns {array}
          */
-        validate: function() {
+        validate: function(showFieldErrors) {
             // Using Validation?
             var validateInput = (app.validation !== undefined && typeof app.validation.validateInput === 'function' ? app.validation.validateInput : null);
             if (validateInput === null) {
@@ -412,6 +921,9 @@
                         if (error) {
                             errors.push(error);
                         }
+                        if (showFieldErrors === true && typeof app.validation.updateFieldError === 'function') {
+                            app.validation.updateFieldError(input, error);
+                        }
                     });
                     row++;
                 });
@@ -426,6 +938,16 @@
         onRendered: function() {
             this.setuplistEditorControls();
         },
+
+        /**
+         * Deleted records can only be restored on the same route and
+         * drafts are checked again the next time the route loads.
+         */
+        onRouteUnload: function() {
+            deletedItems = {};
+            dragItem = null;
+            loadedLists = {};
+        },
     };
 
     /**
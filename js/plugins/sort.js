@@ -30,6 +30,21 @@
  *
  * Additional attributes such as [data-sort-column] will be added to elements
  * when the plugin runs.
+ *
+ * Holding [Shift] while clicking a column adds it to the current sort so rows
+ * can be sorted by multiple columns. Sorted header cells have [aria-sort] and
+ * [data-sort-priority] attributes and show an arrow with the sort priority.
+ * All sorted columns are saved to [data-sort-columns], example: "2-desc,0-asc".
+ *
+ * To keep the sort when the table is rendered again (for example after
+ * [app.updateView()] or when returning to the route) use [data-sort-persist]
+ * with either "url" for the query string or "session" for [sessionStorage].
+ * [data-sort-key] sets the query string name or storage key and defaults to
+ * the table [id] or "sort".
+ *     <table data-sort data-sort-persist="url" data-sort-key="orderSort">
+ *
+ * Header cells can use [data-sort-type="date|number|text|natural"] to
+ * sort the column as a specific type rather than detecting each value.
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -44,6 +59,145 @@
 (function () {
     'use strict';
 
+    var sortStyleId = 'DataFormsJS-sort-style';
+    var sortCss = [
+        'table[data-sort-columns] th[aria-sort="ascending"]::after { content: " \\25B2" attr(data-sort-priority); font-size: .8em; }',
+        'table[data-sort-columns] th[aria-sort="descending"]::after { content: " \\25BC" attr(data-sort-priority); font-size: .8em; }',
+    ].join('\n');
+    var storageKeyPrefix = 'DataFormsJS-Sort:';
+
+    /**
+     * Return an array of [{ column, order }] from a string such as "2-desc,0-asc"
+     * @param {string|null} value
+     * @return {array}
+     */
+    function parseSortColumns(value) {
+        var sortColumns = [];
+        if (typeof value !== 'string' || value === '') {
+            return sortColumns;
+        }
+        value.split(',').forEach(function (item) {
+            var parts = item.trim().split('-');
+            if (/^\d+$/.test(parts[0]) && (parts[1] === 'asc' || parts[1] === 'desc')) {
+                sortColumns.push({ column: parseInt(parts[0], 10), order: parts[1] });
+            }
+        });
+        return sortColumns;
+    }
+
+    function formatSortColumns(sortColumns) {
+        return sortColumns.map(function (item) {
+            return item.column + '-' + item.order;
+        }).join(',');
+    }
+
+    function findSortColumn(sortColumns, column) {
+        for (var n = 0, m = sortColumns.length; n < m; n++) {
+            if (sortColumns[n].column === column) {
+                return n;
+            }
+        }
+        return -1;
+    }
+
+    // Return the last row of <thead>, a row of filter
+    // controls from [data-filter-row] is skipped.
+    function getHeaderRow(table) {
+        var rows = table.tHead.rows;
+        for (var n = rows.length - 1; n > 0; n--) {
+            if (rows[n].getAttribute('data-filter-controls') === null) {
+                return rows[n];
+            }
+        }
+        return rows[0];
+    }
+
+    function getSortKey(table) {
+        return table.getAttribute('data-sort-key') || table.id || 'sort';
+    }
+
+    /**
+     * Return the query string of the current URL without the leading '?'.
+     * With hash routing the query string is part of the hash.
+     *
+     * @return {object} { isHash, query }
+     */
+    function getUrlQuery() {
+        var hash = window.location.hash;
+        if (hash.indexOf('#/') === 0) {
+            var pos = hash.indexOf('?');
+            return { isHash: true, query: (pos === -1 ? '' : hash.substring(pos + 1)) };
+        }
+        return { isHash: false, query: window.location.search.substring(1) };
+    }
+
+    /**
+     * Return the saved sort for a table when using [data-sort-persist]
+     * @param {HTMLTableElement} table
+     * @return {array}
+     */
+    function loadSortState(table) {
+        var key = getSortKey(table);
+        switch (table.getAttribute('data-sort-persist')) {
+            case 'url':
+                var pairs = getUrlQuery().query.split('&');
+                for (var n = 0, m = pairs.length; n < m; n++) {
+                    var pos = pairs[n].indexOf('=');
+                    if (pos !== -1 && decodeURIComponent(pairs[n].substring(0, pos)) === key) {
+                        return parseSortColumns(decodeURIComponent(pairs[n].substring(pos + 1)));
+                    }
+                }
+                break;
+            case 'session':
+                try {
+                    return parseSortColumns(window.sessionStorage.getItem(storageKeyPrefix + window.location.pathname + window.location.hash.split('?')[0] + ':' + key));
+                } catch (e) {
+                    console.warn(e);
+                }
+                break;
+        }
+        return [];
+    }
+
+    /**
+     * Save the sort for a table when using [data-sort-persist]. The URL is
+     * updated with [history.replaceState()] so the route is not reloaded.
+     *
+     * @param {HTMLTableElement} table
+     * @param {array} sortColumns
+     */
+    function saveSortState(table, sortColumns) {
+        var key = getSortKey(table);
+        var value = formatSortColumns(sortColumns);
+        switch (table.getAttribute('data-sort-persist')) {
+            case 'url':
+                var urlQuery = getUrlQuery();
+                var pairs = urlQuery.query.split('&').filter(function (pair) {
+                    return (pair !== '' && decodeURIComponent(pair.split('=')[0]) !== key);
+                });
+                pairs.push(encodeURIComponent(key) + '=' + value);
+                var url;
+                if (urlQuery.isHash) {
+                    url = window.location.pathname + window.location.search + window.location.hash.split('?')[0] + '?' + pairs.join('&');
+                } else {
+                    url = window.location.pathname + '?' + pairs.join('&') + window.location.hash;
+                }
+                try {
+                    window.history.replaceState(window.history.state, document.title, url);
+                } catch (e) {
+                    console.warn(e);
+                }
+                break;
+            case 'session':
+                try {
+                    window.sessionStorage.setItem(storageKeyPrefix + window.location.pathname + window.location.hash.split('?')[0] + ':' + key, value);
+                } catch (e) {
+                    console.warn(e);
+                }
+                break;
+        }
+    }
+
     /**
      * Plugin Object
      */
@@ -59,7 +213,8 @@
          *   2) Numbers
          *   3) Dates
          *   4) Strings (case-insensitive)
-         *   5) all other types (not compared)
+         *   5) Natural Text from [data-sort-type="natural"]
+         *   6) all other types (not compared)
          *
          * @param {object} a
          * @param {object} b
@@ -115,6 +270,11 @@
                 }
             }
 
+            // 5) Natural Text, numbers in the text are compared by value
+            if (a.type === 'natural' && b.type === 'natural') {
+                return a.value.localeCompare(b.value, undefined, { numeric: true });
+            }
+
             // For any other types return them as 0 (equal) so that they
             // show up after other items and provide a warning as this shouldn't
             // happen unless the code is changed and breaks something.
@@ -123,7 +283,55 @@
         },
 
         /**
-         * Handle table column header clicks to sort rows by data in the clicked column
+         * Convert cell text to a value and type for [sortCompare()]. The type is
+         * detected from the text unless [sortType] is 'number', 'date', 'text', or
+         * 'natural' from the header cell attribute [data-sort-type].
+         *
+         * @param {string} cellText
+         * @param {string|null} sortType
+         * @return {object} { value, type }
+         */
+        getSortValue: function (cellText, sortType) {
+            var cellType = (typeof cellText);
+
+            // Convert to correct type from string (example '123' string to 123 number)
+            if (cellText === '') {
+                cellText = null;
+            } else if (sortType === 'number') {
+                cellText = parseFloat(cellText.replace(/[^0-9.-]/g, ''));
+                cellText = (isNaN(cellText) ? null : cellText);
+                cellType = 'number';
+            } else if (sortType === 'date') {
+                cellText = new Date(cellText);
+                cellText = (isNaN(cellText.getTime()) ? null : cellText);
+                cellType = 'date';
+            } else if (sortType === 'text' || sortType === 'natural') {
+                cellText = (cellText.toLocaleLowerCase !== undefined ? cellText.toLocaleLowerCase() : cellText.toLowerCase());
+                cellType = (sortType === 'natural' ? 'natural' : 'string');
+            } else if (!isNaN(cellText)) {
+                cellText = parseFloat(cellText);
+                cellType = 'number';
+            } else {
+                // Is it a Date?
+                var dateValue = new Date(cellText);
+                if (!isNaN(dateValue.getTime())) {
+                    cellText = dateValue;
+                    cellType = 'date';
+                } else {
+                    // Convert strings to lowercase
+                    cellText = (cellText.toLocaleLowerCase !== undefined ? cellText.toLocaleLowerCase() : cellText.toLowerCase());
+                }
+            }
+
+            return {
+                value: cellText,
+                type: (cellText === null ? null : cellType),
+            };
+        },
+
+        /**
+         * Handle table column header clicks to sort rows by data in the clicked column.
+         * If [Shift] is held down then the column is added to the current sort.
          * @param {Event} e
          */
         sortColumn: function (e) {
@@ -142,62 +350,109 @@
                 return;
             }
 
-            // Did the user click the same column? If so reverse Asc/Desc Sort order each time
-            var lastColumn = table.getAttribute('data-sort-column');
+            // Did the user click the same column? If so reverse Asc/Desc Sort order each time.
+            // When [Shift] is used add the column to the sort or reverse it if already sorted.
             var cellIndex = cell.cellIndex;
-            var sameColumn = (lastColumn !== null && parseInt(lastColumn, 10) === cellIndex);
-            var sortOrder = 'asc';
-            if (sameColumn) {
-                var lastOrder = table.getAttribute('data-sort-order');
-                sortOrder = (lastOrder === 'asc' ? 'desc' : 'asc');
+            var sortColumns = sort.getSortColumns(table);
+            var pos = findSortColumn(sortColumns, cellIndex);
+            if (e.shiftKey) {
+                if (pos === -1) {
+                    sortColumns.push({ column: cellIndex, order: 'asc' });
+                } else {
+                    sortColumns[pos].order = (sortColumns[pos].order === 'asc' ? 'desc' : 'asc');
+                }
+            } else {
+                var sameColumn = (pos === 0);
+                var sortOrder = 'asc';
+                if (sameColumn) {
+                    sortOrder = (sortColumns[0].order === 'asc' ? 'desc' : 'asc');
+                }
+                sortColumns = [{ column: cellIndex, order: sortOrder }];
             }
 
+            // Sort and save for [data-sort-persist]
+            sort.sortTable(table, sortColumns);
+            saveSortState(table, sortColumns);
+        },
+
+        /**
+         * Return the current sort of a table as [{ column, order }]. [data-sort-column]
+         * and [data-sort-order] are used if set from code that handles one column.
+         *
+         * @param {HTMLTableElement} table
+         * @return {array}
+         */
+        getSortColumns: function (table) {
+            var sortColumns = parseSortColumns(table.getAttribute('data-sort-columns'));
+            if (sortColumns.length === 0) {
+                var column = table.getAttribute('data-sort-column');
+                var order = table.getAttribute('data-sort-order');
+                if (column !== null) {
+                    sortColumns.push({ column: parseInt(column, 10), order: (order === 'desc' ? 'desc' : 'asc') });
+                }
+            }
+            return sortColumns;
+        },
+
+        /**
+         * Sort table rows by one or more columns and update the
+         * header cells with [aria-sort] and [data-sort-priority].
+         *
+         * Example:
+         *     app.plugins.sort.sortTable(table, [{ column: 2, order: 'desc' }, { column: 0, order: 'asc' }]);
+         *
+         * @param {HTMLTableElement} table
+         * @param {array} sortColumns
+         */
+        sortTable: function (table, sortColumns) {
+            // Column types from [data-sort-type] on the last header row
+            var headerRow = getHeaderRow(table);
+            var sortTypes = sortColumns.map(function (item) {
+                var headerCell = headerRow.cells[item.column];
+                return (headerCell === undefined ? null : headerCell.getAttribute('data-sort-type'));
+            });
+
             // Build an array of rows and determine the data type of the text
             // value in each cell to sort (null, number, string, etc).
             var tbody = table.tBodies[0];
             var tableRows = tbody.rows;
             var sortRows = [];
             for (var rowIndex = 0, rowCount = tableRows.length; rowIndex < rowCount; rowIndex++) {
-                // Get the cell text
-                var rowCell = tableRows[rowIndex].cells[cellIndex];
-                if (rowCell === undefined) {
-                    continue; // Might happen if a column uses rowspan
-                }
-                var value = rowCell.getAttribute('data-value');
-                var cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
-                var cellType = (typeof cellText);
-
-                // Convert to correct type from string (example '123' string to 123 number)
-                if (cellText === '') {
-                    cellText = null;
-                } else if (!isNaN(cellText)) {
-                    cellText = parseFloat(cellText);
-                } else {
-                    // Is it a Date?
-                    var dateValue = new Date(cellText);
-                    if (!isNaN(dateValue.getTime())) {
-                        cellText = dateValue;
-                        cellType = 'date';
-                    } else {
-                        // Convert strings to lowercase
-                        cellText = (cellText.toLocaleLowerCase !== undefined ? cellText.toLocaleLowerCase() : cellText.toLowerCase());
+                var values = [];
+                for (var x = 0, y = sortColumns.length; x < y; x++) {
+                    // Get the cell text
+                    var rowCell = tableRows[rowIndex].cells[sortColumns[x].column];
+                    if (rowCell === undefined) {
+                        break; // Might happen if a column uses rowspan
                     }
+                    var value = rowCell.getAttribute('data-value');
+                    var cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
+                    values.push(sort.getSortValue(cellText, sortTypes[x]));
+                }
+                if (values.length !== sortColumns.length) {
+                    continue;
                 }
 
                 // Add the row along with converted
-                // value and type to the sort rows array.
+                // values and types to the sort rows array.
                 sortRows.push({
                     row: tableRows[rowIndex],
-                    value: cellText,
-                    type: (cellText === null ? null : cellType),
+                    values: values,
+                    index: rowIndex,
                 });
             }
 
-            // Sort the array using the custom compare function in this file
-            sortRows.sort(sort.sortCompare);
-            if (sortOrder === 'desc') {
-                sortRows.reverse();
-            }
+            // Sort the array using the custom compare function in this file for each column
+            // in order of priority. If all values are the same the original position is kept.
+            sortRows.sort(function (a, b) {
+                for (var n = 0, m = sortColumns.length; n < m; n++) {
+                    var result = sort.sortCompare(a.values[n], b.values[n]);
+                    if (result !== 0) {
+                        return (sortColumns[n].order === 'desc' ? -result : result);
+                    }
+                }
+                return a.index - b.index;
+            });
 
             // Add back all rows to the <tbody> in the new sorted order.
             // This simply moves the elements around so they appear in the correct order.
@@ -230,9 +485,28 @@
                 tbody.appendChild(row);
             }
 
-            // Update attributes to save the currently sorted column and sort order
-            table.setAttribute('data-sort-column', cellIndex);
-            table.setAttribute('data-sort-order', sortOrder);
+            // Update header cells for screen readers and the sort indicator
+            for (var cellIndex = 0, cellCount = headerRow.cells.length; cellIndex < cellCount; cellIndex++) {
+                var headerCell = headerRow.cells[cellIndex];
+                var pos = findSortColumn(sortColumns, cellIndex);
+                if (pos === -1) {
+                    headerCell.removeAttribute('aria-sort');
+                    headerCell.removeAttribute('data-sort-priority');
+                } else {
+                    headerCell.setAttribute('aria-sort', (sortColumns[pos].order === 'asc' ? 'ascending' : 'descending'));
+                    if (sortColumns.length > 1) {
+                        headerCell.setAttribute('data-sort-priority', pos + 1);
+                    } else {
+                        headerCell.removeAttribute('data-sort-priority');
+                    }
+                }
+            }
+
+            // Update attributes to save the currently sorted columns and sort order.
+            // [data-sort-column] and [data-sort-order] are for the first sorted column.
+            table.setAttribute('data-sort-column', sortColumns[0].column);
+            table.setAttribute('data-sort-order', sortColumns[0].order);
+            table.setAttribute('data-sort-columns', formatSortColumns(sortColumns));
         },
 
         /**
@@ -267,7 +541,7 @@
                 // that use colspan or rowspan which may cause problems when sorting if used.
 
                 // Add click events to all the last header row of all columns
-                var row = table.tHead.rows[table.tHead.rows.length-1];
+                var row = getHeaderRow(table);
                 for (var cellIndex = 0, cellCount = row.cells.length; cellIndex < cellCount; cellIndex++) {
                     row.cells[cellIndex].addEventListener('click', sort.sortColumn);
                     row.cells[cellIndex].style.cursor = 'pointer';
@@ -275,6 +549,13 @@
 
                 // Mark the table as setup
                 table.setAttribute('data-sort-setup', '');
+                app.loadCss(sortStyleId, sortCss);
+
+                // Restore the sort when using [data-sort-persist]
+                var sortColumns = loadSortState(table);
+                if (sortColumns.length > 0) {
+                    sort.sortTable(table, sortColumns);
+                }
             });
         },
 
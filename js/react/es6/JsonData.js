@@ -122,6 +122,50 @@
  * <JsonData> to the child components in [isLoaded]. This can be used to pass
  * hook functions and data needed by the child component that doesn't come
  * from the Web Service.
+ *
+ * Data Caching:
+ *     <JsonData
+ *         ...
+ *         cacheTtl={600}
+ *         staleWhileRevalidate={true}>
+ *     </JsonData>
+ *
+ * [cacheTtl] is the number of seconds that downloaded data is valid for. When
+ * [staleWhileRevalidate={true}] is used expired data is displayed immediately
+ * while new data is downloaded in the background. The cache is available from
+ * [JsonData.dataCache] and shares data with the Framework [app.dataCache] and
+ * the <json-data> Web Component:
+ *     JsonData.dataCache.setTtl('/api/countries*', 600);
+ *     JsonData.dataCache.storage = 'sessionStorage'; // or 'indexedDB'
+ *     JsonData.dataCache.invalidate('/api/orders/*');
+ *
+ * Pagination:
+ *     <JsonData
+ *         ...
+ *         pagination="page"
+ *         pageSize={50}
+ *         appendPages={true}
+ *         infiniteScroll={true}>
+ *     </JsonData>
+ *
+ * [pagination] can be 'offset', 'page', or 'cursor' and works the same as the
+ * Framework [jsonData] page. Query string names and response fields can be changed
+ * with [pageParam, pageSizeParam, offsetParam, limitParam, cursorParam, listField,
+ * totalCountField, nextCursorField]. The component in [isLoaded] receives:
+ *     {props.pagination.page}
+ *     {props.pagination.pageCount}
+ *     {props.pagination.totalCount}
+ *     {props.pagination.hasMore}
+ *     {props.pagination.hasPrevious}
+ *     {props.pagination.pageNumbers.map(...)}
+ *     {props.pagination.isLoadingMore}
+ *     <button onClick={props.pagination.previousPage}>
+ *     <button onClick={props.pagination.nextPage}>
+ *     <button onClick={() => props.pagination.goToPage(3)}>
+ *     <button onClick={props.pagination.loadMore}>
+ * When [appendPages={true}] or [loadMore()] is used records from the next page
+ * are added to the existing list in [props.data] and with [infiniteScroll={true}]
+ * the next page is loaded once an element with [data-infinite-scroll-trigger] is visible.
  */
 
 /**
@@ -139,6 +183,7 @@
 /* eslint-disable no-console */
 
 import React from 'react';
+import { dataCache as sharedDataCache } from '../../web-components/utils-cache.js';
 
 /**
  * Data Caching for when [loadOnlyOnce={true}] is used
@@ -157,6 +202,40 @@ import React from 'react';
 const jsonDataCache = [];
 const graphQL_Cache = {};
 
+/**
+ * Default values for props used with [pagination]. These
+ * props are not included as URL Params for the request.
+ */
+const paginationDefaults = {
+    pagination: null,
+    pageSize: 20,
+    pageParam: 'page',
+    pageSizeParam: 'pageSize',
+    offsetParam: 'offset',
+    limitParam: 'limit',
+    cursorParam: 'cursor',
+    listField: 'data',
+    totalCountField: 'totalCount',
+    nextCursorField: 'nextCursor',
+    pageNumberCount: 7,
+};
+
+/**
+ * Initial pagination state, used when the component is created
+ * and again when the URL changes.
+ */
+function initialPageState() {
+    return {
+        page: 1,
+        pageCount: null,
+        totalCount: null,
+        hasMore: false,
+        hasPrevious: false,
+        pageNumbers: [],
+        isLoadingMore: false,
+    };
+}
+
 function saveDataToCache(url, query, params, data) {
     // [for (,,,)] is used instead of [for (... of ...)] due to a
     // fatal error when using Babel Standalone with browser code.
@@ -234,6 +313,7 @@ function IsLoaded(props) {
         params: props.params,
         handleChange: props.handleChange,
         childProps: props.childProps,
+        pagination: props.pagination,
     });
 }
 
@@ -250,6 +330,12 @@ export default class JsonData extends React.Component {
         this._isMounted = false;
         this.fetchData = this.fetchData.bind(this);
         this.handleChange = this.handleChange.bind(this);
+        this.goToPage = this.goToPage.bind(this);
+        this.nextPage = this.nextPage.bind(this);
+        this.previousPage = this.previousPage.bind(this);
+        this.loadMore = this.loadMore.bind(this);
+        this._pageCursors = [null];
+        this._infiniteScrollObserver = null;
 
         // [this._query] can be defined by this class automatically when using GraphQL.
         // Adding `query` to [this.props] has no affect on production builds of React
@@ -258,12 +344,16 @@ export default class JsonData extends React.Component {
         this._querySrc = (props && props.querySrc ? props.querySrc : undefined);
         this._query = (props && props.query ? props.query : undefined);
 
-        this.state = {
+        this.state = Object.assign({
             fetchState: 0,
             error: null,
             params: this.getUrlParams(),
             data: null,
-        };
+        }, initialPageState());
+    }
+
+    static get dataCache() {
+        return sharedDataCache;
     }
 
     getUrlParams() {
@@ -272,7 +362,7 @@ export default class JsonData extends React.Component {
             return (this.props.variables === undefined ? {} : this.props.variables);
         }
         for (const prop in this.props) {
-            if (prop !== 'url' && typeof this.props[prop] === 'string') {
+            if (prop !== 'url' && typeof this.props[prop] === 'string' && paginationDefaults[prop] === undefined) {
                 params[prop] = this.props[prop];
             }
         }
@@ -290,7 +380,7 @@ export default class JsonData extends React.Component {
         }
 
         // Load data from cache if it matches previous request
-        if (this.props.loadOnlyOnce) {
+        if (this.props.loadOnlyOnce && !this.props.pagination) {
             const data = getDataFromCache(this.props.url, this._query, this.getUrlParams());
             if (data !== null) {
                 this.setState({
@@ -343,12 +433,222 @@ export default class JsonData extends React.Component {
             needsRefresh = (prevUrl !== newUrl);
         }
         if (needsRefresh) {
-            this.setState({ params: this.getUrlParams() }, this.fetchData);
+            this._pageCursors = [null];
+            this.setState(Object.assign({ params: this.getUrlParams() }, initialPageState()), this.fetchData);
+        } else if (this.props.infiniteScroll && prevState.data !== this.state.data) {
+            this.setupInfiniteScroll();
         }
     }
 
     componentWillUnmount() {
         this._isMounted = false;
+        this.removeInfiniteScroll();
+    }
+
+    /**
+     * Return a prop used with [pagination] or the default value
+     * @param {string} name
+     * @return {*}
+     */
+    pageOption(name) {
+        const value = this.props[name];
+        if (value === undefined || value === null || value === '') {
+            return paginationDefaults[name];
+        }
+        if (typeof paginationDefaults[name] === 'number') {
+            const number = parseInt(value, 10);
+            return (isNaN(number) || number < 1 ? paginationDefaults[name] : number);
+        }
+        return value;
+    }
+
+    /**
+     * Return the URL to download the current page. When using [pagination="cursor"]
+     * and the previous response defined the next page from a [Link] Response
+     * Header then the URL from the header is used.
+     *
+     * @param {string} url
+     * @return {string}
+     */
+    buildPageUrl(url) {
+        const page = this.state.page;
+        const pageSize = this.pageOption('pageSize');
+        const query = {};
+        switch (this.props.pagination) {
+            case 'offset':
+                query[this.pageOption('offsetParam')] = (page - 1) * pageSize;
+                query[this.pageOption('limitParam')] = pageSize;
+                break;
+            case 'page':
+                query[this.pageOption('pageParam')] = page;
+                query[this.pageOption('pageSizeParam')] = pageSize;
+                break;
+            case 'cursor': {
+                const cursor = this._pageCursors[page - 1];
+                if (cursor && typeof cursor === 'object') {
+                    return cursor.url;
+                }
+                if (cursor !== null && cursor !== undefined) {
+                    query[this.pageOption('cursorParam')] = cursor;
+                }
+                query[this.pageOption('limitParam')] = pageSize;
+                break;
+            }
+            default:
+                return url;
+        }
+        const queryString = Object.keys(query).map(key => encodeURIComponent(key) + '=' + encodeURIComponent(query[key])).join('&');
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + queryString;
+    }
+
+    /**
+     * Return new state from a downloaded page. If [previousList] is an array
+     * then records from the response are added to the end of it. When the
+     * response is an array [data] is also an array.
+     *
+     * @param {object|array} data
+     * @param {object} headers - [totalCount] and [nextUrl] from Response Headers
+     * @param {array|null} previousList
+     * @return {object}
+     */
+    getPageState(data, headers, previousList) {
+        const page = this.state.page;
+        const pageSize = this.pageOption('pageSize');
+        const listField = this.pageOption('listField');
+        const isArray = Array.isArray(data);
+        let list = (isArray ? data : data[listField]);
+        list = (Array.isArray(list) ? list : []);
+        const pageLength = list.length;
+        if (Array.isArray(previousList)) {
+            list = previousList.concat(list);
+        }
+
+        // Total Count and Page Count
+        let totalCount = (isArray ? NaN : parseInt(data[this.pageOption('totalCountField')], 10));
+        if (isNaN(totalCount) && headers.totalCount !== null) {
+            totalCount = parseInt(headers.totalCount, 10);
+        }
+        totalCount = (isNaN(totalCount) ? null : totalCount);
+        const pageCount = (totalCount === null ? null : Math.max(1, Math.ceil(totalCount / pageSize)));
+
+        // Check if there is another page
+        let hasMore;
+        if (this.props.pagination === 'cursor') {
+            let nextCursor = (isArray ? null : data[this.pageOption('nextCursorField')]);
+            if (nextCursor === undefined || nextCursor === null || nextCursor === '') {
+                nextCursor = (headers.nextUrl ? { url: headers.nextUrl } : null);
+            }
+            this._pageCursors = this._pageCursors.slice(0, page);
+            if (nextCursor !== null) {
+                this._pageCursors.push(nextCursor);
+            }
+            hasMore = (nextCursor !== null);
+        } else if (pageCount !== null) {
+            hasMore = (page < pageCount);
+        } else {
+            hasMore = (pageLength >= pageSize);
+        }
+        if (!isArray && typeof data.hasMore === 'boolean') {
+            hasMore = data.hasMore;
+        }
+
+        // Page numbers to show around the current page
+        let lastPage = pageCount;
+        if (this.props.pagination === 'cursor') {
+            lastPage = this._pageCursors.length;
+        } else if (lastPage === null) {
+            lastPage = (hasMore ? page + 1 : page);
+        }
+        const count = this.pageOption('pageNumberCount');
+        const start = Math.max(1, Math.min(page - Math.floor(count / 2), lastPage - count + 1));
+        const pageNumbers = [];
+        for (let n = start; n <= lastPage && n < start + count; n++) {
+            pageNumbers.push({ page: n, isCurrent: (n === page) });
+        }
+
+        // A new object is created so that data saved in the cache is not modified
+        if (!isArray) {
+            list = Object.assign({}, data, { [listField]: list });
+        }
+        return {
+            data: list,
+            totalCount: totalCount,
+            pageCount: pageCount,
+            hasMore: hasMore,
+            hasPrevious: (page > 1 && previousList === null && !this.props.appendPages),
+            pageNumbers: pageNumbers,
+            isLoadingMore: false,
+            error: null,
+        };
+    }
+
+    /**
+     * Download a specific page. When [append] is true records are added to the
+     * existing list, otherwise the current records are replaced.
+     *
+     * @param {number|string} page
+     * @param {boolean} append
+     * @return {boolean}
+     */
+    goToPage(page, append = false) {
+        page = parseInt(page, 10);
+        if (this._isFetching || isNaN(page) || page < 1 || (this.state.pageCount !== null && page > this.state.pageCount)) {
+            return false;
+        }
+        if (this.props.pagination === 'cursor' && page > this._pageCursors.length) {
+            return false;
+        }
+        this.setState({
+            page: page,
+            isLoadingMore: (append === true),
+        }, this.fetchData);
+        return true;
+    }
+
+    nextPage() {
+        if (this.props.appendPages) {
+            return this.loadMore();
+        }
+        return (this.state.hasMore ? this.goToPage(this.state.page + 1) : false);
+    }
+
+    previousPage() {
+        return this.goToPage(this.state.page - 1);
+    }
+
+    loadMore() {
+        if (!this.state.hasMore || this.state.isLoadingMore) {
+            return false;
+        }
+        return this.goToPage(this.state.page + 1, true);
+    }
+
+    /**
+     * When using [infiniteScroll] call [loadMore()] once an
+     * element with [data-infinite-scroll-trigger] becomes visible.
+     */
+    setupInfiniteScroll() {
+        this.removeInfiniteScroll();
+        if (window.IntersectionObserver === undefined) {
+            return;
+        }
+        const element = document.querySelector('[data-infinite-scroll-trigger]');
+        if (element === null) {
+            return;
+        }
+        this._infiniteScrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        });
+        this._infiniteScrollObserver.observe(element);
+    }
+
+    removeInfiniteScroll() {
+        if (this._infiniteScrollObserver !== null) {
+            this._infiniteScrollObserver.disconnect();
+            this._infiniteScrollObserver = null;
+        }
     }
 
     buildUrl(params) {
@@ -372,6 +672,21 @@ export default class JsonData extends React.Component {
         }
         this._isFetching = true;
 
+        // When using [pagination] add query string values for the current page.
+        // When loading more records the current records remain visible.
+        const usePagination = (this.props.pagination && this.props.graphQL !== true);
+        const isLoadingMore = (usePagination && this.state.isLoadingMore);
+        const pageHeaders = { totalCount: null, nextUrl: null };
+        let previousList = null;
+        if (usePagination) {
+            url = this.buildPageUrl(url);
+            if (isLoadingMore) {
+                const data = this.state.data;
+                previousList = (Array.isArray(data) ? data : (data ? data[this.pageOption('listField')] : null));
+                previousList = (Array.isArray(previousList) ? previousList : null);
+            }
+        }
+
         // Default Options for fetch
         let options = {
             mode: 'cors',
@@ -412,18 +727,30 @@ export default class JsonData extends React.Component {
             }
         }
 
-        // Set state to render <IsLoading> then fetch data
-        this.setState({
-            fetchState: 0,
-        }, () => {
-            // Allow Custom JavaScript events to run if defined
-            this.updateView();
+        // Optionally use [JsonData.dataCache]. Only GET requests are cached and if
+        // [cacheTtl] is not defined then rules from [dataCache.setTtl()] are used.
+        // Requests that send [fetchHeaders] such as [Authorization] use a separate key.
+        let cacheTtl = null;
+        let isRevalidating = false;
+        const cacheKey = sharedDataCache.getKey(url, options.headers);
+        const method = (options.method === undefined ? 'GET' : String(options.method).toUpperCase());
+        if (this.props.graphQL !== true && method === 'GET') {
+            cacheTtl = (this.props.cacheTtl === undefined || this.props.cacheTtl === null ? sharedDataCache.getTtl(url) : parseFloat(this.props.cacheTtl));
+            cacheTtl = (isNaN(cacheTtl) ? null : cacheTtl);
+        }
 
-            // Fetch the data
+        // Fetch the data
+        const downloadData = () => {
             fetch(url, options)
             .then(response => {
                 const status = response.status;
                 if ((status >= 200 && status < 300) || status === 304) {
+                    if (usePagination) {
+                        const link = response.headers.get('Link');
+                        const match = (link ? /<([^>]*)>[^<]*rel="?next"?/i.exec(link) : null);
+                        pageHeaders.totalCount = response.headers.get('X-Total-Count');
+                        pageHeaders.nextUrl = (match ? match[1] : null);
+                    }
                     return Promise.resolve(response);
                 } else {
                     const error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
@@ -449,16 +776,40 @@ export default class JsonData extends React.Component {
                     }
                 }
                 if (this._isMounted) {
-                    this.setState({
-                        fetchState: 1,
-                        data: (graphQL ? data.data : data),
-                    });
+                    if (usePagination) {
+                        this.setState(Object.assign({ fetchState: 1 }, this.getPageState(data, pageHeaders, previousList)));
+                    } else {
+                        this.setState({
+                            fetchState: 1,
+                            data: (graphQL ? data.data : data),
+                        });
+                    }
                 }
-                if (this.props.loadOnlyOnce) {
+                if (this.props.loadOnlyOnce && !usePagination) {
                     saveDataToCache(this.props.url, this._query, this.getUrlParams(), (graphQL ? data.data : data));
                 }
+                if (cacheTtl !== null) {
+                    sharedDataCache.set(cacheKey, data);
+                }
             })
             .catch(error => {
+                if (isRevalidating) {
+                    // Keep showing the cached data
+                    console.error(error);
+                    return;
+                }
+                if (isLoadingMore) {
+                    // Keep showing the current records
+                    console.error(error);
+                    if (this._isMounted) {
+                        this.setState({
+                            page: this.state.page - 1,
+                            isLoadingMore: false,
+                            error: error.toString(),
+                        });
+                    }
+                    return;
+                }
                 if (this._isMounted) {
                     this.setState({
                         fetchState: -1,
@@ -470,6 +821,55 @@ export default class JsonData extends React.Component {
                 this._isFetching = false;
                 this.updateView();
             });
+        };
+
+        // Set state to render <IsLoading> then fetch data
+        const showLoadingAndDownload = () => {
+            if (isLoadingMore) {
+                this.updateView();
+                downloadData();
+                return;
+            }
+            this.setState({
+                fetchState: 0,
+            }, () => {
+                // Allow Custom JavaScript events to run if defined
+                this.updateView();
+                downloadData();
+            });
+        };
+        if (cacheTtl === null) {
+            showLoadingAndDownload();
+            return;
+        }
+
+        // Show cached data if valid. When using [staleWhileRevalidate] expired
+        // data is displayed while new data is downloaded in the background.
+        sharedDataCache.get(cacheKey).then(entry => {
+            if (entry !== null) {
+                const isValid = (Date.now() - entry.time < cacheTtl * 1000);
+                if (isValid || this.props.staleWhileRevalidate) {
+                    if (this._isMounted) {
+                        if (usePagination) {
+                            this.setState(Object.assign({ fetchState: 1 }, this.getPageState(entry.data, pageHeaders, previousList)));
+                        } else {
+                            this.setState({
+                                fetchState: 1,
+                                data: entry.data,
+                            });
+                        }
+                    }
+                    if (isValid) {
+                        this._isFetching = false;
+                        this.updateView();
+                    } else {
+                        isRevalidating = true;
+                        downloadData();
+                    }
+                    return;
+                }
+            }
+            showLoadingAndDownload();
         });
     }
 
@@ -503,6 +903,30 @@ export default class JsonData extends React.Component {
         }
     }
 
+    /**
+     * Return the [pagination] prop passed to the component defined in [isLoaded]
+     * @return {object|undefined}
+     */
+    getPaginationProps() {
+        if (!this.props.pagination) {
+            return undefined;
+        }
+        return {
+            page: this.state.page,
+            pageCount: this.state.pageCount,
+            totalCount: this.state.totalCount,
+            hasMore: this.state.hasMore,
+            hasPrevious: this.state.hasPrevious,
+            pageNumbers: this.state.pageNumbers,
+            isLoadingMore: this.state.isLoadingMore,
+            error: this.state.error,
+            goToPage: this.goToPage,
+            nextPage: this.nextPage,
+            previousPage: this.previousPage,
+            loadMore: this.loadMore,
+        };
+    }
+
     render() {
         // JSX Version:
         //
@@ -522,7 +946,8 @@ export default class JsonData extends React.Component {
         //             data={this.state.data}
         //             params={this.state.params}
         //             handleChange={this.handleChange}
-        //             childProps={this.props.childProps}>
+        //             childProps={this.props.childProps}
+        //             pagination={this.getPaginationProps()}>
         //             {this.props.isLoaded}
         //         </IsLoaded>
         //     </React.Fragment>
@@ -551,6 +976,7 @@ export default class JsonData extends React.Component {
                     params: this.state.params,
                     handleChange: this.handleChange,
                     childProps: this.props.childProps,
+                    pagination: this.getPaginationProps(),
                 },
                 this.props.isLoaded
             )
@@ -13,6 +13,20 @@
  * after it is initially loaded.
  *
  * The class is based on the standard framework plugin [DataFormsJS\js\Plugins\sort.js]
+ *
+ * Holding [Shift] while clicking a column adds it to the current sort so rows can be
+ * sorted by multiple columns. Sorted header cells have [aria-sort] and [data-sort-priority]
+ * attributes and show an arrow with the sort priority. Props are passed to the <table> so
+ * the same attributes as the plugin can be used to keep the sort when the table is rendered
+ * again and to set the data type of a column:
+ *     <SortableTable data-sort-persist="session" data-sort-key="orders">
+ *         <thead><tr><th data-sort-type="natural">Item</th>...</tr></thead>
+ *         ...
+ *     </SortableTable>
+ *
+ * [data-sort-persist] is either "url" for the query string or "session" for [sessionStorage]
+ * and [data-sort-key] defaults to the table [id] or "sort". Supported [data-sort-type]
+ * values are "date", "number", "text", and "natural".
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -24,6 +38,21 @@
 /* eslint-disable no-console */
 
 import React from 'react';
+import {
+    getSortObject,
+    smartSort,
+    formatSortColumns,
+    findSortColumn,
+    getSortColumns,
+    loadSortState,
+    saveSortState
+} from '../../web-components/utils-sort.js';
+
+const sortStyleId = 'DataFormsJS-sort-style';
+const sortCss = `
+    table[data-sort-columns] th[aria-sort="ascending"]::after { content: " \\25B2" attr(data-sort-priority); font-size: .8em; }
+    table[data-sort-columns] th[aria-sort="descending"]::after { content: " \\25BC" attr(data-sort-priority); font-size: .8em; }
+`;
 
 export default class SortableTable extends React.Component {
     constructor(props) {
@@ -36,6 +65,25 @@ export default class SortableTable extends React.Component {
         this.setupTable();
     }
 
+    componentDidUpdate() {
+        // Rows may have been added or changed so sort again using the current sort
+        const table = this.table.current;
+        const sortColumns = getSortColumns(table);
+        if (sortColumns.length > 0 && table.tHead !== null && table.tBodies.length === 1) {
+            this.sortTable(table, sortColumns);
+        }
+    }
+
+    loadCss() {
+        let style = document.getElementById(sortStyleId);
+        if (style === null) {
+            style = document.createElement('style');
+            style.id = sortStyleId;
+            style.innerHTML = sortCss;
+            document.head.appendChild(style);
+        }
+    }
+
     setupTable() {
         const table = this.table.current;
 
@@ -67,10 +115,18 @@ export default class SortableTable extends React.Component {
             row.cells[cellIndex].addEventListener('click', this.sortColumn);
             row.cells[cellIndex].style.cursor = 'pointer';
         }
+        this.loadCss();
+
+        // Restore the sort when using [data-sort-persist]
+        const sortColumns = loadSortState(table);
+        if (sortColumns.length > 0) {
+            this.sortTable(table, sortColumns);
+        }
     }
 
     /**
-     * Handle Column Header Click to Sort Rows by Data in the Column
+     * Handle Column Header Click to Sort Rows by Data in the Column.
+     * If [Shift] is held down then the column is added to the current sort.
      * @param {Event} e
      */
     sortColumn(e) {
@@ -88,62 +144,87 @@ export default class SortableTable extends React.Component {
             return;
         }
 
-        // Did the user click the same column? If so reverse Asc/Desc Sort order each time
-        const lastColumn = table.getAttribute('data-sort-column');
+        // Did the user click the same column? If so reverse Asc/Desc Sort order each time.
+        // When [Shift] is used add the column to the sort or reverse it if already sorted.
         const cellIndex = cell.cellIndex;
-        const sameColumn = (lastColumn !== null && parseInt(lastColumn, 10) === cellIndex);
-        let sortOrder = 'asc';
-        if (sameColumn) {
-            const lastOrder = table.getAttribute('data-sort-order');
-            sortOrder = (lastOrder === 'asc' ? 'desc' : 'asc');
+        let sortColumns = getSortColumns(table);
+        const pos = findSortColumn(sortColumns, cellIndex);
+        if (e.shiftKey) {
+            if (pos === -1) {
+                sortColumns.push({ column: cellIndex, order: 'asc' });
+            } else {
+                sortColumns[pos].order = (sortColumns[pos].order === 'asc' ? 'desc' : 'asc');
+            }
+        } else {
+            const sameColumn = (pos === 0);
+            let sortOrder = 'asc';
+            if (sameColumn) {
+                sortOrder = (sortColumns[0].order === 'asc' ? 'desc' : 'asc');
+            }
+            sortColumns = [{ column: cellIndex, order: sortOrder }];
         }
 
+        // Sort and save for [data-sort-persist]
+        this.sortTable(table, sortColumns);
+        saveSortState(table, sortColumns);
+    }
+
+    /**
+     * Sort table rows by one or more columns and update the header
+     * cells with [aria-sort] and [data-sort-priority].
+     *
+     * @param {HTMLTableElement} table
+     * @param {array} sortColumns - [{ column, order }]
+     */
+    sortTable(table, sortColumns) {
+        // Column types from [data-sort-type] on the last header row
+        const headerRow = table.tHead.rows[table.tHead.rows.length-1];
+        const sortTypes = sortColumns.map(item => {
+            const headerCell = headerRow.cells[item.column];
+            return (headerCell === undefined ? null : headerCell.getAttribute('data-sort-type'));
+        });
+
         // Build an array of rows and determine the data type of the text
         // value in each cell to sort (null, number, string, etc).
         const tbody = table.tBodies[0];
         const tableRows = tbody.rows;
         const sortRows = [];
         for (let rowIndex = 0, rowCount = tableRows.length; rowIndex < rowCount; rowIndex++) {
-            // Get the cell text
-            const rowCell = tableRows[rowIndex].cells[cellIndex];
-            if (rowCell === undefined) {
-                continue; // Might happen if a column uses rowspan
-            }
-            const value = rowCell.getAttribute('data-value');
-            let cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
-            let cellType = (typeof cellText);
-
-            // Convert to correct type from string (example '123' string to 123 number)
-            if (cellText === '') {
-                cellText = null;
-            } else if (!isNaN(cellText)) {
-                cellText = parseFloat(cellText);
-            } else {
-                // Is it a Date?
-                const dateValue = new Date(cellText);
-                if (!isNaN(dateValue.getTime())) {
-                    cellText = dateValue;
-                    cellType = 'date';
-                } else {
-                    // Convert strings to lowercase
-                    cellText = (cellText.toLocaleLowerCase !== undefined ? cellText.toLocaleLowerCase() : cellText.toLowerCase());
+            const values = [];
+            for (let n = 0, m = sortColumns.length; n < m; n++) {
+                // Get the cell text
+                const rowCell = tableRows[rowIndex].cells[sortColumns[n].column];
+                if (rowCell === undefined) {
+                    break; // Might happen if a column uses rowspan
                 }
+                const value = rowCell.getAttribute('data-value');
+                const cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
+                values.push(getSortObject(null, cellText, sortTypes[n]));
+            }
+            if (values.length !== sortColumns.length) {
+                continue;
             }
 
             // Add the row along with converted
-            // value and type to the sort rows array.
+            // values and types to the sort rows array.
             sortRows.push({
                 row: tableRows[rowIndex],
-                value: cellText,
-                type: (cellText === null ? null : cellType),
+                values: values,
+                index: rowIndex,
             });
         }
 
-        // Sort the array using the custom compare function in this file
-        sortRows.sort(this.sortCompare);
-        if (sortOrder === 'desc') {
-            sortRows.reverse();
-        }
+        // Sort the array using the custom compare function in this file for each column
+        // in order of priority. If all values are the same the original position is kept.
+        sortRows.sort((a, b) => {
+            for (let n = 0, m = sortColumns.length; n < m; n++) {
+                const result = this.sortCompare(a.values[n], b.values[n]);
+                if (result !== 0) {
+                    return (sortColumns[n].order === 'desc' ? -result : result);
+                }
+            }
+            return a.index - b.index;
+        });
 
         // Add back all rows to the <tbody> in the new sorted order.
         // This simply moves the elements around so they appear in the correct order.
@@ -176,9 +257,28 @@ export default class SortableTable extends React.Component {
             tbody.appendChild(row);
         }
 
-        // Update attributes to save the currently sorted column and sort order
-        table.setAttribute('data-sort-column', cellIndex);
-        table.setAttribute('data-sort-order', sortOrder);
+        // Update header cells for screen readers and the sort indicator
+        for (let cellIndex = 0, cellCount = headerRow.cells.length; cellIndex < cellCount; cellIndex++) {
+            const headerCell = headerRow.cells[cellIndex];
+            const pos = findSortColumn(sortColumns, cellIndex);
+            if (pos === -1) {
+                headerCell.removeAttribute('aria-sort');
+                headerCell.removeAttribute('data-sort-priority');
+            } else {
+                headerCell.setAttribute('aria-sort', (sortColumns[pos].order === 'asc' ? 'ascending' : 'descending'));
+                if (sortColumns.length > 1) {
+                    headerCell.setAttribute('data-sort-priority', pos + 1);
+                } else {
+                    headerCell.removeAttribute('data-sort-priority');
+                }
+            }
+        }
+
+        // Update attributes to save the currently sorted columns and sort order.
+        // [data-sort-column] and [data-sort-order] are for the first sorted column.
+        table.setAttribute('data-sort-column', sortColumns[0].column);
+        table.setAttribute('data-sort-order', sortColumns[0].order);
+        table.setAttribute('data-sort-columns', formatSortColumns(sortColumns));
     }
 
     /**
@@ -192,67 +292,17 @@ export default class SortableTable extends React.Component {
      *   2) Numbers
      *   3) Dates
      *   4) Strings (case-insensitive)
-     *   5) all other types (not compared)
+     *   5) Natural Text from [data-sort-type="natural"]
+     *   6) all other types (not compared)
+     *
+     * This uses [smartSort()] from [web-components/utils-sort.js] which
+     * is shared with the <sortable-table> Web Component.
      *
      * @param {object} a
      * @param {object} b
      */
     sortCompare(a, b) {
-        // 1) Null Values
-        if (a.type === null && b.type !== null) {
-            return -1;
-        } else if (b.type === null && a.type !== null) {
-            return 1;
-        } else if (a.type === null && b.type === null) {
-            return 0;
-        }
-
-        // 2) Numbers
-        if (a.type === 'number' && b.type !== 'number') {
-            return -1;
-        } else if (b.type === 'number' && a.type !== 'number') {
-            return 1;
-        } else if (a.type === 'number' && b.type === 'number') {
-            // Compare numbers
-            return a.value - b.value;
-        }
-
-        // 3) Dates
-        if (a.type === 'date' && b.type !== 'date') {
-            return -1;
-        } else if (b.type === 'date' && a.type !== 'date') {
-            return 1;
-        } else if (a.type === 'date' && b.type === 'date') {
-            // Compare dates
-            if (a.value < b.value) {
-                return -1;
-            } else if (a.value > b.value) {
-                return 1;
-            } else {
-                return 0;
-            }
-        }
-
-        // 4) Strings
-        if (a.type === 'string' && b.type === 'string') {
-            if (a.value.localeCompare !== undefined) {
-                return a.value.localeCompare(b.value);
-            } else {
-                if (a.value < b.value) {
-                    return -1;
-                } else if (a.value > b.value) {
-                    return 1;
-                } else {
-                    return 0;
-                }
-            }
-        }
-
-        // For any other types return them as 0 (equal) so that they
-        // show up after other items and provide a warning as this shouldn't
-        // happen unless the code is changed and breaks something.
-        console.warn('A code change from [SortableTable] impacted sorting and caused an expected error so the data may appear out of order. Please review your code changes');
-        return 0;
+        return smartSort(a, b);
     }
 
     render() {
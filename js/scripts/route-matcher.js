@@ -0,0 +1,257 @@
+/**
+ * DataFormsJS Route Matcher
+ *
+ * Matches URL paths to route patterns. This file is shared by the
+ * <url-router> Web Component and the Node server [server/app.js]. The
+ * Framework function [app.routeMatches()] in [js/DataFormsJS.js] uses the
+ * same code so the Framework can be used as a single file.
+ *
+ * Route Syntax:
+ *     /orders               Exact segment
+ *     /orders/:id           Named parameter, matches one segment
+ *     /orders/:id?          Optional parameter
+ *     /orders/:id(\d+)      Parameter that must match a RegExp
+ *     /files/*path          Splat, matches the rest of the URL (zero or more segments)
+ *     *                     Catch-all route, for example a custom 404 page
+ *
+ * When multiple routes match the same URL the most specific route is used,
+ * for example '/orders/new' is used before '/orders/:id' regardless of the
+ * order that the routes are defined in. Segments are compared from left to right
+ * in the order of: exact segment, RegExp parameter, parameter, optional parameter, splat.
+ *
+ * Example Usage:
+ *     // Node
+ *     const routeMatcher = require('../js/scripts/route-matcher.js');
+ *
+ *     // Browser, either <script src> or from an ES Module:
+ *     import '../scripts/route-matcher.js';
+ *     const routeMatcher = window.dataformsjsRouteMatcher;
+ *
+ *     routeMatcher.match('/orders/123', '/orders/:id(\\d+)');
+ *     // { isMatch:true, args:['123'], namedArgs:{ id:'123' } }
+ *
+ *     routeMatcher.findRoute('/orders/new', ['/orders/:id', '/orders/new']);
+ *     // { index:1, isMatch:true, args:[], namedArgs:{} }
+ *
+ * @link     https://www.dataformsjs.com
+ * @author   Conrad Sollitt (https://conradsollitt.com)
+ * @license  MIT
+ */
+
+/* Validates with both [jshint] and [eslint] */
+/* global module */
+/* jshint strict: true */
+/* eslint-env browser */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint strict: ["error", "function"] */
+/* eslint spaced-comment: ["error", "always"] */
+
+(function (root) {
+    'use strict';
+
+    // Segment scores used to rank routes, higher is more specific
+    var SegmentScore = {
+        Exact: 4,
+        RegExp: 3,
+        Param: 2,
+        Optional: 1,
+        Splat: 0,
+    };
+
+    // Parsed routes are cached by route path
+    var parsedRoutes = {};
+
+    /**
+     * Convert a route path to an array of segment tokens
+     *
+     * @param {string} routePath
+     * @return {array}
+     */
+    function parse(routePath) {
+        if (parsedRoutes[routePath] !== undefined) {
+            return parsedRoutes[routePath];
+        }
+        var tokens = routePath.split('/').map(function(segment) {
+            var first = segment.substring(0, 1);
+            if (first === '*') {
+                return { type: 'splat', name: (segment.length > 1 ? segment.substring(1) : '*'), score: SegmentScore.Splat };
+            } else if (first !== ':') {
+                return { type: 'exact', value: segment, score: SegmentScore.Exact };
+            }
+            var name = segment.substring(1);
+            var optional = (name.substring(name.length - 1) === '?');
+            if (optional) {
+                name = name.substring(0, name.length - 1);
+            }
+            var regex = null;
+            var pos = name.indexOf('(');
+            if (pos > 0 && name.substring(name.length - 1) === ')') {
+                regex = new RegExp('^(?:' + name.substring(pos + 1, name.length - 1) + ')$');
+                name = name.substring(0, pos);
+            }
+            return {
+                type: 'param',
+                name: name,
+                regex: regex,
+                optional: optional,
+                score: (optional ? SegmentScore.Optional : (regex === null ? SegmentScore.Param : SegmentScore.RegExp)),
+            };
+        });
+        parsedRoutes[routePath] = tokens;
+        return tokens;
+    }
+
+    /**
+     * Decode a URL segment, invalid values are returned as-is
+     *
+     * @param {string} value
+     * @return {string}
+     */
+    function decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    /**
+     * Compare path segments starting at specific positions. Values for parameters
+     * are added to [values] as `{ token, value }`. Optional parameters and splats
+     * are checked with and without the segment so routes such as '/:a?/:b'
+     * can match either one or two segments.
+     *
+     * @param {array} tokens
+     * @param {number} t - Token position
+     * @param {array} parts - Decoded URL segments
+     * @param {number} p - Segment position
+     * @param {array} values
+     * @return {bool}
+     */
+    function matchSegments(tokens, t, parts, p, values) {
+        if (t === tokens.length) {
+            return (p === parts.length);
+        }
+        var token = tokens[t];
+        var count = values.length;
+        if (token.type === 'exact') {
+            return (p < parts.length && parts[p] === token.value && matchSegments(tokens, t + 1, parts, p + 1, values));
+        } else if (token.type === 'splat') {
+            for (var end = parts.length; end >= p; end--) {
+                values.push({ token: token, value: parts.slice(p, end).join('/') });
+                if (matchSegments(tokens, t + 1, parts, end, values)) {
+                    return true;
+                }
+                values.length = count;
+            }
+            return false;
+        }
+        if (p < parts.length && (token.regex === null || token.regex.test(parts[p]))) {
+            values.push({ token: token, value: parts[p] });
+            if (matchSegments(tokens, t + 1, parts, p + 1, values)) {
+                return true;
+            }
+            values.length = count;
+        }
+        if (token.optional) {
+            values.push({ token: token, value: undefined });
+            if (matchSegments(tokens, t + 1, parts, p, values)) {
+                return true;
+            }
+            values.length = count;
+        }
+        return false;
+    }
+
+    var routeMatcher = {
+        /**
+         * Check if a Route path is a match to a specified URL path.
+         * Optional parameters that are not in the URL are `undefined` in [args]
+         * and not included in [namedArgs].
+         *
+         * Examples:
+         *     match('/page1', '/page2')
+         *         returns { isMatch:false }
+         *
+         *     match('/orders/edit/123', '/:record/:view/:id')
+         *         returns {
+         *             isMatch: true,
+         *             args: ['orders', 'edit', '123'],
+         *             namedArgs: { record:'orders', view:'edit', id:'123' }
+         *         }
+         *
+         * @param {string} path - The URL path to compare against
+         * @param {string} routePath - The route pattern
+         * @return {object}
+         */
+        match: function(path, routePath) {
+            var parts = path.split('/').map(decode);
+            var values = [];
+            if (!matchSegments(parse(routePath), 0, parts, 0, values)) {
+                return { isMatch: false };
+            }
+            var args = [];
+            var namedArgs = {};
+            values.forEach(function(item) {
+                args.push(item.value);
+                if (item.value !== undefined) {
+                    namedArgs[item.token.name] = item.value;
+                }
+            });
+            return { isMatch: true, args: args, namedArgs: namedArgs };
+        },
+
+        /**
+         * Compare how specific two routes are for sorting. Returns a negative
+         * number if [routePathA] is more specific, a positive number if
+         * [routePathB] is more specific, or 0 if they are equal.
+         *
+         * @param {string} routePathA
+         * @param {string} routePathB
+         * @return {number}
+         */
+        compare: function(routePathA, routePathB) {
+            var a = parse(routePathA);
+            var b = parse(routePathB);
+            for (var n = 0, m = Math.min(a.length, b.length); n < m; n++) {
+                if (a[n].score !== b[n].score) {
+                    return b[n].score - a[n].score;
+                }
+            }
+            // If all compared segments are equal then the shorter route is used
+            return a.length - b.length;
+        },
+
+        /**
+         * Find the most specific matching route from an array of route paths.
+         * Routes of equal rank are used in the order they are defined.
+         * Returns null if no routes match or the result of [match()]
+         * along with the [index] of the matching route.
+         *
+         * @param {string} path
+         * @param {array} routePaths
+         * @return {object|null}
+         */
+        findRoute: function(path, routePaths) {
+            var best = null;
+            for (var n = 0, m = routePaths.length; n < m; n++) {
+                if (best !== null && routeMatcher.compare(routePaths[n], routePaths[best.index]) >= 0) {
+                    continue;
+                }
+                var result = routeMatcher.match(path, routePaths[n]);
+                if (result.isMatch) {
+                    result.index = n;
+                    best = result;
+                }
+            }
+            return best;
+        },
+    };
+
+    // Export for Node or add to the global scope
+    if (typeof module === 'object' && module.exports) {
+        module.exports = routeMatcher;
+    } else {
+        root.dataformsjsRouteMatcher = routeMatcher;
+    }
+})(typeof window === 'undefined' ? this : window);
@@ -10,6 +10,22 @@
  * specify a CSS selector for the template and JavaScript Template literals
  * (Template strings) are used for the template format. All variables in the
  * template will be escaped for HTML encoding.
+ *
+ * When [virtual-scroll] is defined only the items in view are rendered and the
+ * element becomes a scroll container with a max height from the attribute value
+ * (default "400px"). Use [row-height] to set the height of each item in pixels
+ * or it will be measured from the first rendered item. Filtering and highlighting
+ * services work from the records in [value] rather than the rendered elements.
+ *     <data-list virtual-scroll="600px" row-height="24"></data-list>
+ *
+ * Items are rendered from a view of the records in [value] so sorting and filtering
+ * from JavaScript work on the record fields. Without [virtual-scroll] each item is
+ * rendered once and then moved or removed so item state and event listeners are kept.
+ * With [virtual-scroll] services such as <filter-service> can use [data-filter-field]
+ * to filter on a record field rather than the displayed text.
+ *     list.sortBy([{ field: 'name', order: 'asc' }]);
+ *     list.setFilter('active', item => item.active);
+ *     const records = list.view;
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -22,6 +38,7 @@
 
 import { render, showError, escapeHtml } from './utils.js';
 import { Format } from './utils-format.js';
+import { VirtualList } from './utils-virtual.js';
 
 /**
  * Shadow DOM for Custom Elements
@@ -40,7 +57,7 @@ class DataList extends HTMLElement {
         super();
         const shadowRoot = this.attachShadow({mode: 'open'});
         shadowRoot.appendChild(shadowTmpl.content.cloneNode(true));
-        this.state = { list: null };
+        this.state = { list: null, virtualList: null };
     }
 
     get value() {
@@ -52,6 +69,48 @@ class DataList extends HTMLElement {
         this.renderList();
     }
 
+    /**
+     * Virtual rows for the records, null until [value] is set
+     * @return {VirtualList|null}
+     */
+    get virtualList() {
+        return this.state.virtualList;
+    }
+
+    /**
+     * Records in the order displayed with filtered records excluded
+     * @return {array}
+     */
+    get view() {
+        return (this.state.virtualList === null ? [] : this.state.virtualList.view);
+    }
+
+    /**
+     * Sort items by one or more record fields, see [VirtualList.sortBy()]
+     * @param {array} sortColumns - [{ field, order, type }]
+     */
+    sortBy(sortColumns) {
+        if (this.state.virtualList !== null) {
+            this.state.virtualList.sortBy(sortColumns);
+        }
+    }
+
+    /**
+     * Add or remove a record filter, see [VirtualList.setFilter()]
+     * @param {*} key
+     * @param {function|null} filterFn
+     */
+    setFilter(key, filterFn) {
+        if (this.state.virtualList === null) {
+            this.state.virtualList = new VirtualList(this);
+        }
+        this.state.virtualList.setFilter(key, filterFn);
+    }
+
+    get isVirtual() {
+        return this.getAttribute('virtual-scroll') !== null;
+    }
+
     get errorClass() {
         return this.getAttribute('error-class');
     }
@@ -61,6 +120,11 @@ class DataList extends HTMLElement {
     }
 
     renderList() {
+        // Items from the previous [value] are no longer used
+        if (this.state.virtualList !== null) {
+            this.state.virtualList.clear();
+        }
+
         // Ignore if [value] has not yet been set
         const list = this.state.list;
         if (list === null || list === '') {
@@ -103,6 +167,9 @@ class DataList extends HTMLElement {
 
         // List Items
         const html = [];
+        let renderItem = null;
+        let hasRootElement = false;
+        let itemElement = 'div';
         const templateSelector = this.getAttribute('template-selector');
         if (templateSelector !== null) {
             // Get and validate the template
@@ -131,6 +198,8 @@ class DataList extends HTMLElement {
                 }
                 // Values are already escaped - no need to use `render`
                 html.push(`<${rootElement}${rootAttrHtml}>`);
+                hasRootElement = true;
+                itemElement = (rootElement === 'ul' ? 'li' : 'div');
             }
 
             // Render each item in the template. A new function is dynamically created that simply
@@ -163,22 +232,18 @@ class DataList extends HTMLElement {
                 }
 
                 // Process each item using the template function
-                let index = 0;
                 const format = new Format();
-                for (const item of list) {
+                renderItem = (item, index) => {
                     try {
-                        html.push(tmpl(item, index, render, escapeHtml, format));
+                        return tmpl(item, index, render, escapeHtml, format);
                     } catch (e) {
-                        const itemElement = (rootElement === 'ul' ? 'li' : 'div');
                         const errorClass = this.errorClass;
                         if (errorClass) {
-                            html.push(render`<${itemElement} class="${this.errorClass}">Item Error - ${e.message}</${itemElement}>`);
-                        } else {
-                            html.push(render`<${itemElement} style="${this.defaultErrorStyle}">Item Error - ${e.message}</${itemElement}>`);
+                            return render`<${itemElement} class="${this.errorClass}">Item Error - ${e.message}</${itemElement}>`;
                         }
+                        return render`<${itemElement} style="${this.defaultErrorStyle}">Item Error - ${e.message}</${itemElement}>`;
                     }
-                    index++;
-                }
+                };
             } catch (e) {
                 const errorClass = this.errorClass;
                 if (errorClass) {
@@ -194,13 +259,27 @@ class DataList extends HTMLElement {
             }
         } else {
             // Basic <ul> list
+            hasRootElement = true;
+            itemElement = 'li';
+            renderItem = (item) => render`<li>${item}</li>`;
             html.push(`<ul${rootAttrHtml}>`);
-            for (const item of list) {
-                html.push(render`<li>${item}</li>`);
-            }
             html.push('</ul>');
         }
         this.innerHTML = html.join('');
+
+        // Render items from the data view, with [virtual-scroll] only the items in view
+        // are rendered. The root element or this element if there is no root contains
+        // the items and spacer elements.
+        if (renderItem !== null) {
+            if (this.state.virtualList === null) {
+                this.state.virtualList = new VirtualList(this);
+            }
+            this.state.virtualList.setItems(list, (hasRootElement ? this.firstElementChild : this), {
+                rowTag: itemElement,
+                getValues: (item) => (item !== null && typeof item === 'object' ? Object.values(item) : [item]),
+                renderRow: renderItem,
+            });
+        }
     }
 }
 
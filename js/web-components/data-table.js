@@ -4,6 +4,25 @@
  * This component renders a standard <table> after [value] is set from JavaScript
  * with an array of objects. This component works with the <json-data> to display
  * data once it is downloaded.
+ *
+ * When [virtual-scroll] is defined only the rows in view are rendered and the
+ * element becomes a scroll container with a max height from the attribute value
+ * (default "400px"). [row-height] can be used to set the height of each row in
+ * pixels, otherwise it is measured from the first rendered row. Sorting, filtering,
+ * highlighting and exports work from the records in [value], when using a row
+ * template set [columns] to the field displayed in each column.
+ *     <data-table virtual-scroll="600px" row-height="32"></data-table>
+ *
+ * Rows are rendered from a view of the records in [value]. Header cells include
+ * [data-sort-field] and [data-filter-field] with the field name from [columns] so
+ * with [virtual-scroll] <table is="sortable-table"> and <filter-service> sort and
+ * filter on the record values rather than formatted cell text. Without [virtual-scroll]
+ * each row is rendered once and services sort and filter the <tr> elements so row
+ * state and event listeners are kept. The view can also be changed from JavaScript
+ * using the record fields:
+ *     table.sortBy([{ field: 'price', order: 'desc' }]);
+ *     table.setFilter('in-stock', item => item.quantity > 0);
+ *     const records = table.view;
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -21,6 +40,7 @@ import {
     polyfillCustomElements
 } from './utils.js';
 import { Format } from './utils-format.js';
+import { VirtualList } from './utils-virtual.js';
 
 /**
  * Shadow DOM for Custom Elements
@@ -50,11 +70,12 @@ class DataTable extends HTMLElement {
         this.state = {
             list: null,
             hasBeenLoaded: false,
+            virtualList: null,
         };
     }
 
     static get observedAttributes() {
-        return ['col-link-template', 'col-link-fields', 'col-class', 'columns', 'labels', 'table-attr', 'highlight-class'];
+        return ['col-link-template', 'col-link-fields', 'col-class', 'columns', 'labels', 'table-attr', 'highlight-class', 'virtual-scroll', 'row-height'];
     }
 
     attributeChangedCallback(attr, oldVal /* , newVal */) {
@@ -67,6 +88,8 @@ class DataTable extends HTMLElement {
             case 'table-attr':
             case 'highlight-class':
             case 'empty-data-text':
+            case 'virtual-scroll':
+            case 'row-height':
                 if (oldVal !== null || this.state.hasBeenLoaded) {
                     this.renderTable();
                 }
@@ -83,6 +106,48 @@ class DataTable extends HTMLElement {
         this.renderTable();
     }
 
+    /**
+     * Virtual rows for the records, null until [value] is set
+     * @return {VirtualList|null}
+     */
+    get virtualList() {
+        return this.state.virtualList;
+    }
+
+    /**
+     * Records in the order displayed with filtered records excluded
+     * @return {array}
+     */
+    get view() {
+        return (this.state.virtualList === null ? [] : this.state.virtualList.view);
+    }
+
+    /**
+     * Sort rows by one or more record fields, see [VirtualList.sortBy()]
+     * @param {array} sortColumns - [{ field, order, type }]
+     */
+    sortBy(sortColumns) {
+        if (this.state.virtualList !== null) {
+            this.state.virtualList.sortBy(sortColumns);
+        }
+    }
+
+    /**
+     * Add or remove a record filter, see [VirtualList.setFilter()]
+     * @param {*} key
+     * @param {function|null} filterFn
+     */
+    setFilter(key, filterFn) {
+        if (this.state.virtualList === null) {
+            this.state.virtualList = new VirtualList(this);
+        }
+        this.state.virtualList.setFilter(key, filterFn);
+    }
+
+    get isVirtual() {
+        return this.getAttribute('virtual-scroll') !== null;
+    }
+
     get errorClass() {
         return this.getAttribute('error-class');
     }
@@ -127,6 +192,11 @@ class DataTable extends HTMLElement {
     }
 
     renderTable() {
+        // Rows from the previous [value] are no longer used
+        if (this.state.virtualList !== null) {
+            this.state.virtualList.clear();
+        }
+
         // Ignore if [value] has not yet been set
         const list = this.state.list;
         if (list === null || list === '') {
@@ -211,6 +281,10 @@ class DataTable extends HTMLElement {
             }
         }
         const colClass = this.getAttribute('col-class');
+        const fieldAttr = (n) => {
+            const field = columns[n];
+            return (field === undefined ? '' : render` data-sort-field="${field}" data-filter-field="${field}"`);
+        };
         const html = [];
         html.push(`${tableHtml}><thead><tr>`);
         if (colClass) {
@@ -233,20 +307,21 @@ class DataTable extends HTMLElement {
                     className = classIndex[label];
                 }
                 if (className) {
-                    html.push(render`<th class="${className}">${label}</th>`);
+                    html.push(render`<th class="${className}"` + fieldAttr(n) + render`>${label}</th>`);
                 } else {
-                    html.push(render`<th>${label}</th>`);
+                    html.push('<th' + fieldAttr(n) + render`>${label}</th>`);
                 }
             }
         } else {
-            for (const label of labels) {
-                html.push(render`<th>${label}</th>`);
+            for (let n = 0, m = labels.length; n < m; n++) {
+                html.push('<th' + fieldAttr(n) + render`>${labels[n]}</th>`);
             }
         }
         html.push('</tr></thead>');
 
         // Table Body
         html.push('<tbody>');
+        let renderRow;
         if (template) {
             // Render each item in the template. A new function is dynamically created that simply
             // renders the contents of the template as a JavaScript template literal (template string).
@@ -263,22 +338,21 @@ class DataTable extends HTMLElement {
                 } else {
                     tmpl = new Function('item', 'index', 'render', 'format', 'with(item){return render`' + template.innerHTML + '`}');
                 }
-                let index = 0;
                 const format = new Format();
-                for (const item of list) {
+                renderRow = (item, index) => {
                     try {
-                        html.push(tmpl(item, index, render, format));
+                        return tmpl(item, index, render, format);
                     } catch (e) {
                         const errorClass = this.errorClass;
+                        let rowHtml;
                         if (errorClass) {
-                            html.push(render`<tr class="${this.errorClass}">`);
+                            rowHtml = render`<tr class="${this.errorClass}">`;
                         } else {
-                            html.push(render`<tr style="${this.defaultErrorStyle}">`);
+                            rowHtml = render`<tr style="${this.defaultErrorStyle}">`;
                         }
-                        html.push(render`<td colspan="${columns.length}">Item Error - ${e.message}</td></tr>`);
+                        return rowHtml + render`<td colspan="${columns.length}">Item Error - ${e.message}</td></tr>`;
                     }
-                    index++;
-                }
+                };
             } catch (e) {
                 showError('Error Rendering Template - ' + e.message);
                 return;
@@ -296,7 +370,7 @@ class DataTable extends HTMLElement {
             }
 
             // Build basic table
-            for (const item of list) {
+            renderRow = (item) => {
                 const row = [];
                 row.push('<tr>');
                 for (const column of columns) {
@@ -309,9 +383,11 @@ class DataTable extends HTMLElement {
                     }
                 }
                 row.push('</tr>');
-                html.push(row.join(''));
-            }
+                return row.join('');
+            };
         }
+
+        // Rows are added from the data view after the table is rendered
         // Footer Template
         if (footerTemplate) {
             html.push('<tfoot>');
@@ -372,14 +448,27 @@ class DataTable extends HTMLElement {
         // Allow user to highlight rows by clicking on them?
         // This allows a user to easily see where they are on wide rows or mobile devices.
         // Based on DataFormJS [clickToHighlight] Plugin: [js/plugins/clickToHighlight.js]
+        // Highlighting is saved with each virtual row so it's kept when rows
+        // are rendered again. With [virtual-scroll] only the rows in view are rendered.
         const highlightClass = this.getAttribute('highlight-class');
-        if (highlightClass) {
-            const rows = this.querySelectorAll('tbody tr');
-            for (const row of rows) {
-                row.style.cursor = 'pointer';
-                row.addEventListener('click', toggleHighlight);
-            }
+        if (this.state.virtualList === null) {
+            this.state.virtualList = new VirtualList(this);
         }
+        const table = this.querySelector(':scope > table');
+        this.state.virtualList.setItems(list, table.tBodies[0], {
+            rowTag: 'tr',
+            colSpan: columns.length,
+            hasCells: true,
+            getValues: (item) => columns.map(column => item[column]),
+            renderRow: renderRow,
+            setupRow: (highlightClass ? (el, row) => {
+                el.style.cursor = 'pointer';
+                el.addEventListener('click', (e) => {
+                    toggleHighlight.call(el, e);
+                    row.classList.toggle('highlight', el.classList.contains('highlight'));
+                });
+            } : null),
+        });
 
         // Update table or elements such as <table is="sortable-table"> if needed
         polyfillCustomElements(this);
@@ -32,6 +32,7 @@
 
 import { WebComponentService } from './WebComponentService.js';
 import { showErrorAlert } from './utils.js';
+import { getVirtualList } from './utils-virtual.js';
 
 function csvEscape(value) {
     value = value.trim().replace(/"/g, '""');
@@ -58,8 +59,9 @@ function exportTable(event) {
     }
     rows.push(row.join(','));
 
-    // Table Body Rows
-    const tableRows = table.tBodies[0].rows;
+    // Table Body Rows, all records are used for <data-table virtual-scroll>
+    const virtualList = getVirtualList(table);
+    const tableRows = (virtualList === null ? table.tBodies[0].rows : virtualList.rows);
     for (let x = 0, y = tableRows.length; x < y; x++) {
         rowEl = tableRows[x];
         if (!exportAll && rowEl.style.display === 'none') {
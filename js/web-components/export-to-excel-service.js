@@ -45,6 +45,7 @@
 
 import { WebComponentService } from './WebComponentService.js';
 import { showErrorAlert } from './utils.js';
+import { getVirtualList } from './utils-virtual.js';
 
 /**
  * Check if text is a number (excluding zero padding numbers).
@@ -179,8 +180,9 @@ function exportTable(event) {
         }
         rows.push(row);
 
-        // Get Table Rows
-        const tableRows = table.tBodies[0].rows;
+        // Get Table Rows, all records are used for <data-table virtual-scroll>
+        const virtualList = getVirtualList(table);
+        const tableRows = (virtualList === null ? table.tBodies[0].rows : virtualList.rows);
         for (let x = 0, y = tableRows.length; x < y; x++) {
             rowEl = tableRows[x];
             if (!exportAll && rowEl.style.display === 'none') {
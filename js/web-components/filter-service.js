@@ -16,6 +16,10 @@
  *     data-filter-clear
  *     data-filter-clear-all
  *     data-filter-search-text
+ *     data-filter-field
+ *     data-filter-type
+ *     data-filter-facet
+ *     data-filter-row
  *     data-set-filter-selector
  *     data-sort-class-odd
  *     data-sort-class-even
@@ -23,6 +27,24 @@
  * Additional attributes such as [data-filter-setup] will be added to elements
  * when the plugin runs.
  *
+ * When filtering <data-table> or <data-list> with [virtual-scroll] the attribute
+ * [data-filter-field] can be used to filter on a record field rather than the displayed
+ * text. Column filters for <data-table> use the [data-filter-field] of the matching header cell.
+ *
+ * Operators [>, <, >=, <=, between] compare numbers or dates using [data-filter-type="number|date"]
+ * and operator [in] matches one of several values, for example [data-filter-value="error|warning"].
+ * With <input> and <select> elements these operators use the value of the control. A <select>
+ * is filtered using [in] by default and the selected options, when [data-filter-facet] is used
+ * each option shows the number of records that match the option along with the other filters.
+ *
+ * <table data-filter-row> adds a row of filter controls under the table header. The control for
+ * each column is based on [data-filter-type] of the header cell:
+ *     text (default)  <input type="search">
+ *     number          <input type="number"> for min and max values
+ *     date            <input type="date"> for a date range
+ *     select          <select multiple data-filter-facet> with each distinct value and counts
+ *     none            No filter for the column
+ *
  * This service is based on the standard framework plugin [js/plugins/filter.js]
  * and provides the full functionality of the original plugin/script. An additional
  * DataFormsJS Web Component <input is="input-filter"> that allows for basic filtering
@@ -39,9 +61,134 @@
 
 import { WebComponentService } from './WebComponentService.js';
 import { isDomAttached } from './utils.js';
+import { getVirtualList, getFieldValue } from './utils-virtual.js';
 
 // Supported Operators when using [data-filter-operator] with [data-filter-value]
-const _operators = ['excludes', 'excludes_list', '!==', '==='];
+const _operators = ['excludes', 'excludes_list', '!==', '===', '>', '<', '>=', '<=', 'between', 'in'];
+
+// Operators that compare numbers or dates, and operators that can use the value of <input> and <select>
+const _rangeOperators = ['>', '<', '>=', '<=', 'between'];
+const _valueOperators = _rangeOperators.concat(['in']);
+
+// Counter used to link controls from [data-filter-row] to their table
+let _filterTableCount = 0;
+
+// Return the header row of a table (the last row of <thead>), a row
+// of filter controls added from [data-filter-row] is skipped.
+function getHeaderRow(table) {
+    const rows = table.tHead.rows;
+    for (let n = rows.length - 1; n > 0; n--) {
+        if (rows[n].getAttribute('data-filter-controls') === null) {
+            return rows[n];
+        }
+    }
+    return rows[0];
+}
+
+// Convert text or a record value to a number for range filters, dates are converted to
+// a timestamp. Date only values such as '2024-01-31' from <input type="date"> use the
+// local time zone. Returns null if the value cannot be converted.
+function getRangeValue(value, filterType) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (filterType === 'date') {
+        let date = value;
+        if (!(date instanceof Date)) {
+            const text = String(value).trim();
+            const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+            date = (dateOnly === null ? new Date(text) : new Date(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10)));
+        }
+        return (isNaN(date.getTime()) ? null : date.getTime());
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    const number = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return (isNaN(number) ? null : number);
+}
+
+// Return the min and max values for a range operator. For date only values
+// the max value of [<=] and the min value of [>] include the full day.
+function getFilterRange(operator, values, filterType) {
+    const range = { min: null, max: null, minExclusive: false, maxExclusive: false };
+    const isDay = (text) => (filterType === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(text));
+    const nextDay = (time) => {
+        const date = new Date(time);
+        date.setDate(date.getDate() + 1);
+        return date.getTime();
+    };
+    const setMin = (text, exclusive) => {
+        range.min = getRangeValue(text, filterType);
+        range.minExclusive = exclusive;
+        if (exclusive && range.min !== null && isDay(text)) {
+            range.min = nextDay(range.min);
+            range.minExclusive = false;
+        }
+    };
+    const setMax = (text, exclusive) => {
+        range.max = getRangeValue(text, filterType);
+        range.maxExclusive = exclusive;
+        if (!exclusive && range.max !== null && isDay(text)) {
+            range.max = nextDay(range.max);
+            range.maxExclusive = true;
+        }
+    };
+    switch (operator) {
+        case '>':
+        case '>=':
+            setMin(values[0], operator === '>');
+            break;
+        case '<':
+        case '<=':
+            setMax(values[0], operator === '<');
+            break;
+        case 'between':
+            setMin(values[0], false);
+            setMax(values.length > 1 ? values[1] : '', false);
+            break;
+    }
+    return range;
+}
+
+// Return sorted distinct text values of a table column for a <select> filter
+function getDistinctValues(rows, colIndex, filterField) {
+    const values = [];
+    for (const row of rows) {
+        let text = '';
+        if (filterField !== null && row.getFieldText !== undefined) {
+            text = row.getFieldText(filterField);
+        } else if (row.cells.length > colIndex) {
+            const cell = row.cells[colIndex];
+            text = cell.getAttribute('data-filter-search-text');
+            text = (text === null ? cell.textContent : text);
+        }
+        text = text.trim();
+        if (text !== '' && values.indexOf(text) === -1) {
+            values.push(text);
+        }
+    }
+    return values.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Add an <option> to a <select> for each value
+function addOptions(select, values) {
+    for (const value of values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    }
+}
+
+// Values for operators that use multiple values are separated with '|'
+function getOperatorValues(operator, text) {
+    text = text.toLowerCase().trim();
+    if (operator === 'between' || operator === 'in') {
+        return text.split('|').map(value => value.trim());
+    }
+    return [text];
+}
 
 // Private flag variable to prevent filtering while changes are being made
 let _runFilter = true;
@@ -53,10 +200,11 @@ function getFilter(element) {
         n,
         m,
         table,
-        rowIndex,
+        headerRow,
         itemsSelector = element.getAttribute('data-filter-selector'),
         resultsTextSelector = element.getAttribute('data-filter-results-text-selector'),
         settings = {
+            element: element,
             itemsSelector: itemsSelector,
             items: (itemsSelector === null ? null : document.querySelectorAll(itemsSelector)),
             columnFilter: element.getAttribute('data-filter-column'),
@@ -69,11 +217,16 @@ function getFilter(element) {
             cssOdd: element.getAttribute('data-filter-class-odd'),
             cssEven: element.getAttribute('data-filter-class-even'),
             colIndex: null,
+            filterField: element.getAttribute('data-filter-field'),
             clickedFilter: element.getAttribute('data-filter-clicked'),
             operator: element.getAttribute('data-filter-operator'),
             filterValue: element.getAttribute('data-filter-value'),
+            filterType: element.getAttribute('data-filter-type'),
             filterWords: [],
+            range: null,
+            isFacet: (element.nodeName === 'SELECT' && element.getAttribute('data-filter-facet') !== null),
             containsInputs: (itemsSelector && document.querySelector(itemsSelector + ' input, ' + itemsSelector + ' select, ' + itemsSelector + ' textarea') !== null),
+            virtualList: null,
         };
 
     // Log and show errors
@@ -89,9 +242,23 @@ function getFilter(element) {
         return settings;
     }
 
+    // Records from <data-table> and <data-list> with [virtual-scroll] are filtered and then
+    // rendered again rather than hiding rows, this includes records that are not rendered.
+    settings.virtualList = (settings.items.length > 0 ? getVirtualList(settings.items[0]) : null);
+    if (settings.virtualList !== null) {
+        settings.containsInputs = false;
+    }
+
+    // A <select> matches any of the selected options by default
+    if (settings.operator === null && element.nodeName === 'SELECT') {
+        settings.operator = 'in';
+    }
+    const isControl = (element.nodeName === 'INPUT' || element.nodeName === 'SELECT');
+    const usesControlValue = (isControl && _valueOperators.indexOf(settings.operator) !== -1);
+
     // Validate handled operators
     if (settings.operator !== null) {
-        if (settings.filterValue === null) {
+        if (settings.filterValue === null && !usesControlValue) {
             filterError('Filter if attribute [data-filter-operator] is defined then the attribute [data-filter-value] must also be defined.');
         } else {
             if (_operators.indexOf(settings.operator) === -1) {
@@ -101,7 +268,11 @@ function getFilter(element) {
     }
 
     // Get values to filter
-    if (element.nodeName === 'INPUT') {
+    if (element.nodeName === 'SELECT') {
+        values = Array.from(element.options).filter(option => option.selected).map(option => option.value.toLowerCase().trim());
+    } else if (usesControlValue) {
+        values = getOperatorValues(settings.operator, element.value);
+    } else if (element.nodeName === 'INPUT') {
         values = element.value.toLowerCase().trim().split(' ');
     } else {
         if (settings.filterValue === null) {
@@ -116,6 +287,8 @@ function getFilter(element) {
             } else if (settings.operator === '!==' || settings.operator === '===') {
                 settings.filterValue = settings.filterValue.toLowerCase();
                 values = [ settings.filterValue ];
+            } else if (_valueOperators.indexOf(settings.operator) !== -1) {
+                values = getOperatorValues(settings.operator, settings.filterValue);
             } else {
                 values = settings.filterValue.toLowerCase().trim().split(' ');
             }
@@ -129,24 +302,37 @@ function getFilter(element) {
         }
     }
 
+    // Range filters compare numbers unless [data-filter-type="date"] is used.
+    // If the values cannot be converted then the filter is not used.
+    if (_rangeOperators.indexOf(settings.operator) !== -1) {
+        settings.filterType = (settings.filterType === 'date' ? 'date' : 'number');
+        settings.range = getFilterRange(settings.operator, values, settings.filterType);
+        if (settings.range.min === null && settings.range.max === null) {
+            settings.filterWords = [];
+        }
+    }
+
     // Is this filter for a specific column of a table?
     if (settings.columnFilter !== null) {
         // Validate that everything is setup correctly
         if (!(settings.items.length === 1 && settings.items[0].tagName === 'TABLE' &&
-            settings.items[0].tHead && settings.items[0].tHead.rows.length === 1 &&
+            settings.items[0].tHead && settings.items[0].tHead.rows.length > 0 &&
             settings.items[0].tBodies.length === 1)) {
             // Exit if the table was not found. The page could still be rendering.
             // For example this is happens when using the Web Components Polyfill.
             return settings;
         }
         table = document.querySelector(settings.itemsSelector);
-        settings.items = table.tBodies[0].rows;
+        settings.items = (settings.virtualList === null ? table.tBodies[0].rows : settings.virtualList.rows);
 
         // Find the column index using the last row of the table header
-        rowIndex = table.tHead.rows.length - 1;
-        for (n = 0, m = table.tHead.rows[rowIndex].cells.length; n < m; n++) {
-            if (table.tHead.rows[rowIndex].cells[n].textContent.trim() === settings.columnFilter) {
+        headerRow = getHeaderRow(table);
+        for (n = 0, m = headerRow.cells.length; n < m; n++) {
+            if (headerRow.cells[n].textContent.trim() === settings.columnFilter) {
                 settings.colIndex = n;
+                if (settings.filterField === null && settings.virtualList !== null) {
+                    settings.filterField = headerRow.cells[n].getAttribute('data-filter-field');
+                }
                 break;
             }
         }
@@ -165,7 +351,7 @@ function getFilter(element) {
                     settings.items = []; // Empty table
                     break;
                 case 1:
-                    settings.items = table.tBodies[0].rows;
+                    settings.items = (settings.virtualList === null ? table.tBodies[0].rows : settings.virtualList.rows);
                     if (settings.cssOdd === null && settings.cssEven === null) {
                         settings.cssOdd = table.getAttribute('data-sort-class-odd');
                         settings.cssEven = table.getAttribute('data-sort-class-even');
@@ -174,6 +360,8 @@ function getFilter(element) {
                 default:
                     console.warn('Unexpected Table format for Filter Plugin. Only 1 <tbody> element is supported.');
             }
+        } else if (settings.virtualList !== null) {
+            settings.items = settings.virtualList.rows;
         }
     }
 
@@ -223,10 +411,81 @@ class FilterService extends WebComponentService {
         if (nodeName === 'URL-ROUTE' || nodeName.includes('-SERVICE')) {
             rootElement = document;
         }
+        this.setupFilterRows(rootElement);
         this.setupDataLists(rootElement);
         this.setupFilters(rootElement);
     }
 
+    /**
+     * Add a row of filter controls under the header of tables with [data-filter-row].
+     * The type of control for each column is from [data-filter-type] on the header cell.
+     * @param {HTMLElement|undefined} element
+     */
+    setupFilterRows(element) {
+        const tables = (element || document).querySelectorAll('table[data-filter-row]');
+        for (const table of tables) {
+            // Skip tables that are still loading or already have a filter row
+            if (table.tHead === null || table.tHead.rows.length === 0 || table.tBodies.length !== 1 ||
+                table.tHead.querySelector('tr[data-filter-controls]') !== null
+            ) {
+                continue;
+            }
+
+            // Controls use a selector with a unique attribute value for the table
+            if (table.getAttribute('data-filter-table') === null) {
+                _filterTableCount++;
+                table.setAttribute('data-filter-table', String(_filterTableCount));
+            }
+            const selector = 'table[data-filter-table="' + table.getAttribute('data-filter-table') + '"]';
+            const virtualList = getVirtualList(table);
+            const rows = (virtualList === null ? table.tBodies[0].rows : virtualList.rows);
+
+            // Create a control for each column
+            const filterRow = document.createElement('tr');
+            filterRow.setAttribute('data-filter-controls', '');
+            const headerRow = getHeaderRow(table);
+            for (let colIndex = 0, colCount = headerRow.cells.length; colIndex < colCount; colIndex++) {
+                const headerCell = headerRow.cells[colIndex];
+                const label = headerCell.textContent.trim();
+                const cell = document.createElement('td');
+                if (headerCell.colSpan > 1) {
+                    cell.colSpan = headerCell.colSpan;
+                }
+                const addControl = (nodeName, attributes) => {
+                    const control = document.createElement(nodeName);
+                    control.setAttribute('data-filter-selector', selector);
+                    control.setAttribute('data-filter-column', label);
+                    for (const name in attributes) {
+                        control.setAttribute(name, attributes[name]);
+                    }
+                    cell.appendChild(control);
+                    return control;
+                };
+                const filterType = headerCell.getAttribute('data-filter-type');
+                switch (filterType) {
+                    case 'none':
+                        break;
+                    case 'number':
+                    case 'date':
+                        addControl('input', { type: filterType, 'data-filter-type': filterType, 'data-filter-operator': '>=', 'aria-label': label + (filterType === 'date' ? ' From' : ' Min'), placeholder: 'Min' });
+                        addControl('input', { type: filterType, 'data-filter-type': filterType, 'data-filter-operator': '<=', 'aria-label': label + (filterType === 'date' ? ' To' : ' Max'), placeholder: 'Max' });
+                        break;
+                    case 'select':
+                        addOptions(
+                            addControl('select', { multiple: '', 'data-filter-facet': '', 'aria-label': label }),
+                            getDistinctValues(rows, colIndex, headerCell.getAttribute('data-filter-field'))
+                        );
+                        break;
+                    default:
+                        addControl('input', { type: 'search', 'aria-label': 'Filter ' + label, placeholder: 'Filter' });
+                        break;
+                }
+                filterRow.appendChild(cell);
+            }
+            table.tHead.appendChild(filterRow);
+        }
+    }
+
     /**
      * Setup items that reference a <datalist> element
      * @param {HTMLElement|undefined} element
@@ -256,7 +515,9 @@ class FilterService extends WebComponentService {
             Array.prototype.forEach.call(settings.items, function (item) {
                 // Get all element text of a specific cell in the row if specified
                 let itemText = '';
-                if (settings.colIndex === null) {
+                if (settings.filterField !== null && item.getFieldText !== undefined) {
+                    itemText = item.getFieldText(settings.filterField);
+                } else if (settings.colIndex === null) {
                     itemText = item.textContent;
                 } else {
                     if (item.cells.length >= settings.colIndex) {
@@ -292,10 +553,12 @@ class FilterService extends WebComponentService {
         // [data-filter-selector] that have not already been setup.
         let elements = element.querySelectorAll('[data-filter-selector]:not([data-filter-setup])');
         for (const el of elements) {
-            // Handle <input> using 'input' events and other element
-            // types using 'click' events.
+            // Handle <input> using 'input' events, <select> using 'change'
+            // events, and other element types using 'click' events.
             if (el.nodeName === 'INPUT') {
                 el.addEventListener('input', filter.filter.bind(filter));
+            } else if (el.nodeName === 'SELECT') {
+                el.addEventListener('change', filter.filter.bind(filter));
             } else {
                 // Once clicked mark clear previous clicks and mark the current element
                 el.addEventListener('click', function setupClickFilter() {
@@ -367,9 +630,9 @@ class FilterService extends WebComponentService {
      * This updates the screen to show all elements.
      */
     clearAllFilters() {
-        const elements = document.querySelectorAll('input[data-filter-selector],[data-filter-selector][data-filter-clicked]');
+        const elements = document.querySelectorAll('input[data-filter-selector],select[data-filter-selector],[data-filter-selector][data-filter-clicked]');
         for (const element of elements) {
-            if (element.nodeName === 'INPUT') {
+            if (element.nodeName === 'INPUT' || element.nodeName === 'SELECT') {
                 element.value = '';
             } else {
                 element.removeAttribute('data-filter-clicked');
@@ -385,10 +648,10 @@ class FilterService extends WebComponentService {
      * @param {string} filterSelector
      */
     clearFilter(filterSelector) {
-        const elements = document.querySelectorAll('input[data-filter-selector],[data-filter-selector][data-filter-clicked]');
+        const elements = document.querySelectorAll('input[data-filter-selector],select[data-filter-selector],[data-filter-selector][data-filter-clicked]');
         for (const element of elements) {
             if (element.getAttribute('data-filter-selector') === filterSelector) {
-                if (element.nodeName === 'INPUT') {
+                if (element.nodeName === 'INPUT' || element.nodeName === 'SELECT') {
                     element.value = '';
                 } else {
                     element.removeAttribute('data-filter-clicked');
@@ -441,14 +704,11 @@ class FilterService extends WebComponentService {
             y,
             itemWasHidden;
 
-        // Private function to hide a row or list item based on filter settings.
-        // Returns true if the item was hidden based on the current filter.
-        function hideFilteredItem(settings, item) {
+        // Private function that returns lower-case text of an item used for filtering
+        function getSearchText(settings, item) {
             let searchText = '',
                 n,
                 m,
-                hideElement,
-                matched = false,
                 inputs = null,
                 searchItem = null;
 
@@ -458,7 +718,10 @@ class FilterService extends WebComponentService {
             // each filter item if inputs exist and if they do then append the value to
             // the search text. [textContent] does not include <input> values which is
             // why this is needed. Input text is included in the search even if it is hidden.
-            if (settings.colIndex === null) {
+            // Records from <data-table> and <data-list> with [virtual-scroll] can be filtered by a field value.
+            if (settings.filterField !== null && item.getFieldText !== undefined) {
+                searchText = item.getFieldText(settings.filterField).toLowerCase();
+            } else if (settings.colIndex === null) {
                 searchItem = item;
             } else if (item.cells.length >= settings.colIndex) {
                 searchItem = item.cells[settings.colIndex];
@@ -471,7 +734,7 @@ class FilterService extends WebComponentService {
                 searchText = searchText.toLowerCase();
                 inputs = (settings.containsInputs ? searchItem.querySelectorAll('input, select, textarea') : null);
             }
-            if (inputs !== null) {
+            if (inputs !== null && inputs.length > 0) {
                 searchText = '';
                 for (n = 0, m = inputs.length; n < m; n++) {
                     if (inputs[n].nodeName === 'INPUT' && (inputs[n].type === 'checkbox' || inputs[n].type === 'radio')) {
@@ -488,61 +751,70 @@ class FilterService extends WebComponentService {
                     }
                 }
             }
+            return searchText;
+        }
+
+        // Private function that returns true if a row or list item does not match the filter
+        function isFilteredItem(settings, item) {
+            let n,
+                m,
+                value,
+                matched = false;
+
+            // Range filters use the value of a record field when available
+            const searchText = getSearchText(settings, item);
+            if (settings.range !== null) {
+                if (settings.filterField !== null && item.item !== undefined) {
+                    value = getRangeValue(getFieldValue(item.item, settings.filterField), settings.filterType);
+                } else {
+                    value = getRangeValue(searchText, settings.filterType);
+                }
+                const range = settings.range;
+                if (value === null ||
+                    (range.min !== null && (range.minExclusive ? value <= range.min : value < range.min)) ||
+                    (range.max !== null && (range.maxExclusive ? value >= range.max : value > range.max))
+                ) {
+                    return true;
+                }
+                return false;
+            }
 
             // Which Search Operator Type?
             switch (settings.operator) {
                 case '===':
                     // Hide unless an exact match
-                    if (searchText !== settings.filterValue) {
-                        item.style.display = 'none';
-                        return true;
-                    }
-                    break;
+                    return (searchText !== settings.filterValue);
                 case '!==':
                     // Hide if an exact match
-                    if (searchText === settings.filterValue) {
-                        item.style.display = 'none';
-                        return true;
-                    }
-                    break;
+                    return (searchText === settings.filterValue);
+                case 'in':
+                    // Hide unless the value equals one of the list items
+                    return (settings.filterWords.indexOf(searchText.trim()) === -1);
                 case 'excludes':
                     // Check each word in the filter, if the value does not contain
                     // all of the following words from the excludes list then hide it.
-                    hideElement = false;
                     for (n = 0, m = settings.filterWords.length; n < m; n++) {
                         matched = (searchText.indexOf(settings.filterWords[n]) !== -1);
                         if (matched) {
-                            hideElement = true;
-                            break;
+                            return true;
                         }
                     }
-                    if (hideElement) {
-                        item.style.display = 'none';
-                        return true;
-                    }
                     break;
                 case 'excludes_list':
                     // Check an exact match in the filter, if the value
                     // equals one of the list items then hide it.
-                    hideElement = false;
                     for (n = 0, m = settings.filterWords.length; n < m; n++) {
                         matched = (searchText === settings.filterWords[n]);
                         if (matched) {
-                            hideElement = true;
-                            break;
+                            return true;
                         }
                     }
-                    if (hideElement) {
-                        item.style.display = 'none';
-                        return true;
-                    }
                     break;
                 default:
                     // Check each word in the filter, if the row doesn't contain
                     // it then hide the element and continue with the next item.
                     for (n = 0, m = settings.filterWords.length; n < m; n++) {
                         if (searchText.indexOf(settings.filterWords[n]) === -1) {
-                            item.style.display = 'none';
                             return true;
                         }
                     }
@@ -553,6 +825,44 @@ class FilterService extends WebComponentService {
             return false;
         }
 
+        // Private function to hide a row or list item based on filter settings.
+        // Returns true if the item was hidden based on the current filter.
+        function hideFilteredItem(settings, item) {
+            if (isFilteredItem(settings, item)) {
+                item.style.display = 'none';
+                return true;
+            }
+            return false;
+        }
+
+        // Private function to show the number of matching records on each option of a
+        // [data-filter-facet] <select>. Counts include other active filters for the same
+        // items so each option shows the number of records that would be displayed.
+        function updateFacetCounts(settings, settingsList) {
+            const otherFilters = settingsList.filter(other => {
+                return (other !== settings && other.itemsSelector === settings.itemsSelector && other.items !== null && other.filterWords.length > 0);
+            });
+            const counts = {};
+            for (const item of settings.items) {
+                if (otherFilters.every(other => !isFilteredItem(other, item))) {
+                    const text = getSearchText(settings, item).trim();
+                    counts[text] = (counts[text] === undefined ? 1 : counts[text] + 1);
+                }
+            }
+            for (const option of settings.element.options) {
+                if (option.value === '') {
+                    continue;
+                }
+                let label = option.getAttribute('data-facet-label');
+                if (label === null) {
+                    label = option.textContent;
+                    option.setAttribute('data-facet-label', label);
+                }
+                const count = counts[option.value.toLowerCase().trim()];
+                option.textContent = label + ' (' + (count === undefined ? 0 : count) + ')';
+            }
+        }
+
         // Check - if internal code is running then don't filter
         if (!_runFilter) {
             return;
@@ -618,6 +928,13 @@ class FilterService extends WebComponentService {
             }
         }
 
+        // Update result counts of facet filters
+        for (const settings of settingsList) {
+            if (settings.isFacet && settings.items !== null) {
+                updateFacetCounts(settings, settingsList);
+            }
+        }
+
         // After all filters have been processed then update css for
         // odd/even of each item and update any result text elements.
         settingsList.forEach(function (settings) {
@@ -693,6 +1010,11 @@ class FilterService extends WebComponentService {
                 }
             });
 
+            // Render the filtered records for virtual lists
+            if (settings.virtualList !== null) {
+                settings.virtualList.refresh();
+            }
+
             // Add filter to array of processed items
             checkedFilters.push(currentFilter);
         });
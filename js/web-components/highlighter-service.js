@@ -16,6 +16,13 @@
  *     data-highlight-class
  *
  * This service is based on the standard framework plugin [js/plugins/highlighter.js]
+ *
+ * Search terms can also be highlighted in the text of elements using the exported
+ * function [highlightTerms()]. Matches are wrapped in <mark data-highlight-term>
+ * elements and found ignoring case and accents. This is used by
+ * <input is="input-filter" filter-search filter-highlight="{class}">.
+ *     import { highlightTerms, clearHighlights } from './highlighter-service.js';
+ *     highlightTerms(element, ['john', 'new york'], 'highlight');
  */
 
 /* Validates with both [eslint] and [jshint] */
@@ -28,6 +35,8 @@
 /* jshint strict: true */
 
 import { WebComponentService } from './WebComponentService.js';
+import { getVirtualList } from './utils-virtual.js';
+export { highlightTerms, clearHighlights } from './utils-search.js';
 
 window.customElements.define('highlighter-service', class HighlighterService extends WebComponentService {
     onLoad(rootElement) {
@@ -76,8 +85,11 @@ window.customElements.define('highlighter-service', class HighlighterService ext
                 checkArray = true;
             }
 
-            // Find and highlight matching elements
-            const cells = document.querySelectorAll(selector);
+            // Find and highlight matching elements. For <data-table> and <data-list> with
+            // [virtual-scroll] cells from all records are checked and classes are applied to
+            // the elements when they are rendered.
+            const virtualList = getVirtualList(document.querySelector(selector));
+            const cells = (virtualList === null ? document.querySelectorAll(selector) : virtualList.getCells(selector));
             for (let n = 0, m = cells.length; n < m; n++) {
                 // In case of error default to true
                 let matched = true;
@@ -135,6 +147,10 @@ window.customElements.define('highlighter-service', class HighlighterService ext
                 }
             }
 
+            if (virtualList !== null) {
+                virtualList.refresh();
+            }
+
             // Show Result Summary
             if (matchedCount === 0) {
                 element.textContent = '';
@@ -7,6 +7,16 @@
  *
  * Example usage:
  *     <input is="input-filter" filter-selector="ul li" filter-results-selector="h1" filter-results-text-all="{totalCount} Records" filter-results-text-filtered="Showing {displayCount} of {totalCount} Records" placeholder="Enter filter">
+ *
+ * By default items are shown when they contain all words from the input. Search mode is
+ * enabled with [filter-search] and ignores accents, matches words in any order across
+ * table columns, and keeps words in double quotes together as a phrase:
+ *     filter-search
+ *     filter-fuzzy="{0 to 1}"       - Allow for typos, optional minimum similarity (default 0.7)
+ *     filter-rank                   - Order matched items by score, the original order is restored once cleared
+ *     filter-highlight="{class}"    - Highlight matched text using <mark> elements, the class is optional
+ *
+ *     <input is="input-filter" filter-selector="table" filter-search filter-fuzzy filter-rank filter-highlight="highlight" placeholder="Search">
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -21,12 +31,21 @@ import {
     isDomAttached,
     defineExtendsPolyfill
 } from './utils.js';
+import { getVirtualList } from './utils-virtual.js';
+import {
+    defaultFuzzyScore,
+    parseSearchTerms,
+    searchText,
+    highlightTerms,
+    clearHighlights
+} from './utils-search.js';
 
 class InputFilter extends HTMLInputElement {
     constructor() {
         super();
         this.addEventListener('input', this.filter);
         this.interval = null;
+        this.unrankedElements = null;
     }
 
     connectedCallback() {
@@ -82,10 +101,12 @@ class InputFilter extends HTMLInputElement {
 
     getElementsToFilter() {
         // Get elements to filter. If a table is being filtered
-        // then get rows under <tbody>.
+        // then get rows under <tbody>. For <data-table> and <data-list> with
+        // [virtual-scroll] all records are filtered and then rendered again.
         let cssOdd = null;
         let cssEven = null;
         let elements = document.querySelectorAll(this.getAttribute('filter-selector'));
+        const virtualList = (elements.length > 0 ? getVirtualList(elements[0]) : null);
         if (elements.length === 1 && elements[0].tagName === 'TABLE') {
             const table = elements[0];
             switch (table.tBodies.length) {
@@ -95,15 +116,119 @@ class InputFilter extends HTMLInputElement {
                 case 1:
                     // For tables get [data-sort-class-odd/even] attributes which
                     // are defined from [sortable-table] and [plugins/sort.js].
-                    elements = table.tBodies[0].rows;
+                    elements = (virtualList === null ? table.tBodies[0].rows : virtualList.rows);
                     cssOdd = table.getAttribute('data-sort-class-odd');
                     cssEven = table.getAttribute('data-sort-class-even');
                     break;
                 default:
                     console.warn('Unexpected Table format for Filter Plugin. Only 1 <tbody> element is supported.');
             }
+        } else if (virtualList !== null) {
+            elements = virtualList.rows;
+        }
+        return { elements, cssOdd, cssEven, virtualList };
+    }
+
+    /**
+     * Text of an element used with [filter-search]. Table cells are separated
+     * by spaces so words from different columns are not joined together.
+     *
+     * @param {HTMLElement|object} element - Element or record from a virtual list
+     * @return {string}
+     */
+    getSearchText(element) {
+        const searchText = element.getAttribute('data-filter-search-text');
+        if (searchText !== null) {
+            return searchText;
+        }
+        if (element.nodeName === 'TR') {
+            return Array.from(element.cells).map(cell => cell.textContent).join(' ');
+        }
+        return element.textContent;
+    }
+
+    /**
+     * Search elements when using [filter-search]. Returns the elements in the
+     * order to display them, search terms, and a Map of matched elements to
+     * results from [searchText()].
+     *
+     * @param {array|NodeList} elements
+     * @return {object}
+     */
+    searchElements(elements) {
+        // Get search terms and optional minimum similarity for fuzzy matching
+        const terms = parseSearchTerms(this.value);
+        let fuzzy = this.getAttribute('filter-fuzzy');
+        if (fuzzy !== null) {
+            fuzzy = parseFloat(fuzzy);
+            fuzzy = (isNaN(fuzzy) ? defaultFuzzyScore : fuzzy);
+        }
+        const results = new Map();
+        if (terms.length > 0) {
+            for (const element of elements) {
+                const result = searchText(this.getSearchText(element), terms, fuzzy);
+                if (result !== null) {
+                    results.set(element, result);
+                }
+            }
+        }
+
+        // The order before ranking is saved so it can be restored once the search is
+        // cleared. If the elements have changed (for example new records from <json-data>)
+        // then the current order is used.
+        let ordered = Array.from(elements);
+        const current = new Set(ordered);
+        const saved = this.unrankedElements;
+        const isSaved = (Array.isArray(saved) && saved.length === current.size && saved.every(el => current.has(el)));
+        let isReordered = false;
+        if (this.hasAttribute('filter-rank') && terms.length > 0) {
+            // Rank by score, elements with the same score keep their original order
+            if (!isSaved) {
+                this.unrankedElements = ordered;
+            }
+            const positions = new Map(this.unrankedElements.map((el, index) => [el, index]));
+            const getScore = el => (results.has(el) ? results.get(el).score : -1);
+            ordered = this.unrankedElements.slice().sort((a, b) => {
+                return (getScore(b) - getScore(a)) || (positions.get(a) - positions.get(b));
+            });
+            isReordered = true;
+        } else {
+            if (isSaved) {
+                ordered = saved;
+                isReordered = true;
+            }
+            this.unrankedElements = null;
+        }
+        return { elements: ordered, terms, results, isReordered };
+    }
+
+    /**
+     * Highlight matched text with [filter-highlight]. For <data-table> and <data-list>
+     * with [virtual-scroll] rows are highlighted each time they are rendered.
+     *
+     * @param {array} elements
+     * @param {Map} results
+     * @param {object|null} virtualList
+     */
+    highlightElements(elements, results, virtualList) {
+        const className = this.getAttribute('filter-highlight') || null;
+        if (virtualList !== null) {
+            virtualList.setRenderCallback(this, (results.size === 0 ? null : (el, row) => {
+                const result = results.get(row);
+                if (result !== undefined) {
+                    highlightTerms(el, result.matches, className);
+                }
+            }));
+            return;
+        }
+        for (const element of elements) {
+            const result = results.get(element);
+            if (result === undefined) {
+                clearHighlights(element);
+            } else {
+                highlightTerms(element, result.matches, className);
+            }
         }
-        return { elements, cssOdd, cssEven };
     }
 
     filter() {
@@ -114,13 +239,17 @@ class InputFilter extends HTMLInputElement {
         let displayCount = 0;
 
         // Elements to filter and related settings
-        const { elements, cssOdd, cssEven } = this.getElementsToFilter();
+        const { elements, cssOdd, cssEven, virtualList } = this.getElementsToFilter();
+        const search = (this.hasAttribute('filter-search') ? this.searchElements(elements) : null);
+        const items = (search === null ? elements : search.elements);
 
         // Show/hide elements based on the filter
         const hasCss = (cssEven && cssOdd);
-        for (const element of elements) {
+        for (const element of items) {
             let showItem = true;
-            if (hasFilter) {
+            if (search !== null) {
+                showItem = (search.terms.length === 0 || search.results.has(element));
+            } else if (hasFilter) {
                 // Get lower-case text of search item
                 let text = element.textContent;
                 const searchText = element.getAttribute('data-filter-search-text');
@@ -153,6 +282,24 @@ class InputFilter extends HTMLInputElement {
             element.style.display = (showItem ? '' : 'none');
         }
 
+        // Highlight and change the order of elements when using [filter-search]
+        if (search !== null && this.hasAttribute('filter-highlight')) {
+            this.highlightElements(items, search.results, virtualList);
+        }
+        const isReordered = (search !== null && search.isReordered && items.length > 0);
+        if (virtualList !== null) {
+            if (isReordered) {
+                virtualList.setRows(items);
+            } else {
+                virtualList.refresh();
+            }
+        } else if (isReordered) {
+            const parent = items[0].parentNode;
+            for (const element of items) {
+                parent.appendChild(element);
+            }
+        }
+
         // Optionally update a element with filter result counts
         const selector = this.getAttribute('filter-results-selector');
         if (selector) {
@@ -215,6 +362,10 @@ defineExtendsPolyfill('input-filter', 'input', (el) => {
     el.addEventListener('input', InputFilter.prototype.filter.bind(el));
     el.setupFilter = InputFilter.prototype.setupFilter.bind(el);
     el.getElementsToFilter = InputFilter.prototype.getElementsToFilter.bind(el);
+    el.getSearchText = InputFilter.prototype.getSearchText.bind(el);
+    el.searchElements = InputFilter.prototype.searchElements.bind(el);
+    el.highlightElements = InputFilter.prototype.highlightElements.bind(el);
+    el.unrankedElements = null;
     el.filter = InputFilter.prototype.filter.bind(el);
     el.setupFilter();
     el.setAttribute('data-polyfill-is-setup', '');
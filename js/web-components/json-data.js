@@ -19,6 +19,7 @@
 /* jshint evil:true */
 
 import { Format } from './utils-format.js';
+import { dataCache as sharedCache } from './utils-cache.js';
 import {
     buildUrl,
     setElementText,
@@ -38,6 +39,33 @@ const appEvents = {
     error: 'app:error',
 };
 
+/**
+ * Response Codes that are retried when using [retry-count] unless
+ * [retry-status-codes] is specified.
+ */
+const defaultRetryStatusCodes = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Default attribute values used with [pagination]
+ */
+const pageDefaults = {
+    'page-size': 20,
+    'page-param': 'page',
+    'page-size-param': 'pageSize',
+    'offset-param': 'offset',
+    'limit-param': 'limit',
+    'cursor-param': 'cursor',
+    'list-field': 'data',
+    'total-count-field': 'totalCount',
+    'next-cursor-field': 'nextCursor',
+    'page-number-count': 7,
+};
+
+/**
+ * Selector for elements that change the page when clicked
+ */
+const pageButtonSelector = '[data-page-previous],[data-page-next],[data-page-goto],[data-load-more]';
+
 /**
  * Shadow DOM for Custom Elements
  */
@@ -123,9 +151,20 @@ class JsonData extends HTMLElement {
             hasError: false,
             isLoaded: false,
             errorMessage: null,
+            retryAttempt: 0,
+            page: 1,
+            pageCount: null,
+            totalCount: null,
+            hasMore: false,
+            hasPrevious: false,
+            pageNumbers: [],
+            isLoadingMore: false,
         };
+        this.pageCursors = [null];
+        this.infiniteScrollObserver = null;
 
         this.handleButtonClick = this.handleButtonClick.bind(this);
+        this.handlePageClick = this.handlePageClick.bind(this);
     }
 
     static get observedAttributes() {
@@ -137,6 +176,7 @@ class JsonData extends HTMLElement {
             case 'url':
             case 'url-params':
                 if (oldVal !== null && !this.manualFetchMode) {
+                    this.resetPagination();
                     this.fetch();
                 }
                 break;
@@ -150,6 +190,7 @@ class JsonData extends HTMLElement {
             isLoaded: this.querySelector('is-loaded'),
             clickButton: null,
         };
+        this.addEventListener('click', this.handlePageClick);
 
         // Handle the [click-selector] Attribute. If defined on the <json-data>
         // Control then data is not fetched until the user clicks the element specified
@@ -182,6 +223,8 @@ class JsonData extends HTMLElement {
             this.elements.clickButton.removeEventListener('click', this.handleButtonClick);
             this.elements.clickButton = null;
         }
+        this.removeEventListener('click', this.handlePageClick);
+        this.removeInfiniteScroll();
     }
 
     /**
@@ -243,6 +286,97 @@ class JsonData extends HTMLElement {
         return (this.getAttribute('manual-fetch-mode') !== null);
     }
 
+    get retryCount() {
+        const value = parseInt(this.getAttribute('retry-count'), 10);
+        return (isNaN(value) || value < 0 ? 0 : value);
+    }
+
+    get retryDelay() {
+        const value = parseInt(this.getAttribute('retry-delay'), 10);
+        return (isNaN(value) || value < 0 ? 1000 : value);
+    }
+
+    get retryStatusCodes() {
+        const value = this.getAttribute('retry-status-codes');
+        if (value === null || value.trim() === '') {
+            return defaultRetryStatusCodes;
+        }
+        return value.split(',').map(code => parseInt(code, 10));
+    }
+
+    get retryAttempt() {
+        return this.state.retryAttempt;
+    }
+
+    get cacheTtl() {
+        const value = parseFloat(this.getAttribute('cache-ttl'));
+        return (isNaN(value) ? null : value);
+    }
+
+    get staleWhileRevalidate() {
+        return (this.getAttribute('stale-while-revalidate') !== null);
+    }
+
+    get dataCache() {
+        return sharedCache;
+    }
+
+    /**
+     * Optional pagination for paged web services using [pagination="offset|page|cursor"].
+     * Additional attributes [page-size], [page-param], [page-size-param], [offset-param],
+     * [limit-param], [cursor-param], [list-field], [total-count-field], [next-cursor-field],
+     * and [page-number-count] can be used to match the web service. Child elements with
+     * [data-page-previous], [data-page-next], [data-page-goto], and [data-load-more] change
+     * the page and [data-bind="page|pageCount|totalCount|hasMore"] shows the current state.
+     * [append-pages] and [infinite-scroll] add records to the existing list, see comments
+     * in [js/pages/jsonData.js] for full details.
+     */
+    get pagination() {
+        return this.getAttribute('pagination');
+    }
+
+    get pageSize() {
+        return this.pageOption('page-size');
+    }
+
+    get appendPages() {
+        return (this.getAttribute('append-pages') !== null);
+    }
+
+    get infiniteScroll() {
+        return (this.getAttribute('infinite-scroll') !== null);
+    }
+
+    get page() {
+        return this.state.page;
+    }
+
+    get totalCount() {
+        return this.state.totalCount;
+    }
+
+    get hasMore() {
+        return this.state.hasMore;
+    }
+
+    /**
+     * Return an attribute value used with [pagination] or the default value
+     * @param {string} name
+     * @return {string|number}
+     */
+    pageOption(name) {
+        const value = this.getAttribute(name);
+        const defaultValue = pageDefaults[name];
+        if (value === null || value.trim() === '') {
+            return defaultValue;
+        }
+        if (typeof defaultValue === 'number') {
+            const number = parseInt(value, 10);
+            return (isNaN(number) || number < 1 ? defaultValue : number);
+        }
+        return value;
+    }
+
     get isLoading() {
         return this.state.isLoading;
     }
@@ -276,6 +410,229 @@ class JsonData extends HTMLElement {
         }
     }
 
+    /**
+     * Return the URL to download the current page. When using [pagination="cursor"]
+     * and the previous response defined the next page from a [Link] Response
+     * Header then the URL from the header is used.
+     *
+     * @param {string} url
+     * @param {object|null} urlParams
+     * @return {string}
+     */
+    buildPageUrl(url, urlParams) {
+        const page = this.state.page;
+        const pageSize = this.pageSize;
+        const query = {};
+        switch (this.pagination) {
+            case 'offset':
+                query[this.pageOption('offset-param')] = (page - 1) * pageSize;
+                query[this.pageOption('limit-param')] = pageSize;
+                break;
+            case 'page':
+                query[this.pageOption('page-param')] = page;
+                query[this.pageOption('page-size-param')] = pageSize;
+                break;
+            case 'cursor': {
+                const cursor = this.pageCursors[page - 1];
+                if (cursor && typeof cursor === 'object') {
+                    return cursor.url;
+                }
+                query[this.pageOption('cursor-param')] = cursor;
+                query[this.pageOption('limit-param')] = pageSize;
+                break;
+            }
+        }
+        return buildUrl(url, urlParams, query);
+    }
+
+    /**
+     * Update pagination state from a downloaded page and return data to copy
+     * to [state]. If [previousList] is an array then records from the
+     * response are added to the end of it.
+     *
+     * @param {object|array} data
+     * @param {object} headers - [totalCount] and [nextUrl] from Response Headers
+     * @param {array|null} previousList
+     * @return {object}
+     */
+    setPageData(data, headers, previousList) {
+        const page = this.state.page;
+        const pageSize = this.pageSize;
+        const listField = this.pageOption('list-field');
+        const isArray = Array.isArray(data);
+        let list = (isArray ? data : data[listField]);
+        list = (Array.isArray(list) ? list : []);
+        const pageLength = list.length;
+        if (Array.isArray(previousList)) {
+            list = previousList.concat(list);
+        }
+
+        // Total Count and Page Count
+        let totalCount = (isArray ? NaN : parseInt(data[this.pageOption('total-count-field')], 10));
+        if (isNaN(totalCount) && headers.totalCount !== null) {
+            totalCount = parseInt(headers.totalCount, 10);
+        }
+        this.state.totalCount = (isNaN(totalCount) ? null : totalCount);
+        this.state.pageCount = (this.state.totalCount === null ? null : Math.max(1, Math.ceil(this.state.totalCount / pageSize)));
+
+        // Check if there is another page
+        let hasMore;
+        if (this.pagination === 'cursor') {
+            let nextCursor = (isArray ? null : data[this.pageOption('next-cursor-field')]);
+            if (nextCursor === undefined || nextCursor === null || nextCursor === '') {
+                nextCursor = (headers.nextUrl ? { url: headers.nextUrl } : null);
+            }
+            this.pageCursors = this.pageCursors.slice(0, page);
+            if (nextCursor !== null) {
+                this.pageCursors.push(nextCursor);
+            }
+            hasMore = (nextCursor !== null);
+        } else if (this.state.pageCount !== null) {
+            hasMore = (page < this.state.pageCount);
+        } else {
+            hasMore = (pageLength >= pageSize);
+        }
+        if (!isArray && typeof data.hasMore === 'boolean') {
+            hasMore = data.hasMore;
+        }
+        this.state.hasMore = hasMore;
+        this.state.hasPrevious = (page > 1 && previousList === null && !this.appendPages);
+
+        // Page numbers to show around the current page
+        let lastPage = this.state.pageCount;
+        if (this.pagination === 'cursor') {
+            lastPage = this.pageCursors.length;
+        } else if (lastPage === null) {
+            lastPage = (hasMore ? page + 1 : page);
+        }
+        const count = this.pageOption('page-number-count');
+        const start = Math.max(1, Math.min(page - Math.floor(count / 2), lastPage - count + 1));
+        this.state.pageNumbers = [];
+        for (let n = start; n <= lastPage && n < start + count; n++) {
+            this.state.pageNumbers.push({ page: n, isCurrent: (n === page) });
+        }
+
+        // A new object is returned so that data saved in the cache is not modified
+        const result = (isArray ? {} : Object.assign({}, data));
+        result[listField] = list;
+        return result;
+    }
+
+    /**
+     * Reset pagination so the first page is downloaded the next time [fetch()] is
+     * called. This happens automatically when [url] or [url-params] changes.
+     */
+    resetPagination() {
+        this.state.page = 1;
+        this.state.pageCount = null;
+        this.state.totalCount = null;
+        this.state.hasMore = false;
+        this.state.hasPrevious = false;
+        this.state.pageNumbers = [];
+        this.state.isLoadingMore = false;
+        this.pageCursors = [null];
+    }
+
+    /**
+     * Download a specific page. When [append] is true records are added to the
+     * existing list, otherwise the current records are replaced.
+     *
+     * @param {number|string} page
+     * @param {boolean} append
+     * @return {boolean}
+     */
+    goToPage(page, append = false) {
+        page = parseInt(page, 10);
+        if (isNaN(page) || page < 1 || (this.state.pageCount !== null && page > this.state.pageCount)) {
+            return false;
+        }
+        if (this.pagination === 'cursor' && page > this.pageCursors.length) {
+            return false;
+        }
+        this.state.page = page;
+        this.state.isLoadingMore = (append === true);
+        this.fetch();
+        return true;
+    }
+
+    nextPage() {
+        if (this.appendPages) {
+            return this.loadMore();
+        }
+        if (!this.state.hasMore || this.state.isLoading) {
+            return false;
+        }
+        return this.goToPage(this.state.page + 1);
+    }
+
+    previousPage() {
+        if (this.state.isLoading) {
+            return false;
+        }
+        return this.goToPage(this.state.page - 1);
+    }
+
+    loadMore() {
+        if (!this.state.hasMore || this.state.isLoading || this.state.isLoadingMore) {
+            return false;
+        }
+        return this.goToPage(this.state.page + 1, true);
+    }
+
+    /**
+     * Handle clicks on child elements with [data-page-previous],
+     * [data-page-next], [data-page-goto], and [data-load-more].
+     *
+     * @param {Event} e
+     */
+    handlePageClick(e) {
+        if (!this.pagination) {
+            return;
+        }
+        const element = e.target.closest(pageButtonSelector);
+        if (element === null || element.disabled || !this.contains(element)) {
+            return;
+        }
+        e.preventDefault();
+        if (element.hasAttribute('data-page-previous')) {
+            this.previousPage();
+        } else if (element.hasAttribute('data-page-next')) {
+            this.nextPage();
+        } else if (element.hasAttribute('data-page-goto')) {
+            this.goToPage(element.getAttribute('data-page-goto'));
+        } else {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * When using [infinite-scroll] call [loadMore()] once
+     * the child element [data-infinite-scroll-trigger] becomes visible.
+     */
+    setupInfiniteScroll() {
+        this.removeInfiniteScroll();
+        if (!this.infiniteScroll || window.IntersectionObserver === undefined) {
+            return;
+        }
+        const element = this.querySelector('[data-infinite-scroll-trigger]');
+        if (element === null) {
+            return;
+        }
+        this.infiniteScrollObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        });
+        this.infiniteScrollObserver.observe(element);
+    }
+
+    removeInfiniteScroll() {
+        if (this.infiniteScrollObserver !== null) {
+            this.infiniteScrollObserver.disconnect();
+            this.infiniteScrollObserver = null;
+        }
+    }
+
     dispatchContentReady() {
         // Dispatch Standard DOM Event. Because it bubbles up it can be easily
         // handled from the document root:
@@ -322,9 +679,15 @@ class JsonData extends HTMLElement {
             return;
         }
 
+        // When using [pagination] only the first page is saved for [load-only-once]
+        // and when loading more records the current records remain visible.
+        const isLoadingMore = this.state.isLoadingMore;
+        const previousList = (isLoadingMore ? this.state[this.pageOption('list-field')] : null);
+        const useLoadOnlyOnce = (this.loadOnlyOnce && (!this.pagination || this.state.page === 1));
+
         // Load from Cache if [load-only-once] is defined and the
         // same content was previously viewed.
-        if (this.loadOnlyOnce) {
+        if (useLoadOnlyOnce) {
             const data = getDataFromCache(urlPath, urlParams);
             if (data !== null) {
                 await this._setLoadedState(data);
@@ -336,37 +699,115 @@ class JsonData extends HTMLElement {
         if (urlParams) {
             urlParams = JSON.parse(urlParams);
         }
-        url = buildUrl(url, urlParams);
+        url = (this.pagination ? this.buildPageUrl(url, urlParams) : buildUrl(url, urlParams));
+
+        // Optionally use the shared data cache. If [cache-ttl] is not defined then rules
+        // from [sharedCache.setTtl()] are used followed by data from <url-router>.prefetchRoute().
+        // When [stale-while-revalidate] is used then expired data is displayed
+        // immediately and the request runs in the background.
+        let cacheTtl = (this.cacheTtl === null ? sharedCache.getTtl(url) : this.cacheTtl);
+        if (cacheTtl === null) {
+            cacheTtl = sharedCache.usePrefetched(url);
+        }
+        let isRevalidating = false;
+        if (cacheTtl !== null) {
+            const entry = await sharedCache.get(url);
+            if (entry !== null) {
+                const isValid = (Date.now() - entry.time < cacheTtl * 1000);
+                if (isValid || this.staleWhileRevalidate) {
+                    await this._setLoadedState(entry.data, undefined, previousList);
+                    this.dispatchContentReady();
+                    if (isValid) {
+                        return;
+                    }
+                    isRevalidating = true;
+                }
+            }
+        }
 
-        this.isLoading = true;
-        this.isLoaded = false;
-        this.hasError = false;
-        await this.bindData();
+        this.state.retryAttempt = 0;
+        if (isLoadingMore) {
+            await this.bindData();
+        } else if (!isRevalidating) {
+            this.isLoading = true;
+            this.isLoaded = false;
+            this.hasError = false;
+            await this.bindData();
+        }
 
-        fetch(url, {
-            mode: 'cors',
-            cache: 'no-store',
-            credentials: 'same-origin',
-        })
-        .then(response => {
-            const status = response.status;
-            if ((status >= 200 && status < 300) || status === 304) {
-                return Promise.resolve(response);
-            } else {
-                const error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
+        // If [retry-count] is defined then network errors and Response Codes from
+        // [retry-status-codes] are retried using exponential backoff starting with
+        // [retry-delay]. While waiting [state.retryAttempt] is updated so elements
+        // can show the current count using [data-bind="retryAttempt"]. Requests are
+        // not retried once the element is removed from the page.
+        const retryCount = this.retryCount;
+        const retryStatusCodes = this.retryStatusCodes;
+        const pageHeaders = { totalCount: null, nextUrl: null };
+        const retryRequest = async () => {
+            this.state.retryAttempt++;
+            await this.bindData();
+            const delay = this.retryDelay * Math.pow(2, this.state.retryAttempt - 1);
+            await new Promise(resolve => window.setTimeout(resolve, delay));
+            return sendRequest();
+        };
+        const sendRequest = () => {
+            return fetch(url, {
+                mode: 'cors',
+                cache: 'no-store',
+                credentials: 'same-origin',
+            })
+            .then(response => {
+                const status = response.status;
+                if ((status >= 200 && status < 300) || status === 304) {
+                    if (this.pagination) {
+                        const link = response.headers.get('Link');
+                        const match = (link ? /<([^>]*)>[^<]*rel="?next"?/i.exec(link) : null);
+                        pageHeaders.totalCount = response.headers.get('X-Total-Count');
+                        pageHeaders.nextUrl = (match ? match[1] : null);
+                    }
+                    return response.json();
+                } else {
+                    const error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
+                    if (this.state.retryAttempt < retryCount && this.isConnected && retryStatusCodes.includes(status)) {
+                        return retryRequest();
+                    }
+                    return Promise.reject(error);
+                }
+            }, error => {
+                if (this.state.retryAttempt < retryCount && this.isConnected) {
+                    return retryRequest();
+                }
                 return Promise.reject(error);
-            }
-        })
-        .then(response => {
-            return response.json();
-        })
+            });
+        };
+
+        sendRequest()
         .then(async (data) => {
-            if (this.loadOnlyOnce) {
+            this.state.retryAttempt = 0;
+            if (useLoadOnlyOnce) {
                 saveDataToCache(urlPath, urlParams, data);
             }
-            await this._setLoadedState(data);
+            if (cacheTtl !== null) {
+                sharedCache.set(url, data);
+            }
+            await this._setLoadedState(data, pageHeaders, previousList);
         })
         .catch(async (error) => {
+            this.state.retryAttempt = 0;
+            if (isLoadingMore) {
+                // Keep showing the current records
+                this.state.isLoadingMore = false;
+                this.state.page--;
+                this.state.errorMessage = error;
+                await this.bindData();
+                console.error(error);
+                return;
+            }
+            if (isRevalidating) {
+                // Keep showing the cached data
+                console.error(error);
+                return;
+            }
             await this.showError(error);
         })
         .finally(() => {
@@ -387,18 +828,19 @@ class JsonData extends HTMLElement {
         console.error(message);
     }
 
-    async _setLoadedState(data) {
+    async _setLoadedState(data, pageHeaders = { totalCount: null, nextUrl: null }, previousList = null) {
         this.isLoading = false;
         this.isLoaded = true;
         this.hasError = false;
         this.state.errorMessage = null;
+        this.state.isLoadingMore = false;
         const transformData = this.getAttribute('transform-data');
         if (transformData) {
             try {
                 if (typeof window[transformData] === 'function') {
                     const data2 = window[transformData](data);
                     if (typeof data2 === 'object' && data2 !== null) {
-                        Object.assign(this.state, data2);
+                        Object.assign(this.state, (this.pagination ? this.setPageData(data2, pageHeaders, previousList) : data2));
                     } else {
                         await this.showError(`Function [${transformData}()] must return an object.`);
                     }
@@ -409,12 +851,15 @@ class JsonData extends HTMLElement {
                 await this.showError(e);
             }
         } else {
-            Object.assign(this.state, data);
+            Object.assign(this.state, (this.pagination ? this.setPageData(data, pageHeaders, previousList) : data));
         }
         if (typeof data.hasError === 'boolean') {
             this.hasError = data.hasError;
         }
         await this.bindData();
+        if (this.pagination) {
+            this.setupInfiniteScroll();
+        }
     }
 
     async bindData() {
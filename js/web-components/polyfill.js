@@ -87,7 +87,7 @@
             });
         },
         jsonData: function(element) {
-            updateElements.dataAttributes(element, ['url', 'load-only-once', 'click-selector', 'transform-data']);
+            updateElements.dataAttributes(element, ['url', 'load-only-once', 'click-selector', 'transform-data', 'retry-count', 'retry-delay', 'retry-status-codes', 'cache-ttl', 'stale-while-revalidate']);
             var elements = ['is-loading', 'has-error', 'is-loaded'];
             elements.forEach(function(name) {
                 var el = element.querySelector(name);
@@ -167,6 +167,12 @@
             if (activeClass) {
                 app.plugins.navLinks.activeClass = activeClass;
             }
+            var prefetch = element.getAttribute('prefetch');
+            if (prefetch !== null) {
+                Array.prototype.forEach.call(element.querySelectorAll('a[href]'), function(link) {
+                    link.setAttribute('data-prefetch', prefetch);
+                });
+            }
         },
         animation: function() {
             var animationService = document.querySelector('animation-service');
@@ -185,6 +191,24 @@
      */
     var polyfillPage = {
         model: {},
+        onRouteLoad: function() {
+            // Query string values are added to the model along with URL parameters
+            // for compatibility with the <url-router> Web Component. URL parameters
+            // are used if the same name exists in both.
+            var model = this;
+            if (Array.isArray(model.queryParamNames)) {
+                model.queryParamNames.forEach(function(name) {
+                    delete model[name];
+                });
+            }
+            model.queryParamNames = [];
+            for (var name in app.activeQuery) {
+                if (app.activeQuery.hasOwnProperty(name) && model[name] === undefined) {
+                    model[name] = app.activeQuery[name];
+                    model.queryParamNames.push(name);
+                }
+            }
+        },
         onRendered: function() {
             var model = this;
 
@@ -218,6 +242,7 @@
             dispatchEvent(document, 'app:routeChanged', {
                 url: (app.activeController && app.activeController.path ? app.activeController.path : null),
                 urlParams: app.activeParameterList,
+                query: app.activeQuery,
             });
 
             // Update <json-data> Web Component so it matches the
@@ -247,6 +272,12 @@
             if (typeof this.onunload === 'string') {
                 evalElementJs(this.onunload, 'url-route', 'onunload');
             }
+            // Parent routes of nested routes, starting with the closest parent
+            if (Array.isArray(this.parentOnunload)) {
+                this.parentOnunload.forEach(function(js) {
+                    evalElementJs(js, 'url-route', 'onunload');
+                });
+            }
         },
     };
 
@@ -389,6 +420,40 @@
         }
     }
 
+    /**
+     * Run JavaScript from <url-route before-enter="{js}"> for a route. Each value
+     * is checked in order and the first result of `false`, a redirect path,
+     * or a rejected Promise is returned.
+     *
+     * @param {array} jsList
+     * @param {string} path
+     * @param {string|null} previousPath
+     * @param {object} params
+     * @return {Promise}
+     */
+    function runBeforeEnter(jsList, path, previousPath, params) {
+        var index = 0;
+        function next() {
+            if (index === jsList.length) {
+                return Promise.resolve(true);
+            }
+            var js = jsList[index++];
+            var fn = new Function('return ' + js);
+            var result = fn();
+            if (typeof result === 'function') {
+                result = result(path, previousPath, params);
+            }
+            return Promise.resolve(result).then(function(value) {
+                return (value === false || typeof value === 'string' ? value : next());
+            });
+        }
+        try {
+            return next();
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
     /**
      * Trigger DOM Events for Apps to handle
      *
@@ -416,9 +481,19 @@
         }
         element.dispatchEvent(event);
 
-        // Execute JavaScript from <url-route onload="{js}">
-        if (eventName === 'app:routeChanged' && app.activeController && app.activeController.settings && app.activeController.settings.onload) {
-            evalElementJs(app.activeController.settings.onload, 'url-route', 'onload');
+        // Execute JavaScript from <url-route onload="{js}">. For nested routes the
+        // polyfill renders the full layout on each route change so [onload] from
+        // parent routes runs first each time.
+        if (eventName === 'app:routeChanged' && app.activeController && app.activeController.settings) {
+            var settings = app.activeController.settings;
+            if (Array.isArray(settings.parentOnload)) {
+                settings.parentOnload.forEach(function(js) {
+                    evalElementJs(js, 'url-route', 'onload');
+                });
+            }
+            if (settings.onload) {
+                evalElementJs(settings.onload, 'url-route', 'onload');
+            }
         }
     }
 
@@ -477,6 +552,40 @@
         };
     }
 
+    /**
+     * Return the parent <url-route> of a nested route or null for top-level routes
+     *
+     * @param {HTMLElement} route
+     * @return {HTMLElement|null}
+     */
+    function getParentRoute(route) {
+        var element = route.parentNode;
+        while (element && element.tagName) {
+            if (element.tagName === 'URL-ROUTE') {
+                return element;
+            } else if (element.tagName === 'URL-ROUTER') {
+                return null;
+            }
+            element = element.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * Return the <template> for a route and not one from a nested route
+     *
+     * @param {HTMLElement} route
+     * @return {HTMLElement|null}
+     */
+    function getRouteTemplate(route) {
+        for (var n = 0, m = route.children.length; n < m; n++) {
+            if (route.children[n].tagName === 'TEMPLATE') {
+                return route.children[n];
+            }
+        }
+        return null;
+    }
+
     /**
      * Convert routes under <url-router> to standard Framework routes
      * @param {HTMLElement} router
@@ -500,6 +609,16 @@
             document.documentElement.setAttribute('data-routing-mode', 'history');
         }
 
+        // Focus and screen reader announcements after route changes
+        var focusSelector = router.getAttribute('focus-selector');
+        if (focusSelector !== null) {
+            document.documentElement.setAttribute('data-route-focus', focusSelector);
+        }
+        var announceTitle = router.getAttribute('announce-title');
+        if (announceTitle !== null) {
+            document.documentElement.setAttribute('data-route-announce', announceTitle);
+        }
+
         // Define and Validate App Settings based on Router
         app.settings.viewSelector = router.getAttribute('view-selector');
         app.settings.lazyTemplateSelector = router.getAttribute('loading-template-selector');
@@ -519,6 +638,20 @@
         router.changeRoute = function(path) {
             app.changeRoute(path);
         };
+        router.updateQuery = function(query, options) {
+            app.updateQuery(query, options);
+        };
+        router.prefetchRoute = function(path) {
+            return app.prefetchRoute(path);
+        };
+
+        // Route guards assigned to the element as [router.beforeRouteChange]
+        // are called from the matching Framework function.
+        app.beforeRouteChange = function(path, previousPath) {
+            if (typeof router.beforeRouteChange === 'function') {
+                return router.beforeRouteChange(path, previousPath);
+            }
+        };
 
         // Map items from [window.lazyLoad] to [app.lazyLoad] excluding items in
         // the format of `{module:url}` as they are intended only for modern browsers
@@ -541,6 +674,9 @@
         // Get all routes on the page and for each route add a controller object. When using the
         // standard DataFormsJS framework it converts <template|script data-route="path"> to
         // controllers. For the Web Components Polyfill <url-route> are used instead.
+        //
+        // Nested routes are added as a single route using the full path from the parent
+        // routes and the child <template> is placed in the parent <url-router-outlet>.
         var routes = router.querySelectorAll('url-route');
         var viewIndex = 0;
         Array.prototype.forEach.call(routes, function(route) {
@@ -552,6 +688,28 @@
                 return;
             }
 
+            // Get the full path and parent routes for nested routes
+            var parentRoutes = [];
+            var parent = getParentRoute(route);
+            while (parent !== null) {
+                var parentPath = parent.getAttribute('path');
+                if (parentPath === null) {
+                    return;
+                }
+                var childPath = path.replace(/^\//, '');
+                parentPath = parentPath.replace(/\/$/, '');
+                path = (childPath === '' ? (parentPath === '' ? '/' : parentPath) : parentPath + '/' + childPath);
+                parentRoutes.push(parent);
+                parent = getParentRoute(parent);
+            }
+
+            // Parent routes match their own path with an empty <url-router-outlet> unless a child
+            // route with [path=""] is defined. Child routes are after the parent in the document
+            // so if a route was already added for the path it's replaced.
+            app.controllers = app.controllers.filter(function(controller) {
+                return controller.path !== path;
+            });
+
             // If default route then update app settings
             var isDefault = (route.getAttribute('default-route') !== null);
             if (isDefault) {
@@ -576,17 +734,45 @@
             var viewId;
             if (viewUrl === null || viewUrl === '') {
                 viewUrl = undefined;
-                var template = route.querySelector('template');
+                var template = getRouteTemplate(route);
                 if (template === null) {
                     app.showErrorAlert('Missing <template> or [src] attribute for route <' + route.tagName.toLowerCase() + ' path="' + path + '">.');
                     console.log(route);
                     return;
                 }
+
+                // For nested routes create a template with the child route
+                // HTML placed in the <url-router-outlet> of each parent.
+                if (parentRoutes.length > 0) {
+                    var html = template.innerHTML;
+                    for (var n = 0, m = parentRoutes.length; n < m; n++) {
+                        var parentTemplate = getRouteTemplate(parentRoutes[n]);
+                        if (parentTemplate === null) {
+                            app.showErrorAlert('Nested routes require a <template> for each parent route when using the polyfill. Route: <' + route.tagName.toLowerCase() + ' path="' + path + '">.');
+                            return;
+                        }
+                        var layout = document.createElement('div');
+                        layout.innerHTML = parentTemplate.innerHTML;
+                        var outlet = layout.querySelector('url-router-outlet');
+                        if (outlet !== null) {
+                            outlet.innerHTML = html;
+                        }
+                        html = layout.innerHTML;
+                    }
+                    template = document.createElement('script');
+                    template.type = 'text/x-template';
+                    template.text = html;
+                    document.body.appendChild(template);
+                }
+
                 if (!template.id) {
                     template.id = 'url-route-template-' + viewIndex + '-' + (new Date()).getTime();
                     viewIndex++;
                 }
                 viewId = template.id;
+            } else if (parentRoutes.length > 0) {
+                app.showErrorAlert('Nested routes with [src] are not supported by the polyfill, use <template> instead. Route: <' + route.tagName.toLowerCase() + ' path="' + path + '">.');
+                return;
             }
 
             // Map items from [lazy-load] and JS events.
@@ -595,6 +781,14 @@
                 onload: route.getAttribute('onload'),
                 onunload: route.getAttribute('onunload'),
             };
+            if (parentRoutes.length > 0) {
+                settings.parentOnunload = parentRoutes.map(function(parent) {
+                    return parent.getAttribute('onunload');
+                }).filter(function(js) { return js; });
+                settings.parentOnload = parentRoutes.map(function(parent) {
+                    return parent.getAttribute('onload');
+                }).filter(function(js) { return js; }).reverse();
+            }
             var lazyLoad = route.getAttribute('lazy-load');
             if (lazyLoad !== null) {
                 lazyLoad = lazyLoad.split(',').map(function(s) { return s.trim(); });
@@ -637,6 +831,12 @@
                 settings = undefined;
             }
 
+            // Route guards from <url-route before-enter="{js}">, for nested routes
+            // parent routes are checked first.
+            var beforeEnter = parentRoutes.slice().reverse().concat([route]).map(function(item) {
+                return item.getAttribute('before-enter');
+            }).filter(function(js) { return js; });
+
             // Add Route as Framework Controller
             app.addController({
                 path: path,
@@ -645,6 +845,9 @@
                 viewEngine: 'Text',
                 pageType: 'polyfillPage',
                 settings: settings,
+                beforeEnter: (beforeEnter.length === 0 ? undefined : function(path, previousPath, params) {
+                    return runBeforeEnter(beforeEnter, path, previousPath, params);
+                }),
             });
         });
 
@@ -4,6 +4,24 @@
  * This component extends the standard <table> as a sortable table when <table is="sortable-table">
  * is used. This class is based on the standard framework plugin [DataFormsJS\js\Plugins\sort.js]
  * and is similar to the React class [DataFormsJS\js\React\SortableTable.jsx].
+ *
+ * Clicking a column sorts by the column and clicking it again reverses the order. Holding
+ * [Shift] while clicking adds the column to the current sort so rows can be sorted by
+ * multiple columns. Sorted header cells have [aria-sort] and [data-sort-priority] attributes
+ * and show an arrow with the sort priority. The current sort is saved in the table attribute
+ * [data-sort-columns] using the format "{column}-{order}", example: "2-desc,0-asc".
+ *
+ * Optional attributes:
+ *     data-sort-persist="url|session"
+ *         Save the sort to the URL query string or to [sessionStorage] and restore it when the
+ *         table is rendered again, for example after changing routes or new data is loaded.
+ *     data-sort-key="name"
+ *         Query string name or storage key, defaults to the table [id] or "sort".
+ *     <th data-sort-type="date|number|text|natural">
+ *         Sort the column using a specific data type rather than detecting it from each value.
+ *     <th data-sort-field="name">
+ *         Added by <data-table>, with [virtual-scroll] records are sorted by the field value rather
+ *         than the cell text so formatted values such as currency or localized dates sort correctly.
  */
 
 /* Validates with both [jshint] and [eslint] */
@@ -14,8 +32,185 @@
 /* eslint spaced-comment: ["error", "always"] */
 /* eslint-disable no-console */
 
-import { defineExtendsPolyfill } from './utils.js';
-import { getSortObject, smartSort } from './utils-sort.js';
+import { defineExtendsPolyfill, loadCss } from './utils.js';
+import {
+    getSortObject,
+    smartSort,
+    formatSortColumns,
+    findSortColumn,
+    getSortColumns,
+    loadSortState,
+    saveSortState
+} from './utils-sort.js';
+import { getVirtualList } from './utils-virtual.js';
+
+const sortStyleId = 'sortable-table-style';
+const sortCss = `
+    table[data-sort-columns] th[aria-sort="ascending"]::after { content: " \\25B2" attr(data-sort-priority); font-size: .8em; }
+    table[data-sort-columns] th[aria-sort="descending"]::after { content: " \\25BC" attr(data-sort-priority); font-size: .8em; }
+`;
+
+/**
+ * Return the last row of <thead>, a row of filter controls
+ * from <filter-service> [data-filter-row] is skipped.
+ *
+ * @param {HTMLTableElement} table
+ * @return {HTMLTableRowElement}
+ */
+function getHeaderRow(table) {
+    const rows = table.tHead.rows;
+    for (let n = rows.length - 1; n > 0; n--) {
+        if (rows[n].getAttribute('data-filter-controls') === null) {
+            return rows[n];
+        }
+    }
+    return rows[0];
+}
+
+/**
+ * Return table rows sorted by the text of one or more columns. The data type of
+ * the text value in each cell is determined for sorting (null, number, string, etc).
+ *
+ * @param {HTMLCollection|array} tableRows
+ * @param {array} sortColumns - [{ column, order }]
+ * @param {array} sortTypes - Values from [data-sort-type] for each column
+ * @return {array}
+ */
+function getSortedRows(tableRows, sortColumns, sortTypes) {
+    const sortRows = [];
+    for (let rowIndex = 0, rowCount = tableRows.length; rowIndex < rowCount; rowIndex++) {
+        const values = [];
+        for (let n = 0, m = sortColumns.length; n < m; n++) {
+            // Get cell from row
+            const rowCell = tableRows[rowIndex].cells[sortColumns[n].column];
+            if (rowCell === undefined) {
+                break; // Might happen if a column uses rowspan
+            }
+
+            // Get the cell text and convert it to a value and type for sorting
+            const value = rowCell.getAttribute('data-value');
+            const cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
+            values.push(getSortObject(tableRows[rowIndex], cellText, sortTypes[n]));
+        }
+        if (values.length !== sortColumns.length) {
+            console.warn('Unexpected table format for sorting');
+            console.log(tableRows[rowIndex]);
+            continue;
+        }
+
+        // Add the row along with converted values to the sort rows array.
+        sortRows.push({ el: tableRows[rowIndex], values: values, index: rowIndex });
+    }
+
+    // Sort the array using [smartSort()] for each column in order of priority. If all
+    // values are the same the original position of the row is kept.
+    sortRows.sort((a, b) => {
+        for (let n = 0, m = sortColumns.length; n < m; n++) {
+            const result = smartSort(a.values[n], b.values[n]);
+            if (result !== 0) {
+                return (sortColumns[n].order === 'desc' ? -result : result);
+            }
+        }
+        return a.index - b.index;
+    });
+    return sortRows.map(sortRow => sortRow.el);
+}
+
+/**
+ * Sort table rows by one or more columns and update the header cells
+ * with [aria-sort] and [data-sort-priority].
+ *
+ * @param {HTMLTableElement} table
+ * @param {array} sortColumns - [{ column, order }]
+ */
+function sortTable(table, sortColumns) {
+    // Column types from [data-sort-type] on the last header row
+    const headerRow = getHeaderRow(table);
+    const sortTypes = sortColumns.map(item => {
+        const headerCell = headerRow.cells[item.column];
+        return (headerCell === undefined ? null : headerCell.getAttribute('data-sort-type'));
+    });
+
+    // Tables from <data-table virtual-scroll> have [data-sort-field] on header cells so
+    // the records are sorted using the field values rather than the displayed text.
+    const tbody = table.tBodies[0];
+    const virtualList = getVirtualList(table);
+    const sortFields = sortColumns.map(item => {
+        const headerCell = headerRow.cells[item.column];
+        return (headerCell === undefined ? null : headerCell.getAttribute('data-sort-field'));
+    });
+    const sortByField = (virtualList !== null && sortFields.every(field => field !== null));
+    let sortedRows;
+    if (sortByField) {
+        virtualList.sortBy(sortColumns.map((item, n) => {
+            return { field: sortFields[n], order: item.order, type: sortTypes[n] };
+        }));
+        sortedRows = virtualList.rows;
+    } else {
+        sortedRows = getSortedRows(virtualList === null ? tbody.rows : virtualList.rows, sortColumns, sortTypes);
+    }
+
+    // Add back all rows to the <tbody> in the new sorted order.
+    // This simply moves the elements around so they appear in the correct order.
+    const cssOdd = table.getAttribute('data-sort-class-odd');
+    const cssEven = table.getAttribute('data-sort-class-even');
+    const hasCSS = (cssOdd && cssEven);
+    let displayCount = 0;
+    for (let n = 0, m = sortedRows.length; n < m; n++) {
+        // If there are attributes [data-sort-class-odd] and [data-sort-class-even]
+        // defined then update the className so rows appear correctly
+        // (for example when using striped colors). When using [nth-child(odd), etc]
+        // rows will be added back by default using the color origionally assigned
+        // as Browsers do not re-calculate the CSS selector when adding back.
+        // Only update items that are not hidden because if they are filtered then
+        // some will be hidden.
+        const row = sortedRows[n];
+        if (hasCSS && row.style.display !== 'none' && !row.filtered) {
+            // Increment Counter and update CSS
+            displayCount++;
+            if (displayCount % 2 === 0) {
+                row.classList.add(cssEven);
+                row.classList.remove(cssOdd);
+            } else {
+                row.classList.add(cssOdd);
+                row.classList.remove(cssEven);
+            }
+        }
+
+        // Add the row
+        if (virtualList === null) {
+            tbody.appendChild(row);
+        }
+    }
+    if (virtualList !== null && !sortByField) {
+        virtualList.setRows(sortedRows);
+    } else if (virtualList !== null && hasCSS) {
+        virtualList.refresh();
+    }
+
+    // Update header cells for screen readers and the sort indicator
+    for (let cellIndex = 0, cellCount = headerRow.cells.length; cellIndex < cellCount; cellIndex++) {
+        const headerCell = headerRow.cells[cellIndex];
+        const pos = findSortColumn(sortColumns, cellIndex);
+        if (pos === -1) {
+            headerCell.removeAttribute('aria-sort');
+            headerCell.removeAttribute('data-sort-priority');
+        } else {
+            headerCell.setAttribute('aria-sort', (sortColumns[pos].order === 'asc' ? 'ascending' : 'descending'));
+            if (sortColumns.length > 1) {
+                headerCell.setAttribute('data-sort-priority', pos + 1);
+            } else {
+                headerCell.removeAttribute('data-sort-priority');
+            }
+        }
+    }
+
+    // Update attributes to save the currently sorted columns and sort order.
+    // [data-sort-column] and [data-sort-order] are for the first sorted column.
+    table.setAttribute('data-sort-column', sortColumns[0].column);
+    table.setAttribute('data-sort-order', sortColumns[0].order);
+    table.setAttribute('data-sort-columns', formatSortColumns(sortColumns));
+}
 
 class SortableTable extends HTMLTableElement {
     constructor() {
@@ -52,7 +247,7 @@ class SortableTable extends HTMLTableElement {
         }
 
         // Add click events to all the last header row of all columns
-        const row = table.tHead.rows[table.tHead.rows.length-1];
+        const row = getHeaderRow(table);
         for (let cellIndex = 0, cellCount = row.cells.length; cellIndex < cellCount; cellIndex++) {
             if (this instanceof HTMLTableElement) {
                 row.cells[cellIndex].addEventListener('click', SortableTable.prototype.sortColumn);
@@ -61,10 +256,27 @@ class SortableTable extends HTMLTableElement {
             }
             row.cells[cellIndex].style.cursor = 'pointer';
         }
+        loadCss(sortStyleId, sortCss);
+
+        // Restore the sort from [data-sort-persist]. Rows of <data-table> are
+        // set after the table is added to the page so they are sorted once ready.
+        const sortColumns = loadSortState(table);
+        if (sortColumns.length > 0) {
+            if (table.closest('data-table') === null) {
+                sortTable(table, sortColumns);
+            } else {
+                window.setTimeout(() => {
+                    if (table.closest('data-table') !== null) {
+                        sortTable(table, sortColumns);
+                    }
+                });
+            }
+        }
     }
 
     /**
-     * Handle Column Header Click to Sort Rows by Data in the Column
+     * Handle Column Header Click to Sort Rows by Data in the Column.
+     * If [Shift] is held down then the column is added to the current sort.
      * @param {Event} e
      */
     sortColumn(e) {
@@ -82,79 +294,29 @@ class SortableTable extends HTMLTableElement {
             return;
         }
 
-        // Did the user click the same column? If so reverse Asc/Desc Sort order each time
-        const lastColumn = table.getAttribute('data-sort-column');
+        // Did the user click the same column? If so reverse Asc/Desc Sort order each time.
+        // When [Shift] is used add the column to the sort or reverse it if already sorted.
         const cellIndex = cell.cellIndex;
-        const sameColumn = (lastColumn !== null && parseInt(lastColumn, 10) === cellIndex);
-        let sortOrder = 'asc';
-        if (sameColumn) {
-            const lastOrder = table.getAttribute('data-sort-order');
-            sortOrder = (lastOrder === 'asc' ? 'desc' : 'asc');
-        }
-
-        // Build an array of rows and determine the data type of the text
-        // value in each cell to sort (null, number, string, etc).
-        const tbody = table.tBodies[0];
-        const tableRows = tbody.rows;
-        const sortRows = [];
-        for (let rowIndex = 0, rowCount = tableRows.length; rowIndex < rowCount; rowIndex++) {
-            // Get cell from row
-            const rowCell = tableRows[rowIndex].cells[cellIndex];
-            if (rowCell === undefined) {
-                console.warn('Unexpected table format for sorting');
-                console.log(tableRows[rowIndex]);
-                continue; // Might happen if a column uses rowspan
+        let sortColumns = getSortColumns(table);
+        const pos = findSortColumn(sortColumns, cellIndex);
+        if (e.shiftKey) {
+            if (pos === -1) {
+                sortColumns.push({ column: cellIndex, order: 'asc' });
+            } else {
+                sortColumns[pos].order = (sortColumns[pos].order === 'asc' ? 'desc' : 'asc');
             }
-
-            // Get the cell text
-            const value = rowCell.getAttribute('data-value');
-            let cellText = (value !== null ? value.trim() : rowCell.textContent.trim());
-
-            // Add the row along with converted
-            // value and type to the sort rows array.
-            sortRows.push(getSortObject(tableRows[rowIndex], cellText));
-        }
-
-        // Sort the array using the custom compare function in this file
-        sortRows.sort(smartSort);
-        if (sortOrder === 'desc') {
-            sortRows.reverse();
-        }
-
-        // Add back all rows to the <tbody> in the new sorted order.
-        // This simply moves the elements around so they appear in the correct order.
-        const cssOdd = table.getAttribute('data-sort-class-odd');
-        const cssEven = table.getAttribute('data-sort-class-even');
-        const hasCSS = (cssOdd && cssEven);
-        let displayCount = 0;
-        for (let n = 0, m = sortRows.length; n < m; n++) {
-            // If there are attributes [data-sort-class-odd] and [data-sort-class-even]
-            // defined then update the className so rows appear correctly
-            // (for example when using striped colors). When using [nth-child(odd), etc]
-            // rows will be added back by default using the color origionally assigned
-            // as Browsers do not re-calculate the CSS selector when adding back.
-            // Only update items that are not hidden because if they are filtered then
-            // some will be hidden.
-            const row = sortRows[n].el;
-            if (hasCSS && row.style.display !== 'none') {
-                // Increment Counter and update CSS
-                displayCount++;
-                if (displayCount % 2 === 0) {
-                    row.classList.add(cssEven);
-                    row.classList.remove(cssOdd);
-                } else {
-                    row.classList.add(cssOdd);
-                    row.classList.remove(cssEven);
-                }
+        } else {
+            const sameColumn = (pos === 0);
+            let sortOrder = 'asc';
+            if (sameColumn) {
+                sortOrder = (sortColumns[0].order === 'asc' ? 'desc' : 'asc');
             }
-
-            // Add the row
-            tbody.appendChild(row);
+            sortColumns = [{ column: cellIndex, order: sortOrder }];
         }
 
-        // Update attributes to save the currently sorted column and sort order
-        table.setAttribute('data-sort-column', cellIndex);
-        table.setAttribute('data-sort-order', sortOrder);
+        // Sort and save for [data-sort-persist]
+        sortTable(table, sortColumns);
+        saveSortState(table, sortColumns);
     }
 }
 
@@ -12,6 +12,11 @@
  * Default:
  *     <nav is="spa-links" item-selector="a" active-class="active">
  *
+ * Routes for the links can be downloaded before they are clicked using
+ * [prefetch] with either "hover" (includes focus and touch) or "visible"
+ * to download once the link is scrolled into view. See <url-router>.prefetchRoute().
+ *     <nav is="spa-links" prefetch="hover">
+ *
  * This Web Component is small so it's easy to copy and modify if you
  * have a site with similar but different nav link needs.
  *
@@ -28,6 +33,54 @@
 
 import { defineExtendsPolyfill } from './utils.js';
 
+let prefetchObserver = null;
+
+/**
+ * Event handler for links that prefetch the route from <url-router>
+ *
+ * @param {Event} e
+ */
+function prefetchLink(e) {
+    const link = e.currentTarget;
+    const router = document.querySelector('url-router');
+    if (router !== null && typeof router.prefetchRoute === 'function' && link.origin === window.location.origin) {
+        router.prefetchRoute(link.href);
+    }
+}
+
+/**
+ * Setup links to prefetch routes when the [prefetch] attribute is used.
+ * Adding the same event listener or observing the same link twice has
+ * no effect so links are not tracked between updates.
+ *
+ * @param {HTMLElement} nav
+ */
+function setupPrefetch(nav) {
+    const mode = nav.getAttribute('prefetch');
+    if (mode === null) {
+        return;
+    }
+    for (const link of nav.querySelectorAll('a[href]')) {
+        if (mode === 'visible' && window.IntersectionObserver !== undefined) {
+            if (prefetchObserver === null) {
+                prefetchObserver = new IntersectionObserver(entries => {
+                    for (const entry of entries) {
+                        if (entry.isIntersecting) {
+                            prefetchObserver.unobserve(entry.target);
+                            prefetchLink({ currentTarget: entry.target });
+                        }
+                    }
+                });
+            }
+            prefetchObserver.observe(link);
+        } else if (mode === '' || mode === 'hover') {
+            link.addEventListener('mouseenter', prefetchLink);
+            link.addEventListener('focus', prefetchLink);
+            link.addEventListener('touchstart', prefetchLink, { passive: true });
+        }
+    }
+}
+
 class SpaLinks extends HTMLElement {
     constructor() {
         super();
@@ -44,7 +97,7 @@ class SpaLinks extends HTMLElement {
     }
 
     static get observedAttributes() {
-        return ['item-selector', 'active-class'];
+        return ['item-selector', 'active-class', 'prefetch'];
     }
 
     attributeChangedCallback(attr, /* oldVal, newVal */) {
@@ -90,6 +143,9 @@ class SpaLinks extends HTMLElement {
                 }
             }
         }
+
+        // Optionally download routes before the links are clicked
+        setupPrefetch(this);
     }
 }
 
@@ -8,6 +8,45 @@
  * (pushState/popstate) use the [mode] attribute:
  *     <url-router mode="history">
  *
+ * Routes can be nested for layouts that stay on the page while the child
+ * route changes. Child routes are relative to the parent route and are
+ * displayed in the <url-router-outlet> element of the parent template.
+ * An empty [path=""] can be used for the parent's default child route.
+ * Parent [onload] and [onunload] only run when the parent part of the
+ * URL changes, for example '/orders/1/details' to '/orders/2/details'.
+ *     <url-route path="/orders/:id" onload="showSidebar">
+ *         <template>
+ *             <nav>...</nav>
+ *             <url-router-outlet></url-router-outlet>
+ *         </template>
+ *         <url-route path="details" src="html/order-details.htm"></url-route>
+ *         <url-route path="history" src="html/order-history.htm"></url-route>
+ *     </url-route>
+ *
+ * Routes can be protected or redirected using the [before-enter] attribute
+ * and the [beforeRouteChange] function on the <url-router> element.
+ * See comments in [checkRouteGuards()] for usage.
+ *
+ * Route paths support optional parameters [/:id?], RegExp parameters
+ * [/:id(\d+)], and splats [/files/*path]. When multiple routes match
+ * the most specific route is used. See [js/scripts/route-matcher.js].
+ *
+ * Values from the query string (e.g.: '#/orders?status=open') are included
+ * with the URL parameters used by [url-params], [url-param], and [url-attr-param].
+ * When only the query string changes the route is not reloaded, instead bound
+ * elements are updated so <json-data url-params> downloads data again. Use
+ * [updateQuery()] to change the query string from JavaScript.
+ *
+ * Scroll positions are saved for each history entry and restored when using
+ * the back and forward buttons. For accessibility focus can be moved after each
+ * route change and the page title announced to screen readers (both opt-in):
+ *     <url-router view-selector="#view" focus-selector="h1" announce-title>
+ *     <url-router view-selector="#view" announce-title="Navigated to {title}">
+ *
+ * Routes can be downloaded before they are viewed using [prefetchRoute()] or
+ * from links in <nav is="spa-links" prefetch="hover|visible">. Templates, scripts
+ * from [lazy-load], and data for <json-data> elements are downloaded.
+ *
  * @link     https://www.dataformsjs.com
  * @author   Conrad Sollitt (https://conradsollitt.com)
  * @license  MIT
@@ -30,14 +69,87 @@ import {
     polyfillCustomElements,
     showError,
     showErrorAlert,
-    componentsAreDefined
+    componentsAreDefined,
+    parseQueryString,
+    buildQueryString,
+    buildUrl,
+    announce
 } from './utils.js';
+import { dataCache } from './utils-cache.js';
+import '../scripts/route-matcher.js';
+
+const routeMatcher = window.dataformsjsRouteMatcher;
 
 const appEvents = {
     routeChanged: 'app:routeChanged',
+    queryChanged: 'app:queryChanged',
     error: 'app:error',
 };
 
+/**
+ * Download the HTML for a route template from [src]
+ *
+ * @param {string} url
+ * @return {Promise<string>}
+ */
+function fetchTemplate(url) {
+    return fetch(url, {
+        mode: 'cors',
+        cache: 'no-store',
+        credentials: 'same-origin',
+    })
+    .then(response => {
+        const status = response.status;
+        if ((status >= 200 && status < 300) || status === 304) {
+            return response.text();
+        } else {
+            const error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
+            return Promise.reject(error);
+        }
+    });
+}
+
+/**
+ * Download data for <json-data> elements in a route template to the shared
+ * data cache. Elements that use [manual-fetch-mode] or [click-selector] and
+ * URL's that still have ":params" after [url-params] are applied are skipped.
+ *
+ * @param {string} html
+ * @param {object} urlParams
+ * @return {Promise}
+ */
+function prefetchJsonData(html, urlParams) {
+    const tmpl = document.createElement('template');
+    tmpl.innerHTML = html;
+    const promises = [];
+    for (const element of tmpl.content.querySelectorAll('json-data[url]')) {
+        if (element.hasAttribute('manual-fetch-mode') || element.hasAttribute('click-selector')) {
+            continue;
+        }
+        const url = buildUrl(element.getAttribute('url'), (element.hasAttribute('url-params') ? urlParams : null));
+        if (/\/:\w/.test(url)) {
+            continue;
+        }
+        const cacheTtl = parseFloat(element.getAttribute('cache-ttl'));
+        promises.push(dataCache.prefetch(url, (isNaN(cacheTtl) ? null : cacheTtl)));
+    }
+    return Promise.all(promises);
+}
+
+/**
+ * Return the position of the current history entry from [history.state] that
+ * is saved by [getHistoryKey()] or null if the entry has not been viewed.
+ *
+ * @return {number|null}
+ */
+function getHistoryIndex() {
+    const state = window.history.state;
+    if (state !== null && typeof state === 'object' && typeof state.dataformsjsIndex === 'number') {
+        return state.dataformsjsIndex;
+    }
+    return null;
+}
+
 /**
  * Shadow DOM for Custom Elements
  */
@@ -57,7 +169,23 @@ class UrlRouter extends HTMLElement {
         shadowRoot.appendChild(shadowTmpl.content.cloneNode(true));
         this.currentRoute = null;
         this.currentUrlParams = null;
+        this.currentRoutes = [];
+        this.currentPath = null;
+        this.currentUrl = null;
+        this.currentQuery = {};
+        this.navigationId = 0;
+        this.skipBeforeRouteChange = false;
+        this.beforeRouteChange = null;
+        this.scrollPositions = {};
+        this.historyKey = null;
+        this.historyIndex = null;
+        this.restoringUrl = null;
+        this.pendingScroll = null;
+        this.isFirstRoute = true;
+        this.lazyLoadRequests = {};
+        this.prefetchedRoutes = {};
         this.updateView = this.updateView.bind(this);
+        this.restoreScroll = this.restoreScroll.bind(this);
         this.handlePushStateClick = this.handlePushStateClick.bind(this);
         this.useHistoryMode = (this.getAttribute('mode') === 'history');
     }
@@ -65,115 +193,176 @@ class UrlRouter extends HTMLElement {
     connectedCallback() {
         const eventName = (this.useHistoryMode ? 'popstate': 'hashchange');
         window.addEventListener(eventName, this.updateView);
+        // Scroll positions are restored once the route is rendered and
+        // again after <json-data> and other elements load content.
+        document.addEventListener('app:contentReady', this.restoreScroll);
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
         this.updateView();
     }
 
     disconnectedCallback() {
         const eventName = (this.useHistoryMode ? 'popstate': 'hashchange');
         window.removeEventListener(eventName, this.updateView);
+        document.removeEventListener('app:contentReady', this.restoreScroll);
     }
 
     /**
      * Called when the element is added to the page and when the URL route changes.
+     * Each call gets a new [navigationId] and after each `await` the call stops
+     * if the route changed again so an earlier route cannot replace the new view.
      */
     async updateView() {
-        // If there is a existing route then run code from [onunload] if defined
-        if (this.currentRoute) {
-            this.executeJsEvent('onunload');
+        if (this.restoringUrl !== null) {
+            const isRestored = (window.location.href === this.restoringUrl);
+            this.restoringUrl = null;
+            if (isRestored) {
+                return; // Back to the current route from [restoreCurrentUrl()]
+            }
         }
+        const navigationId = ++this.navigationId;
 
         // Wait until child route elements are defined otherwise
         // custom properties such as [path] will not be available.
-        this.currentRoute = null;
-        this.currentUrlParams = null;
         await componentsAreDefined(this, 'url-route');
+        if (navigationId !== this.navigationId) {
+            return;
+        }
 
         // Make sure that the view element exists
         const selector = this.getAttribute('view-selector');
         if (selector === null || selector === '') {
+            this.unloadRoutes();
             this.showFatalError('Error, element <url-router> is missing attribute [view-selector]');
             return;
         }
         const view = document.querySelector(selector);
         if (view === null) {
+            this.unloadRoutes();
             this.showFatalError(render`Error, element from <url-router view-selector="${selector}"> was not found on the page.`);
             return;
         }
 
-        // Show loading Template if one is defined
-        const loadingTemplateSelector = this.getAttribute('loading-template-selector');
-        if (loadingTemplateSelector) {
-            const loadingTemplate = document.querySelector(loadingTemplateSelector);
-            if (loadingTemplate) {
-                if (loadingTemplate.tagName === 'TEMPLATE') {
-                    view.innerHTML = loadingTemplate.innerHTML;
-                } else {
-                    console.warn(`Unable to show loading screen from <url-router loading-template-selector="${loadingTemplateSelector}">. Only <template> tags are allowed.`);
-                }
-            } else {
-                console.warn(`Unable to show loading screen from <url-router loading-template-selector="${loadingTemplateSelector}">. Element from selector is missing.`);
+        // Validate that all routes including nested routes have a [path]
+        for (const route of this.querySelectorAll('url-route')) {
+            if (route.path === null) {
+                this.unloadRoutes();
+                this.showFatalError('Error, element <url-route> is missing attribute [path]');
+                console.log(route);
+                return;
             }
         }
 
-        // Get URL Path
+        // Get URL Path and Query String. With hash routing the
+        // query string is part of the hash, for example '#/orders?page=2'.
         let path = (this.useHistoryMode ? window.location.pathname : window.location.hash.substring(1));
+        let query = (this.useHistoryMode ? window.location.search : '');
+        const pos = path.indexOf('?');
+        if (pos !== -1) {
+            query = path.substring(pos);
+            path = path.substring(0, pos);
+        }
         if (path === '') {
             path = '/';
         }
+        query = parseQueryString(query);
 
-        // Find the first matching route and set the view based on the route's template.
-        const routes = this.querySelectorAll('url-route');
-        let defaultRoute = null;
-        for (const route of routes) {
-            if (route.path === null) {
-                this.showFatalError('Error, element <url-route> is missing attribute [path]');
-                console.log(route);
-                return;
-            }
-            const result = this.routeMatches(path, route.path);
-            if (result.isMatch) {
-                // Redirect Route?
-                const redirect = route.redirect;
+        // Only the query string changed so the route is not reloaded
+        if (path === this.currentPath && this.currentRoute !== null && JSON.stringify(query) !== JSON.stringify(this.currentQuery)) {
+            this.handleQueryChange(view, query);
+            return;
+        }
+
+        // Find the first matching route. For nested routes this returns the
+        // parent (layout) routes followed by the matching child route.
+        const routes = Array.from(this.querySelectorAll('url-route')).filter(route => route.parentRoute === null);
+        const matches = this.findRoutes(path.split('/'), routes, false);
+
+        // Redirect Route?
+        if (matches !== null) {
+            for (const match of matches) {
+                const redirect = match.route.redirect;
                 if (redirect !== null && redirect !== path) {
-                    if (this.useHistoryMode) {
-                        window.history.pushState(null, null, route.redirect);
-                        this.updateView();
-                    } else {
-                        window.location.hash = '#' + redirect;
-                    }
+                    this.redirectRoute(redirect);
                     return;
                 }
+            }
+        }
 
-                // Dynamically load scripts from [lazy-load]
-                await this.lazyLoadScripts(route);
+        // Route Guards from [beforeRouteChange()] and <url-route before-enter="{js}">.
+        // If the route change is cancelled then the URL is changed back to the current route.
+        const guardResult = await this.checkRouteGuards(path, matches);
+        if (navigationId !== this.navigationId) {
+            return;
+        } else if (guardResult === false) {
+            this.restoreCurrentUrl();
+            return;
+        } else if (typeof guardResult === 'string') {
+            this.redirectRoute(guardResult);
+            return;
+        }
+        this.currentPath = path;
+        this.currentUrl = window.location.href;
+        this.currentQuery = query;
+        this.updateHistoryScroll();
 
-                // Show Route from <template>, for routes that use [src]
-                // the HTML will be downloaded and set to <template> the
-                // first time the route is accessed.
-                const html = route.template;
-                this.currentRoute = route;
-                this.currentUrlParams = result.urlParams;
-                if (html === null) {
-                    this.downloadTemplate(view, route, result.urlParams);
-                } else {
-                    this.setView(view, html, result.urlParams);
+        if (matches !== null) {
+            // Parent routes that match the same URL segment as the current
+            // route are kept so that only the changed part of the view is
+            // replaced and parent [onload] and [onunload] are not called.
+            let startIndex = this.findChangedRouteIndex(matches);
+            let container = view;
+            if (startIndex > 0) {
+                container = this.findOutlet(this.currentRoutes[startIndex - 1].element);
+                if (container === null) {
+                    startIndex = 0;
+                    container = view;
                 }
-                // Stop checking routes because one was matched
-                return;
-            } else if (route.isDefault) {
-                defaultRoute = route;
             }
+            this.runUnloadEvents(startIndex);
+            this.currentRoutes = this.currentRoutes.slice(0, startIndex);
+            this.showLoading(container);
+
+            // Start at the top of the page unless only a child route changed
+            if (startIndex === 0) {
+                window.scrollTo(0, 0);
+            }
+
+            // Dynamically load scripts from [lazy-load]
+            for (const match of matches.slice(startIndex)) {
+                await this.lazyLoadScripts(match.route);
+                if (navigationId !== this.navigationId) {
+                    return;
+                }
+            }
+
+            // Show each route from <template>, for routes that use [src]
+            // the HTML will be downloaded and set to <template> the
+            // first time the route is accessed.
+            await this.setRoutes(container, matches, startIndex, navigationId);
+            return;
         }
 
         // No matching route, use a default route if one exists
+        this.unloadRoutes();
+        let defaultRoute = null;
+        for (const route of this.querySelectorAll('url-route')) {
+            if (route.isDefault) {
+                defaultRoute = route;
+            }
+        }
         if (defaultRoute) {
-            const path = defaultRoute.path;
+            const path = defaultRoute.fullPath;
             if (path !== '' && path.indexOf(':') === -1) {
                 this.changeRoute(path);
                 return;
             } else if (path === '/:lang/') {
                 // Special case when using <i18n-service>
                 await componentsAreDefined(document, 'i18n-service');
+                if (navigationId !== this.navigationId) {
+                    return;
+                }
                 const i18nService = document.querySelector('i18n-service');
                 if (i18nService && typeof i18nService.getUserDefaultLang === 'function') {
                     const selectedLang = i18nService.getUserDefaultLang();
@@ -192,6 +381,398 @@ class UrlRouter extends HTMLElement {
         showError(view, error);
     }
 
+    /**
+     * Run route guards before the route changes. The function [beforeRouteChange]
+     * can be assigned to the <url-router> element and routes can define JavaScript
+     * from the [before-enter] attribute. Nested routes check parent routes first.
+     *
+     *     document.querySelector('url-router').beforeRouteChange = (path, previousPath) => {
+     *         return (!hasChanges || window.confirm('Leave without saving?'));
+     *     };
+     *     <url-route path="/admin/:page" before-enter="checkLogin">
+     *     function checkLogin(path, previousPath, urlParams) { return (isLoggedIn() ? true : '/login'); }
+     *
+     * Guards return `false` to cancel, a path to redirect to, or a Promise
+     * that resolves to either value. Returns `true` if the route is allowed.
+     *
+     * @param {string} path
+     * @param {array|null} matches
+     * @return {Promise<boolean|string>}
+     */
+    async checkRouteGuards(path, matches) {
+        const previousPath = this.currentPath;
+        const runBeforeRouteChange = !this.skipBeforeRouteChange;
+        this.skipBeforeRouteChange = false;
+        let name = '<url-router>.beforeRouteChange()';
+        try {
+            if (runBeforeRouteChange && typeof this.beforeRouteChange === 'function') {
+                const result = await this.beforeRouteChange(path, previousPath);
+                if (result === false || typeof result === 'string') {
+                    this.skipBeforeRouteChange = (result !== false);
+                    return result;
+                }
+            }
+            if (matches !== null) {
+                const urlParams = Object.assign({}, ...matches.map(m => m.urlParams));
+                for (const match of matches) {
+                    const js = match.route.getAttribute('before-enter');
+                    if (js) {
+                        name = `<url-route path="${match.route.path}" before-enter="${js}">`;
+                        const fn = new Function('return ' + js);
+                        let result = fn();
+                        if (typeof result === 'function') {
+                            result = result(path, previousPath, urlParams);
+                        }
+                        result = await result;
+                        if (result === false || typeof result === 'string') {
+                            this.skipBeforeRouteChange = (result !== false);
+                            return result;
+                        }
+                    }
+                }
+            }
+        } catch (e) {
+            showErrorAlert(`Error from ${name}: ${e.message === undefined ? e : e.message}`);
+            console.error(e);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Redirect to a different route from [redirect] or a route guard
+     *
+     * @param {string} path
+     */
+    redirectRoute(path) {
+        if (this.useHistoryMode) {
+            window.history.pushState(null, null, path);
+            this.updateView();
+        } else {
+            window.location.hash = (path.indexOf('#') === 0 ? path : '#' + path);
+        }
+    }
+
+    /**
+     * Find matching routes for a URL path. Routes with child <url-route>
+     * elements match the start of the path and the rest of the path is
+     * compared to the child routes. Child route paths are relative to the
+     * parent and an empty [path=""] can be used for the parent's index route.
+     *
+     * Returns an array in the format of [{ route, urlParams, segment }] starting
+     * with the top-level route or null if no routes match.
+     *
+     * @param {array} pathParts The URL path split by '/'
+     * @param {array} routes
+     * @param {bool} isChild
+     * @return {array|null}
+     */
+    findRoutes(pathParts, routes, isChild) {
+        // Check the most specific routes first, routes of equal rank keep their order
+        routes = routes.slice().sort((a, b) => routeMatcher.compare(a.path, b.path));
+        for (const route of routes) {
+            const routePath = (isChild ? route.path.replace(/^\//, '') : route.path);
+            const childRoutes = route.childRoutes;
+
+            // Routes without child routes must match the full path
+            if (childRoutes.length === 0) {
+                const segment = pathParts.join('/');
+                const result = this.routeMatches(segment, routePath);
+                if (result.isMatch) {
+                    return [{ route, urlParams: result.urlParams, segment }];
+                }
+                continue;
+            }
+
+            // Parent routes must match the start of the path
+            const parentPath = routePath.replace(/\/$/, '');
+            const count = (parentPath === '' && isChild ? 0 : parentPath.split('/').length);
+            if (pathParts.length < count) {
+                continue;
+            }
+            const segment = pathParts.slice(0, count).join('/');
+            const result = (count === 0 ? { isMatch: true, urlParams: {} } : this.routeMatches(segment, parentPath));
+            if (!result.isMatch) {
+                continue;
+            }
+            const match = { route, urlParams: result.urlParams, segment };
+            const childMatches = this.findRoutes(pathParts.slice(count), childRoutes, true);
+            if (childMatches !== null) {
+                return [match].concat(childMatches);
+            } else if (pathParts.length === count || (pathParts.length === count + 1 && pathParts[count] === '')) {
+                // Parent route without a matching index route, the outlet is left empty
+                return [match];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Return the index of the first route that is different from the current routes.
+     * Routes are different if they are a different element or if the URL segment
+     * that they match changes, for example '/orders/1' to '/orders/2'.
+     *
+     * @param {array} matches
+     * @return {number}
+     */
+    findChangedRouteIndex(matches) {
+        const current = this.currentRoutes;
+        let index = 0;
+        while (index < matches.length &&
+            index < current.length &&
+            matches[index].route === current[index].route &&
+            matches[index].segment === current[index].segment
+        ) {
+            index++;
+        }
+
+        // If the route is unchanged then the last route is shown again. Parent routes
+        // are kept when going back to the parent, for example '/orders/1/history' to '/orders/1'.
+        if (index === matches.length && index === current.length) {
+            index--;
+        }
+        return index;
+    }
+
+    /**
+     * Run [onunload] for current routes starting with the child route
+     * and ending with the route at the specified index.
+     *
+     * @param {number} startIndex
+     */
+    runUnloadEvents(startIndex) {
+        for (let n = this.currentRoutes.length - 1; n >= startIndex; n--) {
+            this.executeJsEvent('onunload', this.currentRoutes[n].route);
+        }
+    }
+
+    /**
+     * Run [onunload] for all current routes and clear the current route
+     */
+    unloadRoutes() {
+        this.runUnloadEvents(0);
+        this.currentRoutes = [];
+        this.currentRoute = null;
+        this.currentUrlParams = null;
+    }
+
+    /**
+     * Return the outlet element where child routes are rendered. Parent routes
+     * define the outlet in their template using <url-router-outlet>.
+     *
+     * @param {HTMLElement} element
+     * @return {HTMLElement|null}
+     */
+    findOutlet(element) {
+        return (element ? element.querySelector('url-router-outlet') : null);
+    }
+
+    /**
+     * Show Loading Template if one is defined
+     *
+     * @param {HTMLElement} container
+     */
+    showLoading(container) {
+        const loadingTemplateSelector = this.getAttribute('loading-template-selector');
+        if (loadingTemplateSelector) {
+            const loadingTemplate = document.querySelector(loadingTemplateSelector);
+            if (loadingTemplate) {
+                if (loadingTemplate.tagName === 'TEMPLATE') {
+                    container.innerHTML = loadingTemplate.innerHTML;
+                } else {
+                    console.warn(`Unable to show loading screen from <url-router loading-template-selector="${loadingTemplateSelector}">. Only <template> tags are allowed.`);
+                }
+            } else {
+                console.warn(`Unable to show loading screen from <url-router loading-template-selector="${loadingTemplateSelector}">. Element from selector is missing.`);
+            }
+        }
+    }
+
+    /**
+     * Render matched routes starting at the specified index. Each child
+     * route is rendered in the outlet of its parent route. Rendering stops
+     * if the route changes while a template is downloading.
+     *
+     * @param {HTMLElement} container
+     * @param {array} matches
+     * @param {number} startIndex
+     * @param {number} navigationId - [this.navigationId] from [updateView()]
+     */
+    async setRoutes(container, matches, startIndex, navigationId) {
+        const urlParams = Object.assign({}, this.currentQuery, ...matches.map(m => m.urlParams));
+        this.currentRoute = matches[matches.length - 1].route;
+        this.currentUrlParams = urlParams;
+
+        // No new routes to show when going from a child route back to the parent route
+        if (startIndex === matches.length) {
+            container.innerHTML = '';
+        }
+
+        for (let n = startIndex, m = matches.length; n < m; n++) {
+            const route = matches[n].route;
+            this.currentRoutes.push({
+                route: route,
+                segment: matches[n].segment,
+                urlParams: matches[n].urlParams,
+                element: container,
+                isLoaded: false,
+            });
+
+            // Get HTML from the <template> or download from [src]
+            let html = route.template;
+            if (html === null) {
+                html = await this.downloadTemplate(container, route, urlParams, navigationId);
+                if (html === null || navigationId !== this.navigationId) {
+                    return;
+                }
+            }
+            this.bindView(container, html, urlParams);
+
+            // Parent routes show the next route in the outlet
+            if (n < m - 1) {
+                container = this.findOutlet(container);
+                if (container === null) {
+                    const error = `Missing <url-router-outlet> element for parent route <url-route path="${route.path}">.`;
+                    this.dispatchRouteChanged(urlParams, error);
+                    showError(this.currentRoutes[n].element, error);
+                    return;
+                }
+            }
+        }
+
+        // Custom Event
+        this.dispatchRouteChanged(urlParams);
+        this.afterRouteRender();
+    }
+
+    /**
+     * Return a key for the current history entry. The key is saved to
+     * [history.state] so it can be read again when the user returns
+     * to the entry using the back or forward buttons.
+     *
+     * @return {string}
+     */
+    getHistoryKey() {
+        const state = window.history.state;
+        if (state !== null && typeof state === 'object' && typeof state.dataformsjsKey === 'string') {
+            return state.dataformsjsKey;
+        }
+        const key = String(Date.now()) + '-' + Math.random().toString(36).substring(2);
+        try {
+            const newState = Object.assign({}, (typeof state === 'object' ? state : null), { dataformsjsKey: key });
+            if (typeof newState.dataformsjsIndex !== 'number') {
+                // New entries are always added after the current entry
+                newState.dataformsjsIndex = (this.historyIndex === null ? 0 : this.historyIndex + 1);
+            }
+            window.history.replaceState(newState, document.title);
+        } catch (e) {
+            console.warn(e);
+        }
+        return key;
+    }
+
+    /**
+     * Save the scroll position of the current history entry and get the
+     * position to restore for the new entry. The position is [null] for
+     * history entries that have not been viewed.
+     */
+    updateHistoryScroll() {
+        if (this.historyKey !== null) {
+            this.scrollPositions[this.historyKey] = { x: window.pageXOffset, y: window.pageYOffset };
+        }
+        this.historyKey = this.getHistoryKey();
+        this.historyIndex = getHistoryIndex();
+        const position = this.scrollPositions[this.historyKey];
+        this.pendingScroll = (position === undefined ? null : position);
+    }
+
+    /**
+     * Called when a route guard cancels a route change to show the URL of the
+     * current route again. The browser has already added or moved to the new
+     * history entry so [history.go()] is used to move back to the current entry
+     * rather than replacing the new entry which would leave a duplicate entry.
+     */
+    restoreCurrentUrl() {
+        if (this.currentUrl === null || window.location.href === this.currentUrl) {
+            return;
+        }
+        const index = getHistoryIndex();
+        const delta = (this.historyIndex === null ? 0 : (index === null ? -1 : this.historyIndex - index));
+        if (delta === 0) {
+            window.history.replaceState(null, null, this.currentUrl);
+        } else {
+            this.restoringUrl = this.currentUrl;
+            window.history.go(delta);
+        }
+    }
+
+    /**
+     * Restore the saved scroll position for the current history entry. If the page
+     * is not yet tall enough (for example data is still loading) then this runs
+     * again on the next 'app:contentReady' event.
+     */
+    restoreScroll() {
+        if (this.pendingScroll !== null) {
+            window.scrollTo(this.pendingScroll.x, this.pendingScroll.y);
+            const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+            if (this.pendingScroll.y <= maxScroll) {
+                this.pendingScroll = null;
+            }
+        }
+    }
+
+    /**
+     * Called once each route is rendered. Restores the scroll position and
+     * optionally moves focus and announces the page title based on attributes
+     * [focus-selector] and [announce-title]. Focus and announcements are
+     * skipped when the page first loads.
+     */
+    afterRouteRender() {
+        this.restoreScroll();
+        if (this.isFirstRoute) {
+            this.isFirstRoute = false;
+            return;
+        }
+        const view = document.querySelector(this.getAttribute('view-selector'));
+        const focusSelector = this.getAttribute('focus-selector');
+        if (focusSelector !== null && view !== null) {
+            let element = (focusSelector === '' ? null : view.querySelector(focusSelector));
+            element = (element === null ? view : element);
+            if (!element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '-1');
+            }
+            element.focus({ preventScroll: true });
+        }
+        const message = this.getAttribute('announce-title');
+        if (message !== null) {
+            let title = document.title;
+            const h1 = (view === null ? null : view.querySelector('h1'));
+            if (!title && h1 !== null) {
+                title = h1.textContent.trim();
+            }
+            announce(message === '' ? title : message.replace('{title}', title));
+        }
+    }
+
+    /**
+     * Called from [updateView()] when only the query string of the current route
+     * changes. Elements in the view are bound again to the URL parameters and the
+     * event 'app:queryChanged' is dispatched with the new and previous query.
+     *
+     * @param {HTMLElement} view
+     * @param {object} query
+     */
+    handleQueryChange(view, query) {
+        const previousQuery = this.currentQuery;
+        this.currentQuery = query;
+        this.currentUrl = window.location.href;
+        this.updateHistoryScroll();
+        this.currentUrlParams = Object.assign({}, query, ...this.currentRoutes.map(item => item.urlParams));
+        this.bindParams(view, this.currentUrlParams);
+        const detail = { query, previousQuery, urlParams: this.currentUrlParams };
+        this.dispatchEvent(new CustomEvent(appEvents.queryChanged, { bubbles: true, detail: detail }));
+    }
+
     /**
      * Show an error in the router element and dispatch events.
      * This is used for fatal errors related to setup and will
@@ -218,21 +799,28 @@ class UrlRouter extends HTMLElement {
             this.dispatchEvent(new CustomEvent(appEvents.error, { bubbles: true, detail: error }));
         }
         const hasRoute = (this.currentRoute !== null);
-        const detail = { url: (hasRoute ? this.currentRoute.path : null), urlParams };
+        const detail = { url: (hasRoute ? this.currentRoute.fullPath : null), urlParams, query: this.currentQuery };
         this.dispatchEvent(new CustomEvent(appEvents.routeChanged, { bubbles: true, detail: detail }));
         if (!hasRoute) {
             return;
         }
-        // Execute JavaScript from [onload] attribute if one is defined
-        this.executeJsEvent('onload')
+        // Execute JavaScript from [onload] attribute if one is defined. For nested
+        // routes this runs starting with the first parent route that was changed.
+        for (const item of this.currentRoutes) {
+            if (!item.isLoaded) {
+                item.isLoaded = true;
+                this.executeJsEvent('onload', item.route);
+            }
+        }
     }
 
     /**
      * Used internally to run code from [onload] and [onunload] events
      * @param {string} attribute
+     * @param {UrlRoute} route
      */
-    executeJsEvent(attribute) {
-        const js = this.currentRoute.getAttribute(attribute);
+    executeJsEvent(attribute, route) {
+        const js = route.getAttribute(attribute);
         if (js) {
             try {
                 const fn = new Function('return ' + js);
@@ -241,55 +829,47 @@ class UrlRouter extends HTMLElement {
                     result();
                 }
             } catch(e) {
-                showErrorAlert(`Error from function <url-route path="${this.currentRoute.getAttribute('path')}" ${attribute}="${js}">: ${e.message}`);
+                showErrorAlert(`Error from function <url-route path="${route.getAttribute('path')}" ${attribute}="${js}">: ${e.message}`);
                 console.error(e);
             }
         }
     }
 
     /**
-     * Download route templates from the [src] attribute.
+     * Download route templates from the [src] attribute. Returns the HTML
+     * or null if there is an error in which case the error is displayed
+     * unless the route has changed since the download started.
      *
      * @param {HTMLElement} view
      * @param {UrlRoute} route
      * @param {object} urlParams
+     * @param {number} navigationId
+     * @return {Promise<string|null>}
      */
-    downloadTemplate(view, route, urlParams) {
+    downloadTemplate(view, route, urlParams, navigationId) {
         // Validate
         const url = route.src;
         if (url === null || url === '') {
             const error = `Missing <template> or [src] attribute for route <url-route path="${route.path}">.`;
             showError(view, error);
             this.dispatchRouteChanged(urlParams, error);
-            return;
+            return Promise.resolve(null);
         }
 
         // Download HTML Template from [src]
-        fetch(url, {
-            mode: 'cors',
-            cache: 'no-store',
-            credentials: 'same-origin',
-        })
-        .then(response => {
-            const status = response.status;
-            if ((status >= 200 && status < 300) || status === 304) {
-                return Promise.resolve(response);
-            } else {
-                const error = 'Error loading data. Server Response Code: ' + status + ', Response Text: ' + response.statusText;
-                return Promise.reject(error);
-            }
-        })
-        .then(response => {
-            return response.text();
-        })
+        return fetchTemplate(url)
         .then(html => {
             route.template = html;
-            this.setView(view, html, urlParams);
+            return html;
         })
         .catch(error => {
+            if (navigationId !== this.navigationId) {
+                return null;
+            }
             const text = render`Error with <url-route path="${route.path}"> - Error Downloading Template: [${url}], Error: ${error}`;
             showError(view, text);
             this.dispatchEvent(new CustomEvent(appEvents.error, { bubbles: true, detail: text }));
+            return null;
         });
     }
 
@@ -301,14 +881,51 @@ class UrlRouter extends HTMLElement {
      * @param {object} urlParams
      */
     setView(view, html, urlParams) {
+        this.bindView(view, html, urlParams);
+
+        // Custom Event
+        this.dispatchRouteChanged(urlParams);
+    }
+
+    /**
+     * Set HTML for a view or route outlet and bind elements to the URL parameters
+     *
+     * @param {HTMLElement} view
+     * @param {string} html
+     * @param {object} urlParams
+     */
+    bindView(view, html, urlParams) {
         // Set view html
         view.innerHTML = html;
+        this.bindParams(view, urlParams);
 
+        // When using the HTML5 History API update links that start with <a href="/...">
+        // and do not include the [data-no-pushstate] attribute to use [window.history.pushState].
+        if (this.useHistoryMode) {
+            const links = document.querySelectorAll('a[href^="/"]:not([data-no-pushstate])');
+            for (const link of links) {
+                link.addEventListener('click', this.handlePushStateClick);
+            }
+        }
+    }
+
+    /**
+     * Bind elements in a view to the URL parameters. This is called when the
+     * view is set and again when only the query string changes. Elements with
+     * [url-params] are only updated if the value changes so <json-data>
+     * downloads data again only when needed.
+     *
+     * @param {HTMLElement} view
+     * @param {object} urlParams
+     */
+    bindParams(view, urlParams) {
         // Update all elements with [url-params] attribute with a JSON object
         let elements = view.querySelectorAll('[url-params]');
         const jsonUrlParams = JSON.stringify(urlParams);
         for (const element of elements) {
-            element.setAttribute('url-params', jsonUrlParams);
+            if (element.getAttribute('url-params') !== jsonUrlParams) {
+                element.setAttribute('url-params', jsonUrlParams);
+            }
         }
 
         // Update value/textContent for all elements with [url-param] attribute
@@ -329,18 +946,6 @@ class UrlRouter extends HTMLElement {
 
         // For Safari, Samsung Internet, and Edge
         polyfillCustomElements();
-
-        // When using the HTML5 History API update links that start with <a href="/...">
-        // and do not include the [data-no-pushstate] attribute to use [window.history.pushState].
-        if (this.useHistoryMode) {
-            const links = document.querySelectorAll('a[href^="/"]:not([data-no-pushstate])');
-            for (const link of links) {
-                link.addEventListener('click', this.handlePushStateClick);
-            }
-        }
-
-        // Custom Event
-        this.dispatchRouteChanged(urlParams);
     }
 
     /**
@@ -364,6 +969,108 @@ class UrlRouter extends HTMLElement {
         }
     }
 
+    /**
+     * Update the query string of the current route. Values are merged with
+     * the current query and properties set to [null], [undefined], or an
+     * empty string are removed. By default a new history entry is added,
+     * use `{ replace: true }` to replace the current history entry.
+     *
+     * Example:
+     *     // '#/orders?status=open' becomes '#/orders?status=open&page=2'
+     *     document.querySelector('url-router').updateQuery({ page: 2 });
+     *
+     * @param {object} query
+     * @param {object|undefined} options - { replace: bool }
+     */
+    updateQuery(query, options) {
+        if (query === null || typeof query !== 'object') {
+            throw new TypeError('Expected object for <url-router>.updateQuery(query)');
+        }
+        const queryString = buildQueryString(Object.assign({}, this.currentQuery, query));
+        const path = (this.currentPath === null ? '/' : this.currentPath) + (queryString === '' ? '' : '?' + queryString);
+        const replace = (options !== undefined && options !== null && options.replace === true);
+        if (this.useHistoryMode) {
+            window.history[replace ? 'replaceState' : 'pushState'](null, null, path + window.location.hash);
+            this.updateView();
+        } else if (replace) {
+            window.location.replace('#' + path);
+        } else {
+            window.location.hash = '#' + path;
+        }
+    }
+
+    /**
+     * Download templates from [src], scripts from [lazy-load], and data for
+     * <json-data> elements of a route before it is viewed so that it displays
+     * quickly once the user clicks on a link. Templates are saved to the route
+     * <template> and data is saved to the shared data cache from [utils-cache.js].
+     * Each route is prefetched once within [dataCache.prefetchTtl] seconds.
+     * This is called for links in <nav is="spa-links" prefetch="hover|visible">.
+     *
+     * Example:
+     *     document.querySelector('url-router').prefetchRoute('/orders/123?tab=items');
+     *
+     * @param {string} path - Route path or link URL
+     * @return {Promise} Resolves once downloads finish, errors are logged and not rejected
+     */
+    async prefetchRoute(path) {
+        // Convert a link URL to the route path and query string
+        path = String(path);
+        if (path.startsWith(window.location.origin)) {
+            path = path.substring(window.location.origin.length);
+        }
+        const hashPos = path.indexOf('#');
+        if (hashPos !== -1) {
+            path = (this.useHistoryMode ? path.substring(0, hashPos) : path.substring(hashPos + 1));
+        }
+        let query = '';
+        const pos = path.indexOf('?');
+        if (pos !== -1) {
+            query = path.substring(pos);
+            path = path.substring(0, pos);
+        }
+        if (path === '') {
+            path = '/';
+        }
+
+        // Skip routes that were recently prefetched
+        const key = path + query;
+        const time = this.prefetchedRoutes[key];
+        if (time !== undefined && Date.now() - time < dataCache.prefetchTtl * 1000) {
+            return;
+        }
+        this.prefetchedRoutes[key] = Date.now();
+
+        // Find matching routes, redirect routes are skipped
+        await componentsAreDefined(this, 'url-route');
+        const routes = Array.from(this.querySelectorAll('url-route')).filter(route => route.parentRoute === null);
+        const matches = this.findRoutes(path.split('/'), routes, false);
+        if (matches === null || matches.some(match => match.route.redirect !== null)) {
+            return;
+        }
+        const urlParams = Object.assign({}, parseQueryString(query), ...matches.map(m => m.urlParams));
+
+        // Scripts are loaded first followed by the template and then data from the template
+        try {
+            for (const match of matches) {
+                const route = match.route;
+                await this.lazyLoadScripts(route);
+                let html = route.template;
+                if (html === null && route.src) {
+                    html = await fetchTemplate(route.src);
+                    if (route.template === null) {
+                        route.template = html;
+                    }
+                }
+                if (html !== null) {
+                    await prefetchJsonData(html, urlParams);
+                }
+            }
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
     /**
      * Handle HTML5 pushstate links. Be default links that match
      * <a href="/..."> are handled by the router on page updatees, however
@@ -405,45 +1112,23 @@ class UrlRouter extends HTMLElement {
      *             urlParams: { record:'orders', view:'edit', id:'123' }
      *         }
      *
+     *     routeMatches('/files/docs/readme.md', '/files/*path')
+     *         returns { isMatch:true, urlParams: { path:'docs/readme.md' } }
+     *
      * @param {string} path The URL path to compare against
-     * @param {string} routePath The route, dynamic values are prefixed with ':'
+     * @param {string} routePath The route, dynamic values are prefixed with ':' or '*'
      * @return {object}
      */
     routeMatches(path, routePath) {
-        const pathParts = path.split('/');
-        const routeParts = routePath.split('/');
-        const m = pathParts.length;
-        const urlParams = {};
-
-        // Quick check if path and route parts are equal
-        if (m !== routeParts.length) {
-            return { isMatch: false };
-        } else {
-            // Compare each route part
-            for (let n = 0; n < m; n++) {
-                // Get the path value (e.g.: 'order/edit/123' = [ 'order', 'edit', '123' ])
-                const value = decodeURIComponent(pathParts[n]);
-
-                // Compare to the route path
-                if (value !== routeParts[n]) {
-                    // If different then does the route path begin with ':'?
-                    // If so it is a parameter and if not the route does not match.
-                    if (routeParts[n].substring(0, 1) === ':') {
-                        urlParams[routeParts[n].substring(1)] = value;
-                    } else {
-                        return { isMatch: false };
-                    }
-                }
-            }
-        }
-
-        // If code reaches then route matches
-        return { isMatch: true, urlParams: urlParams };
+        const result = routeMatcher.match(path, routePath);
+        return (result.isMatch ? { isMatch: true, urlParams: result.namedArgs } : { isMatch: false });
     }
 
     /**
      * Load Scripts for a route that are defined in the route attribute [lazy-load].
-     * The related scripts to load need to be defined in `window.lazyLoad`.
+     * The related scripts to load need to be defined in `window.lazyLoad`. Each item
+     * is requested only once so a route that is clicked while [prefetchRoute()]
+     * is still downloading the scripts waits for them.
      *
      * @param {HTMLElement} route
      */
@@ -458,7 +1143,10 @@ class UrlRouter extends HTMLElement {
                     showErrorAlert('Missing [window.lazyLoad] scripts for: ' + script);
                     return;
                 }
-                promises.push(this.loadScripts(window.lazyLoad[script]));
+                if (this.lazyLoadRequests[script] === undefined) {
+                    this.lazyLoadRequests[script] = this.loadScripts(window.lazyLoad[script]);
+                }
+                promises.push(this.lazyLoadRequests[script]);
             });
         }
 
@@ -612,13 +1300,43 @@ class UrlRoute extends HTMLElement {
         return (this.getAttribute('default-route') !== null);
     }
 
+    /**
+     * Parent <url-route> for nested routes or null for top-level routes
+     */
+    get parentRoute() {
+        const parent = this.parentElement;
+        return (parent === null ? null : parent.closest('url-route'));
+    }
+
+    /**
+     * Nested <url-route> elements, paths are relative to this route
+     */
+    get childRoutes() {
+        return Array.from(this.querySelectorAll('url-route')).filter(route => route.parentRoute === this);
+    }
+
+    /**
+     * Full route path including parent route paths, for example
+     * 'history' under '/orders/:id' returns '/orders/:id/history'.
+     */
+    get fullPath() {
+        const parent = this.parentRoute;
+        const path = this.path;
+        if (parent === null || path === null) {
+            return path;
+        }
+        const parentPath = parent.fullPath.replace(/\/$/, '');
+        const childPath = path.replace(/^\//, '');
+        return (childPath === '' ? parent.fullPath : parentPath + '/' + childPath);
+    }
+
     get template() {
-        const tmpl = this.querySelector('template');
+        const tmpl = this.querySelector(':scope > template');
         return (tmpl === null ? null : tmpl.innerHTML);
     }
 
     set template(val) {
-        let tmpl = this.querySelector('template');
+        let tmpl = this.querySelector(':scope > template');
         if (tmpl === null) {
             tmpl = document.createElement('template');
             this.appendChild(tmpl);
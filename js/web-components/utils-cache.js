@@ -0,0 +1,392 @@
+/**
+ * DataFormsJS Data Cache for Web Components
+ *
+ * Data is saved per URL along with the time it was downloaded and each request
+ * defines how long the data is valid for (TTL - "time to live" in seconds).
+ *
+ * The in-memory cache [window.dataformsjsDataCache], the settings [storage],
+ * [ttlRules] and [prefetchTtl] from [window.dataformsjsDataCacheSettings], and
+ * the key format used for [sessionStorage] and [IndexedDB] are shared with the
+ * Framework [app.dataCache] and the React <JsonData> Component so data can be
+ * used and invalidated from any of them.
+ *
+ * Only GET requests are cached. Requests that send [Accept], [Accept-Language],
+ * or [Authorization] headers are cached separately for each value so data for
+ * one user or format is not returned for another, see [getKey()].
+ *
+ * This file is also included in the ES5 build of the React <JsonData> Component
+ * so it uses Promises rather than [async/await] and avoids ES6+ only methods.
+ *
+ * Example Usage:
+ *     import { dataCache } from './utils-cache.js';
+ *
+ *     // Cache all requests to a URL for 10 minutes
+ *     dataCache.setTtl('/api/countries*', 600);
+ *
+ *     // Save data to 'sessionStorage' instead of only in memory
+ *     dataCache.storage = 'sessionStorage';
+ *
+ *     // Remove cached data after a record is saved
+ *     dataCache.invalidate('/api/orders/*');
+ *
+ * The same object is available from the <json-data> element for pages that do
+ * not use modules:
+ *     document.querySelector('json-data').dataCache.invalidate('/api/orders/*');
+ */
+
+/* Validates with both [jshint] and [eslint] */
+/* For online eslint - Source Type = 'module' must be manually selected. */
+/* jshint esversion:8 */
+/* eslint-env browser, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint spaced-comment: ["error", "always"] */
+/* eslint-disable no-console */
+
+const storageKey = 'dataformsjs-cache:';
+const varyHeaders = ['accept', 'accept-language', 'authorization'];
+let cacheDb = null;
+
+window.dataformsjsDataCache = window.dataformsjsDataCache || {};
+window.dataformsjsPrefetchedUrls = window.dataformsjsPrefetchedUrls || {};
+window.dataformsjsDataCacheSettings = window.dataformsjsDataCacheSettings || {
+    storage: 'memory',
+    ttlRules: [],
+    prefetchTtl: 30,
+};
+
+/**
+ * Convert a URL pattern to a RegExp. A RegExp is used as-is and
+ * for strings '*' matches any number of characters.
+ *
+ * @param {string|RegExp} pattern
+ * @return {RegExp}
+ */
+function urlPatternToRegExp(pattern) {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    const regex = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp('^' + regex + '$');
+}
+
+/**
+ * Return the URL of a cache key from [getKey()] so patterns match every key for a URL.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+function getKeyUrl(key) {
+    const pos = key.indexOf('\n');
+    return (pos === -1 ? key : key.substring(0, pos));
+}
+
+/**
+ * Hash Request Header values so values such as [Authorization] tokens are not
+ * saved in cache keys. This is not a secure hash, it only needs to keep keys unique.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function hashValue(value) {
+    let h1 = 5381;
+    let h2 = 52711;
+    for (let n = 0, m = value.length; n < m; n++) {
+        const code = value.charCodeAt(n);
+        h1 = ((h1 * 33) ^ code) >>> 0;
+        h2 = ((h2 * 31) ^ code) >>> 0;
+    }
+    return h1.toString(36) + h2.toString(36);
+}
+
+/**
+ * Run a request against IndexedDB. The database is opened once and then reused.
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} callback - Called with the IDBObjectStore and returns an optional IDBRequest
+ * @return {Promise}
+ */
+function dbRequest(mode, callback) {
+    if (cacheDb === null) {
+        cacheDb = new Promise((resolve, reject) => {
+            if (window.indexedDB === undefined) {
+                reject(new Error('IndexedDB is not supported by this browser'));
+                return;
+            }
+            const request = window.indexedDB.open('dataformsjs-cache', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('entries', { keyPath: 'url' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return cacheDb.then(db => {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('entries', mode);
+            const request = callback(tx.objectStore('entries'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    });
+}
+
+export const dataCache = {
+    // 'memory', 'sessionStorage', or 'indexedDB'
+    get storage() {
+        return window.dataformsjsDataCacheSettings.storage;
+    },
+    set storage(value) {
+        window.dataformsjsDataCacheSettings.storage = value;
+    },
+
+    // Rules from [setTtl()]
+    get ttlRules() {
+        return window.dataformsjsDataCacheSettings.ttlRules;
+    },
+    set ttlRules(value) {
+        window.dataformsjsDataCacheSettings.ttlRules = value;
+    },
+
+    // Number of seconds that data from [prefetch()] is valid for when
+    // the request does not define [cache-ttl] or a TTL rule
+    get prefetchTtl() {
+        return window.dataformsjsDataCacheSettings.prefetchTtl;
+    },
+    set prefetchTtl(value) {
+        window.dataformsjsDataCacheSettings.prefetchTtl = value;
+    },
+
+    /**
+     * Define a default TTL in seconds for all URL's that match a pattern.
+     *
+     * @param {string|RegExp} pattern
+     * @param {number} ttl
+     */
+    setTtl(pattern, ttl) {
+        this.ttlRules.push({
+            regex: urlPatternToRegExp(pattern),
+            ttl: ttl,
+        });
+    },
+
+    /**
+     * Return the TTL in seconds from the first rule that matches
+     * the URL or null if no rules match.
+     *
+     * @param {string} url
+     * @return {number|null}
+     */
+    getTtl(url) {
+        const rules = this.ttlRules;
+        for (let n = 0, m = rules.length; n < m; n++) {
+            if (rules[n].regex.test(url)) {
+                return rules[n].ttl;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Return the key used to cache a GET request. If the request headers include
+     * [Accept], [Accept-Language], or [Authorization] then a hash of the values
+     * is added after the URL on a new line, otherwise the key is the URL.
+     * Patterns from [invalidate()] only compare the URL so all keys for a URL
+     * are removed.
+     *
+     * @param {string} url
+     * @param {object|Headers|undefined} headers
+     * @return {string}
+     */
+    getKey(url, headers) {
+        if (!headers) {
+            return url;
+        }
+        const names = (typeof headers.get === 'function' ? null : Object.keys(headers));
+        const values = [];
+        varyHeaders.forEach(name => {
+            let value = null;
+            if (names === null) {
+                value = headers.get(name);
+            } else {
+                names.forEach(key => {
+                    if (key.toLowerCase() === name) {
+                        value = headers[key];
+                    }
+                });
+            }
+            if (value !== null && value !== undefined) {
+                values.push(name + ':' + value);
+            }
+        });
+        return (values.length === 0 ? url : url + '\n' + hashValue(values.join('\n')));
+    },
+
+    /**
+     * Download data for a URL before it is needed, this is used by
+     * <url-router>.prefetchRoute(). If the URL is not cached using [cacheTtl]
+     * or a TTL rule then [prefetchTtl] is used and the data is only used once
+     * by the next request, see [usePrefetched()].
+     *
+     * @param {string} url
+     * @param {number|null} cacheTtl
+     * @return {Promise}
+     */
+    prefetch(url, cacheTtl = null) {
+        const ttl = (cacheTtl === null ? this.getTtl(url) : cacheTtl);
+        return this.get(url).then(entry => {
+            if (entry !== null && Date.now() - entry.time < (ttl === null ? this.prefetchTtl : ttl) * 1000) {
+                return;
+            }
+            return fetch(url, {
+                mode: 'cors',
+                cache: 'no-store',
+                credentials: 'same-origin',
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Error prefetching data from [' + url + ']. Server Response Code: ' + response.status);
+                }
+                return response.json();
+            })
+            .then(data => this.set(url, data));
+        })
+        .then(() => {
+            if (ttl === null) {
+                window.dataformsjsPrefetchedUrls[url] = true;
+            }
+        });
+    },
+
+    /**
+     * Return [prefetchTtl] if data for the URL was downloaded from [prefetch()]
+     * or null if not. Prefetched URL's are removed once checked so the data is
+     * only used once. The list is shared with the Framework [app.prefetchRoute()].
+     *
+     * @param {string} url
+     * @return {number|null}
+     */
+    usePrefetched(url) {
+        if (window.dataformsjsPrefetchedUrls[url] === undefined) {
+            return null;
+        }
+        delete window.dataformsjsPrefetchedUrls[url];
+        return this.prefetchTtl;
+    },
+
+    /**
+     * Return the cached entry in the format of { data, time }
+     * or null if the URL is not cached.
+     *
+     * @param {string} key - URL or key from [getKey()]
+     * @return {Promise<object|null>}
+     */
+    get(key) {
+        const memoryCache = window.dataformsjsDataCache;
+        return new Promise(resolve => {
+            if (memoryCache[key] !== undefined) {
+                resolve(memoryCache[key]);
+            } else if (this.storage === 'sessionStorage') {
+                resolve(JSON.parse(window.sessionStorage.getItem(storageKey + key)));
+            } else if (this.storage === 'indexedDB') {
+                resolve(dbRequest('readonly', store => store.get(key)));
+            } else {
+                resolve(null);
+            }
+        })
+        .catch(error => {
+            console.error(error);
+            return null;
+        })
+        .then(entry => {
+            if (!entry) {
+                return null;
+            }
+            memoryCache[key] = entry;
+            return {
+                data: JSON.parse(entry.json),
+                time: entry.time,
+            };
+        });
+    },
+
+    /**
+     * Save data to the cache for a URL. The entry property [url]
+     * is the key and is used as the key for IndexedDB.
+     *
+     * @param {string} key - URL or key from [getKey()]
+     * @param {*} data
+     * @return {Promise}
+     */
+    set(key, data) {
+        const entry = {
+            url: key,
+            json: JSON.stringify(data),
+            time: Date.now(),
+        };
+        window.dataformsjsDataCache[key] = entry;
+        return new Promise(resolve => {
+            if (this.storage === 'sessionStorage') {
+                window.sessionStorage.setItem(storageKey + key, JSON.stringify(entry));
+                resolve();
+            } else if (this.storage === 'indexedDB') {
+                resolve(dbRequest('readwrite', store => { store.put(entry); }));
+            } else {
+                resolve();
+            }
+        })
+        .catch(error => console.error(error));
+    },
+
+    /**
+     * Remove all cached data for URL's that match the pattern. Returns
+     * the number of entries removed from memory.
+     *
+     * @param {string|RegExp} pattern
+     * @return {number}
+     */
+    invalidate(pattern) {
+        const regex = urlPatternToRegExp(pattern);
+        const memoryCache = window.dataformsjsDataCache;
+        const keys = Object.keys(memoryCache);
+        let count = 0;
+        for (let n = 0, m = keys.length; n < m; n++) {
+            if (regex.test(getKeyUrl(keys[n]))) {
+                delete memoryCache[keys[n]];
+                count++;
+            }
+        }
+
+        // Persisted data is always checked in case data was saved from a previous page
+        try {
+            for (let n = window.sessionStorage.length - 1; n >= 0; n--) {
+                const key = window.sessionStorage.key(n);
+                if (key.indexOf(storageKey) === 0 && regex.test(getKeyUrl(key.substring(storageKey.length)))) {
+                    window.sessionStorage.removeItem(key);
+                }
+            }
+        } catch (e) {
+            console.error(e);
+        }
+        if (this.storage === 'indexedDB') {
+            dbRequest('readwrite', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        if (regex.test(getKeyUrl(cursor.key))) {
+                            cursor.delete();
+                        }
+                        cursor.continue();
+                    }
+                };
+            })
+            .catch(error => console.error(error));
+        }
+        return count;
+    },
+
+    /**
+     * Remove all cached data
+     */
+    clear() {
+        this.invalidate('*');
+    },
+};
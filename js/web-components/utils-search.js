@@ -0,0 +1,285 @@
+/**
+ * DataFormsJS Utility Functions for Search
+ *
+ * Used by <input is="input-filter" filter-search> and <highlighter-service> for search
+ * text that ignores case and accents, matches all words in any order, keeps words in
+ * double quotes together as a phrase, and optionally allows for typos (fuzzy matching).
+ * The framework plugins [js/plugins/filter.js] and [js/plugins/highlighter.js] use the
+ * same logic.
+ *
+ * Example Usage:
+ *     import { parseSearchTerms, searchText, highlightTerms } from './utils-search.js';
+ *
+ *     const terms = parseSearchTerms('jon smth "new york"');
+ *     const result = searchText('John Smith, New York', terms, 0.7);
+ *     // result = { score: 0.695, matches: ['john', 'smith', 'new york'] }
+ *     // or null if the text does not match
+ *
+ *     highlightTerms(element, result.matches, 'highlight');
+ */
+
+/* Validates with both [jshint] and [eslint] */
+/* For online eslint - Source Type = 'module' must be manually selected. */
+/* jshint esversion:8 */
+/* eslint-env browser, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint spaced-comment: ["error", "always"] */
+
+// Default minimum similarity (0 to 1) for a fuzzy match
+export const defaultFuzzyScore = 0.7;
+
+// Characters that are not part of a word after text is normalized
+const wordSeparator = /[^a-z0-9\u00c0-\uffff]/;
+
+/**
+ * Return lower-case text with accents (diacritics) removed so that
+ * searching for 'jose' matches 'José'.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+export function normalizeText(text) {
+    text = String(text);
+    if (text.normalize !== undefined) {
+        text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    return text.toLowerCase();
+}
+
+/**
+ * Split search text into terms. Words are separated by spaces and
+ * text in double quotes is kept together as a phrase.
+ *
+ * @param {string} value
+ * @return {array} - [{ text, isPhrase }]
+ */
+export function parseSearchTerms(value) {
+    const terms = [];
+    const regex = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = regex.exec(value)) !== null) {
+        const isPhrase = (match[1] !== undefined);
+        const text = normalizeText(isPhrase ? match[1] : match[2]).replace(/\s+/g, ' ').trim();
+        if (text !== '') {
+            terms.push({ text, isPhrase });
+        }
+    }
+    return terms;
+}
+
+/**
+ * Levenshtein distance, the number of single character edits between two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+function editDistance(a, b) {
+    let previous = [];
+    for (let y = 0; y <= b.length; y++) {
+        previous.push(y);
+    }
+    for (let x = 1; x <= a.length; x++) {
+        const current = [x];
+        for (let y = 1; y <= b.length; y++) {
+            current.push(Math.min(
+                previous[y] + 1,
+                current[y - 1] + 1,
+                previous[y - 1] + (a[x - 1] === b[y - 1] ? 0 : 1)
+            ));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity from 0 to 1 between a search term and the start of a word.
+ * This allows for typos in the term and for words that are partially typed.
+ *
+ * @param {string} term
+ * @param {string} word
+ * @return {number}
+ */
+function wordSimilarity(term, word) {
+    let best = 0;
+    const minLength = Math.max(1, term.length - 1);
+    const maxLength = Math.max(minLength, Math.min(word.length, term.length + 1));
+    for (let length = minLength; length <= maxLength; length++) {
+        const text = word.substring(0, length);
+        const similarity = 1 - (editDistance(term, text) / Math.max(term.length, text.length));
+        best = Math.max(best, similarity);
+    }
+    return best;
+}
+
+/**
+ * Search text for all terms from [parseSearchTerms()]. Returns null if a term is
+ * not found, otherwise an object with a [score] from 0 to 1 that can be used to rank
+ * results and the normalized text of each match that can be highlighted. Full words
+ * score higher than the start of a word and matches inside of a word. When [fuzzy]
+ * is set to a minimum similarity, words that are not found can match with typos,
+ * for example 'jon smth' matches 'John Smith'. Phrases are only matched exactly.
+ *
+ * @param {string} text
+ * @param {array} terms
+ * @param {number|null} fuzzy
+ * @return {object|null} - { score, matches }
+ */
+export function searchText(text, terms, fuzzy) {
+    const normalized = normalizeText(text).replace(/\s+/g, ' ');
+    const matches = [];
+    let words = null;
+    let total = 0;
+    for (const term of terms) {
+        let score = 0;
+        let matchText = term.text;
+        const pos = normalized.indexOf(term.text);
+        if (pos !== -1) {
+            const end = pos + term.text.length;
+            const isStart = (pos === 0 || wordSeparator.test(normalized[pos - 1]));
+            const isWord = (isStart && (end === normalized.length || wordSeparator.test(normalized[end])));
+            score = (isWord ? 1 : (isStart ? 0.9 : 0.8));
+        } else if (fuzzy !== null && !term.isPhrase && term.text.length >= 3) {
+            if (words === null) {
+                words = normalized.split(new RegExp(wordSeparator.source + '+')).filter(word => word !== '');
+            }
+            let best = 0;
+            for (const word of words) {
+                const similarity = wordSimilarity(term.text, word);
+                if (similarity > best) {
+                    best = similarity;
+                    matchText = word;
+                }
+            }
+            if (best >= fuzzy) {
+                score = best * 0.7;
+            }
+        }
+        if (score === 0) {
+            return null;
+        }
+        total += score;
+        matches.push(matchText);
+    }
+    return {
+        score: (terms.length === 0 ? 1 : total / terms.length),
+        matches: matches,
+    };
+}
+
+/**
+ * Return [start, end] positions of search terms in text. The text is normalized one
+ * character at a time so positions match the original text with accents.
+ *
+ * @param {string} text
+ * @param {array} terms
+ * @return {array}
+ */
+function findTermRanges(text, terms) {
+    let normalized = '';
+    const positions = [];
+    for (let n = 0, m = text.length; n < m; n++) {
+        // Whitespace is collapsed to a single space to match [searchText()]
+        const isSpace = /\s/.test(text[n]);
+        if (isSpace && normalized[normalized.length - 1] === ' ') {
+            continue;
+        }
+        const chars = (isSpace ? ' ' : normalizeText(text[n]));
+        for (let x = 0; x < chars.length; x++) {
+            normalized += chars[x];
+            positions.push(n);
+        }
+    }
+    const ranges = [];
+    for (const term of terms) {
+        let pos = normalized.indexOf(term);
+        while (pos !== -1) {
+            ranges.push([positions[pos], positions[pos + term.length - 1] + 1]);
+            pos = normalized.indexOf(term, pos + term.length);
+        }
+    }
+
+    // Sort and merge overlapping matches
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last !== undefined && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Highlight search terms in the text of an element by wrapping each match in
+ * a <mark> element. Previous highlights from this function are removed first.
+ *
+ * @param {HTMLElement} element
+ * @param {array} terms - Normalized text to highlight, for example [matches] from [searchText()]
+ * @param {string|null} className - Optional class for the <mark> elements
+ */
+export function highlightTerms(element, terms, className) {
+    clearHighlights(element);
+    terms = terms.filter(term => term !== '');
+    if (terms.length === 0) {
+        return;
+    }
+
+    // Get text nodes first as nodes are replaced while highlighting
+    const textNodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const parentName = walker.currentNode.parentNode.nodeName;
+        if (parentName !== 'SCRIPT' && parentName !== 'STYLE' && parentName !== 'TEXTAREA') {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    // Replace text that has matches with text and <mark> elements
+    for (const node of textNodes) {
+        const text = node.nodeValue;
+        const ranges = findTermRanges(text, terms);
+        if (ranges.length === 0) {
+            continue;
+        }
+        const fragment = document.createDocumentFragment();
+        let pos = 0;
+        for (const [start, end] of ranges) {
+            if (start > pos) {
+                fragment.appendChild(document.createTextNode(text.substring(pos, start)));
+            }
+            const mark = document.createElement('mark');
+            mark.setAttribute('data-highlight-term', '');
+            if (className) {
+                mark.className = className;
+            }
+            mark.textContent = text.substring(start, end);
+            fragment.appendChild(mark);
+            pos = end;
+        }
+        if (pos < text.length) {
+            fragment.appendChild(document.createTextNode(text.substring(pos)));
+        }
+        node.parentNode.replaceChild(fragment, node);
+    }
+}
+
+/**
+ * Remove highlights added from [highlightTerms()]
+ *
+ * @param {HTMLElement} element
+ */
+export function clearHighlights(element) {
+    const marks = element.querySelectorAll('mark[data-highlight-term]');
+    if (marks.length === 0) {
+        return;
+    }
+    for (const mark of marks) {
+        mark.parentNode.replaceChild(document.createTextNode(mark.textContent), mark);
+    }
+    element.normalize();
+}
@@ -15,20 +15,38 @@
  * All elements to be sorted should be passed to this function prior to sorting
  * and then the results of this function will be sorted. For example usage
  * see [sortable-table.js].
+ *
+ * By default the data type is detected from the text. [sortType] can be used to
+ * override detection with one of 'number', 'date', 'text', or 'natural'. Numbers
+ * ignore characters such as currency symbols and commas and 'natural' sorts text
+ * that contains numbers by value, for example 'Item 2' before 'Item 10'.
  * 
  * @param {HTMLElement} element Linked element for sorting
  * @param {string} text Sort Value
+ * @param {string|null|undefined} sortType Optional data type to use
  * @return {object}
  */
-export function getSortObject(element, text) {
+export function getSortObject(element, text, sortType) {
     let dataType = (typeof text);
     let value = text;
 
     // Convert to correct type from string (example '123' string to 123 number)
     if (value === '') {
         value = null;
+    } else if (sortType === 'number') {
+        value = parseFloat(value.replace(/[^0-9.-]/g, ''));
+        value = (isNaN(value) ? null : value);
+        dataType = 'number';
+    } else if (sortType === 'date') {
+        value = new Date(value);
+        value = (isNaN(value.getTime()) ? null : value);
+        dataType = 'date';
+    } else if (sortType === 'text' || sortType === 'natural') {
+        value = (value.toLocaleLowerCase !== undefined ? value.toLocaleLowerCase() : value.toLowerCase());
+        dataType = (sortType === 'natural' ? 'natural' : 'string');
     } else if (!isNaN(value)) {
         value = parseFloat(value);
+        dataType = 'number';
     } else {
         // Is it a Date?
         const dateValue = new Date(value);
@@ -48,6 +66,29 @@ export function getSortObject(element, text) {
     };
 }
 
+/**
+ * Return an object for [smartSort()] from a raw field value of a record rather
+ * than from displayed text. Numbers, Dates, and booleans keep their type while
+ * strings are converted the same as [getSortObject()]. Used by <data-table>
+ * and <data-list> when sorting with [data-sort-field].
+ *
+ * @param {object} element Linked element or record for sorting
+ * @param {*} value Field value
+ * @param {string|null|undefined} sortType Optional data type to use
+ * @return {object}
+ */
+export function getFieldSortObject(element, value, sortType) {
+    if (value === null || value === undefined || value === '') {
+        return { el: element, value: null, type: null };
+    } else if (value instanceof Date && (!sortType || sortType === 'date')) {
+        return { el: element, value: value, type: (isNaN(value.getTime()) ? null : 'date') };
+    } else if ((typeof value === 'number' || typeof value === 'boolean') && (!sortType || sortType === 'number')) {
+        const number = Number(value);
+        return { el: element, value: (isNaN(number) ? null : number), type: (isNaN(number) ? null : 'number') };
+    }
+    return getSortObject(element, String(value).trim(), sortType);
+}
+
 /**
  * Smart Sorting based on data value
  * 
@@ -59,7 +100,8 @@ export function getSortObject(element, text) {
  *   2) Numbers
  *   3) Dates
  *   4) Strings (case-insensitive)
- *   5) all other types (not compared)
+ *   5) Natural Text from [data-sort-type="natural"]
+ *   6) all other types (not compared)
  * 
  * @param {object} a 
  * @param {object} b 
@@ -116,9 +158,162 @@ export function smartSort(a, b) {
         }
     }
 
+    // 5) Natural Text, numbers in the text are compared by value
+    if (a.type === 'natural' && b.type === 'natural') {
+        return a.value.localeCompare(b.value, undefined, { numeric: true });
+    }
+
     // For any other types return them as 0 (equal) so that they
     // show up after other items and provide a warning as this shouldn't 
     // happen unless unless this function is called incorrectly.
     console.warn('The function [smartSort()] is not being used correctly so the data may appear out of order. [smartSort()] should be used with [getSortObject()] and [Array.sort()]. Refer to docs and demos for usage.');
     return 0;
 }
+
+/**
+ * Functions for saving the current sort of a table. These are shared by
+ * <table is="sortable-table"> and the React <SortableTable> component and
+ * use the same attributes as the framework plugin [js/plugins/sort.js].
+ */
+
+const storageKeyPrefix = 'DataFormsJS-Sort:';
+
+/**
+ * Return an array of [{ column, order }] from a string such as "2-desc,0-asc".
+ * Invalid items are skipped.
+ *
+ * @param {string|null} value
+ * @return {array}
+ */
+export function parseSortColumns(value) {
+    const sortColumns = [];
+    if (typeof value !== 'string' || value === '') {
+        return sortColumns;
+    }
+    for (const item of value.split(',')) {
+        const [column, order] = item.trim().split('-');
+        if (/^\d+$/.test(column) && (order === 'asc' || order === 'desc')) {
+            sortColumns.push({ column: parseInt(column, 10), order: order });
+        }
+    }
+    return sortColumns;
+}
+
+/**
+ * @param {array} sortColumns
+ * @return {string}
+ */
+export function formatSortColumns(sortColumns) {
+    return sortColumns.map(item => item.column + '-' + item.order).join(',');
+}
+
+/**
+ * @param {array} sortColumns
+ * @param {number} column
+ * @return {number} Index of the column in [sortColumns] or -1
+ */
+export function findSortColumn(sortColumns, column) {
+    return sortColumns.findIndex(item => item.column === column);
+}
+
+/**
+ * Get the current sort of a table. [data-sort-column] and [data-sort-order]
+ * are used if the sort was set from code that only handles one column.
+ *
+ * @param {HTMLTableElement} table
+ * @return {array}
+ */
+export function getSortColumns(table) {
+    const sortColumns = parseSortColumns(table.getAttribute('data-sort-columns'));
+    if (sortColumns.length === 0) {
+        const column = table.getAttribute('data-sort-column');
+        const order = table.getAttribute('data-sort-order');
+        if (column !== null) {
+            sortColumns.push({ column: parseInt(column, 10), order: (order === 'desc' ? 'desc' : 'asc') });
+        }
+    }
+    return sortColumns;
+}
+
+/**
+ * Return the query string of the current URL. With hash routing
+ * the query string is part of the hash, example: '#/orders?sort=1-desc'.
+ *
+ * @return {object} { isHash, query }
+ */
+function getUrlQuery() {
+    const hash = window.location.hash;
+    if (hash.indexOf('#/') === 0) {
+        const pos = hash.indexOf('?');
+        return { isHash: true, query: new URLSearchParams(pos === -1 ? '' : hash.substring(pos + 1)) };
+    }
+    return { isHash: false, query: new URLSearchParams(window.location.search) };
+}
+
+function getSortKey(table) {
+    return table.getAttribute('data-sort-key') || table.id || 'sort';
+}
+
+function getStorageKey(table) {
+    const path = window.location.pathname + window.location.hash.split('?')[0];
+    return storageKeyPrefix + path + ':' + getSortKey(table);
+}
+
+/**
+ * Return the saved sort for a table when using [data-sort-persist]
+ *
+ * @param {HTMLTableElement} table
+ * @return {array}
+ */
+export function loadSortState(table) {
+    switch (table.getAttribute('data-sort-persist')) {
+        case 'url':
+            return parseSortColumns(getUrlQuery().query.get(getSortKey(table)));
+        case 'session':
+            try {
+                return parseSortColumns(window.sessionStorage.getItem(getStorageKey(table)));
+            } catch (e) {
+                console.warn(e);
+            }
+            break;
+    }
+    return [];
+}
+
+/**
+ * Save the sort for a table when using [data-sort-persist]. The URL is updated
+ * with [history.replaceState()] so the page or route is not reloaded.
+ *
+ * @param {HTMLTableElement} table
+ * @param {array} sortColumns
+ */
+export function saveSortState(table, sortColumns) {
+    const value = formatSortColumns(sortColumns);
+    switch (table.getAttribute('data-sort-persist')) {
+        case 'url':
+            {
+                const { isHash, query } = getUrlQuery();
+                query.set(getSortKey(table), value);
+                const queryString = '?' + query.toString().replace(/%2C/g, ',');
+                let url;
+                if (isHash) {
+                    url = window.location.pathname + window.location.search + window.location.hash.split('?')[0] + queryString;
+                } else {
+                    url = window.location.pathname + queryString + window.location.hash;
+                }
+                try {
+                    window.history.replaceState(window.history.state, document.title, url);
+                } catch (e) {
+                    console.warn(e);
+                }
+            }
+            break;
+        case 'session':
+            try {
+                window.sessionStorage.setItem(getStorageKey(table), value);
+            } catch (e) {
+                console.warn(e);
+            }
+            break;
+    }
+}
@@ -0,0 +1,622 @@
+/**
+ * DataFormsJS Virtual Rows and Scrolling for Web Components
+ *
+ * Used by <data-table> and <data-list> to render rows from a sorted and filtered
+ * view of the records in [value]. When the attribute [virtual-scroll] is defined
+ * only the rows in the visible window (plus a few extra rows above and below) are
+ * added to the DOM and spacer elements keep the scrollbar sized for the full list,
+ * which allows large arrays to be displayed quickly. Sorting and filtering change
+ * the view and then the rows in the window are rendered again.
+ *
+ * Without [virtual-scroll] each row is rendered once and sorting and filtering move
+ * or remove the existing elements so form values, classes, and event listeners on
+ * rows are kept. Services such as <table is="sortable-table"> and <filter-service>
+ * then work with the elements the same as any other table or list.
+ *
+ * With [virtual-scroll] each record is wrapped in a [VirtualRow] object.
+ * Virtual rows provide the small part of the DOM Row API that is used by
+ * <table is="sortable-table">, <filter-service>, <highlighter-service>, and the
+ * export services (style.display, textContent, cells, classList, and attributes)
+ * so those components sort, filter, highlight, and export the underlying data
+ * rather than only the elements currently on screen. Classes and attributes
+ * set on a virtual row are applied to its element each time it is rendered.
+ *
+ * Example Usage:
+ *     import { getVirtualList } from './utils-virtual.js';
+ *
+ *     // [getVirtualList()] returns null unless [virtual-scroll] is used
+ *     const virtualList = getVirtualList(table);
+ *     const rows = (virtualList === null ? table.tBodies[0].rows : virtualList.rows);
+ *     ...
+ *     // After changing [style.display], classes, or the order of the rows
+ *     virtualList.refresh(); // or virtualList.setRows(sortedRows);
+ *
+ *     // Sort and filter using fields from the records
+ *     virtualList.sortBy([{ field: 'price', order: 'desc' }]);
+ *     virtualList.setFilter('in-stock', item => item.quantity > 0);
+ *     const records = virtualList.view;
+ */
+
+/* Validates with both [jshint] and [eslint] */
+/* For online eslint - Source Type = 'module' must be manually selected. */
+/* jshint esversion:8 */
+/* eslint-env browser, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint spaced-comment: ["error", "always"] */
+/* eslint-disable no-console */
+
+import { getFieldSortObject, smartSort } from './utils-sort.js';
+
+// Number of extra rows rendered above and below the visible window
+const overscan = 10;
+
+// Default values when [virtual-scroll] and [row-height] are not set
+const defaultHeight = '400px';
+const defaultRowHeight = 40;
+
+/**
+ * Return the [VirtualList] for an element that is a <data-table> or <data-list>
+ * or is contained in one. Returns null if the element is not part of a list that
+ * uses [virtual-scroll] because all rows are then elements in the DOM.
+ *
+ * @param {HTMLElement|null} element
+ * @return {VirtualList|null}
+ */
+export function getVirtualList(element) {
+    while (element !== null && element !== undefined) {
+        if (element.virtualList instanceof VirtualList) {
+            return (element.virtualList.isWindowed ? element.virtualList : null);
+        }
+        element = element.parentElement;
+    }
+    return null;
+}
+
+/**
+ * Return a field value from a record, nested fields can be
+ * read using a dot, for example 'customer.name'.
+ *
+ * @param {*} item
+ * @param {string} field
+ * @return {*}
+ */
+export function getFieldValue(item, field) {
+    let value = item;
+    for (const name of field.split('.')) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        value = value[name];
+    }
+    return value;
+}
+
+/**
+ * Classes for a virtual row or cell. Only the methods used
+ * by the services are included from [DOMTokenList].
+ */
+class VirtualClassList {
+    constructor() {
+        this.names = [];
+    }
+
+    add(...names) {
+        for (const name of names) {
+            if (!this.names.includes(name)) {
+                this.names.push(name);
+            }
+        }
+    }
+
+    remove(...names) {
+        this.names = this.names.filter(name => !names.includes(name));
+    }
+
+    contains(name) {
+        return this.names.includes(name);
+    }
+
+    toggle(name, force) {
+        const add = (force === undefined ? !this.contains(name) : force);
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+}
+
+/**
+ * Cell of a virtual table row, the text is the field value from the record
+ */
+class VirtualCell {
+    constructor(text) {
+        this.textContent = text;
+        this.classList = new VirtualClassList();
+        this.attributes = {};
+    }
+
+    getAttribute(name) {
+        return (this.attributes[name] === undefined ? null : this.attributes[name]);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+}
+
+/**
+ * Data record from a virtual list that is used in place of a <tr> or list item element
+ */
+class VirtualRow extends VirtualCell {
+    constructor(list, item, index) {
+        super(null);
+        this.list = list;
+        this.item = item;
+        this.index = index;
+        this.style = { display: '' };
+        this.filtered = false;
+        this.html = null;
+        this._cells = null;
+        // Without [virtual-scroll] the nodes are rendered once and then reused
+        this.nodes = null;
+        this.element = null;
+    }
+
+    /**
+     * True unless filtered or hidden with [style.display = 'none'],
+     * without [virtual-scroll] the style of the element is used.
+     * @return {bool}
+     */
+    get isVisible() {
+        const style = (this.element === null ? this.style : this.element.style);
+        return (!this.filtered && style.display !== 'none');
+    }
+
+    /**
+     * Text of a field from the record, used with [data-filter-field]
+     * @param {string} field
+     * @return {string}
+     */
+    getFieldText(field) {
+        const value = getFieldValue(this.item, field);
+        return (value === null || value === undefined ? '' : String(value));
+    }
+
+    get nodeName() {
+        return this.list.rowTag.toUpperCase();
+    }
+
+    get cells() {
+        if (this._cells === null) {
+            this._cells = (this.list.hasCells ? this.list.getValues(this.item).map(value => new VirtualCell(value)) : []);
+        }
+        return this._cells;
+    }
+
+    get textContent() {
+        if (this.list.hasCells) {
+            return this.cells.map(cell => cell.textContent).join(' ');
+        }
+        return this.list.getValues(this.item).join(' ');
+    }
+
+    set textContent(value) {
+        // Ignored, the text of a row always comes from the record
+    }
+}
+
+export class VirtualList {
+    /**
+     * @param {HTMLElement} host - The <data-table> or <data-list> element, with
+     *     [virtual-scroll] it becomes the scroll container
+     */
+    constructor(host) {
+        this.host = host;
+        this.rowTag = 'div';
+        this.colSpan = 1;
+        this.hasCells = false;
+        this.renderRow = null;
+        this.setupRow = null;
+        this._getValues = null;
+        this.container = null;
+        this.rows = [];
+        this.visibleRows = [];
+        this.elementRows = new Map();
+        this.filters = new Map();
+        this.renderCallbacks = new Map();
+        this.isWindowed = false;
+        this.start = null;
+        this.end = null;
+        this.measuredRowHeight = null;
+        this.scrollFrame = null;
+        this.onScroll = () => {
+            if (this.isWindowed && this.scrollFrame === null) {
+                this.scrollFrame = window.requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.renderWindow(false);
+                });
+            }
+        };
+        host.addEventListener('scroll', this.onScroll);
+    }
+
+    /**
+     * Records in the order displayed with filtered records excluded
+     * @return {array}
+     */
+    get view() {
+        if (this.isWindowed) {
+            return this.visibleRows.map(row => row.item);
+        }
+        this.syncRows();
+        return this.rows.filter(row => row.isVisible).map(row => row.item);
+    }
+
+    /**
+     * Row height in pixels from [row-height] or measured from the first rendered row
+     * @return {number}
+     */
+    get rowHeight() {
+        const value = parseFloat(this.host.getAttribute('row-height'));
+        if (!isNaN(value) && value > 0) {
+            return value;
+        }
+        return (this.measuredRowHeight === null ? defaultRowHeight : this.measuredRowHeight);
+    }
+
+    /**
+     * Return field values of a record as strings. Null and undefined are
+     * returned as an empty string to match how they are rendered.
+     *
+     * @param {*} item
+     * @return {array}
+     */
+    getValues(item) {
+        return this._getValues(item).map(value => (value === null || value === undefined ? '' : String(value)));
+    }
+
+    /**
+     * Set the records for the list and render the first window
+     * into the container element (<tbody>, <ul>, etc).
+     *
+     * @param {array} list
+     * @param {HTMLElement} container
+     * @param {object} options
+     *     rowTag      - 'tr', 'li', or 'div', the element type used for spacers
+     *     colSpan     - Number of table columns, used for <tr> spacers
+     *     hasCells    - true for tables so [row.cells] are available
+     *     getValues   - function(item) returning an array of field values for a record
+     *     renderRow   - function(item, index) returning the HTML for a single record
+     *     setupRow    - optional function(element, row) called after a row is added to the DOM
+     */
+    setItems(list, container, options) {
+        this.rowTag = options.rowTag;
+        this.colSpan = options.colSpan || 1;
+        this.hasCells = (options.hasCells === true);
+        this.renderRow = options.renderRow;
+        this.setupRow = options.setupRow || null;
+        this._getValues = options.getValues;
+        this.container = container;
+        this.rows = list.map((item, index) => new VirtualRow(this, item, index));
+        this.elementRows = new Map();
+
+        // With [virtual-scroll] the host element scrolls so
+        // the window can be calculated from [scrollTop]
+        const height = this.host.getAttribute('virtual-scroll');
+        this.isWindowed = (height !== null);
+        if (this.isWindowed) {
+            this.host.style.display = 'block';
+            this.host.style.overflowY = 'auto';
+            if (!this.host.style.height && !this.host.style.maxHeight) {
+                this.host.style.maxHeight = (height ? height : defaultHeight);
+            }
+            this.host.scrollTop = 0;
+        }
+        this.applyFilters();
+        this.refresh();
+    }
+
+    /**
+     * Remove all rows, used when [value] is cleared or cannot be rendered
+     */
+    clear() {
+        this.rows = [];
+        this.visibleRows = [];
+        this.elementRows = new Map();
+        this.container = null;
+        this.start = null;
+        this.end = null;
+    }
+
+    /**
+     * Sort records by one or more fields and render the rows again. Values are
+     * compared using their data type from the record rather than displayed text,
+     * an empty array restores the original order.
+     *
+     * Example:
+     *     virtualList.sortBy([{ field: 'price', order: 'desc' }, { field: 'name', order: 'asc', type: 'natural' }]);
+     *
+     * @param {array} sortColumns - [{ field, order, type }]
+     */
+    sortBy(sortColumns) {
+        const sortRows = this.rows.map(row => {
+            return {
+                el: row,
+                values: sortColumns.map(item => getFieldSortObject(row, getFieldValue(row.item, item.field), item.type)),
+            };
+        });
+        sortRows.sort((a, b) => {
+            for (let n = 0, m = sortColumns.length; n < m; n++) {
+                const result = smartSort(a.values[n], b.values[n]);
+                if (result !== 0) {
+                    return (sortColumns[n].order === 'desc' ? -result : result);
+                }
+            }
+            return a.el.index - b.el.index;
+        });
+        this.setRows(sortRows.map(sortRow => sortRow.el));
+    }
+
+    /**
+     * Add or replace a filter and render the rows again. [filterFn(item)] returns
+     * [true] to keep the record and using [null] removes the filter. Filters are
+     * kept when new records are set from [value].
+     *
+     * @param {*} key
+     * @param {function|null} filterFn
+     */
+    setFilter(key, filterFn) {
+        if (typeof filterFn === 'function') {
+            this.filters.set(key, filterFn);
+        } else {
+            this.filters.delete(key);
+        }
+        this.syncRows();
+        this.applyFilters();
+        this.refresh();
+    }
+
+    /**
+     * Add or replace a function(element, row) that is called each time a row
+     * is rendered, for example to highlight search text. Using [null] removes
+     * the callback. Call [refresh()] after to render the current rows again.
+     *
+     * @param {*} key
+     * @param {function|null} callback
+     */
+    setRenderCallback(key, callback) {
+        if (typeof callback === 'function') {
+            this.renderCallbacks.set(key, callback);
+        } else {
+            this.renderCallbacks.delete(key);
+        }
+    }
+
+    applyFilters() {
+        const filters = Array.from(this.filters.values());
+        for (const row of this.rows) {
+            row.filtered = !filters.every(filterFn => filterFn(row.item));
+        }
+    }
+
+    /**
+     * Set the display order of the rows, used after sorting
+     * @param {array} rows - Array of [VirtualRow] objects from [this.rows]
+     */
+    setRows(rows) {
+        this.rows = rows;
+        this.refresh();
+    }
+
+    /**
+     * Without [virtual-scroll] rows can be moved by other code such as
+     * <table is="sortable-table"> so the order is read from the DOM.
+     * Filtered rows are not in the DOM and keep their position.
+     */
+    syncRows() {
+        if (this.isWindowed || this.container === null) {
+            return;
+        }
+        const domRows = [];
+        for (const el of this.container.children) {
+            const row = this.elementRows.get(el);
+            if (row !== undefined) {
+                domRows.push(row);
+            }
+        }
+        let n = 0;
+        this.rows = this.rows.map(row => {
+            return (row.element !== null && row.element.parentNode === this.container ? domRows[n++] : row);
+        });
+    }
+
+    /**
+     * Render rows again or without [virtual-scroll] move them to the current order.
+     * Call after [style.display], classes, or attributes of rows have been changed.
+     */
+    refresh() {
+        this.visibleRows = this.rows.filter(row => row.isVisible);
+        if (this.isWindowed) {
+            this.renderWindow(true);
+        } else {
+            this.renderRows();
+        }
+    }
+
+    /**
+     * Render all rows without [virtual-scroll]. Elements are created once for
+     * each row and then moved to the current order, filtered rows are removed.
+     */
+    renderRows() {
+        const container = this.container;
+        if (container === null || !this.host.contains(container)) {
+            return;
+        }
+        const tmpl = document.createElement('template');
+        const fragment = document.createDocumentFragment();
+        for (const row of this.rows) {
+            const isNew = (row.nodes === null);
+            if (isNew) {
+                tmpl.innerHTML = this.renderRow(row.item, row.index);
+                row.nodes = Array.from(tmpl.content.childNodes);
+                row.element = (tmpl.content.firstElementChild === null ? null : tmpl.content.firstElementChild);
+                if (row.element !== null) {
+                    this.elementRows.set(row.element, row);
+                }
+            }
+            if (row.filtered) {
+                for (const node of row.nodes) {
+                    if (node.parentNode !== null) {
+                        node.parentNode.removeChild(node);
+                    }
+                }
+                continue;
+            }
+            fragment.append(...row.nodes);
+            if (row.element !== null) {
+                if (isNew && this.setupRow !== null) {
+                    this.setupRow(row.element, row);
+                }
+                for (const callback of this.renderCallbacks.values()) {
+                    callback(row.element, row);
+                }
+            }
+        }
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Return virtual rows or cells that correspond to a CSS selector.
+     * The selector is checked against the first rendered row to find
+     * which cells it matches and then cells in the same position are
+     * returned for all rows.
+     *
+     * @param {string} selector
+     * @return {array}
+     */
+    getCells(selector) {
+        const rowEl = (this.container === null ? null : this.container.querySelector(':scope > :not([data-virtual-spacer])'));
+        if (rowEl === null) {
+            return [];
+        }
+        if (rowEl.matches(selector)) {
+            return this.rows;
+        }
+        const cellIndexes = [];
+        const cells = (rowEl.cells ? rowEl.cells : []);
+        for (let n = 0, m = cells.length; n < m; n++) {
+            if (cells[n].matches(selector)) {
+                cellIndexes.push(n);
+            }
+        }
+        const result = [];
+        for (const row of this.rows) {
+            for (const index of cellIndexes) {
+                if (row.cells[index] !== undefined) {
+                    result.push(row.cells[index]);
+                }
+            }
+        }
+        return result;
+    }
+
+    spacerHtml(height) {
+        if (this.rowTag === 'tr') {
+            return `<tr data-virtual-spacer aria-hidden="true"><td colspan="${this.colSpan}" style="height:${height}px; padding:0; border:0;"></td></tr>`;
+        }
+        return `<${this.rowTag} data-virtual-spacer aria-hidden="true" style="display:block; height:${height}px; margin:0; padding:0; border:0; list-style:none;"></${this.rowTag}>`;
+    }
+
+    /**
+     * Render rows that are in view with [virtual-scroll]. Unless [force] is
+     * true nothing happens if the window has not changed since the last render.
+     *
+     * @param {bool} force
+     */
+    renderWindow(force) {
+        const container = this.container;
+        if (container === null || !this.host.contains(container)) {
+            return;
+        }
+
+        // Calculate the window of rows to render
+        const rows = this.visibleRows;
+        const rowHeight = this.rowHeight;
+        const viewHeight = (this.host.clientHeight > 0 ? this.host.clientHeight : parseFloat(defaultHeight));
+        const count = Math.ceil(viewHeight / rowHeight) + (overscan * 2);
+        let start = Math.max(0, Math.floor(this.host.scrollTop / rowHeight) - overscan);
+        start = Math.min(start, Math.max(0, rows.length - count));
+        const end = Math.min(rows.length, start + count);
+        if (!force && start === this.start && end === this.end) {
+            return;
+        }
+        this.start = start;
+        this.end = end;
+
+        // Build HTML, rows are rendered once and then reused. An extra spacer is added when
+        // starting on an odd row so CSS such as [tr:nth-child(odd)] keeps the same rows striped.
+        const html = [];
+        html.push(this.spacerHtml(start * rowHeight));
+        if (start % 2 === 1) {
+            html.push(this.spacerHtml(0));
+        }
+        const windowRows = rows.slice(start, end);
+        for (const row of windowRows) {
+            if (row.html === null) {
+                row.html = this.renderRow(row.item, row.index);
+            }
+            html.push(row.html);
+        }
+        html.push(this.spacerHtml((rows.length - end) * rowHeight));
+        container.innerHTML = html.join('');
+
+        // Apply classes and attributes from the virtual rows and cells
+        const elements = container.querySelectorAll(':scope > :not([data-virtual-spacer])');
+        for (let n = 0, m = Math.min(elements.length, windowRows.length); n < m; n++) {
+            const el = elements[n];
+            const row = windowRows[n];
+            applyState(el, row);
+            if (row._cells !== null && el.cells) {
+                for (let x = 0, y = Math.min(el.cells.length, row._cells.length); x < y; x++) {
+                    applyState(el.cells[x], row._cells[x]);
+                }
+            }
+            if (this.setupRow !== null) {
+                this.setupRow(el, row);
+            }
+            for (const callback of this.renderCallbacks.values()) {
+                callback(el, row);
+            }
+        }
+
+        // Measure the actual row height once rows have been rendered
+        if (this.measuredRowHeight === null && elements.length > 0) {
+            const height = elements[0].getBoundingClientRect().height;
+            if (height > 0) {
+                this.measuredRowHeight = height;
+                if (height !== rowHeight && this.host.getAttribute('row-height') === null) {
+                    this.renderWindow(true);
+                }
+            }
+        }
+    }
+}
+
+function applyState(el, virtualEl) {
+    if (virtualEl.classList.names.length > 0) {
+        el.classList.add(...virtualEl.classList.names);
+    }
+    for (const name in virtualEl.attributes) {
+        el.setAttribute(name, virtualEl.attributes[name]);
+    }
+}
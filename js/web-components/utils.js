@@ -121,11 +121,15 @@ export function render(strings, ...values) {
  * Global variables from the `window` object can be included when using
  * brackets. Example: "{rootApiUrl}/countries" will look for `window.rootApiUrl`.
  *
+ * If [query] is an object then it is appended to the URL as a query string,
+ * see [buildQueryString()].
+ *
  * @param {string} url
  * @param {object} params
+ * @param {object|undefined} query
  * @return {string}
  */
-export function buildUrl(url, params) {
+export function buildUrl(url, params, query) {
     let newUrl = String(url);
 
     // Replace "{variables}" from the global Window Scope.
@@ -146,9 +150,61 @@ export function buildUrl(url, params) {
             }
         }
     }
+
+    // Append the query string
+    if (query !== null && typeof query === 'object') {
+        const queryString = buildQueryString(query);
+        if (queryString !== '') {
+            newUrl += (newUrl.includes('?') ? '&' : '?') + queryString;
+        }
+    }
     return newUrl;
 }
 
+/**
+ * Parse a query string into an object. Keys that are repeated
+ * such as 'tag=a&tag=b' will have an array of values.
+ *
+ * @param {string} query - Query string with or without the leading '?'
+ * @return {object}
+ */
+export function parseQueryString(query) {
+    const result = {};
+    for (const [key, value] of new URLSearchParams(query)) {
+        if (result[key] === undefined) {
+            result[key] = value;
+        } else if (Array.isArray(result[key])) {
+            result[key].push(value);
+        } else {
+            result[key] = [result[key], value];
+        }
+    }
+    return result;
+}
+
+/**
+ * Build a query string from an object. Properties that are [null],
+ * [undefined], or an empty string are skipped and arrays are added
+ * as repeated keys. Returns an empty string if there are no values.
+ *
+ * @param {object} query
+ * @return {string} - Query string without the leading '?'
+ */
+export function buildQueryString(query) {
+    const pairs = [];
+    for (const prop in query) {
+        if (query.hasOwnProperty(prop)) {
+            const values = (Array.isArray(query[prop]) ? query[prop] : [query[prop]]);
+            for (const value of values) {
+                if (value !== null && value !== undefined && value !== '') {
+                    pairs.push(encodeURIComponent(prop) + '=' + encodeURIComponent(value));
+                }
+            }
+        }
+    }
+    return pairs.join('&');
+}
+
 /**
  * Set an elements [textContent] or [value] depending on the element type.
  *
@@ -365,6 +421,31 @@ export function showErrorAlert(message) {
     }
 }
 
+/**
+ * Announce a message to screen readers using a visually hidden [aria-live]
+ * region. The same element is used by the standard framework [app.announce()].
+ *
+ * @param {string} message
+ */
+export function announce(message) {
+    let region = document.getElementById('dataformsjs-announcer');
+    if (region === null) {
+        region = document.createElement('div');
+        region.id = 'dataformsjs-announcer';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        region.style.cssText = 'position:absolute; width:1px; height:1px; margin:-1px; padding:0; overflow:hidden; clip:rect(0,0,0,0); white-space:nowrap; border:0;';
+        document.body.appendChild(region);
+    }
+    // Clear and then set the text after a short delay so
+    // the same message is read again if it's repeated.
+    region.textContent = '';
+    window.setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
 /**
  * Append CSS to a Style Sheet in the Document if it does not yet exist.
  *
@@ -193,6 +193,10 @@ const buildClasses = ['Cache', 'ErrorBoundary', 'Format', 'InputFilter', 'JsonDa
                     .replace('./utils.js', './utils.min.js')
                     .replace('./utils-sort.js', './utils-sort.min.js')
                     .replace('./utils-format.js', './utils-format.min.js')
+                    .replace('./utils-cache.js', './utils-cache.min.js')
+                    .replace('./utils-virtual.js', './utils-virtual.min.js')
+                    .replace('./utils-search.js', './utils-search.min.js')
+                    .replace('../scripts/route-matcher.js', '../scripts/route-matcher.min.js')
                     .replace('./WebComponentService.js', './WebComponentService.min.js');
             }
 
@@ -203,7 +207,9 @@ const buildClasses = ['Cache', 'ErrorBoundary', 'Format', 'InputFilter', 'JsonDa
                 newCode = newCode
                     .replace('export default class', `window.${componentName} = class`)
                     .replace('import React from"react";', '')
-                    .replace('import LazyLoad from"./LazyLoad.js";', '');
+                    .replace('import LazyLoad from"./LazyLoad.js";', '')
+                    .replace('../../web-components/utils-cache.js', '../../web-components/utils-cache.min.js')
+                    .replace('../../web-components/utils-sort.js', '../../web-components/utils-sort.min.js');
 
                 if (buildClasses.includes(componentName)) {
                     reactCoreComponents.push(newCode + ';');
@@ -276,6 +282,7 @@ async function buildReactFiles(copyright) {
     const reactES5_End = '\n})();';
     const regexModule = /\nObject\.defineProperty\(exports, "__esModule", {\n  value: true\n}\);\n/;
     const regexExports = /\nexports\..+;/;
+    const regexImport = /import {([\w\s,]+)} from '\.\.\/\.\.\/web-components\/([\w-]+\.js)';/;
     const allComponents = [];
     for (const component of components) {
         // Read both ES6 Class File and existing ES5 file
@@ -294,6 +301,26 @@ async function buildReactFiles(copyright) {
         codeES6 = codeES6.replace("import React from 'react';", '');
         codeES6 = codeES6.replace("import LazyLoad from './LazyLoad.js';", ''); // Used by CssVars
         codeES6 = codeES6.replace('@license', ''); // Required for all comments to be deleted
+
+        // Web Component modules used by React Components are included in the ES5 file, example:
+        //     import { dataCache as sharedDataCache } from '../../web-components/utils-cache.js';
+        // becomes the code from [utils-cache.js] with `export const dataCache` renamed to `const sharedDataCache`.
+        // Imports without [as] keep the same name and only `export` is removed.
+        let match;
+        while ((match = codeES6.match(regexImport)) !== null) {
+            const [importCode, importNames, fileName] = match;
+            let moduleCode = await readFile(path.join(__dirname, '..', 'js', 'web-components', fileName), 'utf8');
+            for (const importName of importNames.split(',')) {
+                const [exportName, localName] = importName.trim().split(/\s+as\s+/);
+                if (localName !== undefined) {
+                    moduleCode = moduleCode
+                        .replace(`export const ${exportName} =`, `const ${localName} =`)
+                        .replace(`export function ${exportName}(`, `function ${localName}(`);
+                }
+            }
+            moduleCode = moduleCode.replace(/^export (const|function) /gm, '$1 ');
+            codeES6 = codeES6.replace(importCode, () => moduleCode);
+        }
         let codeES5_New = Babel.transform(codeES6, options).code;
         if (!codeES5_New.startsWith('"use strict";') || codeES5_New.match(regexModule) === null || codeES5_New.match(regexExports) === null) {
             console.error(`Error unexpected output from Babel for file: ${outFile}`);
@@ -0,0 +1,618 @@
+/**
+ * DataFormsJS Pre-render Script
+ *
+ * Renders Framework routes to static HTML so that public pages built with
+ * [data-route] templates have content for search engines and display
+ * immediately before JavaScript runs. Each route is rendered with the same
+ * model that the browser would use and the page is written to a new file
+ * with the HTML in the view element. Once the page loads in the browser the
+ * Framework renders the route again (hydrates) using the pre-rendered data.
+ *
+ * Supported templates are <script type="text/x-template" data-route="...">
+ * with [data-engine="handlebars|nunjucks|text"] and <template data-route="...">.
+ * Routes that use [data-page="jsonData"] download data from [data-url];
+ * other pages are rendered using only the [data-*] settings of the route.
+ * Controls ([data-template-id], [data-template-url]) and plugins still run
+ * in the browser after the page loads.
+ *
+ * This script requires the following npm packages depending on the templates used:
+ *     https://www.npmjs.com/package/handlebars
+ *     https://www.npmjs.com/package/nunjucks
+ *
+ * Usage:
+ *     node scripts/prerender.js <file-or-dir> [options]
+ *
+ * Options:
+ *     --out <dir>          Output directory, defaults to [prerender] in the current directory
+ *     --routes <paths>     Comma delimited route paths, for example "/,/en/regions/US".
+ *                          Defaults to all routes that do not have parameters.
+ *     --data <file.json>   JSON fixture with data for each URL: { "url": data }. Keys can be
+ *                          the full URL or only the path and query, for example '/api/orders'.
+ *     --server <file|url>  A stub server created with [server/app.js] or the URL of a running
+ *                          server. The path and query of each [data-url] is requested from it.
+ *                          Stub server files add routes to [server/app.js] and do not call
+ *                          [app.run()] as it is called from this script using any free port.
+ *     --helpers <file.js>  Module that registers custom helpers or filters, it exports a
+ *                          function that is called as `fn(Handlebars, nunjucksEnvironment)`.
+ *     --view-selector      Id of the view element, defaults to '#view'
+ *
+ * If neither [--data] or [--server] is used then data is downloaded from the
+ * [data-url] of each route.
+ *
+ * Examples:
+ *     node scripts/prerender.js examples --out prerender
+ *     node scripts/prerender.js examples/places-demo-hbs.htm --routes /en/,/en/regions/US
+ *     node scripts/prerender.js site/index.htm --data test/fixtures.json
+ *     node scripts/prerender.js site/index.htm --server site/stub-server.js --routes /orders/1
+ *
+ * Output files:
+ *     History Routing (<html data-routing-mode="history">)
+ *         '/'               {out}/index.html
+ *         '/orders/1'       {out}/orders/1/index.html
+ *     Hash Routing (default)
+ *         '/'               {out}/{page}.htm
+ *         '/orders/1'       {out}/{page}.orders.1.htm
+ *
+ * For hash routing the file for a route sets the URL hash when the page is
+ * opened without one so that the Framework displays the same route.
+ *
+ * Data used to render each route is added to the page in [window.dataformsjsDataCache]
+ * and [window.dataformsjsPrefetchedUrls] so the first request from the browser uses
+ * it instead of downloading it again. This works the same as [app.prefetchRoute()]
+ * and the data is only used once.
+ */
+
+/* eslint-env node, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint strict: ["error", "global"] */
+/* eslint spaced-comment: ["error", "always"] */
+/* jshint esversion: 8, node: true */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const readdir = util.promisify(fs.readdir);
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+const routeMatcher = require('../js/scripts/route-matcher.js');
+
+const rootDir = path.join(__dirname, '..');
+
+// Template engines are only loaded if they are used
+const engines = {
+    handlebars: null,
+    nunjucks: null,
+};
+let helpersFile = null;
+
+/**
+ * Main function
+ */
+(async () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (options === null) {
+        process.exit(1);
+    }
+    helpersFile = options.helpers;
+
+    // Data from a fixture file, a stub server, or download from the original URL
+    let server = null;
+    let fixture = null;
+    let serverUrl = null;
+    if (options.data) {
+        fixture = JSON.parse(await readFile(options.data, 'utf8'));
+    }
+    if (options.server && /^https?:\/\//.test(options.server)) {
+        serverUrl = options.server.replace(/\/$/, '');
+    } else if (options.server) {
+        const app = require('../server/app.js');
+        require(path.resolve(options.server));
+        server = app.run(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        serverUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+    const getData = (url) => loadData(url, fixture, serverUrl);
+
+    // Render all files
+    let fileCount = 0;
+    let errorCount = 0;
+    try {
+        for (const file of await getPageFiles(options.input)) {
+            const result = await prerenderPage(file, options, getData);
+            fileCount += result.fileCount;
+            errorCount += result.errorCount;
+        }
+    } finally {
+        if (server !== null) {
+            server.close();
+        }
+    }
+
+    console.log('-'.repeat(40));
+    console.log(`Files Created: ${fileCount}, Errors: ${errorCount}`);
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
+})();
+
+/**
+ * Parse command line arguments, returns null and shows usage if invalid
+ *
+ * @param {array} args
+ * @return {object|null}
+ */
+function parseArgs(args) {
+    const options = {
+        input: null,
+        out: path.resolve('prerender'),
+        routes: null,
+        data: null,
+        server: null,
+        helpers: null,
+        viewSelector: '#view',
+    };
+    for (let n = 0, m = args.length; n < m; n++) {
+        const arg = args[n];
+        if (!arg.startsWith('--')) {
+            options.input = path.resolve(arg);
+            continue;
+        }
+        const name = arg.substring(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        const value = args[++n];
+        if (options[name] === undefined || name === 'input' || value === undefined) {
+            console.error(`Invalid option: ${arg}`);
+            options.input = null;
+            break;
+        }
+        switch (name) {
+            case 'routes':
+                options.routes = value.split(',').map(s => s.trim()).filter(s => s !== '');
+                break;
+            case 'out':
+            case 'data':
+            case 'helpers':
+                options[name] = path.resolve(value);
+                break;
+            default:
+                options[name] = value;
+        }
+    }
+    if (options.input === null) {
+        console.log('Usage: node scripts/prerender.js <file-or-dir> [--out dir] [--routes /,/page] [--data file.json] [--server file.js|url] [--helpers file.js] [--view-selector #view]');
+        return null;
+    }
+    if (!options.viewSelector.startsWith('#')) {
+        console.error('Only an id is supported for [--view-selector], for example "#view"');
+        return null;
+    }
+    return options;
+}
+
+/**
+ * Return an array of HTML files to render. For directories all [*.htm] and
+ * [*.html] files are returned except for files that start with '_'.
+ *
+ * @param {string} input
+ * @return {Promise<array>}
+ */
+async function getPageFiles(input) {
+    if (!fs.statSync(input).isDirectory()) {
+        return [input];
+    }
+    const files = await readdir(input);
+    return files
+        .filter(f => (f.endsWith('.htm') || f.endsWith('.html')) && !f.startsWith('_'))
+        .map(f => path.join(input, f));
+}
+
+/**
+ * Render routes of a single page and write the files
+ *
+ * @param {string} file
+ * @param {object} options
+ * @param {function} getData
+ * @return {Promise<object>} - { fileCount, errorCount }
+ */
+async function prerenderPage(file, options, getData) {
+    const result = { fileCount: 0, errorCount: 0 };
+    const html = await readFile(file, 'utf8');
+    const routes = getRouteTemplates(html).filter(route => route.engine !== null);
+    if (routes.length === 0) {
+        return result;
+    }
+
+    // When Vue is used <template> elements are Vue templates rather than plain HTML
+    const isVue = /<script\b[^>]*\bsrc=["'][^"']*\/vue(@[^/"']*)?\/[^"']*["']/i.test(html) || /data-engine=["']?vue/i.test(html);
+    if (isVue) {
+        console.log('-'.repeat(40));
+        console.log(path.relative(process.cwd(), file));
+        console.log('    Skipped - Vue templates are not supported');
+        return result;
+    }
+
+    // Only routes without parameters are rendered by default
+    const routePaths = routes.map(route => route.path);
+    const paths = (options.routes === null ? routePaths.filter(p => !/[:*]/.test(p)) : options.routes);
+    const isHistoryMode = /<html\b[^>]*\bdata-routing-mode=["']?history/i.test(html);
+    console.log('-'.repeat(40));
+    console.log(path.relative(process.cwd(), file));
+    if (paths.length === 0) {
+        console.log('    No routes to render, use [--routes] for routes with parameters');
+    }
+
+    for (const routePath of paths) {
+        const match = routeMatcher.findRoute(routePath, routePaths);
+        if (match === null) {
+            if (options.routes !== null && options.input === file) {
+                console.error(`    Error - No matching route for [${routePath}]`);
+                result.errorCount++;
+            }
+            continue;
+        }
+        const route = routes[match.index];
+        try {
+            const data = {};
+            const viewHtml = await renderRoute(file, route, match.namedArgs, async (url) => {
+                data[url] = await getData(url);
+                return data[url];
+            });
+            const outFile = getOutputFile(options.out, file, routePath, isHistoryMode);
+            const pageHtml = buildPage(html, viewHtml, data, options.viewSelector, (isHistoryMode ? null : routePath));
+            await mkdir(path.dirname(outFile), { recursive: true });
+            await writeFile(outFile, pageHtml);
+            console.log(`    ${routePath} => ${path.relative(process.cwd(), outFile)}`);
+            result.fileCount++;
+        } catch (e) {
+            console.error(`    Error with route [${routePath}]: ${e.message}`);
+            result.errorCount++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Find all route templates in a page using the same rules as [app.setup()]
+ * in [js/DataFormsJS.js]. [data-*] attributes are converted to settings,
+ * for example [data-url] becomes [settings.url]. Redirect routes are skipped.
+ *
+ * @param {string} html
+ * @return {array} - [{ path, engine, pageType, src, source, settings }]
+ */
+function getRouteTemplates(html) {
+    const routes = [];
+    const regex = /<(script|template)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+    let result;
+    while ((result = regex.exec(html)) !== null) {
+        const tagName = result[1].toLowerCase();
+        const attrs = parseAttributes(result[2]);
+        if (attrs['data-route'] === undefined || attrs['data-redirect'] !== undefined || (tagName === 'script' && attrs.type !== 'text/x-template')) {
+            continue;
+        }
+        let engine = (tagName === 'template' ? 'text' : attrs['data-engine']);
+        if (['handlebars', 'nunjucks', 'text'].indexOf(engine) === -1) {
+            engine = null;
+        }
+        const settings = {};
+        const skipProps = ['route', 'page', 'model', 'src', 'engine'];
+        for (const name in attrs) {
+            if (!name.startsWith('data-')) {
+                continue;
+            }
+            const prop = name.substring(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (skipProps.indexOf(prop) !== -1) {
+                continue;
+            }
+            const value = attrs[name];
+            settings[prop] = (value === 'true' || value === '' ? true : (value === 'false' ? false : (value === 'null' ? null : value)));
+        }
+        routes.push({
+            path: attrs['data-route'],
+            engine: engine,
+            pageType: (attrs['data-page'] === undefined ? null : attrs['data-page']),
+            src: attrs.src || attrs['data-src'] || null,
+            source: result[3],
+            settings: settings,
+        });
+    }
+    return routes;
+}
+
+/**
+ * Parse HTML attributes to an object. Attributes without a value are set to ''.
+ *
+ * @param {string} text
+ * @return {object}
+ */
+function parseAttributes(text) {
+    const attrs = {};
+    const regex = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let result;
+    while ((result = regex.exec(text)) !== null) {
+        const value = (result[2] !== undefined ? result[2] : (result[3] !== undefined ? result[3] : result[4]));
+        attrs[result[1].toLowerCase()] = (value === undefined ? '' : decodeHtml(value));
+    }
+    return attrs;
+}
+
+/**
+ * Decode the basic HTML entities that are used in attribute values
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function decodeHtml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Render the template of a route. For [jsonData] pages the model is created
+ * from the page defaults, route settings, and downloaded data the same as
+ * [jsonData.fetchData()] once the data has loaded.
+ *
+ * @param {string} file
+ * @param {object} route
+ * @param {object} params - Named parameters from the URL
+ * @param {function} getData
+ * @return {Promise<string>}
+ */
+async function renderRoute(file, route, params, getData) {
+    let model = {};
+    if (route.pageType === 'jsonData') {
+        model = Object.assign({}, getJsonDataModel(), route.settings);
+        if (!model.url) {
+            throw new Error('Missing [data-url] for [jsonData] page');
+        }
+        if (model.graphqlId || model.graphqlSrc) {
+            throw new Error('GraphQL routes are not supported');
+        }
+        model.submittedFetchUrl = buildUrl(model.url, params);
+        const data = await getData(model.submittedFetchUrl);
+        model.isLoading = false;
+        model.isLoaded = true;
+        model.hasError = false;
+        model.errorMessage = null;
+        if (typeof model.prop === 'string') {
+            model[model.prop] = data;
+        } else {
+            Object.assign(model, data);
+        }
+    } else {
+        if (route.pageType !== null) {
+            console.log(`    Note - Page [${route.pageType}] is rendered using only the route settings`);
+        }
+        model = Object.assign(model, route.settings);
+    }
+
+    // Templates from [src] are read from the file system relative to the page
+    let source = route.source;
+    if (route.src !== null) {
+        if (/^https?:\/\//.test(route.src)) {
+            throw new Error(`Template [src] must be a local file: ${route.src}`);
+        }
+        source = await readFile(path.join(path.dirname(file), route.src), 'utf8');
+    }
+
+    switch (route.engine) {
+        case 'handlebars':
+            return getHandlebars().compile(source)(model);
+        case 'nunjucks':
+            return getNunjucks().renderString(source, model);
+        default:
+            return source;
+    }
+}
+
+/**
+ * Return the default model of the [jsonData] page from [js/pages/jsonData.js].
+ * The file is loaded in a separate context where [app.addPage()] saves the page.
+ *
+ * @return {object}
+ */
+function getJsonDataModel() {
+    if (getJsonDataModel.model === undefined) {
+        const pages = {};
+        const code = fs.readFileSync(path.join(rootDir, 'js', 'pages', 'jsonData.js'), 'utf8');
+        vm.runInNewContext(code, {
+            app: {
+                addPage: (name, page) => { pages[name] = page; },
+            },
+        });
+        getJsonDataModel.model = pages.jsonData.model;
+    }
+    return getJsonDataModel.model;
+}
+
+/**
+ * Replace ":params" in a URL, this is the same as [app.buildUrl()] for a route
+ *
+ * @param {string} url
+ * @param {object} params
+ * @return {string}
+ */
+function buildUrl(url, params) {
+    for (const prop in params) {
+        if (params[prop] !== undefined) {
+            url = url.replace(new RegExp(':' + prop, 'g'), encodeURIComponent(params[prop]));
+        }
+    }
+    return url;
+}
+
+/**
+ * Return data for a URL from the JSON fixture, the stub server, or the original URL
+ *
+ * @param {string} url
+ * @param {object|null} fixture
+ * @param {string|null} serverUrl
+ * @return {Promise<*>}
+ */
+async function loadData(url, fixture, serverUrl) {
+    const urlPath = url.replace(/^https?:\/\/[^/]+/, '');
+    if (fixture !== null) {
+        if (fixture[url] !== undefined) {
+            return fixture[url];
+        } else if (fixture[urlPath] !== undefined) {
+            return fixture[urlPath];
+        } else if (serverUrl === null) {
+            throw new Error(`No data in the fixture file for [${url}]`);
+        }
+    }
+    const requestUrl = (serverUrl === null ? url : serverUrl + urlPath);
+    if (!/^https?:\/\//.test(requestUrl)) {
+        throw new Error(`Unable to download data for [${url}], use [--data] or [--server] for relative URL's`);
+    }
+    const response = await fetch(requestUrl);
+    if (!response.ok) {
+        throw new Error(`Error downloading data from [${requestUrl}]. Server Response Code: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Return a Handlebars environment with helpers from [js/extensions/handlebars-helpers.js].
+ * The helpers file is written for the browser so it runs in a separate context
+ * with only the globals that it uses. Helpers that are not defined (for example
+ * [i18n] from the i18n plugin) return their first argument and show a warning.
+ *
+ * @return {object}
+ */
+function getHandlebars() {
+    if (engines.handlebars === null) {
+        const Handlebars = requireEngine('handlebars').create();
+        const context = {
+            Handlebars: Handlebars,
+            Intl: Intl,
+            console: console,
+            navigator: { language: 'en-US' },
+            document: { readyState: 'complete' },
+        };
+        context.window = context;
+        const code = fs.readFileSync(path.join(rootDir, 'js', 'extensions', 'handlebars-helpers.js'), 'utf8');
+        vm.runInNewContext(code, context);
+
+        const missingHelpers = [];
+        Handlebars.registerHelper('helperMissing', function () {
+            const options = arguments[arguments.length - 1];
+            if (arguments.length === 1) {
+                return undefined;
+            }
+            if (missingHelpers.indexOf(options.name) === -1) {
+                missingHelpers.push(options.name);
+                console.log(`    Warning - Handlebars helper [${options.name}] is not defined, the first argument is used`);
+            }
+            return arguments[0];
+        });
+        if (helpersFile !== null) {
+            require(helpersFile)(Handlebars, getNunjucks());
+        }
+        engines.handlebars = Handlebars;
+    }
+    return engines.handlebars;
+}
+
+/**
+ * Return a Nunjucks environment
+ *
+ * @return {object}
+ */
+function getNunjucks() {
+    if (engines.nunjucks === null) {
+        const nunjucks = requireEngine('nunjucks');
+        engines.nunjucks = new nunjucks.Environment();
+        if (helpersFile !== null && engines.handlebars === null) {
+            require(helpersFile)(null, engines.nunjucks);
+        }
+    }
+    return engines.nunjucks;
+}
+
+/**
+ * Load a template engine from npm with a helpful error if it's not installed
+ *
+ * @param {string} name
+ * @return {object}
+ */
+function requireEngine(name) {
+    try {
+        return require(name);
+    } catch (e) {
+        throw new Error(`Template engine [${name}] is not installed, run [npm install ${name}]`);
+    }
+}
+
+/**
+ * Return the file name for a rendered route
+ *
+ * @param {string} outDir
+ * @param {string} file
+ * @param {string} routePath
+ * @param {bool} isHistoryMode
+ * @return {string}
+ */
+function getOutputFile(outDir, file, routePath, isHistoryMode) {
+    const segments = routePath.split('/').filter(s => s !== '' && s !== '.' && s !== '..').map(s => s.replace(/[^\w.-]/g, '_'));
+    if (isHistoryMode) {
+        return path.join(outDir, ...segments, 'index.html');
+    }
+    const ext = path.extname(file);
+    const name = path.basename(file, ext);
+    return path.join(outDir, (segments.length === 0 ? name : name + '.' + segments.join('.')) + ext);
+}
+
+/**
+ * Add the rendered view and data to the page HTML
+ *
+ * @param {string} html - Original page
+ * @param {string} viewHtml - Rendered route
+ * @param {object} data - Data for each URL used by the route
+ * @param {string} viewSelector - Id of the view element, for example '#view'
+ * @param {string|null} hashPath - Route to set for hash routing
+ * @return {string}
+ */
+function buildPage(html, viewHtml, data, viewSelector, hashPath) {
+    // Set the contents of the view element. Only views that are
+    // empty or without nested elements of the same type are replaced.
+    const id = viewSelector.substring(1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const viewTag = new RegExp(`<(\\w+)\\b[^>]*\\bid=["']?${id}["'\\s>][^>]*>`, 'i').exec(html);
+    if (viewTag === null) {
+        throw new Error(`View element [${viewSelector}] was not found`);
+    }
+    const start = viewTag.index + viewTag[0].length;
+    const end = html.indexOf(`</${viewTag[1]}>`, start);
+    if (end === -1 || new RegExp(`<${viewTag[1]}\\b`, 'i').test(html.substring(start, end))) {
+        throw new Error(`Unable to replace the contents of view element [${viewSelector}]`);
+    }
+    html = html.substring(0, start) + viewHtml + html.substring(end);
+
+    // Data is used once by the first request from the Framework [app.fetch()]
+    const lines = [];
+    if (hashPath !== null && hashPath !== '/') {
+        lines.push(`if (window.location.hash === '') { window.history.replaceState(null, '', '#${hashPath.replace(/['\\<]/g, '')}'); }`);
+    }
+    if (Object.keys(data).length > 0) {
+        const json = JSON.stringify(data).replace(/</g, '\\u003c');
+        lines.push('window.dataformsjsDataCache = window.dataformsjsDataCache || {};');
+        lines.push('window.dataformsjsPrefetchedUrls = window.dataformsjsPrefetchedUrls || {};');
+        lines.push('(function(data) {');
+        lines.push('    for (var url in data) {');
+        lines.push('        window.dataformsjsDataCache[url] = { url: url, json: JSON.stringify(data[url]), time: Date.now() };');
+        lines.push('        window.dataformsjsPrefetchedUrls[url] = true;');
+        lines.push('    }');
+        lines.push(`})(${json});`);
+    }
+    if (lines.length > 0) {
+        const script = '<script>\n' + lines.map(line => '            ' + line).join('\n') + '\n        </script>\n    ';
+        const pos = html.search(/<\/head>/i);
+        html = (pos === -1 ? script + html : html.substring(0, pos) + script + html.substring(pos));
+    }
+    return html;
+}
@@ -32,6 +32,7 @@ const http = require('http');
 const { URL } = require('url');
 const fs = require('fs');
 const path = require('path');
+const routeMatcher = require('../js/scripts/route-matcher.js');
 
 const app = {
     // Arrays for middleware and routes
@@ -75,35 +76,16 @@ const app = {
         this.routes.push({ path: path, method: null, callback: callback });
     },
 
-    // Used to check if a route matches, returns an array of [bool:matches, array:args]
+    // Used to check if a route matches, returns an array of [bool:matches, array:args].
+    // Route paths support ':params', optional ':params?', RegExp ':id(\d+)' and splat '*rest'
+    // segments, see [js/scripts/route-matcher.js] for details.
     routeMatches: (pattern, path) => {
-        // Quick check for exact match
-        if (pattern === path && pattern.indexOf(':') === -1) {
-            return [ true, [] ];
-        }
-
-        // Check for ':variables' and add to an array
-        const patternParts = pattern.split('/');
-        const pathParts = path.split('/');
-        if (patternParts.length === pathParts.length) {
-            const args = [];
-            for (let n = 0, m = pathParts.length; n < m; n++) {
-                if (patternParts[n] !== pathParts[n]) {
-                    if (patternParts[n].length > 0 && patternParts[n].indexOf(':') === 0) {
-                        args.push(decodeURIComponent(pathParts[n]));
-                    } else {
-                        return [ false, [] ];
-                    }
-                }
-            }
-            return [ true, args ]; // Matches with Variables
-        }
-
-        // Doesn't match
-        return [ false, null ];
+        const result = routeMatcher.match(path, pattern);
+        return (result.isMatch ? [ true, result.args ] : [ false, null ]);
     },
 
-    // Call this to start the server
+    // Call this to start the server. The server is returned so scripts such as
+    // [scripts/prerender.js] can use port 0 (any free port) and close it when done.
     run: function(port, siteRootDir) {
         const server = http.createServer(async (req, res) => {
             try {
@@ -121,9 +103,13 @@ const app = {
                     }
                 }
 
-                // Match the requested path to a defined route
+                // Match the requested path to a defined route. When more than one route
+                // matches the most specific route is used, for example '/orders/new' is
+                // used before '/orders/:id'. Routes of equal rank use the first defined route.
                 const reqMethod = req.method;
                 const reqPath = new URL(req.url, `http://${req.headers.host}`).pathname;
+                let route = null;
+                let routeArgs = null;
                 for (let n = 0, m = this.routes.length; n < m; n++) {
                     // First check method [GET|POST|HEAD]
                     const method = this.routes[n].method;
@@ -132,16 +118,23 @@ const app = {
                     }
                     // Match on path
                     const pattern = this.routes[n].path;
+                    if (route !== null && routeMatcher.compare(pattern, route.path) >= 0) {
+                        continue;
+                    }
                     const [matches, args] = this.routeMatches(pattern, reqPath);
                     if (matches) {
-                        const fn = this.routes[n].callback;
-                        if (fn.constructor.name === 'AsyncFunction') {
-                            await fn.apply(null, [req, res].concat(args));
-                        } else {
-                            fn.apply(null, [req, res].concat(args));
-                        }
-                        return;
+                        route = this.routes[n];
+                        routeArgs = args;
+                    }
+                }
+                if (route !== null) {
+                    const fn = route.callback;
+                    if (fn.constructor.name === 'AsyncFunction') {
+                        await fn.apply(null, [req, res].concat(routeArgs));
+                    } else {
+                        fn.apply(null, [req, res].concat(routeArgs));
                     }
+                    return;
                 }
 
                 // Does the request path match a file under the site's root directory? If so and
@@ -160,8 +153,9 @@ const app = {
         });
 
         server.listen(port, null, () => {
-            console.log(`Server running at http://127.0.0.1:${port}/`);
+            console.log(`Server running at http://127.0.0.1:${server.address().port}/`);
         });
+        return server;
     },
 
     // Helper function
@@ -11,6 +11,83 @@
 
 const querystring = require('querystring');
 
+/**
+ * Add a value to an object, if the name already exists then
+ * an array is used (same as [querystring.parse()]). Objects are created
+ * without a prototype so names such as [__proto__] and [constructor]
+ * are added as regular fields.
+ *
+ * @param {object} obj
+ * @param {string} name
+ * @param {*} value
+ */
+function addValue(obj, name, value) {
+    if (obj[name] === undefined) {
+        obj[name] = value;
+    } else if (Array.isArray(obj[name])) {
+        obj[name].push(value);
+    } else {
+        obj[name] = [obj[name], value];
+    }
+}
+
+/**
+ * Parse a 'multipart/form-data' Request Body. Text fields are returned in
+ * [fields] and uploaded files in [files] as objects with the format:
+ *     { filename, contentType, size, data: Buffer }
+ * File inputs that were submitted without a selected file are skipped.
+ *
+ * @param {Buffer} body
+ * @param {string} boundary
+ * @return {object} - { fields, files }
+ */
+function parseMultipart(body, boundary) {
+    const result = { fields: Object.create(null), files: Object.create(null) };
+    const delimiter = Buffer.from('--' + boundary);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        // The last boundary ends with '--'
+        start += delimiter.length;
+        if (body.slice(start, start + 2).toString() === '--') {
+            break;
+        }
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) {
+            break;
+        }
+
+        // Each part starts with headers followed by a blank line and the
+        // content. Parts are separated by CRLF before the next boundary.
+        const part = body.slice(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = {};
+            part.slice(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+                const pos = line.indexOf(':');
+                if (pos !== -1) {
+                    headers[line.substring(0, pos).trim().toLowerCase()] = line.substring(pos + 1).trim();
+                }
+            });
+            const content = part.slice(headerEnd + 4);
+            const disposition = headers['content-disposition'] || '';
+            const name = /\bname="([^"]*)"/i.exec(disposition);
+            const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+            if (name !== null && filename === null) {
+                addValue(result.fields, name[1], content.toString('utf8'));
+            } else if (name !== null && filename[1] !== '') {
+                addValue(result.files, name[1], {
+                    filename: filename[1],
+                    contentType: headers['content-type'] || 'application/octet-stream',
+                    size: content.length,
+                    data: content,
+                });
+            }
+        }
+        start = end;
+    }
+    return result;
+}
+
 module.exports = function bodyParser(options) {
     // Default Options
     options = options || {};
@@ -18,8 +95,8 @@ module.exports = function bodyParser(options) {
 
     // Return function for middleware
     return function (req) {
-        // Read and return a Promise with posted content as a string from the Request.
-        req.content = (encoding = 'utf8') => {
+        // Read and return a Promise with posted content as a Buffer from the Request.
+        req.buffer = () => {
             return new Promise(function(resolve, reject) {
                 let content = [];
                 let length = 0;
@@ -33,16 +110,40 @@ module.exports = function bodyParser(options) {
                         reject('Payload Too Large');
                     }
                 }).on('end', () => {
-                    content = Buffer.concat(content).toString(encoding);
-                    resolve(content);
+                    resolve(Buffer.concat(content));
                 }).on('error', (err) => {
                     reject(err);
                 });
             });
         };
 
-        // Read and parse a basic Form POST (doesn't handle files)
+        // Read and return a Promise with posted content as a string from the Request.
+        req.content = (encoding = 'utf8') => {
+            return req.buffer().then(content => content.toString(encoding));
+        };
+
+        // Read and parse a 'multipart/form-data' POST, returns { fields, files }.
+        // See comments in [parseMultipart()] for the format of [files].
+        req.multipart = () => {
+            const contentType = req.headers['content-type'] || '';
+            const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+            if (contentType.indexOf('multipart/form-data') !== 0 || boundary === null) {
+                return Promise.reject('Request is not [multipart/form-data]');
+            }
+            return req.buffer().then(body => {
+                return parseMultipart(body, boundary[1] || boundary[2]);
+            });
+        };
+
+        // Read and parse a Form POST. For 'multipart/form-data' uploaded
+        // files are included with the fields, see [req.multipart()].
         req.form = () => {
+            const contentType = req.headers['content-type'] || '';
+            if (contentType.indexOf('multipart/form-data') === 0) {
+                return req.multipart().then(result => {
+                    return Object.assign(Object.create(null), result.fields, result.files);
+                });
+            }
             return req.content().then(content => {
                 return (content === '' ? {} : querystring.parse(content));
             });
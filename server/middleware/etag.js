@@ -12,11 +12,31 @@
 
 const crypto = require('crypto');
 
+/**
+ * Return an ETag for the content of a response. By default a Weak ETag is returned
+ * which is used for 304 Responses. [If-Match] headers use strong comparison so a
+ * Strong ETag is required when routes compare them before updating a record:
+ *     if (req.headers['if-match'] !== etag.create(JSON.stringify(record), true)) {
+ *         res.statusCode = 412; // Precondition Failed
+ *     }
+ *
+ * @param {string} content
+ * @param {boolean} [strong=false]
+ * @return {string}
+ */
+function createETag(content, strong = false) {
+    // Use MD5 and by default a Weak ETag for the Response.
+    const md5 = crypto.createHash('md5').update(content).digest('hex');
+    return (strong ? '"' + md5 + '"' : 'W/"' + md5 + '"');
+}
+
 module.exports = function () {
     return function (req, res) {
-        // Allow the Response to use ETags with 304 Caching
-        res.etag = () => {
+        // Allow the Response to use ETags with 304 Caching. Use [res.etag(true)]
+        // for a Strong ETag when the client will send it back as [If-Match].
+        res.etag = (strong = false) => {
             res._useETag = true;
+            res._strongETag = (strong === true);
             return res;
         };
 
@@ -24,9 +44,7 @@ module.exports = function () {
         // not a full featured 304 response function that handles 'Last-Modified' or other logic.
         res.onSend.push(function (content) {
             if (res._useETag === true && res.statusCode >= 200 && res.statusCode < 300) {
-                // Use MD5 and a Weak ETag for the Response.
-                const md5 = crypto.createHash('md5').update(content).digest('hex');
-                const etag = 'W/"' + md5 + '"';
+                const etag = createETag(content, res._strongETag);
                 res.setHeader('ETag', etag);
 
                 // Compare to Request 'If-None-Match' header. If content is an exact
@@ -38,4 +56,6 @@ module.exports = function () {
             }
         });
     };
-};
\ No newline at end of file
+};
+
+module.exports.create = createETag;
@@ -37,12 +37,16 @@
         title: 'script-data-src',
         values: [],
     };
+    var unitTestListEditor = {
+        records: [],
+    };
 
     // Add Models to DataFormsJS
     app
         .addModel('unitTestHbsHelpers', unitTestHbsHelpers)
         .addModel('unitTestControls', unitTestControls)
         .addModel('unitTestScriptSrc', unitTestScriptSrc)
-        .addModel('unitTestScriptDataSrc', unitTestScriptDataSrc);
+        .addModel('unitTestScriptDataSrc', unitTestScriptDataSrc)
+        .addModel('unitTestListEditor', unitTestListEditor);
 
 })();
@@ -863,4 +863,185 @@ describe('<JsonData>', function() {
             expect(el.style.color).to.equal('rgb(255, 255, 255)');
         });
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Call [check()] until it returns true and then call [done()]. Used to wait
+ * for pages to download when testing [pagination] with <JsonData> and <json-data>.
+ *
+ * @param {function} check
+ * @param {function} done
+ */
+function waitFor(check, done) {
+    var callCount = 0;
+    var interval = window.setInterval(function() {
+        // This should happen quickly
+        callCount++;
+        if (check()) {
+            window.clearInterval(interval);
+            done();
+        } else if (callCount > 200) {
+            window.clearInterval(interval);
+            done(new Error('Timeout waiting for pagination content, check DevTools'));
+        }
+    }, 20);
+}
+
+/**
+ * Return record ids from an array of records, for example '1,2'
+ *
+ * @param {array|undefined} records
+ * @return {string}
+ */
+function recordIds(records) {
+    return (Array.isArray(records) ? records.map(function(record) { return record.id; }).join() : '');
+}
+
+describe('<JsonData> Pagination', function() {
+    function listText() {
+        var items = document.querySelectorAll('.test-content.json-data-pages li');
+        return Array.prototype.map.call(items, function(item) { return item.textContent; }).join();
+    }
+
+    function button(name) {
+        return document.querySelector('.test-content.json-data-pages .btn-' + name);
+    }
+
+    function pageInfo() {
+        return document.querySelector('.test-content.json-data-pages .page-info').textContent;
+    }
+
+    it('should show the first page', function(done) {
+        waitFor(function() {
+            return (listText() === '1,2');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(pageInfo()).to.equal('Page 1 of 3');
+            expect([button('previous').disabled, button('next').disabled]).to.deep.equal([true, false]);
+            done();
+        });
+    });
+
+    it('should show the next page from [pagination.nextPage]', function(done) {
+        button('next').click();
+        waitFor(function() {
+            return (listText() === '3,4');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(pageInfo()).to.equal('Page 2 of 3');
+            expect([button('previous').disabled, button('next').disabled]).to.deep.equal([false, false]);
+            done();
+        });
+    });
+
+    it('should append the last page from [pagination.loadMore]', function(done) {
+        button('load-more').click();
+        waitFor(function() {
+            return (listText() === '3,4,5');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(pageInfo()).to.equal('Page 3 of 3');
+            expect([button('next').disabled, button('load-more').disabled]).to.deep.equal([true, true]);
+            done();
+        });
+    });
+});
+
+describe('<json-data> Pagination', function() {
+    var jsonData = document.querySelector('.test-content.json-data-web-component json-data');
+
+    function text(selector) {
+        return jsonData.querySelector(selector).textContent;
+    }
+
+    it('should show the first page', function(done) {
+        waitFor(function() {
+            return (jsonData.state !== undefined && recordIds(jsonData.state.data) === '1,2');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect([text('.page'), text('.page-count'), text('.total-count')]).to.deep.equal(['1', '3', '5']);
+            expect(jsonData.hasMore).to.equal(true);
+            done();
+        });
+    });
+
+    it('should show the next page from [data-page-next]', function(done) {
+        jsonData.querySelector('[data-page-next]').click();
+        waitFor(function() {
+            return (recordIds(jsonData.state.data) === '3,4');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(text('.page')).to.equal('2');
+            expect(jsonData.state.hasPrevious).to.equal(true);
+            done();
+        });
+    });
+
+    it('should append the last page from [data-load-more]', function(done) {
+        jsonData.querySelector('[data-load-more]').click();
+        waitFor(function() {
+            return (recordIds(jsonData.state.data) === '3,4,5');
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(text('.page')).to.equal('3');
+            expect(jsonData.hasMore).to.equal(false);
+            done();
+        });
+    });
+});
+
+describe('<JsonData> cacheTtl', function() {
+    function text(selector) {
+        var element = document.querySelector('.test-content.json-data-cache ' + selector + ' span');
+        return (element === null ? null : element.textContent);
+    }
+
+    it('should show data from the shared cache without a request', function(done) {
+        waitFor(function() {
+            return (text('.cached') !== null);
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(text('.cached')).to.equal('Response from Cache');
+            done();
+        });
+    });
+
+    it('should use a separate cache key for [fetchHeaders] with [Authorization]', function(done) {
+        var url = '/unit-testing/page-json-data?cache=react';
+        var key = JsonData.dataCache.getKey(url, { Authorization: 'Bearer unit-test' });
+        waitFor(function() {
+            return (text('.with-headers') !== null);
+        }, function(error) {
+            if (error) {
+                done(error);
+                return;
+            }
+            expect(text('.with-headers')).to.equal('Response from Server');
+            expect(key).to.not.equal(url);
+            expect(JSON.parse(window.dataformsjsDataCache[key].json)).to.deep.equal({ serverMessage: 'Response from Server' });
+            expect(JSON.parse(window.dataformsjsDataCache[url].json)).to.deep.equal({ serverMessage: 'Response from Cache' });
+            done();
+        });
+    });
+});
@@ -0,0 +1,998 @@
+/**
+ * DataFormJS Unit Testing for Web Components
+ *
+ * Used with file [test\views\unit-testing-web-components.htm]
+ *
+ * Functions from the shared [utils-*.js] modules are imported and tested directly
+ * and Web Components are tested using elements from the page. Many of the cases
+ * are the same as the framework plugin tests from [unit-testing.js] so results
+ * can be compared between both versions.
+ */
+
+/* Validates with both [jshint] and [eslint] */
+/* global QUnit */
+/* jshint esversion:8 */
+/* eslint-env browser, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint spaced-comment: ["error", "always"] */
+/* eslint no-console: ["error", { allow: ["log", "warn", "error"] }] */
+
+import {
+    getSortObject,
+    getFieldSortObject,
+    smartSort,
+    parseSortColumns,
+    formatSortColumns,
+    getSortColumns
+} from '/src/web-components/utils-sort.js';
+import {
+    parseSearchTerms,
+    searchText,
+    highlightTerms,
+    clearHighlights
+} from '/src/web-components/utils-search.js';
+import { getVirtualList } from '/src/web-components/utils-virtual.js';
+import '/src/web-components/sortable-table.js';
+import '/src/web-components/filter-service.js';
+import '/src/web-components/input-filter.js';
+import '/src/web-components/json-data.js';
+import '/src/web-components/url-router.js';
+import '/src/web-components/data-table.js';
+import '/src/web-components/data-list.js';
+import '/src/web-components/export-to-csv-service.js';
+
+/**
+ * Create an element for testing using an object of attributes
+ *
+ * @param {string} tagName
+ * @param {object} attributes
+ * @return {HTMLElement}
+ */
+function createElement(tagName, attributes) {
+    const element = document.createElement(tagName);
+    for (const name in attributes) {
+        element.setAttribute(name, attributes[name]);
+    }
+    return element;
+}
+
+/**
+ * Return the text of a column from all rows of a table, example: 'Item 1,Item 2'
+ *
+ * @param {HTMLTableElement} table
+ * @param {number} index
+ * @return {string}
+ */
+function columnText(table, index) {
+    return Array.from(table.tBodies[0].rows).map(row => row.cells[index].textContent).join();
+}
+
+/**
+ * Add an element to the test content and resolve once
+ * it dispatches the event [app:contentReady]
+ *
+ * @param {HTMLElement} element
+ * @return {Promise}
+ */
+function loadElement(element) {
+    return new Promise((resolve) => {
+        element.addEventListener('app:contentReady', resolve, { once: true });
+        document.querySelector('.test-content').appendChild(element);
+    });
+}
+
+/**
+ * Create a <url-router> with nested routes for testing. The view is added
+ * to the test content and [onload] and [onunload] are saved to [routeEvents].
+ *
+ * @param {string} hash - Starting route
+ * @return {Promise<HTMLElement>} Resolves once the first route is shown
+ */
+function createRouter(hash) {
+    window.routeEvents = [];
+    window.history.replaceState(null, null, hash);
+    const view = createElement('div', { class: 'router-view' });
+    const router = createElement('url-router', { 'view-selector': '.router-view' });
+    const events = (name) => `onload="window.routeEvents.push('load ${name}')" onunload="window.routeEvents.push('unload ${name}')"`;
+    router.innerHTML = `
+        <url-route path="/orders/:id" ${events('order')}>
+            <template><nav class="order-nav">Order <span url-param="id"></span></nav><url-router-outlet></url-router-outlet></template>
+            <url-route path="details" ${events('details')}><template><p class="order-page">Details</p></template></url-route>
+            <url-route path="history" ${events('history')}><template><p class="order-page">History</p></template></url-route>
+        </url-route>
+        <url-route path="/orders/new" ${events('new')}><template><p class="order-page">New Order</p></template></url-route>
+        <url-route path="/slow" src="/unit-testing/slow-response"></url-route>
+        <url-route path="/fast"><template><p class="fast-page">Fast</p></template></url-route>
+    `;
+    const content = document.querySelector('.test-content');
+    content.appendChild(view);
+    return new Promise((resolve) => {
+        router.addEventListener('app:routeChanged', () => resolve(router), { once: true });
+        content.appendChild(router);
+    });
+}
+
+/**
+ * Change the hash of a <url-router> and resolve once the route is shown
+ *
+ * @param {HTMLElement} router
+ * @param {string} hash
+ * @return {Promise<object>} Event detail from [app:routeChanged]
+ */
+function changeHash(router, hash) {
+    return new Promise((resolve) => {
+        router.addEventListener('app:routeChanged', (e) => resolve(e.detail), { once: true });
+        window.location.hash = hash;
+    });
+}
+
+/**
+ * Remove a <url-router> created from [createRouter()] and the URL hash
+ *
+ * @param {HTMLElement} router
+ */
+function removeRouter(router) {
+    router.remove();
+    document.querySelector('.router-view').remove();
+    window.history.replaceState(null, null, window.location.pathname + window.location.search);
+    delete window.routeEvents;
+}
+
+/**
+ * Create records for <data-table> and <data-list>, each [price] is different
+ *
+ * @param {number} count
+ * @return {array}
+ */
+function createRecords(count) {
+    return Array.from({ length: count }, (value, n) => {
+        return { id: n + 1, name: 'Item ' + (n + 1), price: (n * 37) % count };
+    });
+}
+
+/**
+ * Return elements rendered for records, spacers from [virtual-scroll] are excluded
+ *
+ * @param {HTMLElement} container - <tbody>, <ul>, etc
+ * @return {array}
+ */
+function renderedRows(container) {
+    return Array.from(container.children).filter(el => !el.hasAttribute('data-virtual-spacer'));
+}
+
+/**
+ * Scroll an element and resolve once [VirtualList] has rendered the new window
+ *
+ * @param {HTMLElement} element
+ * @param {number} top
+ * @return {Promise}
+ */
+function scrollElement(element, top) {
+    element.scrollTop = top;
+    element.dispatchEvent(new Event('scroll'));
+    return new Promise(resolve => window.requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Click a header cell of a <table is="sortable-table">
+ *
+ * @param {HTMLTableCellElement} cell
+ * @param {bool} shiftKey
+ */
+function clickCell(cell, shiftKey) {
+    cell.dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: shiftKey }));
+}
+
+QUnit.test('utils-sort.js parseSortColumns(), formatSortColumns(), and getSortColumns()', function (assert) {
+    // "{column}-{order}" and invalid items are skipped
+    assert.deepEqual(parseSortColumns('2-desc, 0-asc,x-asc,1-up'), [{ column: 2, order: 'desc' }, { column: 0, order: 'asc' }], 'Parsed sort columns');
+    assert.deepEqual(parseSortColumns(''), [], 'Empty string');
+    assert.deepEqual(parseSortColumns(null), [], 'null');
+    assert.equal(formatSortColumns([{ column: 2, order: 'desc' }, { column: 0, order: 'asc' }]), '2-desc,0-asc', 'Formatted sort columns');
+    assert.equal(formatSortColumns(parseSortColumns('1-asc,3-desc')), '1-asc,3-desc', 'Parsed and formatted');
+
+    // Table attributes
+    const sortColumns = (attributes) => JSON.stringify(getSortColumns(createElement('table', attributes)));
+    assert.equal(sortColumns({ 'data-sort-columns': '2-desc, 0-asc,x-asc,1-up' }), '[{"column":2,"order":"desc"},{"column":0,"order":"asc"}]', 'Parsed [data-sort-columns]');
+    assert.equal(sortColumns({ 'data-sort-columns': '' }), '[]', 'Empty [data-sort-columns]');
+    assert.equal(sortColumns({}), '[]', 'Table without a sort');
+    assert.equal(sortColumns({ 'data-sort-column': '1', 'data-sort-order': 'desc' }), '[{"column":1,"order":"desc"}]', '[data-sort-column] and [data-sort-order]');
+    assert.equal(sortColumns({ 'data-sort-column': '1', 'data-sort-order': 'up' }), '[{"column":1,"order":"asc"}]', 'Invalid [data-sort-order] is "asc"');
+});
+
+QUnit.test('utils-sort.js getSortObject() and smartSort() with [sortType]', function (assert) {
+    const sortObject = (text, sortType) => {
+        const { value, type } = getSortObject(null, text, sortType);
+        return { value, type };
+    };
+    const sortValues = (values, sortType) => {
+        return values
+            .map(value => getSortObject(null, value, sortType))
+            .sort(smartSort)
+            .map(item => (item.type === 'date' ? item.value.getFullYear() : item.value))
+            .join('|');
+    };
+
+    // Data types detected from the text or set from [sortType]
+    assert.deepEqual(sortObject('', null), { value: null, type: null }, 'Empty text is null');
+    assert.deepEqual(sortObject('12.5', null), { value: 12.5, type: 'number' }, 'Number detected');
+    assert.deepEqual(sortObject('Apple', null), { value: 'apple', type: 'string' }, 'Text detected');
+    assert.equal(sortObject('2020-01-02', null).type, 'date', 'Date detected');
+    assert.deepEqual(sortObject('$1,234.50', 'number'), { value: 1234.5, type: 'number' }, 'Formatted number with [sortType="number"]');
+    assert.deepEqual(sortObject('N/A', 'number'), { value: null, type: null }, 'Invalid number is null');
+    assert.deepEqual(sortObject('Invalid', 'date'), { value: null, type: null }, 'Invalid date is null');
+    assert.deepEqual(sortObject('123', 'text'), { value: '123', type: 'string' }, 'Number as text with [sortType="text"]');
+    assert.deepEqual(sortObject('Item 2', 'natural'), { value: 'item 2', type: 'natural' }, 'Natural text');
+    const element = document.createElement('tr');
+    assert.equal(getSortObject(element, 'Test').el, element, 'Linked element');
+
+    // [smartSort()] orders null, numbers, dates, then text
+    assert.equal(sortValues(['banana', '', '10', '2020-01-02', '2', 'Apple'], null), '|2|10|2020|apple|banana', 'Mixed types');
+    assert.equal(sortValues(['Item 10', 'Item 2', 'item 1'], 'natural'), 'item 1|item 2|item 10', 'Natural sort');
+    assert.equal(sortValues(['Item 10', 'Item 2', 'item 1'], 'text'), 'item 1|item 10|item 2', 'Text sort');
+    assert.equal(sortValues(['$20', '$3', '', '$100'], 'number'), '|3|20|100', 'Number sort');
+});
+
+QUnit.test('utils-sort.js getFieldSortObject() keeps the type of record values', function (assert) {
+    const el = {};
+    const check = (value, sortType) => {
+        const obj = getFieldSortObject(el, value, sortType);
+        return obj.type + ':' + (obj.value instanceof Date ? obj.value.toISOString() : obj.value);
+    };
+
+    // Empty values, numbers, booleans, and dates
+    assert.equal(check(null), 'null:null', 'null');
+    assert.equal(check(undefined), 'null:null', 'undefined');
+    assert.equal(check(''), 'null:null', 'Empty string');
+    assert.equal(check(25), 'number:25', 'Number');
+    assert.equal(check(true) + ',' + check(false), 'number:1,number:0', 'Booleans sort as numbers');
+    assert.equal(check(new Date(Date.UTC(2024, 0, 31))), 'date:2024-01-31T00:00:00.000Z', 'Date');
+    assert.equal(getFieldSortObject(el, new Date('invalid')).type, null, 'Invalid Date');
+    assert.equal(getFieldSortObject(el, 1).el, el, 'Linked element or record');
+
+    // Strings and [sortType] are handled the same as [getSortObject()]
+    assert.equal(check(' 10 '), 'number:10', 'Number from a string');
+    assert.equal(check('$1,000', 'number'), 'number:1000', 'String with [sortType=number]');
+    assert.equal(check(25, 'text'), 'string:25', 'Number with [sortType=text]');
+    assert.equal(check('Item 2', 'natural'), 'natural:item 2', 'String with [sortType=natural]');
+    assert.equal(check('Apple'), 'string:apple', 'String');
+
+    // Numbers are compared as numbers rather than text
+    const sorted = [10, 'Apple', 9, null, 100].map(value => getFieldSortObject(value, value)).sort(smartSort).map(obj => obj.el);
+    assert.deepEqual(sorted, [null, 9, 10, 100, 'Apple'], 'Sorted with smartSort(): ' + JSON.stringify(sorted));
+});
+
+QUnit.test('<table is="sortable-table"> with Multiple Columns and [data-sort-type]', function (assert) {
+    const table = document.querySelector('table.sortable-table');
+    const tbody = table.tBodies[0];
+    const rows = Array.from(tbody.rows);
+    const headerCells = table.tHead.rows[0].cells;
+    const headerSort = (cell) => cell.getAttribute('aria-sort') + ':' + cell.getAttribute('data-sort-priority');
+
+    // Clicking a column replaces the sort
+    clickCell(headerCells[0], false);
+    assert.equal(columnText(table, 0), 'Item 1,Item 2,Item 3,Item 10', 'Natural sort by Item: ' + columnText(table, 0));
+    assert.equal(table.getAttribute('data-sort-columns'), '0-asc', 'Click on Item');
+    assert.equal(headerSort(headerCells[0]), 'ascending:null', 'Item header');
+    clickCell(headerCells[0], false);
+    assert.equal(table.getAttribute('data-sort-columns'), '0-desc', 'Click on Item again');
+    assert.equal(columnText(table, 0), 'Item 10,Item 3,Item 2,Item 1', 'Reverse sort by Item: ' + columnText(table, 0));
+
+    // [Shift] adds a column or reverses a column that is already sorted
+    clickCell(headerCells[2], false);
+    clickCell(headerCells[1], true);
+    assert.equal(table.getAttribute('data-sort-columns'), '2-asc,1-asc', 'Shift + Click on Price');
+    assert.equal(columnText(table, 1), '$5.00,$20.00,$5.00,$100.00', 'Sorted by Group then Price: ' + columnText(table, 1));
+    clickCell(headerCells[1], true);
+    assert.equal(table.getAttribute('data-sort-columns'), '2-asc,1-desc', 'Shift + Click on Price again');
+    assert.equal(columnText(table, 0), 'Item 2,Item 1,Item 3,Item 10', 'Sorted by Group then Price: ' + columnText(table, 0));
+    assert.equal(table.getAttribute('data-sort-column') + '-' + table.getAttribute('data-sort-order'), '2-asc', '[data-sort-column] and [data-sort-order]');
+    assert.equal(headerSort(headerCells[2]), 'ascending:1', 'Group header');
+    assert.equal(headerSort(headerCells[1]), 'descending:2', 'Price header');
+    assert.ok(!headerCells[0].hasAttribute('aria-sort'), 'Item header is not sorted');
+
+    // Restore the original order
+    rows.forEach(row => tbody.appendChild(row));
+    ['data-sort-column', 'data-sort-order', 'data-sort-columns'].forEach(name => table.removeAttribute(name));
+    Array.from(headerCells).forEach(cell => {
+        cell.removeAttribute('aria-sort');
+        cell.removeAttribute('data-sort-priority');
+    });
+});
+
+QUnit.test('<filter-service> with Range and Facet Filters', function (assert) {
+    const table = document.querySelector('table.filter-table');
+    const cells = table.querySelector('tr[data-filter-controls]').cells;
+    const amount = cells[1].querySelectorAll('input');
+    const dates = cells[2].querySelectorAll('input');
+    const select = cells[3].querySelector('select');
+    const shownRows = () => Array.from(table.tBodies[0].rows).filter(row => row.style.display !== 'none').map(row => row.cells[0].textContent).join();
+    const optionText = () => Array.from(select.options).map(option => option.textContent).join();
+    const setValues = (elements, values) => {
+        elements.forEach((element, n) => {
+            element.value = values[n];
+            element.dispatchEvent(new Event('input'));
+        });
+    };
+    const selectOptions = (selected) => {
+        Array.from(select.options).forEach((option, n) => option.selected = selected.includes(n));
+        select.dispatchEvent(new Event('change'));
+    };
+
+    // Controls from [data-filter-type] of each header cell
+    assert.equal(cells.length, 5, 'Filter row has a cell for each column');
+    assert.equal(cells[0].querySelector('input').type, 'search', 'Text filter');
+    assert.equal(amount.length + ':' + amount[0].type + ':' + amount[0].getAttribute('data-filter-operator') + ':' + amount[1].getAttribute('data-filter-operator'), '2:number:>=:<=', 'Number range filter');
+    assert.equal(dates.length + ':' + dates[0].getAttribute('data-filter-type') + ':' + dates[0].getAttribute('aria-label'), '2:date:Date From', 'Date range filter');
+    assert.ok(select.multiple && select.hasAttribute('data-filter-facet'), 'Select filter with [data-filter-facet]');
+    assert.equal(cells[4].children.length, 0, 'No filter for [data-filter-type="none"]');
+
+    // Distinct values are sorted and the facet shows the count for each option
+    assert.equal(optionText(), 'Closed (2),Open (2),Pending (1)', 'Facet options: ' + optionText());
+    assert.equal(shownRows(), 'A,B,C,D,E', 'All rows are shown');
+
+    // Numbers are compared as numbers and rows without a value are hidden.
+    // Facet counts include the other filters of the table.
+    setValues(amount, ['100', '']);
+    assert.equal(shownRows(), 'A,C,E', 'Amount >= 100: ' + shownRows());
+    assert.equal(optionText(), 'Closed (1),Open (2),Pending (0)', 'Facet options: ' + optionText());
+    setValues(amount, ['100', '1000']);
+    assert.equal(shownRows(), 'C,E', 'Amount between 100 and 1000: ' + shownRows());
+    setValues(amount, ['', '75']);
+    assert.equal(shownRows(), 'B', 'Amount <= 75: ' + shownRows());
+    setValues(amount, ['', '']);
+
+    // A date only value for the max date includes the full day
+    setValues(dates, ['2024-01-31', '2024-02-01']);
+    assert.equal(shownRows(), 'B,C', 'Date range: ' + shownRows());
+    setValues(dates, ['2024-02-01', '']);
+    assert.equal(shownRows(), 'C,E', 'Date from: ' + shownRows());
+    setValues(dates, ['', '']);
+
+    // Select matches any of the selected options
+    selectOptions([1]);
+    assert.equal(shownRows(), 'A,C', 'Status is Open: ' + shownRows());
+    selectOptions([1, 2]);
+    assert.equal(shownRows(), 'A,C,D', 'Status is Open or Pending: ' + shownRows());
+    setValues(amount, ['1', '']);
+    assert.equal(shownRows(), 'A,C', 'Status and Amount: ' + shownRows());
+    assert.equal(optionText(), 'Closed (2),Open (2),Pending (0)', 'Facet options: ' + optionText());
+    selectOptions([]);
+    setValues(amount, ['', '']);
+
+    // Operators [between] and [in] from [data-filter-value]
+    document.querySelector('.filter-between').click();
+    assert.equal(shownRows(), 'C,E', 'Clicked [between] filter: ' + shownRows());
+    document.querySelector('.filter-in').click();
+    assert.equal(shownRows(), 'A,C,D', 'Clicked [in] filter: ' + shownRows());
+    document.querySelector('.filter-clear').click();
+    assert.equal(shownRows(), 'A,B,C,D,E', 'Filters cleared');
+});
+
+QUnit.test('utils-search.js parseSearchTerms() and searchText()', function (assert) {
+    // Words are normalized and text in double quotes is kept together as a phrase
+    assert.deepEqual(parseSearchTerms('  Jon  "New   York" José "unclosed'), [
+        { text: 'jon', isPhrase: false },
+        { text: 'new york', isPhrase: true },
+        { text: 'jose', isPhrase: false },
+        { text: 'unclosed', isPhrase: true },
+    ], 'Parsed search terms');
+    assert.deepEqual(parseSearchTerms('""  '), [], 'Empty search');
+
+    // Full words score higher than the start of a word and matches inside of a word
+    const search = (text, value, fuzzy = null) => searchText(text, parseSearchTerms(value), fuzzy);
+    const text = 'John Smith, New York';
+    assert.deepEqual(search(text, 'john'), { score: 1, matches: ['john'] }, 'Full word');
+    assert.deepEqual(search(text, 'jo'), { score: 0.9, matches: ['jo'] }, 'Start of a word');
+    assert.deepEqual(search(text, 'ohn'), { score: 0.8, matches: ['ohn'] }, 'Inside of a word');
+    assert.deepEqual(search(text, ''), { score: 1, matches: [] }, 'No search terms');
+
+    // All terms must match, case and accents are ignored and words match in any order
+    assert.equal(search(text, 'john boston'), null, 'All words must match');
+    assert.deepEqual(search('José Álvarez', 'ALVAREZ jose'), { score: 1, matches: ['alvarez', 'jose'] }, 'Accents ignored');
+    assert.deepEqual(search('John  Smith', '"john smith"'), { score: 1, matches: ['john smith'] }, 'Phrase matched');
+    assert.equal(search('John Smith', '"smith john"'), null, 'Phrase words are not matched in any order');
+
+    // Fuzzy matching allows for typos in words of 3 or more characters
+    const result = search(text, 'jon smth', 0.7);
+    assert.deepEqual(result.matches, ['john', 'smith'], 'Fuzzy matches');
+    assert.equal(result.score.toFixed(4), '0.5425', 'Fuzzy matches score lower than exact matches');
+    assert.equal(search(text, 'jon smth'), null, 'Typos without fuzzy matching');
+    assert.equal(search(text, 'jon smth', 0.9), null, 'Typos with a higher minimum similarity');
+    assert.equal(search(text, '"jon smith"', 0.7), null, 'Phrases do not use fuzzy matching');
+    assert.equal(search(text, 'jx', 0.7), null, 'Short words do not use fuzzy matching');
+});
+
+QUnit.test('utils-search.js highlightTerms() and clearHighlights()', function (assert) {
+    const element = document.createElement('div');
+    element.innerHTML = '<p>José  Smith, <b>New York</b></p><script>var jose;</script>';
+    const highlights = () => Array.from(element.querySelectorAll('mark')).map(mark => mark.textContent + (mark.className ? '.' + mark.className : '')).join('|');
+
+    // Matches use the original text and whitespace from the element, overlapping
+    // matches are merged, and text of <script> elements is not highlighted
+    highlightTerms(element, searchText(element.textContent, parseSearchTerms('jose "josé smith" york'), null).matches, 'highlight');
+    assert.equal(highlights(), 'José  Smith.highlight|York.highlight', 'Highlighted text: ' + highlights());
+    highlightTerms(element, ['york'], null);
+    assert.equal(highlights(), 'York', 'Previous highlights are removed: ' + highlights());
+    clearHighlights(element);
+    assert.equal(element.innerHTML, '<p>José  Smith, <b>New York</b></p><script>var jose;</script>', 'Highlights cleared');
+});
+
+QUnit.test('<input is="input-filter" filter-search> with [filter-fuzzy] and [filter-rank]', function (assert) {
+    const input = document.querySelector('input.search-input');
+    const list = document.querySelector('.search-list');
+    const search = (value) => {
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+        return Array.from(list.querySelectorAll('li')).filter(item => item.style.display !== 'none').map(item => item.textContent).join('|');
+    };
+    const highlights = () => Array.from(list.querySelectorAll('mark.highlight')).map(mark => mark.textContent).join('|');
+
+    // Case and accents are ignored and words match in any order
+    assert.equal(search('JOSE'), 'José Smith, New York', 'Accents ignored');
+    assert.equal(highlights(), 'José', 'Highlighted text keeps the accent: ' + highlights());
+    assert.equal(search('new smith'), 'José Smith, New York', 'Words in any order');
+    assert.equal(highlights(), 'Smith|New', 'Highlighted words: ' + highlights());
+    assert.equal(search('new boston'), '', 'All words must match');
+
+    // Phrases in double quotes are matched together
+    assert.equal(search('"new york"'), 'José Smith, New York', 'Phrase matched');
+    assert.equal(search('"york new"'), '', 'Phrase words are not matched in any order');
+
+    // Full words rank higher than the start of a word
+    assert.equal(search('john'), 'John Smith, Boston|Johnny Appleseed', 'Ranked by score');
+    assert.equal(search('new'), 'José Smith, New York|Jane Doe, New Orleans', 'Items with the same score keep their order');
+
+    // Typos are allowed with [filter-fuzzy]
+    assert.equal(search('jon smth'), 'John Smith, Boston', 'Fuzzy search');
+    assert.equal(highlights(), 'John|Smith', 'Fuzzy matches highlighted: ' + highlights());
+    assert.equal(search('"jon smith"'), '', 'Phrases do not use fuzzy matching');
+
+    // The original order is restored and highlights are removed once cleared
+    assert.equal(search(''), 'Johnny Appleseed|José Smith, New York|John Smith, Boston|Jane Doe, New Orleans', 'Original order restored');
+    assert.equal(list.querySelectorAll('mark').length, 0, 'Highlights removed');
+});
+
+// The server returns a 503 Response Code for the first 2 requests of each key.
+// [retryAttempt] is updated before each retry so it can be displayed.
+QUnit.test('<json-data> with [retry-count], [retry-delay], and [retry-status-codes]', async function (assert) {
+    const key = 'web-components-' + Date.now();
+    const createJsonData = (url, statusCodes) => {
+        const element = createElement('json-data', {
+            url: url,
+            'retry-count': '3',
+            'retry-delay': '10',
+            'retry-status-codes': statusCodes,
+        });
+        element.innerHTML = '<span class="retry-attempt" data-bind="retryAttempt"></span><span class="request-count" data-bind="requestCount"></span>';
+        return element;
+    };
+
+    // Record [retryAttempt] each time the element is updated
+    const element = createJsonData('/unit-testing/retry-response/' + key, '503');
+    const attempts = [];
+    const bindData = element.bindData;
+    element.bindData = async function () {
+        await bindData.call(this);
+        if (this.retryAttempt > 0) {
+            attempts.push(this.querySelector('.retry-attempt').textContent);
+        }
+    };
+    await loadElement(element);
+    assert.deepEqual(attempts, ['1', '2'], 'Retry attempts: ' + JSON.stringify(attempts));
+    assert.equal(element.retryAttempt, 0, 'retryAttempt is reset once loaded');
+    assert.equal(element.isLoaded, true, 'Loaded on the 3rd request');
+    assert.equal(element.querySelector('.request-count').textContent, '3', 'requestCount: ' + element.querySelector('.request-count').textContent);
+    element.remove();
+
+    // Requests are not retried when the Response Code is not included
+    const element2 = createJsonData('/unit-testing/retry-response/' + key + '-no-retry', '500,502');
+    await loadElement(element2);
+    assert.equal(element2.hasError, true, 'Error without retry');
+    assert.ok(String(element2.state.errorMessage).indexOf('Server Response Code: 503') !== -1, 'Error: ' + element2.state.errorMessage);
+    assert.equal(element2.retryAttempt, 0, 'retryAttempt is 0 after an error');
+    element2.remove();
+});
+
+// Data is read from the shared cache [window.dataformsjsDataCache] when it is valid
+// for [cache-ttl] seconds. With [stale-while-revalidate] expired data is shown
+// first and then updated once downloaded.
+QUnit.test('<json-data> with [cache-ttl] and [stale-while-revalidate]', async function (assert) {
+    const url = '/unit-testing/page-json-data?cache=web-component';
+    const setCache = (message, age) => {
+        window.dataformsjsDataCache[url] = { url: url, json: JSON.stringify({ serverMessage: message }), time: Date.now() - age };
+    };
+    const createJsonData = (attributes) => {
+        const element = createElement('json-data', Object.assign({ url: url, 'cache-ttl': '60' }, attributes));
+        element.innerHTML = '<span data-bind="serverMessage"></span>';
+        return element;
+    };
+    const text = (element) => element.querySelector('span').textContent;
+
+    // Count requests to the URL
+    const fetch = window.fetch;
+    let requestCount = 0;
+    window.fetch = (...args) => {
+        if (args[0] === url) {
+            requestCount++;
+        }
+        return fetch(...args);
+    };
+
+    try {
+        // Valid data
+        setCache('Response from Cache', 0);
+        const element = createJsonData({});
+        await loadElement(element);
+        assert.equal(text(element), 'Response from Cache', 'Cached data shown');
+        assert.equal(requestCount, 0, 'No request for valid data');
+        element.remove();
+
+        // Expired data is downloaded again
+        setCache('Expired', 120000);
+        const element2 = createJsonData({});
+        await loadElement(element2);
+        assert.equal(text(element2), 'Response from Server', 'Expired data downloaded again');
+        assert.equal(requestCount, 1, 'Request for expired data');
+        assert.ok(Date.now() - window.dataformsjsDataCache[url].time < 60000, 'Cache updated');
+        element2.remove();
+
+        // Expired data is shown first with [stale-while-revalidate]
+        setCache('Stale', 120000);
+        const element3 = createJsonData({ 'stale-while-revalidate': '' });
+        await loadElement(element3);
+        assert.equal(text(element3), 'Stale', 'Stale data shown first');
+        await new Promise(resolve => element3.addEventListener('app:contentReady', resolve, { once: true }));
+        assert.equal(text(element3), 'Response from Server', 'Data updated after revalidate');
+        assert.equal(requestCount, 2, 'Request in the background');
+        element3.remove();
+    } finally {
+        window.fetch = fetch;
+        delete window.dataformsjsDataCache[url];
+    }
+});
+
+// Nested routes are shown in the <url-router-outlet> of the parent route.
+// The parent view and its [onload] and [onunload] events are only used again
+// when the parent part of the URL changes, for example '/orders/1' to '/orders/2'.
+QUnit.test('<url-router> with Nested Routes and <url-router-outlet>', async function (assert) {
+    const router = await createRouter('#/orders/1/details');
+    try {
+        const view = document.querySelector('.router-view');
+        const nav = view.querySelector('.order-nav');
+        assert.equal(nav.textContent, 'Order 1', 'Parent route shown');
+        assert.equal(view.querySelector('url-router-outlet .order-page').textContent, 'Details', 'Child route shown in <url-router-outlet>');
+        assert.deepEqual(window.routeEvents, ['load order', 'load details'], 'Parent [onload] runs first');
+        assert.deepEqual(router.currentRoutes.map(item => item.segment), ['/orders/1', 'details'], 'Route segments');
+        assert.equal(router.currentRoute.fullPath, '/orders/:id/details', 'currentRoute.fullPath');
+
+        // Only the child route changes
+        window.routeEvents = [];
+        const detail = await changeHash(router, '#/orders/1/history');
+        assert.strictEqual(view.querySelector('.order-nav'), nav, 'Parent view is kept');
+        assert.equal(view.querySelector('url-router-outlet .order-page').textContent, 'History', 'Child route changed');
+        assert.deepEqual(window.routeEvents, ['unload details', 'load history'], 'Parent events do not run');
+        assert.deepEqual(detail.urlParams, { id: '1' }, 'URL Params include the parent route');
+
+        // The parent segment changes
+        window.routeEvents = [];
+        await changeHash(router, '#/orders/2/history');
+        assert.notStrictEqual(view.querySelector('.order-nav'), nav, 'Parent view is replaced');
+        assert.equal(view.querySelector('.order-nav').textContent, 'Order 2', 'Parent route shown with new param');
+        assert.deepEqual(window.routeEvents, ['unload history', 'unload order', 'load order', 'load history'], 'Parent events run');
+
+        // A route without child routes that ranks higher than the parent
+        window.routeEvents = [];
+        await changeHash(router, '#/orders/new');
+        assert.equal(view.textContent, 'New Order', '[/orders/new] matched before [/orders/:id]');
+        assert.deepEqual(window.routeEvents, ['unload history', 'unload order', 'load new'], 'All current routes unloaded');
+    } finally {
+        removeRouter(router);
+    }
+});
+
+QUnit.test('<url-router> findRoutes() and findChangedRouteIndex()', async function (assert) {
+    const router = await createRouter('#/orders/1/details');
+    try {
+        const routes = Array.from(router.querySelectorAll('url-route')).filter(route => route.parentRoute === null);
+        const find = (path) => router.findRoutes(path.split('/'), routes, false);
+        const summary = (matches) => (matches === null ? null : matches.map(m => [m.route.fullPath, m.segment, m.urlParams]));
+
+        assert.deepEqual(summary(find('/orders/3/history')), [['/orders/:id', '/orders/3', { id: '3' }], ['/orders/:id/history', 'history', {}]], 'Parent and child route');
+        assert.deepEqual(summary(find('/orders/3')), [['/orders/:id', '/orders/3', { id: '3' }]], 'Parent route without an index route');
+        assert.deepEqual(summary(find('/orders/new')), [['/orders/new', '/orders/new', {}]], 'Static route ranks first');
+        assert.equal(find('/orders/3/missing'), null, 'Missing child route');
+        assert.equal(find('/unknown'), null, 'Missing route');
+
+        // Current routes are '/orders/1/details'
+        assert.equal(router.findChangedRouteIndex(find('/orders/1/history')), 1, 'Child route changed');
+        assert.equal(router.findChangedRouteIndex(find('/orders/2/details')), 0, 'Parent segment changed');
+        assert.equal(router.findChangedRouteIndex(find('/orders/1/details')), 1, 'Same route shows the child route again');
+        assert.equal(router.findChangedRouteIndex(find('/orders/1')), 1, 'Back to the parent route keeps the parent');
+        assert.equal(router.findChangedRouteIndex(find('/orders/new')), 0, 'Different route');
+    } finally {
+        removeRouter(router);
+    }
+});
+
+// If the route changes while a template from [src] is downloading then
+// the earlier route is not shown once the download finishes.
+QUnit.test('<url-router> ignores an earlier route that finishes after the current route', async function (assert) {
+    const router = await createRouter('#/orders/1/details');
+    try {
+        const view = document.querySelector('.router-view');
+        window.location.hash = '#/slow';
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await changeHash(router, '#/fast');
+        assert.equal(view.textContent, 'Fast', 'Current route shown');
+
+        // Wait for the template from [/unit-testing/slow-response]
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.equal(view.textContent, 'Fast', 'Current route is still shown');
+        assert.deepEqual(router.currentRoutes.map(item => item.route.path), ['/fast'], 'currentRoutes: ' + router.currentRoutes.map(item => item.route.path).join());
+        assert.equal(router.currentRoute.path, '/fast', 'currentRoute');
+    } finally {
+        removeRouter(router);
+    }
+});
+
+// When a route change is cancelled the browser moves back to the history
+// entry of the current route rather than adding a duplicate entry.
+QUnit.test('<url-router> cancelled route changes from [beforeRouteChange()] and the back button', async function (assert) {
+    const router = await createRouter('#/fast');
+    const nextHashChange = () => new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+    try {
+        await changeHash(router, '#/orders/new');
+        const historyKey = window.history.state.dataformsjsKey;
+        const historyLength = window.history.length;
+        const calls = [];
+        router.beforeRouteChange = (path, previousPath) => {
+            calls.push(path + ' from ' + previousPath);
+            return false;
+        };
+
+        // New history entry
+        window.location.hash = '#/orders/1/details';
+        await nextHashChange();
+        await nextHashChange();
+        assert.equal(window.location.hash, '#/orders/new', 'Hash after cancelled route');
+        assert.equal(window.history.state.dataformsjsKey, historyKey, 'History entry after cancelled route');
+        assert.equal(document.querySelector('.router-view').textContent, 'New Order', 'Current route is still shown');
+
+        // Back button
+        const historyLengthBack = window.history.length;
+        window.history.back();
+        await nextHashChange();
+        await nextHashChange();
+        assert.equal(window.location.hash, '#/orders/new', 'Hash after cancelled back button');
+        assert.equal(window.history.state.dataformsjsKey, historyKey, 'History entry after cancelled back button');
+        assert.equal(window.history.length, historyLengthBack, 'No history entries added from cancelled back button');
+        assert.equal(historyLengthBack, historyLength + 1, 'History length');
+        assert.deepEqual(calls, ['/orders/1/details from /orders/new', '/fast from /orders/new'], 'beforeRouteChange() calls');
+    } finally {
+        removeRouter(router);
+    }
+});
+
+// Scroll positions are saved for each history entry from [updateHistoryScroll()] and
+// restored from [afterRouteRender()] when using the back and forward buttons. The page
+// scroll position is replaced for the test so it runs the same for any window size.
+QUnit.test('<url-router> Scroll Position with Back and Forward Buttons', async function (assert) {
+    const scrollTo = window.scrollTo;
+    const descriptors = {
+        pageXOffset: Object.getOwnPropertyDescriptor(window, 'pageXOffset'),
+        pageYOffset: Object.getOwnPropertyDescriptor(window, 'pageYOffset'),
+    };
+    let position = { x: 0, y: 0 };
+    let scrollCalls = [];
+    let pageHeight = 10000;
+    const userScroll = (y) => {
+        position = { x: 0, y: y };
+        scrollCalls = [];
+    };
+    window.scrollTo = (x, y) => {
+        scrollCalls.push(x + ',' + y);
+        position = { x, y };
+    };
+    Object.defineProperty(window, 'pageXOffset', { configurable: true, get: () => position.x });
+    Object.defineProperty(window, 'pageYOffset', { configurable: true, get: () => position.y });
+    Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, get: () => pageHeight });
+    const router = await createRouter('#/fast');
+    const nextRoute = () => new Promise(resolve => router.addEventListener('app:routeChanged', resolve, { once: true }));
+    try {
+        userScroll(300);
+        await changeHash(router, '#/orders/1/details');
+        assert.deepEqual(scrollCalls, ['0,0'], 'New history entry starts at the top');
+        assert.equal(router.pendingScroll, null, 'No pendingScroll for a new history entry');
+
+        // Only the child route changes so the scroll position is kept
+        userScroll(200);
+        await changeHash(router, '#/orders/1/history');
+        assert.deepEqual(scrollCalls, [], 'Scroll position kept when only a child route changes');
+
+        // Back button
+        userScroll(150);
+        window.history.back();
+        await nextRoute();
+        assert.deepEqual(scrollCalls, ['0,200'], 'Scroll position restored from the back button');
+
+        // Page is not yet tall enough so [pendingScroll] is used again from 'app:contentReady'
+        userScroll(0);
+        pageHeight = window.innerHeight + 100;
+        window.history.forward();
+        await nextRoute();
+        assert.deepEqual(scrollCalls, ['0,150'], 'Scroll position restored from the forward button');
+        assert.deepEqual(router.pendingScroll, { x: 0, y: 150 }, 'pendingScroll is kept until the page is tall enough');
+        scrollCalls = [];
+        pageHeight = 10000;
+        document.dispatchEvent(new CustomEvent('app:contentReady'));
+        assert.deepEqual(scrollCalls, ['0,150'], 'Pending scroll position restored again from app:contentReady');
+        assert.equal(router.pendingScroll, null, 'pendingScroll cleared');
+    } finally {
+        removeRouter(router);
+        window.scrollTo = scrollTo;
+        Object.defineProperty(window, 'pageXOffset', descriptors.pageXOffset);
+        Object.defineProperty(window, 'pageYOffset', descriptors.pageYOffset);
+        delete document.documentElement.scrollHeight;
+    }
+});
+
+// With [virtual-scroll] only rows in view plus 10 rows above and below are rendered.
+// The element is added to the page rather than the hidden test content so it can be
+// scrolled. The view height is 400px (the default) when the browser has no layout.
+QUnit.test('<data-table virtual-scroll> with [row-height] and Scrolling', async function (assert) {
+    const table = createElement('data-table', { 'virtual-scroll': '200px', 'row-height': '20', columns: 'id,name,price' });
+    document.body.appendChild(table);
+    try {
+        table.value = createRecords(1000);
+        const virtualList = table.virtualList;
+        const tbody = table.querySelector('tbody');
+        const count = Math.ceil((table.clientHeight > 0 ? table.clientHeight : 400) / 20) + 20;
+        const spacerHeights = () => Array.from(tbody.querySelectorAll('[data-virtual-spacer]')).map(row => row.cells[0].style.height).join();
+        assert.equal(table.style.maxHeight, '200px', 'Max height from [virtual-scroll]');
+        assert.equal(table.style.overflowY, 'auto', 'Element scrolls');
+        assert.equal(virtualList.rowHeight, 20, 'rowHeight from [row-height]');
+        assert.equal(virtualList.rows.length, 1000, 'Virtual rows for all records');
+        assert.equal(virtualList.start + '-' + virtualList.end, '0-' + count, 'First window');
+        assert.equal(renderedRows(tbody).length, count, 'Rows rendered: ' + renderedRows(tbody).length);
+        assert.equal(renderedRows(tbody)[0].cells[1].textContent, 'Item 1', 'First row');
+        assert.equal(spacerHeights(), '0px,' + ((1000 - count) * 20) + 'px', 'Spacers size the scrollbar for all rows: ' + spacerHeights());
+
+        // Window starts 10 rows above the first row in view (1000 / 20 = 50)
+        await scrollElement(table, 1000);
+        assert.equal(virtualList.start + '-' + virtualList.end, '40-' + (40 + count), 'Window after scrolling');
+        assert.equal(renderedRows(tbody)[0].cells[0].textContent, '41', 'First rendered row after scrolling');
+        assert.equal(spacerHeights(), '800px,' + ((1000 - 40 - count) * 20) + 'px', 'Spacers after scrolling: ' + spacerHeights());
+
+        // Rows are not rendered again when the window does not change
+        const firstRow = renderedRows(tbody)[0];
+        await scrollElement(table, 1010);
+        assert.equal(renderedRows(tbody)[0], firstRow, 'Same window is not rendered again');
+
+        // An extra spacer is added for odd rows so CSS [nth-child(odd)] stripes stay the same
+        await scrollElement(table, 1020);
+        assert.equal(virtualList.start, 41, 'Window starts on an odd row');
+        assert.equal(spacerHeights(), '820px,0px,' + ((1000 - 41 - count) * 20) + 'px', 'Extra spacer: ' + spacerHeights());
+
+        // The last window ends with the last record
+        await scrollElement(table, 20000);
+        assert.equal(virtualList.start + '-' + virtualList.end, (1000 - count) + '-1000', 'Last window');
+        const rows = renderedRows(tbody);
+        assert.equal(rows[rows.length - 1].cells[0].textContent, '1000', 'Last row rendered');
+        assert.ok(spacerHeights().endsWith(',0px'), 'No spacer after the last row: ' + spacerHeights());
+
+        // Changing [row-height] renders the table again from the top
+        table.setAttribute('row-height', '40');
+        const count40 = Math.ceil((table.clientHeight > 0 ? table.clientHeight : 400) / 40) + 20;
+        assert.equal(virtualList.rowHeight, 40, 'rowHeight from the new [row-height]');
+        assert.equal(virtualList.start + '-' + virtualList.end, '0-' + count40, 'Window with the new [row-height]');
+        assert.equal(renderedRows(table.querySelector('tbody')).length, count40, 'Rows rendered with the new [row-height]');
+    } finally {
+        table.remove();
+    }
+});
+
+QUnit.test('<data-list virtual-scroll> renders the items in view', async function (assert) {
+    const template = createElement('template', { id: 'virtual-list-item' });
+    template.innerHTML = '<li>${name}</li>';
+    const list = createElement('data-list', { 'virtual-scroll': '', 'template-selector': '#virtual-list-item', 'root-element': 'ul' });
+    document.body.appendChild(template);
+    document.body.appendChild(list);
+    try {
+        list.value = createRecords(200);
+        const virtualList = list.virtualList;
+        const ul = list.querySelector('ul');
+        const rowHeight = virtualList.rowHeight;
+        const count = Math.ceil((list.clientHeight > 0 ? list.clientHeight : 400) / rowHeight) + 20;
+        assert.equal(list.style.maxHeight, '400px', 'Default max height');
+        assert.equal(virtualList.rowTag, 'li', 'Spacers use <li>');
+        assert.equal(virtualList.start + '-' + virtualList.end, '0-' + count, 'First window');
+        assert.equal(renderedRows(ul).length, count, 'Items rendered: ' + renderedRows(ul).length);
+        assert.equal(renderedRows(ul)[0].textContent, 'Item 1', 'First item');
+        assert.equal(list.view.length, 200, 'All records are in the view');
+
+        // Scroll to the 100th item
+        await scrollElement(list, rowHeight * 100);
+        assert.equal(virtualList.start, 90, 'Window after scrolling');
+        assert.equal(renderedRows(ul)[0].textContent, 'Item 91', 'First item after scrolling');
+        assert.equal(renderedRows(ul).length, count, 'Items rendered after scrolling');
+    } finally {
+        list.remove();
+        template.remove();
+    }
+});
+
+// Sorting and exports use the virtual rows for all records including
+// records that are not rendered. [navigator.msSaveBlob()] is replaced
+// for the test so the export is not downloaded.
+QUnit.test('<data-table virtual-scroll> with <table is="sortable-table"> and <export-to-csv-service>', async function (assert) {
+    const records = createRecords(100);
+    const table = createElement('data-table', { 'virtual-scroll': '', 'row-height': '20', columns: 'id,name,price', 'table-attr': 'is=sortable-table,class=virtual-export' });
+    const button = createElement('button', { 'data-export-csv-selector': 'table.virtual-export' });
+    const service = createElement('export-to-csv-service');
+    let savedBlob = null;
+    navigator.msSaveBlob = (blob) => {
+        savedBlob = blob;
+    };
+    document.body.appendChild(table);
+    try {
+        table.value = records;
+        const virtualList = table.virtualList;
+        const tableEl = table.querySelector('table');
+        assert.ok(virtualList.rows[0].constructor.name === 'VirtualRow', 'Rows are VirtualRow objects');
+
+        // Sort by [price] using the field value of all records
+        clickCell(tableEl.tHead.rows[0].cells[2], false);
+        const sorted = records.slice().sort((a, b) => a.price - b.price);
+        const ids = virtualList.rows.map(row => row.item.id);
+        assert.deepEqual(ids, sorted.map(item => item.id), 'All virtual rows sorted by price');
+        assert.equal(renderedRows(tableEl.tBodies[0])[0].cells[0].textContent, String(sorted[0].id), 'First rendered row after sorting');
+        assert.ok(renderedRows(tableEl.tBodies[0]).length < 100, 'Only the rows in view are rendered');
+
+        // Export all records in the sorted order
+        document.body.appendChild(button);
+        document.body.appendChild(service);
+        button.click();
+        assert.ok(savedBlob !== null, 'Export saved');
+        const csv = await new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(savedBlob);
+        });
+        const lines = csv.split('\r\n');
+        assert.equal(lines.length, 101, 'Header and all records exported');
+        assert.equal(lines[0], 'id,name,price', 'Header');
+        assert.equal(lines[1], `${sorted[0].id},${sorted[0].name},${sorted[0].price}`, 'First record: ' + lines[1]);
+        assert.equal(lines[100], `${sorted[99].id},${sorted[99].name},${sorted[99].price}`, 'Last record not rendered on screen: ' + lines[100]);
+    } finally {
+        delete navigator.msSaveBlob;
+        service.remove();
+        button.remove();
+        table.remove();
+    }
+});
+
+/**
+ * Records for sorting and filtering <data-table> and <data-list>
+ *
+ * @return {array}
+ */
+function createOrders() {
+    return [
+        { id: 1, name: 'Item 10', price: 20, customer: { name: 'Bob' } },
+        { id: 2, name: 'Item 2', price: 5, customer: { name: 'Alice' } },
+        { id: 3, name: 'Item 1', price: 100, customer: { name: 'Bob' } },
+        { id: 4, name: 'Item 3', price: 5, customer: { name: 'Carol' } },
+    ];
+}
+
+// Without [virtual-scroll] rows are rendered once and then moved or removed so
+// classes, form values, and event listeners on the rows are kept.
+QUnit.test('<data-table> sortBy(), setFilter(), view, and [data-sort-field]', function (assert) {
+    const table = createElement('data-table', { columns: 'id,name,price', 'table-attr': 'is=sortable-table' });
+    document.querySelector('.test-content').appendChild(table);
+    try {
+        table.value = createOrders();
+        const tableEl = table.querySelector('table');
+        const tbody = tableEl.tBodies[0];
+        const ids = () => table.view.map(item => item.id).join();
+        const headerFields = Array.from(tableEl.tHead.rows[0].cells).map(cell => cell.getAttribute('data-sort-field') + ':' + cell.getAttribute('data-filter-field')).join();
+        assert.equal(headerFields, 'id:id,name:name,price:price', '[data-sort-field] and [data-filter-field] from [columns]');
+        assert.equal(ids(), '1,2,3,4', 'View in the original order');
+        assert.equal(getVirtualList(tableEl), null, 'Services use the <tr> elements without [virtual-scroll]');
+
+        // Equal values keep the original order
+        const firstRow = tbody.rows[0];
+        let clickCount = 0;
+        firstRow.addEventListener('click', () => clickCount++);
+        firstRow.classList.add('selected');
+        table.sortBy([{ field: 'price', order: 'desc' }]);
+        assert.equal(ids(), '3,1,2,4', 'sortBy() price desc: ' + ids());
+        assert.equal(columnText(tableEl, 0), '3,1,2,4', 'Rows moved to the sorted order: ' + columnText(tableEl, 0));
+        assert.equal(tbody.rows[1], firstRow, 'Same <tr> element after sorting');
+        firstRow.click();
+        assert.equal(clickCount, 1, 'Event listener kept');
+        assert.ok(firstRow.classList.contains('selected'), 'Class kept');
+
+        // Multiple columns, nested fields, and [type]
+        table.sortBy([{ field: 'customer.name', order: 'asc' }, { field: 'price', order: 'asc' }]);
+        assert.equal(ids(), '2,1,3,4', 'sortBy() customer.name then price: ' + ids());
+        table.sortBy([{ field: 'name', order: 'asc', type: 'natural' }]);
+        assert.equal(ids(), '3,2,4,1', 'sortBy() natural name: ' + ids());
+        table.sortBy([]);
+        assert.equal(ids(), '1,2,3,4', 'sortBy([]) restores the original order');
+
+        // Filtered rows are removed and the same elements are added back
+        table.setFilter('price', item => item.price < 50);
+        assert.equal(ids() + '|' + columnText(tableEl, 0), '1,2,4|1,2,4', 'setFilter() price < 50');
+        table.setFilter('customer', item => item.customer.name !== 'Alice');
+        assert.equal(ids(), '1,4', 'Multiple filters');
+        table.setFilter('price', null);
+        assert.equal(ids(), '1,3,4', 'Filter removed');
+        table.setFilter('customer', null);
+        assert.equal(ids() + '|' + columnText(tableEl, 0), '1,2,3,4|1,2,3,4', 'All filters removed');
+        assert.equal(tbody.rows[0], firstRow, 'Same <tr> element after filtering');
+
+        // <table is="sortable-table"> moves the <tr> elements, the view and filters use the new order
+        clickCell(tableEl.tHead.rows[0].cells[2], false);
+        assert.equal(columnText(tableEl, 0), '2,4,1,3', 'Rows sorted from the header: ' + columnText(tableEl, 0));
+        assert.equal(ids(), '2,4,1,3', 'View matches the sorted rows: ' + ids());
+        table.setFilter('price', item => item.price < 50);
+        assert.equal(ids(), '2,4,1', 'Filter keeps the order from the header: ' + ids());
+        table.setFilter('price', null);
+        assert.equal(columnText(tableEl, 0), '2,4,1,3', 'Filtered row added back in place: ' + columnText(tableEl, 0));
+    } finally {
+        table.remove();
+    }
+});
+
+QUnit.test('<data-list> sortBy(), setFilter(), and view with and without [virtual-scroll]', function (assert) {
+    const template = createElement('template', { id: 'sort-list-item' });
+    template.innerHTML = '<li><input value="${name}"></li>';
+    const list = createElement('data-list', { class: 'sort-list', 'template-selector': '#sort-list-item', 'root-element': 'ul' });
+    const filterInput = createElement('input', { 'data-filter-selector': 'data-list.sort-list li', 'data-filter-field': 'customer.name' });
+    const service = createElement('filter-service');
+    const content = document.querySelector('.test-content');
+    content.appendChild(template);
+    content.appendChild(list);
+    try {
+        list.value = createOrders();
+        const ids = () => list.view.map(item => item.id).join();
+        const names = () => renderedRows(list.querySelector('ul')).map(li => li.querySelector('input').value).join();
+
+        // Items are moved so values entered by the user are kept
+        const input = list.querySelector('input');
+        input.value = 'Changed';
+        list.sortBy([{ field: 'price', order: 'asc' }]);
+        assert.equal(ids(), '2,4,1,3', 'sortBy() price: ' + ids());
+        assert.equal(names(), 'Item 2,Item 3,Changed,Item 1', 'Items moved: ' + names());
+        list.setFilter('bob', item => item.customer.name === 'Bob');
+        assert.equal(ids() + '|' + names(), '1,3|Changed,Item 1', 'setFilter(): ' + names());
+        list.setFilter('bob', null);
+        assert.equal(ids(), '2,4,1,3', 'Filter removed');
+
+        // With [virtual-scroll] items are rendered again from the view
+        list.setAttribute('virtual-scroll', '');
+        list.value = createOrders();
+        list.sortBy([{ field: 'price', order: 'desc' }]);
+        assert.equal(ids() + '|' + names(), '3,1,2,4|Item 1,Item 10,Item 2,Item 3', 'sortBy() with [virtual-scroll]: ' + names());
+        list.setFilter('cheap', item => item.price < 50);
+        assert.equal(ids() + '|' + names(), '1,2,4|Item 10,Item 2,Item 3', 'setFilter() with [virtual-scroll]: ' + names());
+        list.setFilter('cheap', null);
+
+        // <filter-service> with [data-filter-field] filters on the record rather than the displayed text
+        content.appendChild(filterInput);
+        content.appendChild(service);
+        filterInput.value = 'bob';
+        filterInput.dispatchEvent(new Event('input'));
+        assert.equal(ids() + '|' + names(), '3,1|Item 1,Item 10', '[data-filter-field="customer.name"]: ' + names());
+        filterInput.value = '';
+        filterInput.dispatchEvent(new Event('input'));
+        assert.equal(ids(), '3,1,2,4', 'Filter cleared: ' + ids());
+    } finally {
+        service.remove();
+        filterInput.remove();
+        list.remove();
+        template.remove();
+    }
+});
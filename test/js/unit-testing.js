@@ -14,7 +14,7 @@
  */
 
 /* Validates with both [jshint] and [eslint] */
-/* global QUnit, app, DataFormsJS, tester, nunjucks, Vue */
+/* global QUnit, app, DataFormsJS, tester, nunjucks, Vue, Promise */
 /* jshint strict: true */
 /* eslint-env browser */
 /* eslint quotes: ["error", "single", { "avoidEscape": true }] */
@@ -29,12 +29,108 @@
     var isIE = (navigator.userAgent.indexOf('Trident/') !== -1);
     var isFirefox = (navigator.userAgent.indexOf('Firefox/') !== -1);
 
+    /**
+     * Download files from [js/*] that are not included on the test pages, for example
+     * [extensions/validation.js]. Files are only downloaded once and pages or plugins
+     * that are added are included in the expected counts from [tester.checkCounts()].
+     *
+     * @param {array} files
+     * @return {Promise}
+     */
+    function loadSrcFiles(files) {
+        var pagesCount = Object.keys(app.pages).length;
+        var pluginsCount = Object.keys(app.plugins).length;
+        return app.loadScripts(files.map(function(file) { return '/src/' + file; })).then(function() {
+            tester.pagesCount += Object.keys(app.pages).length - pagesCount;
+            tester.pluginsCount += Object.keys(app.plugins).length - pluginsCount;
+        });
+    }
+
+    /**
+     * Create a form field for testing using an object of attributes
+     *
+     * @param {string} tagName
+     * @param {object} attributes
+     * @return {HTMLElement}
+     */
+    function createField(tagName, attributes) {
+        var element = document.createElement(tagName);
+        for (var name in attributes) {
+            if (attributes.hasOwnProperty(name)) {
+                if (name === 'value') {
+                    element.value = attributes[name];
+                } else {
+                    element.setAttribute(name, attributes[name]);
+                }
+            }
+        }
+        return element;
+    }
+
+    /**
+     * Add form fields or other elements from HTML to the page for a test.
+     * Remove the returned element once the test is complete.
+     *
+     * @param {string} html
+     * @return {HTMLElement}
+     */
+    function createForm(html) {
+        var container = document.createElement('div');
+        container.innerHTML = html;
+        document.body.appendChild(container);
+        return container;
+    }
+
+    /**
+     * Create a model from the [entryForm] page for testing without a route.
+     * Properties are set on the model, for example { autosave: 'key' }.
+     *
+     * @param {object} props
+     * @return {object}
+     */
+    function createEntryForm(props) {
+        return Object.assign(app.deepClone({}, app.pages.entryForm.model), props);
+    }
+
+    /**
+     * Add a [listEditor] control for the Array [app.activeModel[name]] using a
+     * <template> for the rows so the test works with all View Engines. The rows
+     * are static so each row must be included in the HTML.
+     *
+     * @param {string} name
+     * @param {string} html
+     * @param {object|undefined} attributes
+     * @return {HTMLElement}
+     */
+    function createListControl(name, html, attributes) {
+        var id = 'unit-test-list-' + name;
+        var container = createForm('<template id="' + id + '">' + html + '</template>');
+        var control = createField('div', Object.assign({ 'data-edit-list': name, 'data-template-id': id }, attributes));
+        container.appendChild(control);
+        return control;
+    }
+
+    /**
+     * Wait for Vue to update the DOM when a Vue page is being tested
+     *
+     * @return {Promise}
+     */
+    function nextTick() {
+        return new Promise(function(resolve) {
+            if (app.activeVueModel !== null) {
+                app.activeVueModel.$nextTick(resolve);
+            } else {
+                resolve();
+            }
+        });
+    }
+
     document.addEventListener('DOMContentLoaded', function () {
         // Default expected DataFormJS Settings based on the current page
         // Controllers and Plugins are variable which allows for different
         // builds to be tested. The required pages/plugins are checked at setup.
-        tester.controllersCount = 19;
-        tester.modelsCount = 5;
+        tester.controllersCount = 21;
+        tester.modelsCount = 6;
         tester.pagesCount = Object.keys(app.pages).length; // min=2
         tester.pluginsCount = Object.keys(app.plugins).length; // min=1
         tester.compiledTemplates = 1;
@@ -235,6 +331,36 @@
                             id: '123'
                         }
                     }
+                },
+                {
+                    path: '/orders',
+                    routePath: '/orders/:id?',
+                    expected: { isMatch: true, args: [undefined], namedArgs: {} }
+                },
+                {
+                    path: '/orders/123',
+                    routePath: '/orders/:id?',
+                    expected: { isMatch: true, args: ['123'], namedArgs: { id: '123' } }
+                },
+                {
+                    path: '/orders/123',
+                    routePath: '/orders/:id(\\d+)',
+                    expected: { isMatch: true, args: ['123'], namedArgs: { id: '123' } }
+                },
+                {
+                    path: '/orders/new',
+                    routePath: '/orders/:id(\\d+)',
+                    expected: { isMatch: false }
+                },
+                {
+                    path: '/files/docs/readme.md',
+                    routePath: '/files/*path',
+                    expected: { isMatch: true, args: ['docs/readme.md'], namedArgs: { path: 'docs/readme.md' } }
+                },
+                {
+                    path: '/unknown/page',
+                    routePath: '*',
+                    expected: { isMatch: true, args: ['/unknown/page'], namedArgs: { '*': '/unknown/page' } }
                 }
             ];
 
@@ -242,6 +368,10 @@
                 var result = app.routeMatches(route.path, route.routePath);
                 assert.deepEqual(route.expected, result, 'Comparing [' + route.path + '] to [' + route.routePath + ']');
             });
+
+            // Most specific routes are sorted first
+            var sorted = ['*', '/orders/*rest', '/orders/:id?', '/orders/:id', '/orders/:id(\\d+)', '/orders/new'].sort(app.compareRoutes);
+            assert.deepEqual(sorted, ['/orders/new', '/orders/:id(\\d+)', '/orders/:id', '/orders/:id?', '/orders/*rest', '*'], 'app.compareRoutes()');
         });
 
         QUnit.test('app.deepClone() Validation', function (assert) {
@@ -1413,6 +1543,368 @@
             window.location.hash = path;
         });
 
+        // Route Guards using [redirect], [beforeEnter()], and [app.beforeRouteChange()]
+        QUnit.test('Route Guards with [redirect], [beforeEnter()], and [app.beforeRouteChange()]', function (assert) {
+            // Asynchronous test
+            var done = assert.async();
+            if (app.viewEngine() === 'Vue') {
+                assert.ok(true, 'Test Skipped for Vue');
+                done();
+                return;
+            }
+
+            // Count calls to the global function, this should only be called
+            // once per route change even when a guard redirects to another route.
+            var globalCount = 0;
+            app.beforeRouteChange = function(path) {
+                globalCount++;
+                assert.ok(path.indexOf('/guard-') === 0, 'app.beforeRouteChange() called for: ' + path);
+            };
+
+            // Redirect routes can include parameters
+            app.addController({ path: '/guard-redirect/:id', redirect: '/guard-target/:id' });
+
+            // Routes that are blocked or redirected from [beforeEnter()]
+            app.addController({
+                path: '/guard-blocked',
+                beforeEnter: function() {
+                    return false;
+                },
+                onRendered: function() {
+                    assert.ok(false, 'Route [/guard-blocked] should not be loaded');
+                },
+            });
+            app.addController({
+                path: '/guard-login-required',
+                beforeEnter: function() {
+                    return '/guard-target/login';
+                },
+                onRendered: function() {
+                    assert.ok(false, 'Route [/guard-login-required] should not be loaded');
+                },
+            });
+
+            // Target route using a Promise, each time it loads the next step of the test runs
+            var step = 0;
+            var beforeEnterArgs = null;
+            var historyLength = 0;
+            app.addController({
+                path: '/guard-target/:id',
+                beforeEnter: function(path, previousPath, params) {
+                    beforeEnterArgs = { path: path, id: params.id };
+                    return new Promise(function(resolve) {
+                        window.setTimeout(function() { resolve(true); }, 10);
+                    });
+                },
+                onRendered: function() {
+                    step++;
+                    if (step === 1) {
+                        // Loaded from the redirect route
+                        assert.equal(window.location.hash, '#/guard-target/123', 'Hash after redirect');
+                        assert.equal(beforeEnterArgs.path, '/guard-target/123', 'beforeEnter() path');
+                        assert.equal(beforeEnterArgs.id, '123', 'beforeEnter() params.id');
+                        assert.equal(globalCount, 1, 'app.beforeRouteChange() count after redirect');
+
+                        // Cancelled route, the browser moves back to the history entry of the
+                        // current route so the 2nd [hashchange] event is for the current route.
+                        var historyKey = window.history.state.dataformsjsKey;
+                        var hashChangeCount = 0;
+                        var hashChange = function() {
+                            hashChangeCount++;
+                            if (hashChangeCount === 1) {
+                                assert.equal(window.location.hash, '#/guard-blocked', 'Hash before cancelled route');
+                                return;
+                            }
+                            window.removeEventListener('hashchange', hashChange);
+                            assert.equal(window.location.hash, '#/guard-target/123', 'Hash after cancelled route');
+                            assert.equal(window.history.state.dataformsjsKey, historyKey, 'History entry of the current route after cancelled route');
+                            assert.equal(app.activeController.path, '/guard-target/:id', 'Active Controller after cancelled route');
+                            assert.equal(globalCount, 2, 'app.beforeRouteChange() count after cancelled route');
+                            window.location.hash = '/guard-login-required';
+                        };
+                        window.addEventListener('hashchange', hashChange);
+                        window.location.hash = '/guard-blocked';
+                    } else if (step === 2) {
+                        // Redirected from [beforeEnter()]
+                        assert.equal(window.location.hash, '#/guard-target/login', 'Hash after redirect from beforeEnter()');
+                        assert.equal(beforeEnterArgs.id, 'login', 'beforeEnter() params.id after redirect');
+                        assert.equal(globalCount, 3, 'app.beforeRouteChange() count after redirect from beforeEnter()');
+
+                        // Redirect route from <template data-route="/guard-template-redirect/:id" data-redirect="/guard-target/:id">
+                        historyLength = window.history.length;
+                        window.location.hash = '/guard-template-redirect/456';
+                    } else {
+                        // Redirected from [data-redirect], the redirect replaces the history entry
+                        assert.equal(window.location.hash, '#/guard-target/456', 'Hash after redirect from [data-redirect]');
+                        assert.equal(beforeEnterArgs.id, '456', 'beforeEnter() params.id after redirect from [data-redirect]');
+                        assert.equal(globalCount, 4, 'app.beforeRouteChange() count after redirect from [data-redirect]');
+                        assert.equal(window.history.length, historyLength + 1, 'One history entry added for the redirect');
+
+                        // Reset and mark the test as complete
+                        app.beforeRouteChange = null;
+                        done();
+                    }
+                },
+            });
+
+            // Change hash to trigger the redirect route
+            tester.controllersCount += 4;
+            window.location.hash = '/guard-redirect/123';
+        });
+
+        // [beforeLeave()] runs on the active route, for example to confirm unsaved changes
+        QUnit.test('Route Guard [beforeLeave()]', function (assert) {
+            // Asynchronous test
+            var done = assert.async();
+            if (app.viewEngine() === 'Vue') {
+                assert.ok(true, 'Test Skipped for Vue');
+                done();
+                return;
+            }
+
+            var leaveArgs = [];
+            app.addModel('GuardLeaveModel', { isDirty: false });
+            tester.modelsCount++;
+            app.addController({
+                path: '/guard-leave',
+                modelName: 'GuardLeaveModel',
+                beforeLeave: function(path, currentPath) {
+                    leaveArgs.push({ path: path, currentPath: currentPath, isDirty: this.isDirty });
+                    return !this.isDirty;
+                },
+                onRendered: function() {
+                    // Leaving is cancelled while the model has changes. Each time the
+                    // browser moves back to the history entry of the current route.
+                    var model = this;
+                    var historyKey = window.history.state.dataformsjsKey;
+                    var historyLength = window.history.length;
+                    var hashChangeCount = 0;
+                    model.isDirty = true;
+                    var hashChange = function() {
+                        hashChangeCount++;
+                        if (hashChangeCount === 1 || hashChangeCount === 3) {
+                            return; // Cancelled route
+                        } else if (hashChangeCount === 2) {
+                            // New history entry from a link or [location.hash]
+                            assert.equal(window.location.hash, '#/guard-leave', 'Hash after cancelled route');
+                            assert.equal(window.history.state.dataformsjsKey, historyKey, 'History entry after cancelled route');
+                            assert.equal(app.activeController.path, '/guard-leave', 'Active Controller after cancelled route');
+                            assert.equal(leaveArgs.length, 1, 'beforeLeave() count');
+                            assert.equal(leaveArgs[0].path, '/guard-leave-done', 'beforeLeave() path');
+                            assert.equal(leaveArgs[0].currentPath, '/guard-leave', 'beforeLeave() currentPath');
+                            assert.equal(leaveArgs[0].isDirty, true, 'beforeLeave() called with the active model');
+
+                            // Back button
+                            historyLength = window.history.length;
+                            window.history.back();
+                            return;
+                        }
+
+                        // Previous history entry from the back button
+                        window.removeEventListener('hashchange', hashChange);
+                        assert.equal(window.location.hash, '#/guard-leave', 'Hash after cancelled back button');
+                        assert.equal(window.history.state.dataformsjsKey, historyKey, 'History entry after cancelled back button');
+                        assert.equal(window.history.length, historyLength, 'No history entries added from cancelled back button');
+                        assert.equal(leaveArgs.length, 2, 'beforeLeave() count after back button');
+
+                        // Allowed once there are no changes
+                        model.isDirty = false;
+                        window.location.hash = '/guard-leave-done';
+                    };
+                    window.addEventListener('hashchange', hashChange);
+                    window.location.hash = '/guard-leave-done';
+                },
+            });
+            app.addController({
+                path: '/guard-leave-done',
+                onRendered: function() {
+                    assert.equal(leaveArgs.length, 3, 'beforeLeave() count after route change');
+                    assert.equal(leaveArgs[2].isDirty, false, 'beforeLeave() allowed route change');
+                    done();
+                },
+            });
+
+            tester.controllersCount += 2;
+            window.location.hash = '/guard-leave';
+        });
+
+        // When multiple routes match the most specific route is used
+        // regardless of the order that controllers are added.
+        QUnit.test('Route Ranking with [:id(regex)], [:id?], and [*splat]', function (assert) {
+            var done = assert.async();
+            var loaded = function(name) {
+                return function() {
+                    assert.equal(name, expected[0].name, 'Route for [' + expected[0].hash + ']');
+                    expected.shift();
+                    if (expected.length === 0) {
+                        done();
+                    } else {
+                        window.location.hash = expected[0].hash;
+                    }
+                };
+            };
+            var expected = [
+                { hash: '/ranked/new', name: 'new' },
+                { hash: '/ranked/123', name: 'number' },
+                { hash: '/ranked/abc', name: 'param' },
+                { hash: '/ranked', name: 'optional' },
+                { hash: '/ranked/abc/edit/1', name: 'splat' },
+            ];
+            app.addController({ path: '/ranked/*rest', onRendered: loaded('splat') });
+            app.addController({ path: '/ranked/:id?', onRendered: loaded('optional') });
+            app.addController({ path: '/ranked/:id', onRendered: loaded('param') });
+            app.addController({ path: '/ranked/:id(\\d+)', onRendered: loaded('number') });
+            app.addController({ path: '/ranked/new', onRendered: loaded('new') });
+            tester.controllersCount += 5;
+            window.location.hash = expected[0].hash;
+        });
+
+        // Scroll positions are saved for each history entry from [updateHistoryScroll()]
+        // and restored from [afterRouteRender()] when using the back and forward buttons.
+        // [window.scrollTo()] and the page scroll position are replaced for the test so
+        // it runs the same regardless of the size of the browser window.
+        QUnit.test('Scroll Position with Back and Forward Buttons', function (assert) {
+            var done = assert.async();
+            var position = { x: 0, y: 0 };
+            var scrollCalls = [];
+            var pageHeight = 10000;
+            var scrollTo = window.scrollTo;
+            var descriptors = {
+                pageXOffset: Object.getOwnPropertyDescriptor(window, 'pageXOffset'),
+                pageYOffset: Object.getOwnPropertyDescriptor(window, 'pageYOffset'),
+            };
+            window.scrollTo = function(x, y) {
+                scrollCalls.push(x + ',' + y);
+                position = { x: x, y: y };
+            };
+            Object.defineProperty(window, 'pageXOffset', { configurable: true, get: function() { return position.x; } });
+            Object.defineProperty(window, 'pageYOffset', { configurable: true, get: function() { return position.y; } });
+            Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, get: function() { return pageHeight; } });
+
+            // Scroll the page without recording a [window.scrollTo()] call
+            var userScroll = function(y) {
+                position = { x: 0, y: y };
+                scrollCalls = [];
+            };
+
+            // Each time a route is rendered run the next step once [afterRouteRender()] finishes
+            var steps = [
+                function() {
+                    assert.deepEqual(scrollCalls, ['0,0'], 'New history entry starts at the top');
+                    userScroll(300);
+                    window.location.hash = '/scroll-position-b';
+                },
+                function() {
+                    assert.deepEqual(scrollCalls, ['0,0'], 'New history entry starts at the top after scrolling the previous route');
+                    userScroll(150);
+                    window.history.back();
+                },
+                function() {
+                    assert.deepEqual(scrollCalls, ['0,0', '0,300'], 'Scroll position restored from the back button');
+                    userScroll(500);
+                    pageHeight = window.innerHeight + 100;
+                    window.history.forward();
+                },
+                function() {
+                    // Page is not yet tall enough so [pendingScroll] is kept and
+                    // used again on the next render, for example once data loads.
+                    assert.deepEqual(scrollCalls, ['0,0', '0,150'], 'Scroll position restored from the forward button');
+                    scrollCalls = [];
+                    pageHeight = 10000;
+                    app.updateView();
+                    assert.deepEqual(scrollCalls, ['0,150'], 'Pending scroll position restored again on the next render');
+                    scrollCalls = [];
+                    app.updateView();
+                    assert.deepEqual(scrollCalls, [], 'Pending scroll position is only restored until the page is tall enough');
+
+                    // Reset and mark the test as complete
+                    window.scrollTo = scrollTo;
+                    Object.defineProperty(window, 'pageXOffset', descriptors.pageXOffset);
+                    Object.defineProperty(window, 'pageYOffset', descriptors.pageYOffset);
+                    delete document.documentElement.scrollHeight;
+                    done();
+                },
+            ];
+            var onRendered = function() {
+                window.setTimeout(steps.shift(), 0);
+            };
+            app.addController({ path: '/scroll-position-a', onRendered: onRendered });
+            app.addController({ path: '/scroll-position-b', onRendered: onRendered });
+            tester.controllersCount += 2;
+            window.location.hash = '/scroll-position-a';
+        });
+
+        // Query String values are parsed to [app.activeQuery] and when only
+        // the query string changes [onQueryChange()] is called instead of reloading
+        // the route. [app.buildUrl()] uses the values and can append a query string.
+        QUnit.test('Query String with [app.activeQuery], [onQueryChange()], and [app.updateQuery()]', function (assert) {
+            var done = assert.async();
+            var loadCount = 0;
+            var changes = [];
+            app.addController({
+                path: '/query-string',
+                onRouteLoad: function() {
+                    loadCount++;
+                    assert.equal(loadCount, 1, 'onRouteLoad() called once');
+                    assert.deepEqual(app.activeQuery, { status: 'open', tag: ['a', 'b'] }, 'app.activeQuery');
+                    assert.equal(app.buildUrl('/api/orders/:status'), '/api/orders/open', 'app.buildUrl() with a query param');
+                    assert.equal(app.buildUrl('/api/orders', null, { page: 2, q: 'a b', empty: '', tag: ['a', 'b'] }), '/api/orders?page=2&q=a%20b&tag=a&tag=b', 'app.buildUrl() with an appended query');
+                    assert.equal(app.buildUrl('/api/orders?sort=id', null, { page: 2 }), '/api/orders?sort=id&page=2', 'app.buildUrl() with an existing query');
+                    window.setTimeout(function() {
+                        app.updateQuery({ page: 2 });
+                    }, 0);
+                },
+                onQueryChange: function(query, previousQuery) {
+                    changes.push(query);
+                    if (changes.length === 1) {
+                        assert.equal(window.location.hash, '#/query-string?status=open&tag=a&tag=b&page=2', 'Hash after app.updateQuery()');
+                        assert.deepEqual(previousQuery, { status: 'open', tag: ['a', 'b'] }, 'onQueryChange() previousQuery');
+                        assert.ok(this === app.activeModel, 'onQueryChange() [this] is the active model');
+                        window.setTimeout(function() {
+                            app.updateQuery({ status: null, tag: null }, { replace: true });
+                        }, 0);
+                    } else {
+                        assert.equal(window.location.hash, '#/query-string?page=2', 'Hash after removing values');
+                        assert.deepEqual(query, { page: '2' }, 'app.activeQuery after removing values');
+                        assert.equal(loadCount, 1, 'Route was not reloaded');
+                        done();
+                    }
+                },
+            });
+            tester.controllersCount++;
+            window.location.hash = '/query-string?status=open&tag=a&tag=b';
+        });
+
+        // Opt-in focus management and [aria-live] announcements after route changes.
+        // Each history entry also gets a key in [history.state] for scroll restoration.
+        QUnit.test('Route Focus and Announcements with <html data-route-focus> and [data-route-announce]', function (assert) {
+            var done = assert.async();
+            var html = document.documentElement;
+            html.setAttribute('data-route-focus', 'h1');
+            html.setAttribute('data-route-announce', 'Navigated to {title}');
+            app.addController({
+                path: '/route-focus',
+                onRendered: function() {
+                    // Focus and announcements run after [onRendered()]
+                    window.setTimeout(function() {
+                        html.removeAttribute('data-route-focus');
+                        html.removeAttribute('data-route-announce');
+                        var view = document.querySelector(app.settings.viewSelector);
+                        var h1 = view.querySelector('h1');
+                        assert.ok(document.activeElement === (h1 === null ? view : h1), 'Focus moved to the view');
+                        assert.equal(document.activeElement.getAttribute('tabindex'), '-1', 'tabindex added');
+                        assert.equal(typeof window.history.state.dataformsjsKey, 'string', 'history.state.dataformsjsKey');
+                        var region = document.getElementById('dataformsjs-announcer');
+                        assert.equal(region.getAttribute('aria-live'), 'polite', 'aria-live region');
+                        assert.equal(region.textContent, 'Navigated to ' + document.title, 'Announced title');
+                        done();
+                    }, 200);
+                },
+            });
+            tester.controllersCount++;
+            window.location.hash = '/route-focus';
+        });
+
         // Download a script using the standard [src] HTML attribute
         QUnit.test('Script Download from [src] Attribute', function (assert) {
             var done = assert.async();
@@ -2689,6 +3181,594 @@
             tester.pageTester2('#/page-json-data-load-only-once', false, result, result, null, false, assert, done);
         });
 
+        // Check that [app.fetch()] rejects with specific errors when using
+        // the [timeout] option or when the request is cancelled with [signal].
+        // The server waits 1 second before sending the response.
+        QUnit.test('app.fetch() with [timeout] and [signal] options', function (assert) {
+            var done = assert.async();
+            if (window.AbortController === undefined) {
+                assert.ok(true, 'Test Skipped, Browser does not support AbortController');
+                done();
+                return;
+            }
+
+            app
+            .fetch('/unit-testing/slow-response', { timeout: 100 })
+            .then(function() {
+                throw new Error('Request should have timed out');
+            })
+            .catch(function(error) {
+                assert.equal(error.name, 'TimeoutError', 'Checking timeout error.name: ' + error.name);
+                assert.ok(error.message.indexOf('timed out after 100 milliseconds') !== -1, 'Checking timeout error.message: ' + error.message);
+
+                var controller = new AbortController();
+                var request = app.fetch('/unit-testing/slow-response', { signal: controller.signal, timeout: 5000 });
+                controller.abort();
+                return request;
+            })
+            .then(function() {
+                throw new Error('Request should have been cancelled');
+            })
+            .catch(function(error) {
+                assert.equal(error.name, 'AbortError', 'Checking abort error.name: ' + error.name);
+            })
+            .then(done);
+        });
+
+        // Check that [app.fetch()] retries a request with the [retry] option.
+        // The server returns a 503 Response Code for the first 2 requests.
+        QUnit.test('app.fetch() with [retry] option', function (assert) {
+            var done = assert.async();
+            var key = String(new Date().getTime());
+            var retryAttempts = [];
+            var retryDelays = [];
+
+            app
+            .fetch('/unit-testing/retry-response/' + key, {
+                retry: 3,
+                retryDelay: 10,
+                onRetry: function(attempt, error, delay) {
+                    retryAttempts.push(attempt);
+                    retryDelays.push(delay);
+                },
+            })
+            .then(function(data) {
+                assert.equal(data.requestCount, 3, 'Checking data.requestCount: ' + data.requestCount);
+                assert.deepEqual(retryAttempts, [1, 2], 'Checking retry attempts: ' + JSON.stringify(retryAttempts));
+                assert.deepEqual(retryDelays, [10, 20], 'Checking retry delays: ' + JSON.stringify(retryDelays));
+
+                // Requests are not retried when the Response Code is not included
+                key += '-no-retry';
+                return app.fetch('/unit-testing/retry-response/' + key, { retry: 3, retryDelay: 10, retryStatusCodes: '500,502' });
+            })
+            .then(function() {
+                assert.ok(false, 'Request should have failed');
+            })
+            .catch(function(error) {
+                assert.ok(String(error).indexOf('Server Response Code: 503') !== -1, 'Checking error: ' + error);
+            })
+            .then(function() {
+                // Each response is logged when [app.settings.logFetchRequests] is used
+                tester.submittedRequestCount += 4;
+                done();
+            });
+        });
+
+        // Page [jsonData] using the same values that [data-retry], [data-retry-delay],
+        // and [data-retry-status-codes] assign. [retryAttempt] is set before the view
+        // is updated for each retry so the template can show a "Retrying..." message.
+        QUnit.test('Page jsonData with [data-retry] and [retryAttempt]', function (assert) {
+            var done = assert.async();
+            var key = 'json-data-' + String(new Date().getTime());
+            var model = app.deepClone({}, app.pages.jsonData.model);
+            model.url = '/unit-testing/retry-response/' + key;
+            model.retry = '3';
+            model.retryDelay = '10';
+            model.retryStatusCodes = '503';
+
+            // Record [retryAttempt] each time the view is updated
+            var attempts = [];
+            var updateView = app.updateView;
+            app.updateView = function() {
+                if (model.retryAttempt > 0) {
+                    attempts.push(model.retryAttempt);
+                }
+            };
+
+            function fetchData() {
+                return new Promise(function(resolve) {
+                    model.onFetch = resolve;
+                    model.onError = resolve;
+                    model.fetchData();
+                });
+            }
+
+            fetchData()
+            .then(function() {
+                assert.deepEqual(attempts, [1, 2], 'Retry attempts: ' + JSON.stringify(attempts));
+                assert.equal(model.retryAttempt, 0, 'retryAttempt is reset once loaded');
+                assert.equal(model.isLoaded, true, 'Loaded on the 3rd request');
+                assert.equal(model.requestCount, 3, 'requestCount: ' + model.requestCount);
+
+                // Requests are not retried when the Response Code is not included
+                attempts = [];
+                model.url += '-no-retry';
+                model.retryStatusCodes = '500,502';
+                return fetchData();
+            })
+            .then(function() {
+                assert.deepEqual(attempts, [], 'No retry attempts: ' + JSON.stringify(attempts));
+                assert.equal(model.hasError, true, 'Error without retry');
+                assert.equal(model.retryAttempt, 0, 'retryAttempt is 0 after an error');
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                app.updateView = updateView;
+                tester.submittedRequestCount += 4;
+                done();
+            });
+        });
+
+        // Check that [app.fetch()] calls [onResponse] so the [ETag] Response Header
+        // can be sent back as [If-Match]. The server responds with 412 (Precondition Failed)
+        // when the [ETag] does not match the current record.
+        QUnit.test('app.fetch() with [onResponse] option', function (assert) {
+            var done = assert.async();
+            var url = '/unit-testing/versioned-record';
+            var etag = null;
+            var status = null;
+            var onResponse = function(response) {
+                status = response.status;
+                if (response.ok) {
+                    etag = response.headers.get('ETag');
+                }
+            };
+
+            app
+            .fetch(url, { onResponse: onResponse })
+            .then(function(data) {
+                assert.equal(status, 200, 'Checking GET status: ' + status);
+                assert.ok(etag !== null && etag.indexOf('"') === 0, 'Checking GET ETag is a Strong ETag: ' + etag);
+                assert.equal(data.id, 1, 'Checking GET data: ' + JSON.stringify(data));
+                return app.fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'If-Match': '"outdated"' },
+                    body: JSON.stringify({ name: 'Conflict' }),
+                    onResponse: onResponse,
+                });
+            })
+            .then(function() {
+                assert.ok(false, 'Request should have failed');
+            })
+            .catch(function(error) {
+                assert.equal(status, 412, 'Checking POST status with outdated ETag: ' + status);
+                assert.ok(String(error).indexOf('Server Response Code: 412') !== -1, 'Checking error: ' + error);
+
+                // [If-Match] uses strong comparison so a Weak ETag never matches
+                return app
+                .fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'If-Match': 'W/' + etag },
+                    body: JSON.stringify({ name: 'Weak' }),
+                    onResponse: onResponse,
+                })
+                .then(function() {
+                    assert.ok(false, 'Request with a Weak ETag should have failed');
+                }, function() {
+                    assert.equal(status, 412, 'Checking POST status with a Weak ETag: ' + status);
+                });
+            })
+            .then(function() {
+                var previousEtag = etag;
+                return app
+                .fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'If-Match': etag },
+                    body: JSON.stringify({ name: 'Updated' }),
+                    onResponse: onResponse,
+                })
+                .then(function(data) {
+                    assert.equal(status, 200, 'Checking POST status with current ETag: ' + status);
+                    assert.equal(data.success, true, 'Checking POST data: ' + JSON.stringify(data));
+                    assert.ok(etag !== previousEtag, 'Checking new ETag after save: ' + etag);
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Unexpected error: ' + error);
+            })
+            .then(function() {
+                tester.submittedRequestCount += 4;
+                done();
+            });
+        });
+
+        // Check that [multipart/form-data] with files can be posted and
+        // is parsed by the server using [body-parser.js].
+        QUnit.test('app.fetch() with [multipart/form-data] file upload', function (assert) {
+            var done = assert.async();
+            if (window.FormData === undefined || window.Blob === undefined) {
+                assert.ok(true, 'Test Skipped, Browser does not support FormData');
+                done();
+                return;
+            }
+
+            var formData = new FormData();
+            formData.append('name', 'DataFormsJS');
+            formData.append('attachment', new Blob(['File Content'], { type: 'text/plain' }), 'test.txt');
+            // Names that exist on [Object.prototype] are parsed as regular fields
+            formData.append('constructor', 'Form');
+            formData.append('__proto__', new Blob(['Unsafe'], { type: 'text/plain' }), 'unsafe.txt');
+
+            app
+            .fetch('/unit-testing/upload-files', {
+                method: 'POST',
+                body: formData,
+            })
+            .then(function(data) {
+                assert.equal(data.success, true, 'Checking success');
+                assert.equal(data.fields.name, 'DataFormsJS', 'Checking fields: ' + JSON.stringify(data.fields));
+                assert.equal(data.fields.constructor, 'Form', 'Checking [constructor] field: ' + JSON.stringify(data.fields));
+                assert.equal(data.files.length, 2, 'Checking file count: ' + data.files.length);
+                assert.equal(data.files[0].name, 'attachment', 'Checking file field name: ' + data.files[0].name);
+                assert.equal(data.files[1].name, '__proto__', 'Checking [__proto__] file field name: ' + data.files[1].name);
+                assert.equal(data.files[1].content, 'Unsafe', 'Checking [__proto__] file content: ' + data.files[1].content);
+                assert.equal(data.files[0].filename, 'test.txt', 'Checking filename: ' + data.files[0].filename);
+                assert.equal(data.files[0].contentType, 'text/plain', 'Checking contentType: ' + data.files[0].contentType);
+                assert.equal(data.files[0].size, 12, 'Checking size: ' + data.files[0].size);
+                assert.equal(data.files[0].content, 'File Content', 'Checking content: ' + data.files[0].content);
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Unexpected error: ' + error);
+            })
+            .then(function() {
+                tester.submittedRequestCount++;
+                done();
+            });
+        });
+
+        QUnit.test('Page jsonData with [pagination] option', function (assert) {
+            var done = assert.async();
+            var model = app.deepClone({}, app.pages.jsonData.model);
+            model.url = '/unit-testing/paged-records';
+            model.pagination = 'page';
+            model.pageSize = '2';
+
+            // Call a function that downloads a page with [model.fetchData()]
+            // and resolve once the data is loaded
+            function loadPage(callback) {
+                return new Promise(function(resolve, reject) {
+                    model.onFetch = resolve;
+                    model.onError = function() {
+                        reject(model.errorMessage);
+                    };
+                    callback();
+                });
+            }
+
+            function ids() {
+                return model.data.map(function(record) { return record.id; }).join();
+            }
+
+            loadPage(function() {
+                model.fetchData();
+            })
+            .then(function() {
+                assert.equal(model.submittedFetchUrl, '/unit-testing/paged-records?page=1&pageSize=2', 'Page 1 URL: ' + model.submittedFetchUrl);
+                assert.equal(ids(), '1,2', 'Page 1 data: ' + ids());
+                assert.equal(model.totalCount, 5, 'totalCount from [X-Total-Count]');
+                assert.equal(model.pageCount, 3, 'pageCount');
+                assert.equal(model.hasMore, true, 'hasMore on page 1');
+                assert.equal(model.hasPrevious, false, 'hasPrevious on page 1');
+                assert.deepEqual(model.pageNumbers.map(function(item) { return item.page; }), [1, 2, 3], 'pageNumbers');
+                return loadPage(function() {
+                    assert.equal(model.nextPage(), true, 'model.nextPage()');
+                });
+            })
+            .then(function() {
+                assert.equal(model.submittedFetchUrl, '/unit-testing/paged-records?page=2&pageSize=2', 'Page 2 URL: ' + model.submittedFetchUrl);
+                assert.equal(ids(), '3,4', 'Page 2 data replaces page 1: ' + ids());
+                assert.equal(model.hasPrevious, true, 'hasPrevious on page 2');
+
+                // Append the last page to the existing list
+                return loadPage(function() {
+                    assert.equal(model.loadMore(), true, 'model.loadMore()');
+                    assert.equal(model.isLoadingMore, true, 'isLoadingMore while downloading');
+                });
+            })
+            .then(function() {
+                assert.equal(ids(), '3,4,5', 'Page 3 data appended: ' + ids());
+                assert.equal(model.page, 3, 'page');
+                assert.equal(model.isLoadingMore, false, 'isLoadingMore after download');
+                assert.equal(model.hasMore, false, 'hasMore on the last page');
+                assert.equal(model.nextPage(), false, 'model.nextPage() on the last page');
+                assert.equal(model.goToPage(4), false, 'model.goToPage() after the last page');
+
+                // Offset mode
+                model.pagination = 'offset';
+                assert.equal(model.buildFetchUrl({}, {}), '/unit-testing/paged-records?offset=4&limit=2', 'Offset URL');
+
+                // Cursor mode using the [Link] Response Header
+                model.pagination = 'cursor';
+                model.resetPagination();
+                return loadPage(function() {
+                    model.fetchData();
+                });
+            })
+            .then(function() {
+                assert.equal(model.submittedFetchUrl, '/unit-testing/paged-records?limit=2', 'Cursor URL for page 1: ' + model.submittedFetchUrl);
+                assert.equal(model.hasMore, true, 'hasMore from [Link]');
+                return loadPage(function() {
+                    model.nextPage();
+                });
+            })
+            .then(function() {
+                assert.equal(model.submittedFetchUrl, '/unit-testing/paged-records?page=2&pageSize=2', 'Cursor URL from [Link]: ' + model.submittedFetchUrl);
+                assert.equal(ids(), '3,4', 'Cursor page 2 data: ' + ids());
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                tester.submittedRequestCount += 5;
+                done();
+            });
+        });
+
+        // Check [app.dataCache] and caching from [app.fetch()]
+        QUnit.test('app.dataCache and app.fetch() with [cacheTtl] option', function (assert) {
+            var done = assert.async();
+            var url = '/unit-testing/page-json-data';
+            var requestCount = tester.submittedUrls.length;
+
+            app
+            .fetch(url, { cacheTtl: 60 })
+            .then(function(data) {
+                assert.equal(data.serverMessage, 'Response from Server', 'First request: ' + JSON.stringify(data));
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'First request was sent to the server');
+                assert.ok(window.dataformsjsDataCache[url] !== undefined, 'Data saved to [window.dataformsjsDataCache]');
+                return app.fetch(url, { cacheTtl: 60 });
+            })
+            .then(function(data) {
+                assert.equal(data.serverMessage, 'Response from Server', 'Second request: ' + JSON.stringify(data));
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'Second request was read from cache');
+                return app.dataCache.get(url);
+            })
+            .then(function(entry) {
+                assert.deepEqual(entry.data, { serverMessage: 'Response from Server' }, 'app.dataCache.get()');
+                assert.ok(typeof entry.time === 'number', 'app.dataCache.get() time: ' + entry.time);
+                assert.equal(app.dataCache.invalidate('/unit-testing/page-json-*'), 1, 'app.dataCache.invalidate()');
+                return app.dataCache.get(url);
+            })
+            .then(function(entry) {
+                assert.equal(entry, null, 'Data removed after invalidate');
+
+                // TTL Rules
+                assert.equal(app.dataCache.getTtl('/api/countries/US'), null, 'app.dataCache.getTtl() with no rules');
+                app.dataCache.setTtl('/api/countries/*', 600);
+                app.dataCache.setTtl(/^\/api\/regions\/\d+$/, 60);
+                assert.equal(app.dataCache.getTtl('/api/countries/US'), 600, 'app.dataCache.getTtl() with a string pattern');
+                assert.equal(app.dataCache.getTtl('/api/regions/123'), 60, 'app.dataCache.getTtl() with a RegExp pattern');
+                assert.equal(app.dataCache.getTtl('/api/regions/abc'), null, 'app.dataCache.getTtl() with no matching rule');
+                app.dataCache.ttlRules = [];
+                tester.submittedRequestCount++;
+                done();
+            });
+        });
+
+        // Check [staleWhileRevalidate], cache keys for Request Headers, and saving
+        // data to [sessionStorage] and [indexedDB] using [app.dataCache.storage]
+        QUnit.test('app.dataCache with [staleWhileRevalidate], Request Headers, and [storage]', function (assert) {
+            var done = assert.async();
+            var url = '/unit-testing/page-json-data';
+            var serverData = { serverMessage: 'Response from Server' };
+            var requestCount = tester.submittedUrls.length;
+            var hasIndexedDB = (window.indexedDB !== undefined);
+
+            // Expired data is returned immediately and [onRevalidate] is called with new data
+            window.dataformsjsDataCache[url] = { url: url, json: JSON.stringify({ serverMessage: 'Stale' }), time: Date.now() - 120000 };
+            new Promise(function(resolve, reject) {
+                app
+                .fetch(url, { cacheTtl: 60, staleWhileRevalidate: true, onRevalidate: resolve })
+                .then(function(data) {
+                    assert.deepEqual(data, { serverMessage: 'Stale' }, 'Stale data returned first');
+                })
+                .catch(reject);
+            })
+            .then(function(data) {
+                assert.deepEqual(data, serverData, 'onRevalidate() called with new data');
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'Request sent in the background');
+                return app.dataCache.get(url);
+            })
+            .then(function(entry) {
+                assert.deepEqual(entry.data, serverData, 'Cache updated after revalidate');
+                assert.ok(Date.now() - entry.time < 60000, 'Cache time updated after revalidate');
+
+                // Requests with [Authorization] or [Accept] headers use a separate key
+                app.dataCache.clear();
+                var headers = { Authorization: 'Bearer token-1' };
+                var key = app.dataCache.getKey(url, headers);
+                assert.equal(app.dataCache.getKey(url), url, 'Key without headers is the URL');
+                assert.equal(app.dataCache.getKey(url, { 'Content-Type': 'application/json' }), url, 'Key with other headers is the URL');
+                assert.equal(key.indexOf(url + '\n'), 0, 'Key starts with the URL');
+                assert.equal(key.indexOf('token-1'), -1, 'Header value is not saved in the key');
+                assert.equal(app.dataCache.getKey(url, { authorization: 'Bearer token-1' }), key, 'Header names are not case-sensitive');
+                assert.notEqual(app.dataCache.getKey(url, { Authorization: 'Bearer token-2' }), key, 'Different value uses a different key');
+                assert.notEqual(app.dataCache.getKey(url, { Authorization: 'Bearer token-1', Accept: 'text/csv' }), key, '[Accept] is included in the key');
+                if (window.Headers !== undefined) {
+                    assert.equal(app.dataCache.getKey(url, new Headers(headers)), key, 'Key from a [Headers] object');
+                } else {
+                    assert.ok(true, 'Skipped [Headers] object, not supported by the Browser');
+                }
+                return app.fetch(url, { cacheTtl: 60, headers: headers }).then(function() {
+                    return app.fetch(url, { cacheTtl: 60, headers: { Authorization: 'Bearer token-2' } });
+                }).then(function() {
+                    assert.equal(tester.submittedUrls.length, requestCount + 3, 'Each header value downloads data');
+                    return app.fetch(url, { cacheTtl: 60, headers: headers });
+                }).then(function() {
+                    assert.equal(tester.submittedUrls.length, requestCount + 3, 'Data read from cache for the same header value');
+                    assert.ok(window.dataformsjsDataCache[key] !== undefined, 'Data saved using the key');
+                    assert.equal(app.dataCache.invalidate(url), 2, 'invalidate() removes all keys for the URL');
+                });
+            })
+            .then(function() {
+                // Data is saved to [sessionStorage] and read back once removed from memory
+                app.dataCache.storage = 'sessionStorage';
+                return app.fetch(url, { cacheTtl: 60 });
+            })
+            .then(function() {
+                assert.ok(window.sessionStorage.getItem('dataformsjs-cache:' + url) !== null, 'Data saved to sessionStorage');
+                delete window.dataformsjsDataCache[url];
+                return app.dataCache.get(url);
+            })
+            .then(function(entry) {
+                assert.deepEqual(entry.data, serverData, 'Data read from sessionStorage');
+                assert.ok(window.dataformsjsDataCache[url] !== undefined, 'Data from sessionStorage added to memory');
+                app.dataCache.invalidate(url);
+                assert.equal(window.sessionStorage.getItem('dataformsjs-cache:' + url), null, 'Data removed from sessionStorage');
+
+                // Data is saved to [indexedDB]
+                if (!hasIndexedDB) {
+                    return;
+                }
+                app.dataCache.storage = 'indexedDB';
+                return app.fetch(url, { cacheTtl: 60 }).then(function() {
+                    delete window.dataformsjsDataCache[url];
+                    return app.dataCache.get(url);
+                }).then(function(entry) {
+                    assert.deepEqual(entry.data, serverData, 'Data read from indexedDB');
+                    app.dataCache.clear();
+                    delete window.dataformsjsDataCache[url];
+                    return new Promise(function(resolve) {
+                        // [invalidate()] does not wait for IndexedDB so check once it has run
+                        window.setTimeout(resolve, 100);
+                    });
+                }).then(function() {
+                    return app.dataCache.get(url);
+                }).then(function(entry) {
+                    assert.equal(entry, null, 'Data removed from indexedDB');
+                });
+            })
+            .then(function() {
+                if (!hasIndexedDB) {
+                    assert.ok(true, 'Skipped [indexedDB], not supported by the Browser');
+                }
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                app.dataCache.storage = 'memory';
+                app.dataCache.clear();
+                tester.submittedRequestCount += (hasIndexedDB ? 5 : 4);
+                done();
+            });
+        });
+
+        QUnit.test('Route Prefetching with [app.prefetchRoute()] and [app.dataCache.usePrefetched()]', function (assert) {
+            var done = assert.async();
+            if (window.Vue !== undefined) {
+                assert.ok(true, 'Test Skipped for Vue');
+                done();
+                return;
+            }
+
+            // The route template is compiled from an earlier test so only data is downloaded
+            var url = '/unit-testing/page-json-data-record/3';
+            var requestCount = tester.submittedUrls.length;
+            var templateCount = app.compiledTemplates.length;
+            app
+            .prefetchRoute('#/page-json-data-record/3')
+            .then(function() {
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'Data downloaded for the route');
+                assert.equal(app.compiledTemplates.length, templateCount, 'Template was already compiled');
+                assert.ok(window.dataformsjsDataCache[url] !== undefined, 'Data saved to [window.dataformsjsDataCache]');
+                assert.equal(window.dataformsjsPrefetchedUrls[url], true, 'URL saved to [window.dataformsjsPrefetchedUrls]');
+                return app.prefetchRoute('/page-json-data-record/3');
+            })
+            .then(function() {
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'Route is only prefetched once');
+                return app.fetch(url);
+            })
+            .then(function(data) {
+                assert.deepEqual(data, { recordId: '3' }, 'app.fetch() used prefetched data');
+                assert.equal(tester.submittedUrls.length, requestCount + 1, 'Request was read from cache');
+                assert.equal(app.dataCache.usePrefetched(url), null, 'Prefetched data is only used once');
+                assert.equal(app.dataCache.invalidate(url), 1, 'app.dataCache.invalidate()');
+                tester.submittedRequestCount++;
+                done();
+            });
+        });
+
+        // Links with [data-prefetch] call [app.prefetchRoute()] on hover, focus, or touch.
+        // Events are added to links on the page each time the view is rendered.
+        QUnit.test('Route Prefetching from Links with [data-prefetch]', function (assert) {
+            var done = assert.async();
+            if (window.Vue !== undefined) {
+                assert.ok(true, 'Test Skipped for Vue');
+                done();
+                return;
+            }
+
+            // Record each prefetched route
+            var prefetchRoute = app.prefetchRoute;
+            var prefetched = [];
+            var promises = [];
+            app.prefetchRoute = function(path) {
+                prefetched.push(path);
+                var promise = prefetchRoute.call(app, path);
+                promises.push(promise);
+                return promise;
+            };
+
+            var div = createForm([
+                '<a class="hover" href="#/page-json-data-record/4" data-prefetch>Hover</a>',
+                '<a class="focus" href="#/page-json-data-record/5" data-prefetch="hover">Focus</a>',
+                '<a class="touch" href="#/page-json-data-record/6" data-prefetch>Touch</a>',
+                '<a class="none" href="#/page-json-data-record/7" data-prefetch="none">None</a>',
+                '<a class="default" href="#/page-json-data-record/8">Default</a>',
+                '<a class="external" href="https://www.dataformsjs.com/#/page" data-prefetch>External</a>',
+            ].join(''));
+            var dispatch = function(selector, type) {
+                div.querySelector(selector).dispatchEvent(new Event(type));
+            };
+
+            app.addController({
+                path: '/prefetch-links',
+                onRendered: function() {
+                    dispatch('.hover', 'mouseenter');
+                    dispatch('.focus', 'focus');
+                    dispatch('.touch', 'touchstart');
+                    dispatch('.none', 'mouseenter');
+                    dispatch('.none', 'focus');
+                    dispatch('.default', 'mouseenter');
+                    dispatch('.external', 'mouseenter');
+                    assert.deepEqual(prefetched, ['#/page-json-data-record/4', '#/page-json-data-record/5', '#/page-json-data-record/6'], 'Prefetched Routes: ' + prefetched.join());
+
+                    Promise.all(promises)
+                    .then(function() {
+                        ['4', '5', '6'].forEach(function(id) {
+                            var url = '/unit-testing/page-json-data-record/' + id;
+                            assert.equal(window.dataformsjsPrefetchedUrls[url], true, 'Data prefetched for: ' + url);
+                            app.dataCache.invalidate(url);
+                        });
+                        tester.submittedRequestCount += 3;
+                    })
+                    .catch(function(error) {
+                        assert.ok(false, 'Error: ' + error);
+                    })
+                    .then(function() {
+                        app.prefetchRoute = prefetchRoute;
+                        div.parentNode.removeChild(div);
+                        done();
+                    });
+                },
+            });
+            tester.controllersCount++;
+            window.location.hash = '/prefetch-links';
+        });
+
         // Test JavaScript Controls View
         QUnit.test('Download JavaScript Controls with [app.loadScript()] then Render to a Template', function (assert) {
             var done = assert.async();
@@ -2857,6 +3937,79 @@
             });
         });
 
+        // The <json-data> Control using [data-retry-count], [data-retry-delay], and
+        // [data-retry-status-codes]. The Web Components [polyfill.js] converts
+        // <json-data retry-count> to these attributes so this also covers the polyfill.
+        QUnit.test('Control <json-data> with [data-retry-count] and [retryAttempt]', function (assert) {
+            var done = assert.async();
+            var key = 'json-data-control-' + String(new Date().getTime());
+            var container = null;
+            var control = null;
+            var renderControl = null;
+
+            function loadControl(url, statusCodes) {
+                var element = createField('json-data', {
+                    'data-url': url,
+                    'data-retry-count': '3',
+                    'data-retry-delay': '10',
+                    'data-retry-status-codes': statusCodes,
+                });
+                container.appendChild(element);
+                return new Promise(function(resolve) {
+                    control.onFetch = function() {
+                        resolve(this);
+                    };
+                    control.onError = function() {
+                        resolve(this);
+                    };
+                    app.loadJsControl(element);
+                });
+            }
+
+            loadSrcFiles(['controls/json-data.js']).then(function() {
+                container = createForm('');
+                control = app.controls['json-data'];
+
+                // Record [retryAttempt] each time the control is rendered
+                var attempts = [];
+                renderControl = control.renderControl;
+                control.renderControl = function(element, data) {
+                    if (data.retryAttempt > 0) {
+                        attempts.push(data.retryAttempt);
+                    }
+                };
+
+                return loadControl('/unit-testing/retry-response/' + key, '503').then(function(data) {
+                    assert.deepEqual(attempts, [1, 2], 'Retry attempts: ' + JSON.stringify(attempts));
+                    assert.equal(data.retryAttempt, 0, 'retryAttempt is reset once loaded');
+                    assert.equal(data.isLoaded, true, 'Loaded on the 3rd request');
+
+                    // Requests are not retried when the Response Code is not included
+                    attempts = [];
+                    return loadControl('/unit-testing/retry-response/' + key + '-no-retry', '500,502');
+                }).then(function(data) {
+                    assert.deepEqual(attempts, [], 'No retry attempts: ' + JSON.stringify(attempts));
+                    assert.equal(data.hasError, true, 'Error without retry');
+                    assert.equal(data.retryAttempt, 0, 'retryAttempt is 0 after an error');
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (control !== null) {
+                    control.renderControl = renderControl;
+                    control.onFetch = null;
+                    control.onError = null;
+                }
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                tester.submittedRequestCount += 4;
+                done();
+            });
+        });
+
         // This test is based on 'Route Change and Event Order'
         QUnit.test('JavaScript ES6 Classes', function (assert) {
             // Asynchronous test
@@ -2938,6 +4091,1156 @@
             tester.modelsCount++;
         });
 
+        // Rules from [js/extensions/validation.js]. Each field is checked with
+        // [validateInput()] which returns null when valid or the error text.
+        QUnit.test('app.validation.validateInput() with HTML Constraint Attributes and [data-validate-*] Rules', function (assert) {
+            var done = assert.async();
+            loadSrcFiles(['extensions/validation.js']).then(function() {
+                function check(attributes, expected, message) {
+                    var error = app.validation.validateInput(createField('input', attributes), 'Field');
+                    assert.equal(error, expected, message + ': ' + error);
+                }
+
+                // [min] and [max] for numbers and dates
+                check({ type: 'number', min: '5', value: '4' }, '[Field] must be greater than or equal to 5.', '[min] with a smaller number');
+                check({ type: 'number', min: '5', value: '5' }, null, '[min] with the same number');
+                check({ type: 'number', max: '10', value: '11' }, '[Field] must be less than or equal to 10.', '[max] with a larger number');
+                check({ 'data-type': 'int', max: '10', value: '9' }, null, '[max] with [data-type="int"]');
+                check({ type: 'date', min: '2023-01-01', value: '2022-12-31' }, '[Field] must be on or after 2023-01-01.', '[min] with a date');
+                check({ type: 'date', max: '2023-01-31', value: '2023-02-01' }, '[Field] must be on or before 2023-01-31.', '[max] with a date');
+                check({ type: 'date', min: '2023-01-01', max: '2023-01-31', value: '2023-01-15' }, null, '[min] and [max] with a valid date');
+                check({ type: 'text', min: '5', value: '1' }, null, '[min] is not used for text');
+
+                // [data-type="date"]
+                check({ 'data-type': 'date', value: '2023-13-01' }, '[Field] needs to be entered as a valid date.', '[data-type="date"] with an invalid month');
+                check({ 'data-type': 'date', value: '01/31/2023' }, '[Field] needs to be entered as a valid date.', '[data-type="date"] with a non-ISO format');
+                check({ 'data-type': 'date', value: '2023-01-31' }, null, '[data-type="date"] with a valid date');
+
+                // [minlength] and [maxlength]
+                check({ minlength: '3', value: 'ab' }, '[Field] must be at least 3 characters.', '[minlength] with a short value');
+                check({ minlength: '3', value: 'abc' }, null, '[minlength] with a valid value');
+                check({ maxlength: '3', value: 'abcd' }, '[Field] must be no more than 3 characters.', '[maxlength] with a long value');
+                check({ maxlength: '3', value: 'abc' }, null, '[maxlength] with a valid value');
+
+                // [pattern] matches the full value and invalid patterns are ignored
+                check({ pattern: '[A-Z]{3}', value: 'ABC' }, null, '[pattern] with a matching value');
+                check({ pattern: '[A-Z]{3}', value: 'ABCD' }, '[Field] is not in the correct format.', '[pattern] must match the full value');
+                check({ pattern: 'a|b', value: 'ab' }, '[Field] is not in the correct format.', '[pattern] with alternatives is grouped');
+                check({ pattern: '[A-Z', value: 'ABC' }, null, 'Invalid [pattern] is ignored');
+
+                // [type="email|url"] and [data-validate-email|url]
+                check({ type: 'email', value: 'user@example.com' }, null, '[type="email"] with a valid email');
+                check({ type: 'email', value: 'user@' }, '[Field] needs to be a valid email address.', '[type="email"] with an invalid email');
+                check({ 'data-validate-email': '', value: 'user.example.com' }, '[Field] needs to be a valid email address.', '[data-validate-email] with an invalid email');
+                check({ type: 'url', value: 'https://www.dataformsjs.com/' }, null, '[type="url"] with a valid URL');
+                check({ type: 'url', value: 'www.dataformsjs.com' }, '[Field] needs to be a valid URL.', '[type="url"] without a protocol');
+                check({ 'data-validate-url': '', value: 'https://' }, '[Field] needs to be a valid URL.', '[data-validate-url] without a host');
+
+                // Rules are not checked for empty fields unless [required] is used
+                check({ type: 'email', minlength: '3', value: '' }, null, 'Empty field without [required]');
+                check({ required: '', value: ' ' }, '[Field] is a required field.', '[required] with only a space');
+
+                // Cross-field rules [data-validate-match|after|before] use a selector
+                // for the other field and the error text includes its label
+                var container = document.createElement('div');
+                container.innerHTML = [
+                    '<label for="unit-test-password">Password</label>',
+                    '<input id="unit-test-password" value="Secret1">',
+                    '<input id="unit-test-start-date" data-label="Start Date" value="2023-01-10">',
+                    '<input id="unit-test-end-date" data-label="End Date" value="2023-01-20">',
+                ].join('');
+                document.body.appendChild(container);
+                check({ 'data-validate-match': '#unit-test-password', value: 'Secret1' }, null, '[data-validate-match] with the same value');
+                check({ 'data-validate-match': '#unit-test-password', value: 'Secret2' }, '[Field] does not match [Password].', '[data-validate-match] with a different value');
+                check({ 'data-validate-after': '#unit-test-start-date', value: '2023-01-11' }, null, '[data-validate-after] with a later date');
+                check({ 'data-validate-after': '#unit-test-start-date', value: '2023-01-10' }, '[Field] must be after [Start Date].', '[data-validate-after] with the same date');
+                check({ 'data-validate-before': '#unit-test-end-date', value: '2023-01-19' }, null, '[data-validate-before] with an earlier date');
+                check({ 'data-validate-before': '#unit-test-end-date', value: '2023-01-21' }, '[Field] must be before [End Date].', '[data-validate-before] with a later date');
+                check({ 'data-validate-after': '#unit-test-start-date', 'data-validate-before': '#unit-test-end-date', value: '2023-01-15' }, null, '[data-validate-after] and [data-validate-before] with a date in the range');
+                document.body.removeChild(container);
+
+                // Async rule [data-validate-remote] is only checked from [validateInputAsync()]
+                var remoteField = createField('input', { 'data-validate-remote': '/unit-testing/validate-username', value: 'admin' });
+                assert.equal(app.validation.validateInput(remoteField, 'Username'), null, '[data-validate-remote] is not checked from validateInput()');
+                assert.ok(app.validation.hasAsyncRules(remoteField), 'hasAsyncRules() with [data-validate-remote]');
+                assert.ok(!app.validation.hasAsyncRules(createField('input', { required: '' })), 'hasAsyncRules() without async rules');
+                return app.validation.validateInputAsync(remoteField, 'Username').then(function(error) {
+                    assert.equal(error, 'Username [admin] is already taken', '[data-validate-remote] uses the error from the server: ' + error);
+                    remoteField.value = 'new-user';
+                    return app.validation.validateInputAsync(remoteField, 'Username');
+                }).then(function(error) {
+                    assert.equal(error, null, '[data-validate-remote] with a valid value');
+                    remoteField = createField('input', { 'data-validate-remote': '/unit-testing/validate-username/:value', minlength: '6', value: 'admin' });
+                    return app.validation.validateInputAsync(remoteField, 'Username');
+                }).then(function(error) {
+                    assert.equal(error, '[Username] must be at least 6 characters.', '[data-validate-remote] is not checked when other rules are invalid');
+                    remoteField.removeAttribute('minlength');
+                    return app.validation.validateInputAsync(remoteField, 'Username');
+                }).then(function(error) {
+                    assert.equal(error, 'Username [admin] is already taken', '[data-validate-remote] using [:value] in the URL');
+                    tester.submittedRequestCount += 3;
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(done);
+        });
+
+        // Errors are shown next to each field with [aria-invalid] and [aria-describedby]
+        // so screen readers read them with the field. Live validation waits until the
+        // field loses focus before showing errors while the user types.
+        QUnit.test('app.validation Field Errors and Live Validation', function (assert) {
+            var done = assert.async();
+            var container = null;
+            loadSrcFiles(['extensions/validation.js']).then(function() {
+                var validation = app.validation;
+                container = createForm([
+                    '<span id="unit-test-hint">Hint</span>',
+                    '<input name="unit-test-name" required aria-describedby="unit-test-hint">',
+                    '<input name="unit-test-email" type="email">',
+                    '<p data-error-for="unit-test-email"></p>',
+                    '<input name="unit-test-live" required>',
+                ].join(''));
+                var fields = container.querySelectorAll('input');
+
+                // A <div class="field-error"> is added after the field
+                validation.showFieldError(fields[0], 'Name Error');
+                var errorElement = fields[0].nextSibling;
+                assert.equal(errorElement.className, 'field-error', 'Error element added after the field');
+                assert.equal(errorElement.textContent, 'Name Error', 'Error text: ' + errorElement.textContent);
+                assert.equal(errorElement.getAttribute('aria-live'), 'polite', 'Error element has [aria-live]');
+                assert.ok(errorElement.id !== '', 'Error element has an id: ' + errorElement.id);
+                assert.equal(fields[0].getAttribute('aria-invalid'), 'true', 'Field has [aria-invalid]');
+                assert.equal(fields[0].getAttribute('aria-describedby'), 'unit-test-hint ' + errorElement.id, 'Existing [aria-describedby] ids are kept');
+
+                // The same element is used again for each error
+                validation.showFieldError(fields[0], 'Name Error 2');
+                assert.equal(container.querySelectorAll('.field-error').length, 1, 'Only one error element for the field');
+                assert.equal(errorElement.textContent, 'Name Error 2', 'Error text updated');
+                assert.equal(fields[0].getAttribute('aria-describedby'), 'unit-test-hint ' + errorElement.id, 'Error id only added once to [aria-describedby]');
+
+                // Clearing the error hides the element and removes the id
+                validation.clearFieldError(fields[0]);
+                assert.equal(errorElement.textContent, '', 'Error text cleared');
+                assert.equal(errorElement.style.display, 'none', 'Error element hidden');
+                assert.equal(fields[0].getAttribute('aria-invalid'), null, '[aria-invalid] removed');
+                assert.equal(fields[0].getAttribute('aria-describedby'), 'unit-test-hint', 'Only the error id removed from [aria-describedby]');
+
+                // [updateFieldError()] shows or clears the error
+                validation.updateFieldError(fields[0], 'Name Error 3');
+                assert.equal(errorElement.style.display, '', 'Error element shown from [updateFieldError()]');
+                validation.updateFieldError(fields[0], null);
+                assert.equal(errorElement.style.display, 'none', 'Error element hidden from [updateFieldError()]');
+
+                // [data-error-for] controls where the error is displayed and
+                // [aria-describedby] is removed once there are no other ids
+                var errorFor = container.querySelector('[data-error-for]');
+                validation.updateFieldError(fields[1], 'Email Error');
+                assert.equal(errorFor.textContent, 'Email Error', 'Error shown in [data-error-for]');
+                assert.equal(fields[1].nextSibling, errorFor, 'No error element added after the field');
+                assert.equal(fields[1].getAttribute('aria-describedby'), errorFor.id, '[aria-describedby] set to the [data-error-for] element');
+                validation.updateFieldError(fields[1], null);
+                assert.equal(fields[1].getAttribute('aria-describedby'), null, '[aria-describedby] removed');
+                validation.clearFieldError(fields[2]);
+                assert.equal(fields[2].nextSibling, null, '[clearFieldError()] does not add an error element');
+
+                // Errors are not shown while typing until the field loses focus
+                var results = [];
+                validation.setupLiveValidation(fields[2], function(element) {
+                    return ['Live ' + element.name];
+                }, function(element, error) {
+                    results.push(error);
+                });
+                validation.setupLiveValidation(fields[2], null, function() {
+                    results.push('Setup Twice');
+                });
+                assert.equal(fields[2].getAttribute('data-live-validation-setup'), '', '[data-live-validation-setup] added');
+                fields[2].dispatchEvent(new Event('input'));
+                assert.deepEqual(results, [], 'Not validated from [input] before [blur]');
+                assert.equal(fields[2].getAttribute('aria-invalid'), null, 'No error before [blur]');
+                fields[2].dispatchEvent(new Event('blur'));
+                assert.deepEqual(results, ['[Live unit-test-live] is a required field.'], 'Validated from [blur] using [getArgs()]: ' + JSON.stringify(results));
+                assert.equal(fields[2].getAttribute('aria-invalid'), 'true', 'Error shown after [blur]');
+
+                // After the first [blur] each change is validated
+                fields[2].value = 'Test';
+                fields[2].dispatchEvent(new Event('input'));
+                assert.deepEqual(results, ['[Live unit-test-live] is a required field.', null], 'Validated from [input] after [blur]: ' + JSON.stringify(results));
+                assert.equal(fields[2].getAttribute('aria-invalid'), null, 'Error cleared once the field is valid');
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
+        // [showFieldErrors] and [liveValidation] are opt-in from HTML using
+        // [data-show-field-errors="true"] and [data-live-validation="true"].
+        QUnit.test('Page entryForm and Plugin listEditor with [showFieldErrors], [liveValidation], and [disableSaveWhenInvalid]', function (assert) {
+            var done = assert.async();
+            var viewEngine = app.viewEngine();
+            var container = null;
+            var listControl = null;
+            var listEditor = null;
+
+            loadSrcFiles(['pages/entryForm.js', 'plugins/listEditor.js', 'extensions/validation.js']).then(function() {
+                listEditor = app.plugins.listEditor;
+                container = createForm([
+                    '<input name="field-name" required>',
+                    '<button class="unit-test-save">Save</button>',
+                ].join(''));
+                var field = container.querySelector('input');
+                var button = container.querySelector('button');
+
+                // Options are off by default so existing forms are not changed
+                var model = createEntryForm({ saveButtonSelector: '.unit-test-save' });
+                assert.equal(model.showFieldErrors, false, 'model.showFieldErrors is false by default');
+                assert.equal(model.liveValidation, false, 'model.liveValidation is false by default');
+                assert.equal(model.disableSaveWhenInvalid, false, 'model.disableSaveWhenInvalid is false by default');
+                return model.validateStep(container).then(function(errors) {
+                    assert.equal(errors.length, 1, 'Form has an error');
+                    assert.equal(container.querySelector('.field-error'), null, 'No field errors shown by default');
+                    assert.equal(field.getAttribute('aria-invalid'), null, 'No [aria-invalid] by default');
+                    model.setupLiveValidation();
+                    assert.equal(field.getAttribute('data-live-validation-setup'), null, 'No live validation by default');
+                    model.updateSaveButton();
+                    assert.equal(button.disabled, false, 'Save button enabled by default');
+
+                    // Errors are shown next to fields with [showFieldErrors]
+                    model = createEntryForm({
+                        saveButtonSelector: '.unit-test-save',
+                        showFieldErrors: true,
+                        liveValidation: true,
+                        disableSaveWhenInvalid: true,
+                    });
+                    return model.validateStep(container);
+                }).then(function() {
+                    var errorElement = container.querySelector('.field-error');
+                    assert.ok(errorElement !== null && errorElement.textContent !== '', 'Field error shown: ' + (errorElement && errorElement.textContent));
+                    assert.equal(field.getAttribute('aria-invalid'), 'true', 'Field has [aria-invalid]');
+
+                    // [isFormValid()] and [disableSaveWhenInvalid]
+                    assert.equal(model.isFormValid(), false, 'model.isFormValid() is false');
+                    model.updateSaveButton();
+                    assert.equal(button.disabled, true, 'Save button disabled while the form has errors');
+                    assert.equal(errorElement.textContent !== '', true, '[isFormValid()] does not change the field error');
+
+                    // Fields are validated while editing with [liveValidation] and
+                    // the save button is updated after each change
+                    model.setupLiveValidation();
+                    assert.equal(field.getAttribute('data-live-validation-setup'), '', 'Live validation set up');
+                    field.value = 'Test';
+                    field.dispatchEvent(new Event('blur'));
+                    assert.equal(model.isFormValid(), true, 'model.isFormValid() is true');
+                    assert.equal(field.getAttribute('aria-invalid'), null, 'Field error cleared');
+                    assert.equal(button.disabled, false, 'Save button enabled once the form is valid');
+                    field.value = '';
+                    field.dispatchEvent(new Event('input'));
+                    assert.equal(button.disabled, true, 'Save button disabled again from [input]');
+                    document.body.removeChild(container);
+                    container = null;
+
+                    // Rows from [listEditor] only show errors next to fields when
+                    // [validate()] is called with [showFieldErrors] from [entryForm]
+                    app.activeModel.unitTestRows = [{ name: '' }, { name: 'B' }];
+                    var rows = '<div data-list-item><input name="item-field-name" required></div><div data-list-item><input name="item-field-name" value="B" required></div>';
+                    listControl = createListControl('unitTestRows', rows, { 'data-list-label': 'Row' });
+                    tester.compiledTemplates++;
+                    return new Promise(function(resolve) {
+                        listEditor.reloadListEditorControl(listControl, resolve);
+                    });
+                }).then(function() {
+                    var inputs = listControl.querySelectorAll('[name="item-field-name"]');
+                    assert.equal(inputs[0].getAttribute('data-live-validation-setup'), null, 'No live validation for rows by default');
+                    var errors = listEditor.validate();
+                    assert.equal(errors.length, 1, 'One row error: ' + errors.join());
+                    assert.equal(listControl.querySelector('.field-error'), null, 'No field errors from [validate()]');
+                    errors = listEditor.validate(true);
+                    var items = listControl.querySelectorAll('[data-list-item]');
+                    var errorElement = items[0].querySelector('.field-error');
+                    assert.ok(errorElement !== null && errorElement.textContent === errors[0], 'Error shown in the row: ' + (errorElement && errorElement.textContent));
+                    assert.equal(inputs[0].getAttribute('aria-invalid'), 'true', 'Row field has [aria-invalid]');
+                    assert.equal(items[1].querySelector('.field-error'), null, 'No error for the valid row');
+                    assert.equal(model.isFormValid(), false, 'model.isFormValid() is false with an invalid row');
+                    inputs[0].value = 'A';
+                    listEditor.validate(true);
+                    assert.equal(errorElement.style.display, 'none', 'Row error hidden once valid');
+                    assert.equal(inputs[0].getAttribute('aria-invalid'), null, 'Row field [aria-invalid] removed');
+
+                    // Live validation for rows is opt-in from the control or the active [entryForm]
+                    var activeModel = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+                    assert.equal(listEditor.useLiveValidation(listControl), false, 'listEditor.useLiveValidation() is false by default');
+                    activeModel.liveValidation = true;
+                    assert.equal(listEditor.useLiveValidation(listControl), true, 'listEditor.useLiveValidation() from the active model');
+                    listControl.setAttribute('data-live-validation', 'false');
+                    assert.equal(listEditor.useLiveValidation(listControl), false, '[data-live-validation="false"] on the control');
+                    delete activeModel.liveValidation;
+                    listControl.setAttribute('data-live-validation', 'true');
+                    assert.equal(listEditor.useLiveValidation(listControl), true, '[data-live-validation="true"] on the control');
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                // Compiling the <template> for the list changes the View Engine to 'Text'
+                app.viewEngine(viewEngine);
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                if (listControl !== null) {
+                    listControl.parentNode.parentNode.removeChild(listControl.parentNode);
+                }
+                if (listEditor !== null) {
+                    listEditor.onRouteUnload();
+                }
+                delete app.activeModel.unitTestRows;
+                done();
+            });
+        });
+
+        // Drafts from [data-autosave] are saved to [localStorage] as the user edits
+        // the form or list and the user is asked to restore them the next time the
+        // form or list is loaded. [window.confirm()] is replaced for the test.
+        QUnit.test('Page entryForm and Plugin listEditor Drafts with [data-autosave]', function (assert) {
+            var done = assert.async();
+            var windowConfirm = window.confirm;
+            var viewEngine = app.viewEngine();
+            var confirmResult = true;
+            var confirmText = null;
+            var container = null;
+            var listControl = null;
+            var listEditor = null;
+            var listKey = null;
+            window.confirm = function(text) {
+                confirmText = text;
+                return confirmResult;
+            };
+
+            // Load the form and reset changes as [entryForm.setupView()] does
+            function loadForm() {
+                var model = createEntryForm({ autosave: 'unit-test', name: 'Original' });
+                container.querySelector('input').value = '';
+                model.loadFormFields();
+                model.resetChanges();
+                return model;
+            }
+
+            loadSrcFiles(['pages/entryForm.js', 'plugins/listEditor.js']).then(function() {
+                listEditor = app.plugins.listEditor;
+                container = createForm('<input name="field-name">');
+                var field = container.querySelector('input');
+                var model = loadForm();
+                var key = model.getDraftKey();
+                assert.ok(key.indexOf('dataformsjs-draft:unit-test:') === 0, 'model.getDraftKey(): ' + key);
+
+                // Drafts are only saved while the form has changes
+                model.checkForChanges();
+                assert.equal(window.localStorage.getItem(key), null, 'No draft without changes');
+                field.value = 'Changed';
+                model.checkForChanges();
+                var draft = model.getDraft();
+                assert.deepEqual(draft.record, { name: 'Changed' }, 'Draft saved after a change: ' + JSON.stringify(draft));
+                assert.ok(typeof draft.time === 'number', 'Draft saved with the time');
+                field.value = 'Original';
+                model.checkForChanges();
+                assert.equal(model.getDraft(), null, 'Draft removed once the form matches the loaded record');
+
+                // Restore the draft the next time the form loads
+                field.value = 'Changed';
+                model.checkForChanges();
+                model = loadForm();
+                assert.equal(field.value, 'Original', 'Form loaded with the original record');
+                model.restoreDraft();
+                assert.ok(confirmText.indexOf('You have unsaved changes to this form from ') === 0, 'User asked to restore the draft: ' + confirmText);
+                return nextTick().then(function() {
+                    assert.equal(field.value, 'Changed', 'Form field restored from the draft');
+                    assert.equal(model.name, 'Changed', 'Model restored from the draft');
+                    assert.ok(model.restoredDraft !== null, 'model.restoredDraft is set');
+                    assert.ok(model.isDirty, 'model.isDirty after restoring the draft');
+                    assert.deepEqual(model.changedFields, ['name'], 'model.changedFields after restoring the draft');
+
+                    // Declining to restore removes the draft
+                    confirmResult = false;
+                    model = loadForm();
+                    model.restoreDraft();
+                    assert.equal(field.value, 'Original', 'Form not changed when the draft is not restored');
+                    assert.equal(model.restoredDraft, null, 'model.restoredDraft is null when the draft is not restored');
+                    assert.equal(model.getDraft(), null, 'Draft removed when not restored');
+
+                    // Drafts are removed once the record is saved or deleted
+                    confirmResult = true;
+                    field.value = 'Changed';
+                    model.checkForChanges();
+                    assert.ok(model.getDraft() !== null, 'Draft saved before clearDraft()');
+                    model.clearDraft();
+                    assert.equal(model.getDraft(), null, 'Draft removed from clearDraft()');
+                    assert.equal(window.localStorage.getItem(key), null, 'Draft removed from [localStorage]');
+                    document.body.removeChild(container);
+
+                    // Lists with [data-autosave] save a draft of the Array from the active model
+                    app.activeModel.unitTestDrafts = [{ name: 'A' }, { name: 'B' }];
+                    var rows = '<div data-list-item><input name="item-field-name"></div><div data-list-item><input name="item-field-name"></div>';
+                    listControl = createListControl('unitTestDrafts', rows, { 'data-autosave': 'unit-test' });
+                    container = listControl.parentNode;
+                    tester.compiledTemplates++;
+                    return new Promise(function(resolve) {
+                        listEditor.reloadListEditorControl(listControl, resolve);
+                    });
+                }).then(function() {
+                    listKey = listEditor.getDraftKey(listControl);
+                    assert.ok(/^dataformsjs-draft:unit-test:.+:unitTestDrafts$/.test(listKey), 'listEditor.getDraftKey(): ' + listKey);
+                    assert.equal(window.localStorage.getItem(listKey), null, 'No list draft without changes');
+                    var input = listControl.querySelector('[name="item-field-name"]');
+                    input.value = 'Changed';
+                    listEditor.listItemValueChanged({ target: input });
+                    var draft = JSON.parse(window.localStorage.getItem(listKey));
+                    assert.deepEqual(draft.records, [{ name: 'Changed' }, { name: 'B' }], 'List draft saved after a change: ' + JSON.stringify(draft));
+
+                    // Restore the list after the route is loaded again
+                    listEditor.onRouteUnload();
+                    app.activeModel.unitTestDrafts = [{ name: 'A' }, { name: 'B' }];
+                    confirmText = null;
+                    return new Promise(function(resolve) {
+                        listEditor.reloadListEditorControl(listControl, resolve);
+                    });
+                }).then(function() {
+                    // Wait for the control to be refreshed with the restored list
+                    return new Promise(function(resolve) {
+                        window.setTimeout(resolve, 0);
+                    });
+                }).then(function() {
+                    assert.ok(confirmText.indexOf('You have unsaved changes to this list from ') === 0, 'User asked to restore the list: ' + confirmText);
+                    assert.deepEqual(app.activeModel.unitTestDrafts, [{ name: 'Changed' }, { name: 'B' }], 'List restored from the draft');
+
+                    // An [entryForm] that uses [data-autosave] includes the list in its own draft
+                    // so the list draft is not used and [clearDraft()] removes list drafts.
+                    var activeModel = (app.activeVueModel !== null ? app.activeVueModel : app.activeModel);
+                    activeModel.autosave = 'unit-test';
+                    activeModel.getDraftKey = model.getDraftKey;
+                    assert.equal(listEditor.getDraftKey(listControl), null, 'No list draft key when the active [entryForm] uses [data-autosave]');
+                    delete activeModel.autosave;
+                    delete activeModel.getDraftKey;
+                    assert.ok(window.localStorage.getItem(listKey) !== null, 'List draft exists before clearDraft()');
+                    createEntryForm({}).clearDraft();
+                    assert.equal(window.localStorage.getItem(listKey), null, 'List draft removed from [entryForm.clearDraft()]');
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                // Compiling the <template> for the list changes the View Engine to 'Text'
+                app.viewEngine(viewEngine);
+                window.confirm = windowConfirm;
+                if (listKey !== null) {
+                    window.localStorage.removeItem(listKey);
+                }
+                if (container !== null && container.parentNode !== null) {
+                    container.parentNode.removeChild(container);
+                }
+                if (listEditor !== null) {
+                    listEditor.onRouteUnload();
+                }
+                delete app.activeModel.unitTestDrafts;
+                done();
+            });
+        });
+
+        // Rows are moved, duplicated, deleted, and restored from buttons and the keyboard
+        // on the route [/list-editor] and the Array from [data-edit-list] on the active
+        // model is updated so the new order is saved. When using Vue the Array is
+        // the same Array from [app.activeModel] that Vue uses for the view.
+        QUnit.test('Plugin listEditor - Move, Duplicate, Delete, and Undo Records', function (assert) {
+            var done = assert.async();
+            var listEditor = null;
+
+            function names() {
+                return app.activeModel.records.map(function(record) { return record.name; }).join();
+            }
+
+            function renderedNames() {
+                var fields = document.querySelectorAll('#view [name="item-field-name"]');
+                return Array.prototype.map.call(fields, function(field) { return field.value; }).join();
+            }
+
+            function row(index) {
+                return document.querySelectorAll('#view [data-list-item]')[index];
+            }
+
+            // Wait for the list to be rendered again after the Array changes
+            function refresh() {
+                return nextTick().then(function() {
+                    return new Promise(function(resolve) {
+                        window.setTimeout(resolve, 0);
+                    });
+                });
+            }
+
+            loadSrcFiles(['plugins/listEditor.js']).then(function() {
+                listEditor = app.plugins.listEditor;
+                app.models.unitTestListEditor.records = [{ name: 'A' }, { name: 'B' }, { name: 'C' }];
+                tester.compiledTemplates += (app.viewEngine() === 'Vue' ? 1 : 2);
+                return new Promise(function(resolve) {
+                    app.onUpdateViewComplete = function() {
+                        app.onUpdateViewComplete = null;
+                        resolve();
+                    };
+                    window.location.hash = '#/list-editor';
+                });
+            }).then(refresh).then(function() {
+                assert.equal(renderedNames(), 'A,B,C', 'Rendered list: ' + renderedNames());
+
+                // Move buttons are disabled on the first and last rows
+                assert.ok(row(0).querySelector('[data-move-up]').disabled, '[data-move-up] disabled on the first row');
+                assert.ok(!row(0).querySelector('[data-move-down]').disabled, '[data-move-down] enabled on the first row');
+                assert.ok(row(2).querySelector('[data-move-down]').disabled, '[data-move-down] disabled on the last row');
+                assert.equal(document.querySelector('#view [data-undo-button]').style.display, 'none', '[data-undo-button] hidden until a record is deleted');
+
+                row(0).querySelector('[data-move-down]').click();
+                assert.equal(names(), 'B,A,C', 'Order after [data-move-down] on the first record: ' + names());
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,A,C', 'Rendered list after moving down: ' + renderedNames());
+                row(2).querySelector('[data-move-up]').click();
+                assert.equal(names(), 'B,C,A', 'Order after [data-move-up] on the last record: ' + names());
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,C,A', 'Rendered list after moving up: ' + renderedNames());
+
+                // Records can't be moved past the start or end of the list
+                var control = document.querySelector('#view [data-edit-list]');
+                listEditor.moveListItem(control, 'records', 0, -1);
+                listEditor.moveListItem(control, 'records', 2, 3);
+                assert.equal(names(), 'B,C,A', 'Order is not changed when moving outside of the list: ' + names());
+
+                // Copies are added directly after the record
+                row(1).querySelector('[data-duplicate-button]').click();
+                var records = app.activeModel.records;
+                assert.equal(names(), 'B,C,C,A', 'Order after [data-duplicate-button] on the second record: ' + names());
+                assert.ok(records[1] !== records[2], 'Duplicated record is a copy');
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,C,C,A', 'Rendered list after duplicating: ' + renderedNames());
+                var field = row(2).querySelector('[name="item-field-name"]');
+                field.value = 'D';
+                listEditor.listItemValueChanged({ target: field });
+                assert.equal(names(), 'B,C,D,A', 'Duplicated record edited: ' + names());
+                return refresh();
+            }).then(function() {
+                // [Alt + Up Arrow] moves the record for the row with focus
+                var field = row(3).querySelector('[name="item-field-name"]');
+                listEditor.listItemKeyDown({ key: 'ArrowUp', altKey: true, currentTarget: row(3), target: field, preventDefault: function() {} });
+                assert.equal(names(), 'B,C,A,D', 'Order after [Alt + Up Arrow] on the last record: ' + names());
+                listEditor.listItemKeyDown({ key: 'ArrowDown', altKey: false, currentTarget: row(0), target: field, preventDefault: function() {} });
+                assert.equal(names(), 'B,C,A,D', 'Order is not changed without the [Alt] key: ' + names());
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,C,A,D', 'Rendered list after moving from the keyboard: ' + renderedNames());
+                row(1).querySelector('[data-delete-button]').click();
+                assert.equal(names(), 'B,A,D', 'Order after [data-delete-button] on the second record: ' + names());
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,A,D', 'Rendered list after deleting: ' + renderedNames());
+                var undoButton = document.querySelector('#view [data-undo-button]');
+                assert.equal(undoButton.style.display, '', '[data-undo-button] shown after a record is deleted');
+                undoButton.click();
+                assert.equal(names(), 'B,C,A,D', 'Deleted record restored to the same position from [data-undo-button]: ' + names());
+                return refresh();
+            }).then(function() {
+                assert.equal(renderedNames(), 'B,C,A,D', 'Rendered list after undo: ' + renderedNames());
+                assert.equal(document.querySelector('#view [data-undo-button]').style.display, 'none', '[data-undo-button] hidden once the record is restored');
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                app.onUpdateViewComplete = function() {
+                    app.onUpdateViewComplete = null;
+                    tester.checkCounts(assert);
+                    done();
+                };
+                window.location.hash = '#/';
+            });
+        });
+
+        // Field names such as [field-address.city] and [field-phones[0].number] are read
+        // from and saved to nested objects and arrays on the record. Names that would
+        // change the prototype of the record such as [field-__proto__.isAdmin] are ignored.
+        QUnit.test('Page entryForm with Nested Field Names', function (assert) {
+            var done = assert.async();
+            if (window.FormData === undefined || window.Blob === undefined) {
+                assert.ok(true, 'Test Skipped, Browser does not support FormData');
+                done();
+                return;
+            }
+            var container = null;
+            var xhrSend = XMLHttpRequest.prototype.send;
+            var credentials = app.settings.fetchOptions.credentials;
+            var consoleWarn = console.warn;
+            var warnings = [];
+
+            function values() {
+                var fields = container.querySelectorAll('input:not([type="file"])');
+                return Array.prototype.map.call(fields, function(field) { return field.value; }).join();
+            }
+
+            loadSrcFiles(['pages/entryForm.js']).then(function() {
+                container = createForm([
+                    '<input name="field-name">',
+                    '<input name="field-address.city">',
+                    '<input name="field-phones[0].number">',
+                    '<input id="field-phones[1].number">',
+                    '<input name="field-__proto__.isAdmin">',
+                    '<input name="field-constructor.prototype.isAdmin">',
+                ].join(''));
+                var model = createEntryForm({
+                    name: 'Test',
+                    address: { city: 'Vancouver' },
+                    phones: [{ number: '123' }, { number: '456' }],
+                });
+
+                // Form fields are loaded from nested values
+                model.loadFormFields();
+                assert.equal(values(), 'Test,Vancouver,123,456,,', 'Fields loaded from nested values: ' + values());
+
+                // The record is built with nested objects and arrays
+                var fields = container.querySelectorAll('input');
+                fields[1].value = 'Victoria';
+                fields[3].value = '789';
+                fields[4].value = 'true';
+                fields[5].value = 'true';
+                console.warn = function(message) {
+                    warnings.push(message);
+                };
+                var record = model.getRecord(true).record;
+                console.warn = consoleWarn;
+                var expected = {
+                    name: 'Test',
+                    address: { city: 'Victoria' },
+                    phones: [{ number: '123' }, { number: '789' }],
+                };
+                assert.deepEqual(record, expected, 'model.getRecord(): ' + JSON.stringify(record));
+                assert.equal(({}).isAdmin, undefined, '[Object.prototype] not changed from [field-__proto__.isAdmin] or [field-constructor.prototype.isAdmin]');
+                assert.ok(Object.getPrototypeOf(record) === Object.prototype, 'Prototype of the record is not changed');
+                assert.equal(warnings.length, 2, 'Warning for each ignored field: ' + warnings.join(' '));
+                container.removeChild(fields[5]);
+                container.removeChild(fields[4]);
+
+                // Nested values are submitted using the field name path with [multipart/form-data].
+                // The request uses [app.settings.fetchOptions.credentials] and [fetchTimeout].
+                var fileField = createField('input', { type: 'file', name: 'field-attachment' });
+                var file = new Blob(['File Content'], { type: 'text/plain' });
+                file.name = 'test.txt';
+                Object.defineProperty(fileField, 'files', { value: [file] });
+                container.appendChild(fileField);
+                app.settings.fetchOptions.credentials = 'include';
+                var xhrOptions = null;
+                XMLHttpRequest.prototype.send = function(body) {
+                    xhrOptions = { withCredentials: this.withCredentials, timeout: this.timeout };
+                    return xhrSend.call(this, body);
+                };
+                model.saveUrl = '/unit-testing/upload-files';
+                model.useSaveApi = false; // Response {success, fields, files} is assigned to the model
+                model.fetchTimeout = '5000';
+                return new Promise(function(resolve, reject) {
+                    model.onFormAfterSave = resolve;
+                    model.onFormSaveError = reject;
+                    model.saveRecord();
+                }).then(function() {
+                    assert.deepEqual(xhrOptions, { withCredentials: true, timeout: 5000 }, 'XMLHttpRequest options: ' + JSON.stringify(xhrOptions));
+                    var expected = {
+                        'name': 'Test',
+                        'address.city': 'Victoria',
+                        'phones[0].number': '123',
+                        'phones[1].number': '789',
+                    };
+                    assert.deepEqual(model.fields, expected, 'Fields submitted with [multipart/form-data]: ' + JSON.stringify(model.fields));
+                    assert.equal(model.files.length, 1, 'File count: ' + model.files.length);
+                    assert.equal(model.files[0].name, 'attachment', 'File field name: ' + model.files[0].name);
+                    assert.equal(model.files[0].content, 'File Content', 'File content: ' + model.files[0].content);
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                XMLHttpRequest.prototype.send = xhrSend;
+                app.settings.fetchOptions.credentials = credentials;
+                console.warn = consoleWarn;
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
+        QUnit.test('Page entryForm Multi-step Forms with [stepSelector]', function (assert) {
+            var done = assert.async();
+            var container = null;
+
+            loadSrcFiles(['pages/entryForm.js', 'extensions/validation.js']).then(function() {
+                container = createForm([
+                    '<ul class="unit-test-wizard-errors"></ul>',
+                    '<span class="unit-test-wizard-info"></span>',
+                    '<span class="unit-test-wizard-progress"></span>',
+                    '<div data-wizard-step="Account" data-save-url="/unit-testing/post-json-echo"><input name="field-name" required></div>',
+                    '<div data-wizard-step="Address"><input name="field-address.city" required></div>',
+                    '<div data-wizard-step="Confirm"><input name="field-comment"></div>',
+                    '<button class="unit-test-wizard-back">Back</button>',
+                    '<button class="unit-test-wizard-next">Next</button>',
+                    '<button class="unit-test-wizard-save">Save</button>',
+                ].join(''));
+                var steps = container.querySelectorAll('[data-wizard-step]');
+                var fields = container.querySelectorAll('input');
+                var progress = container.querySelector('.unit-test-wizard-progress');
+                var errors = container.querySelector('.unit-test-wizard-errors');
+                var model = createEntryForm({
+                    stepSelector: '[data-wizard-step]',
+                    stepProgressSelector: '.unit-test-wizard-progress',
+                    stepProgressText: 'Step {step} of {count}: {title}',
+                    nextButtonSelector: '.unit-test-wizard-next',
+                    backButtonSelector: '.unit-test-wizard-back',
+                    saveButtonSelector: '.unit-test-wizard-save',
+                    errorSelector: '.unit-test-wizard-errors',
+                    errorListSelector: '.unit-test-wizard-errors',
+                    infoSelector: '.unit-test-wizard-info',
+                    saveUrl: '/unit-testing/post-json-echo',
+                });
+
+                function visibleButtons() {
+                    return ['back', 'next', 'save'].filter(function(name) {
+                        return container.querySelector('.unit-test-wizard-' + name).style.display !== 'none';
+                    }).join();
+                }
+
+                // The first step is shown and the title is read from the attribute in [stepSelector]
+                model.setupSteps();
+                assert.equal(model.stepCount, 3, 'model.stepCount: ' + model.stepCount);
+                assert.ok(!steps[0].hasAttribute('hidden') && steps[1].hasAttribute('hidden') && steps[2].hasAttribute('hidden'), 'Only the first step is visible');
+                assert.equal(progress.textContent, 'Step 1 of 3: Account', 'Progress: ' + progress.textContent);
+                assert.equal(visibleButtons(), 'next', 'Visible buttons: ' + visibleButtons());
+
+                // Required fields are validated before moving to the next step
+                return model.nextStep().then(function(isValid) {
+                    assert.equal(isValid, false, 'Step 1 is not valid without [name]');
+                    assert.equal(model.currentStep, 0, 'Step 1 is still shown');
+                    assert.equal(errors.querySelectorAll('li').length, 1, 'Error shown: ' + errors.textContent);
+                    assert.equal(model.submitted, undefined, 'Step 1 was not saved');
+
+                    // Only the fields of the step are submitted to the step's [data-save-url]
+                    fields[0].value = 'Test';
+                    return model.nextStep();
+                }).then(function(isValid) {
+                    assert.equal(isValid, true, 'Step 1 is valid');
+                    assert.equal(model.currentStep, 1, 'Step 2 is shown');
+                    assert.deepEqual(model.submitted, { name: 'Test' }, 'Step 1 saved: ' + JSON.stringify(model.submitted));
+                    assert.equal(progress.textContent, 'Step 2 of 3: Address', 'Progress: ' + progress.textContent);
+                    assert.equal(visibleButtons(), 'back,next', 'Visible buttons: ' + visibleButtons());
+                    return model.nextStep();
+                }).then(function(isValid) {
+                    assert.equal(isValid, false, 'Step 2 is not valid without [address.city]');
+                    fields[1].value = 'Victoria';
+                    return model.nextStep();
+                }).then(function(isValid) {
+                    // Steps without [data-save-url] are only validated
+                    assert.equal(isValid, true, 'Step 2 is valid');
+                    assert.equal(model.currentStep, 2, 'Step 3 is shown');
+                    assert.deepEqual(model.submitted, { name: 'Test' }, 'Step 2 was not saved: ' + JSON.stringify(model.submitted));
+                    assert.equal(visibleButtons(), 'back,save', 'Visible buttons: ' + visibleButtons());
+
+                    // Back does not validate and the full record is validated on save
+                    // which shows the first step with an error
+                    model.previousStep();
+                    assert.equal(model.currentStep, 1, 'Step 2 shown from [previousStep()]');
+                    model.showStep(2, false);
+                    fields[1].value = '';
+                    model.saveRecord();
+                    assert.equal(model.currentStep, 1, 'Step 2 shown from [saveRecord()] with an invalid field');
+
+                    // The full record is submitted to [saveUrl] from the last step
+                    fields[1].value = 'Victoria';
+                    fields[2].value = 'Done';
+                    model.showStep(2, false);
+                    return new Promise(function(resolve, reject) {
+                        model.onFormAfterSave = resolve;
+                        model.onFormSaveError = reject;
+                        model.saveRecord();
+                    });
+                }).then(function() {
+                    var expected = { name: 'Test', address: { city: 'Victoria' }, comment: 'Done' };
+                    assert.deepEqual(model.submitted, expected, 'Record saved: ' + JSON.stringify(model.submitted));
+                    tester.submittedRequestCount += 2;
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
+        // Save requests from [entryForm] are cancelled by [abortFetch()] which is called
+        // from [onRouteUnload()]. Cancelled requests do not show errors or call events.
+        QUnit.test('Page entryForm cancels Save Requests from [abortFetch()]', function (assert) {
+            var done = assert.async();
+            var container = null;
+            if (window.AbortController === undefined) {
+                assert.ok(true, 'Test Skipped, Browser does not support AbortController');
+                done();
+                return;
+            }
+
+            loadSrcFiles(['pages/entryForm.js']).then(function() {
+                container = createForm([
+                    '<span class="unit-test-abort-error"></span>',
+                    '<div data-save-url="/unit-testing/post-json-echo"><input name="field-name" value="Test"></div>',
+                ].join(''));
+                var errors = [];
+                var model = createEntryForm({
+                    errorSelector: '.unit-test-abort-error',
+                    saveUrl: '/unit-testing/post-json-echo',
+                    onFormAfterSave: function() { errors.push('onFormAfterSave'); },
+                    onFormSaveError: function(error) { errors.push('onFormSaveError: ' + error); },
+                });
+
+                // Step Save
+                var request = model.saveStep(container.querySelector('[data-save-url]'));
+                assert.ok(model.fetchAbortController !== null, 'fetchAbortController is set for [saveStep()]');
+                model.abortFetch();
+                return request.then(function(saved) {
+                    assert.equal(saved, false, 'Cancelled step was not saved');
+                    assert.equal(model.submitted, undefined, 'Model not updated from cancelled step');
+
+                    // Record Save
+                    model.saveRecord();
+                    assert.ok(model.fetchAbortController !== null, 'fetchAbortController is set for [saveRecord()]');
+                    model.abortFetch();
+                    assert.equal(model.fetchAbortController, null, 'fetchAbortController cleared from [abortFetch()]');
+                    return new Promise(function(resolve) {
+                        window.setTimeout(resolve, 200);
+                    });
+                }).then(function() {
+                    assert.equal(model.submitted, undefined, 'Model not updated from cancelled save');
+                    assert.deepEqual(errors, [], 'No save events called');
+                    var error = container.querySelector('.unit-test-abort-error');
+                    assert.equal(error.textContent, '', 'No error shown');
+                });
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
+        // Sort helpers from [js/plugins/sort.js]. The same cases are tested
+        // for <table is="sortable-table"> from [unit-testing-web-components.js].
+        QUnit.test('Plugin sort with Multiple Columns and [data-sort-type]', function (assert) {
+            var done = assert.async();
+            var table = null;
+            loadSrcFiles(['plugins/sort.js']).then(function() {
+                var sort = app.plugins.sort;
+
+                function sortColumns(attributes) {
+                    var element = createField('table', attributes);
+                    return JSON.stringify(sort.getSortColumns(element));
+                }
+
+                function sortValues(values, sortType) {
+                    return values.map(function(value) {
+                        return sort.getSortValue(value, sortType);
+                    }).sort(sort.sortCompare).map(function(item) {
+                        return (item.type === 'date' ? item.value.getFullYear() : item.value);
+                    }).join('|');
+                }
+
+                function columnText(index) {
+                    return Array.prototype.map.call(table.tBodies[0].rows, function(row) {
+                        return row.cells[index].textContent;
+                    }).join();
+                }
+
+                // [data-sort-columns] uses "{column}-{order}" and invalid items are skipped
+                assert.equal(sortColumns({ 'data-sort-columns': '2-desc, 0-asc,x-asc,1-up' }), '[{"column":2,"order":"desc"},{"column":0,"order":"asc"}]', 'Parsed [data-sort-columns]');
+                assert.equal(sortColumns({ 'data-sort-columns': '' }), '[]', 'Empty [data-sort-columns]');
+                assert.equal(sortColumns({}), '[]', 'Table without a sort');
+                assert.equal(sortColumns({ 'data-sort-column': '1', 'data-sort-order': 'desc' }), '[{"column":1,"order":"desc"}]', '[data-sort-column] and [data-sort-order]');
+                assert.equal(sortColumns({ 'data-sort-column': '1', 'data-sort-order': 'up' }), '[{"column":1,"order":"asc"}]', 'Invalid [data-sort-order] is "asc"');
+
+                // Data types detected from the text or set from [data-sort-type]
+                assert.deepEqual(sort.getSortValue('', null), { value: null, type: null }, 'Empty text is null');
+                assert.deepEqual(sort.getSortValue('12.5', null), { value: 12.5, type: 'number' }, 'Number detected');
+                assert.deepEqual(sort.getSortValue('Apple', null), { value: 'apple', type: 'string' }, 'Text detected');
+                assert.equal(sort.getSortValue('2020-01-02', null).type, 'date', 'Date detected');
+                assert.deepEqual(sort.getSortValue('$1,234.50', 'number'), { value: 1234.5, type: 'number' }, 'Formatted number with [data-sort-type="number"]');
+                assert.deepEqual(sort.getSortValue('N/A', 'number'), { value: null, type: null }, 'Invalid number is null');
+                assert.deepEqual(sort.getSortValue('Invalid', 'date'), { value: null, type: null }, 'Invalid date is null');
+                assert.deepEqual(sort.getSortValue('123', 'text'), { value: '123', type: 'string' }, 'Number as text with [data-sort-type="text"]');
+                assert.deepEqual(sort.getSortValue('Item 2', 'natural'), { value: 'item 2', type: 'natural' }, 'Natural text');
+
+                // [sortCompare()] orders null, numbers, dates, then text
+                assert.equal(sortValues(['banana', '', '10', '2020-01-02', '2', 'Apple'], null), '|2|10|2020|apple|banana', 'Mixed types');
+                assert.equal(sortValues(['Item 10', 'Item 2', 'item 1'], 'natural'), 'item 1|item 2|item 10', 'Natural sort');
+                assert.equal(sortValues(['Item 10', 'Item 2', 'item 1'], 'text'), 'item 1|item 10|item 2', 'Text sort');
+                assert.equal(sortValues(['$20', '$3', '', '$100'], 'number'), '|3|20|100', 'Number sort');
+
+                // Sort by multiple columns with [sortTable()]
+                table = document.createElement('table');
+                table.innerHTML = [
+                    '<thead><tr><th data-sort-type="natural">Item</th><th data-sort-type="number">Price</th><th>Group</th></tr></thead>',
+                    '<tbody>',
+                    '<tr><td>Item 10</td><td>$5.00</td><td>B</td></tr>',
+                    '<tr><td>Item 2</td><td>$20.00</td><td>A</td></tr>',
+                    '<tr><td>Item 1</td><td>$5.00</td><td>A</td></tr>',
+                    '<tr><td>Item 3</td><td>$100.00</td><td>B</td></tr>',
+                    '</tbody>',
+                ].join('');
+                document.body.appendChild(table);
+                var headerCells = table.tHead.rows[0].cells;
+                sort.sortTable(table, [{ column: 2, order: 'asc' }, { column: 1, order: 'desc' }]);
+                assert.equal(columnText(0), 'Item 2,Item 1,Item 3,Item 10', 'Sorted by Group then Price: ' + columnText(0));
+                assert.equal(table.getAttribute('data-sort-columns'), '2-asc,1-desc', '[data-sort-columns]');
+                assert.equal(table.getAttribute('data-sort-column') + '-' + table.getAttribute('data-sort-order'), '2-asc', '[data-sort-column] and [data-sort-order]');
+                assert.equal(headerCells[2].getAttribute('aria-sort') + ':' + headerCells[2].getAttribute('data-sort-priority'), 'ascending:1', 'Group header');
+                assert.equal(headerCells[1].getAttribute('aria-sort') + ':' + headerCells[1].getAttribute('data-sort-priority'), 'descending:2', 'Price header');
+                assert.ok(!headerCells[0].hasAttribute('aria-sort'), 'Item header is not sorted');
+
+                // Clicking a column replaces the sort and [Shift] adds or reverses a column
+                sort.sortColumn({ target: headerCells[0], shiftKey: false });
+                assert.equal(columnText(0), 'Item 1,Item 2,Item 3,Item 10', 'Natural sort by Item: ' + columnText(0));
+                assert.equal(table.getAttribute('data-sort-columns'), '0-asc', 'Click on Item');
+                assert.ok(!headerCells[0].hasAttribute('data-sort-priority') && !headerCells[2].hasAttribute('aria-sort'), 'Header attributes updated for a single column');
+                sort.sortColumn({ target: headerCells[0], shiftKey: false });
+                assert.equal(table.getAttribute('data-sort-columns'), '0-desc', 'Click on Item again');
+                sort.sortColumn({ target: headerCells[2], shiftKey: false });
+                sort.sortColumn({ target: headerCells[1], shiftKey: true });
+                assert.equal(columnText(1), '$5.00,$20.00,$5.00,$100.00', 'Sorted by Group then Price: ' + columnText(1));
+                assert.equal(table.getAttribute('data-sort-columns'), '2-asc,1-asc', 'Shift + Click on Price');
+                sort.sortColumn({ target: headerCells[1], shiftKey: true });
+                assert.equal(table.getAttribute('data-sort-columns'), '2-asc,1-desc', 'Shift + Click on Price again');
+                assert.equal(columnText(0), 'Item 2,Item 1,Item 3,Item 10', 'Sorted by Group then Price: ' + columnText(0));
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (table !== null) {
+                    document.body.removeChild(table);
+                }
+                done();
+            });
+        });
+
+        // Range and facet filters from [js/plugins/filter.js] using a table with [data-filter-row].
+        // The same cases are tested for <filter-service> from [unit-testing-web-components.js].
+        QUnit.test('Plugin filter with Range and Facet Filters', function (assert) {
+            var done = assert.async();
+            var container = null;
+            loadSrcFiles(['plugins/filter.js']).then(function() {
+                var filter = app.plugins.filter;
+                container = document.createElement('div');
+                container.innerHTML = [
+                    '<table class="unit-test-filter-table" data-filter-row>',
+                    '<thead><tr><th>Name</th><th data-filter-type="number">Amount</th><th data-filter-type="date">Date</th><th data-filter-type="select">Status</th><th data-filter-type="none">Notes</th></tr></thead>',
+                    '<tbody>',
+                    '<tr><td>A</td><td>$1,200.50</td><td>2024-01-15</td><td>Open</td><td></td></tr>',
+                    '<tr><td>B</td><td>$75.00</td><td>2024-01-31</td><td>Closed</td><td></td></tr>',
+                    '<tr><td>C</td><td>$300.00</td><td>2024-02-01</td><td>Open</td><td></td></tr>',
+                    '<tr><td>D</td><td></td><td></td><td>Pending</td><td></td></tr>',
+                    '<tr><td>E</td><td>$1,000.00</td><td>2024-03-10</td><td>Closed</td><td></td></tr>',
+                    '</tbody>',
+                    '</table>',
+                    '<span class="unit-test-filter-between" data-filter-selector=".unit-test-filter-table" data-filter-column="Amount" data-filter-operator="between" data-filter-value="100|1000">Between</span>',
+                    '<span class="unit-test-filter-in" data-filter-selector=".unit-test-filter-table" data-filter-column="Status" data-filter-operator="in" data-filter-value="Open|Pending">In</span>',
+                    '<span data-filter-clear=".unit-test-filter-table">Clear</span>',
+                ].join('');
+                document.body.appendChild(container);
+                filter.onRendered(container);
+
+                var controls = container.querySelector('tr[data-filter-controls]');
+                var cells = controls.cells;
+                var amount = cells[1].querySelectorAll('input');
+                var dates = cells[2].querySelectorAll('input');
+                var select = cells[3].querySelector('select');
+
+                function shownRows() {
+                    var rows = container.querySelector('tbody').rows;
+                    return Array.prototype.filter.call(rows, function(row) {
+                        return row.style.display !== 'none';
+                    }).map(function(row) {
+                        return row.cells[0].textContent;
+                    }).join();
+                }
+
+                function optionText() {
+                    return Array.prototype.map.call(select.options, function(option) {
+                        return option.textContent;
+                    }).join();
+                }
+
+                function setValues(elements, values) {
+                    Array.prototype.forEach.call(elements, function(element, n) {
+                        element.value = values[n];
+                    });
+                    filter.filter();
+                }
+
+                // Controls from [data-filter-type] of each header cell
+                assert.equal(cells.length, 5, 'Filter row has a cell for each column');
+                assert.equal(cells[0].querySelector('input').type, 'search', 'Text filter');
+                assert.equal(amount.length + ':' + amount[0].type + ':' + amount[0].getAttribute('data-filter-operator') + ':' + amount[1].getAttribute('data-filter-operator'), '2:number:>=:<=', 'Number range filter');
+                assert.equal(dates.length + ':' + dates[0].getAttribute('data-filter-type') + ':' + dates[0].getAttribute('aria-label'), '2:date:Date From', 'Date range filter');
+                assert.ok(select.multiple && select.hasAttribute('data-filter-facet'), 'Select filter with [data-filter-facet]');
+                assert.equal(cells[4].children.length, 0, 'No filter for [data-filter-type="none"]');
+
+                // Distinct values are sorted and the facet shows the count for each option
+                assert.equal(optionText(), 'Closed (2),Open (2),Pending (1)', 'Facet options: ' + optionText());
+                assert.equal(shownRows(), 'A,B,C,D,E', 'All rows are shown');
+
+                // Numbers are compared as numbers and rows without a value are hidden.
+                // Facet counts include the other filters of the table.
+                setValues(amount, ['100', '']);
+                assert.equal(shownRows(), 'A,C,E', 'Amount >= 100: ' + shownRows());
+                assert.equal(optionText(), 'Closed (1),Open (2),Pending (0)', 'Facet options: ' + optionText());
+                setValues(amount, ['100', '1000']);
+                assert.equal(shownRows(), 'C,E', 'Amount between 100 and 1000: ' + shownRows());
+                setValues(amount, ['', '75']);
+                assert.equal(shownRows(), 'B', 'Amount <= 75: ' + shownRows());
+                setValues(amount, ['abc', '']);
+                assert.equal(shownRows(), 'A,B,C,D,E', 'Invalid number is not used');
+                setValues(amount, ['', '']);
+
+                // A date only value for the max date includes the full day
+                setValues(dates, ['2024-01-31', '2024-02-01']);
+                assert.equal(shownRows(), 'B,C', 'Date range: ' + shownRows());
+                setValues(dates, ['2024-02-01', '']);
+                assert.equal(shownRows(), 'C,E', 'Date from: ' + shownRows());
+                setValues(dates, ['', '']);
+
+                // Select matches any of the selected options
+                select.options[1].selected = true;
+                filter.filter();
+                assert.equal(shownRows(), 'A,C', 'Status is Open: ' + shownRows());
+                select.options[2].selected = true;
+                filter.filter();
+                assert.equal(shownRows(), 'A,C,D', 'Status is Open or Pending: ' + shownRows());
+                setValues(amount, ['1', '']);
+                assert.equal(shownRows(), 'A,C', 'Status and Amount: ' + shownRows());
+                assert.equal(optionText(), 'Closed (2),Open (2),Pending (0)', 'Facet options: ' + optionText());
+                select.options[1].selected = false;
+                select.options[2].selected = false;
+                setValues(amount, ['', '']);
+
+                // Operators [between] and [in] from [data-filter-value]
+                container.querySelector('.unit-test-filter-between').click();
+                assert.equal(shownRows(), 'C,E', 'Clicked [between] filter: ' + shownRows());
+                container.querySelector('.unit-test-filter-in').click();
+                assert.equal(shownRows(), 'A,C,D', 'Clicked [in] filter: ' + shownRows());
+                container.querySelector('[data-filter-clear]').click();
+                assert.equal(shownRows(), 'A,B,C,D,E', 'Filters cleared');
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
+        // Search mode from [js/plugins/filter.js] using [data-filter-search]. The same
+        // cases are tested for [utils-search.js] from [unit-testing-web-components.js].
+        QUnit.test('Plugin filter with [data-filter-search], [data-filter-fuzzy], and [data-filter-rank]', function (assert) {
+            var done = assert.async();
+            var container = null;
+            loadSrcFiles(['plugins/filter.js', 'plugins/highlighter.js']).then(function() {
+                var filter = app.plugins.filter;
+                container = document.createElement('div');
+                container.innerHTML = [
+                    '<input class="unit-test-search-input" data-filter-selector=".unit-test-search li" data-filter-search data-filter-fuzzy data-filter-rank data-filter-highlight="highlight">',
+                    '<ul class="unit-test-search">',
+                    '<li>Johnny Appleseed</li>',
+                    '<li>José Smith, New York</li>',
+                    '<li>John Smith, Boston</li>',
+                    '<li>Jane Doe, New Orleans</li>',
+                    '</ul>',
+                ].join('');
+                document.body.appendChild(container);
+                filter.onRendered(container);
+                var input = container.querySelector('input');
+
+                function search(value) {
+                    input.value = value;
+                    filter.filter();
+                    return Array.prototype.filter.call(container.querySelectorAll('li'), function(item) {
+                        return item.style.display !== 'none';
+                    }).map(function(item) {
+                        return item.textContent;
+                    }).join('|');
+                }
+
+                function highlights() {
+                    return Array.prototype.map.call(container.querySelectorAll('mark.highlight'), function(mark) {
+                        return mark.textContent;
+                    }).join('|');
+                }
+
+                // Case and accents are ignored and words match in any order
+                assert.equal(search('JOSE'), 'José Smith, New York', 'Accents ignored');
+                assert.equal(highlights(), 'José', 'Highlighted text keeps the accent: ' + highlights());
+                assert.equal(search('new smith'), 'José Smith, New York', 'Words in any order');
+                assert.equal(highlights(), 'Smith|New', 'Highlighted words: ' + highlights());
+                assert.equal(search('new boston'), '', 'All words must match');
+
+                // Phrases in double quotes are matched together
+                assert.equal(search('"new york"'), 'José Smith, New York', 'Phrase matched');
+                assert.equal(search('"york new"'), '', 'Phrase words are not matched in any order');
+
+                // Full words rank higher than the start of a word
+                assert.equal(search('john'), 'John Smith, Boston|Johnny Appleseed', 'Ranked by score');
+                assert.equal(search('new'), 'José Smith, New York|Jane Doe, New Orleans', 'Items with the same score keep their order');
+
+                // Typos are allowed with [data-filter-fuzzy]
+                assert.equal(search('jon smth'), 'John Smith, Boston', 'Fuzzy search');
+                assert.equal(highlights(), 'John|Smith', 'Fuzzy matches highlighted: ' + highlights());
+                assert.equal(search('"jon smith"'), '', 'Phrases do not use fuzzy matching');
+                input.setAttribute('data-filter-fuzzy', '0.9');
+                assert.equal(search('jon smth'), '', 'Fuzzy search with a higher minimum similarity');
+                input.removeAttribute('data-filter-fuzzy');
+                assert.equal(search('jon smth'), '', 'Search without [data-filter-fuzzy]');
+
+                // The original order is restored and highlights are removed once cleared
+                assert.equal(search(''), 'Johnny Appleseed|José Smith, New York|John Smith, Boston|Jane Doe, New Orleans', 'Original order restored');
+                assert.equal(container.querySelectorAll('mark, [data-filter-index]').length, 0, 'Highlights and [data-filter-index] removed');
+            })
+            .catch(function(error) {
+                assert.ok(false, 'Error: ' + error);
+            })
+            .then(function() {
+                if (container !== null) {
+                    document.body.removeChild(container);
+                }
+                done();
+            });
+        });
+
         // Check for the expected number of properties and objects
         // in DataFormsJS after all tests on this page has completed
         QUnit.test('DataFormJS Unit Test Complete Property Count', function (assert) {
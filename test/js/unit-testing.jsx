@@ -410,3 +410,59 @@ function TestJsonDataError() {
             onViewUpdated={onErrorViewUpdated} />
     )
 }
+
+function ShowPage(props) {
+    const pagination = props.pagination;
+    return <>
+            <ul>{props.data.data.map(record => <li key={record.id}>{record.id}</li>)}</ul>
+            <span className="page-info">Page {pagination.page} of {pagination.pageCount}</span>
+            <button className="btn-previous" onClick={pagination.previousPage} disabled={!pagination.hasPrevious}>Previous</button>
+            <button className="btn-next" onClick={pagination.nextPage} disabled={!pagination.hasMore}>Next</button>
+            <button className="btn-load-more" onClick={pagination.loadMore} disabled={!pagination.hasMore}>Load More</button>
+        </>
+}
+
+function TestJsonDataPagination() {
+    return (
+        <JsonData
+            url="/unit-testing/paged-records"
+            pagination="page"
+            pageSize={2}
+            isLoading={<ShowLoading />}
+            hasError={<ShowError />}
+            isLoaded={<ShowPage />} />
+    )
+}
+
+// Data saved to the shared cache before <TestJsonDataCache> is rendered. The first
+// <JsonData> shows it without a request and the second downloads data because
+// [fetchHeaders] with [Authorization] uses a different cache key.
+const cacheUrl = '/unit-testing/page-json-data?cache=react';
+window.dataformsjsDataCache = window.dataformsjsDataCache || {};
+window.dataformsjsDataCache[cacheUrl] = {
+    url: cacheUrl,
+    json: JSON.stringify({ serverMessage: 'Response from Cache' }),
+    time: Date.now(),
+};
+
+function TestJsonDataCache() {
+    return <>
+            <div className="cached">
+                <JsonData
+                    url={cacheUrl}
+                    cacheTtl={60}
+                    isLoading={<ShowLoading />}
+                    hasError={<ShowError />}
+                    isLoaded={<ShowData />} />
+            </div>
+            <div className="with-headers">
+                <JsonData
+                    url={cacheUrl}
+                    cacheTtl={60}
+                    fetchHeaders={{ Authorization: 'Bearer unit-test' }}
+                    isLoading={<ShowLoading />}
+                    hasError={<ShowError />}
+                    isLoaded={<ShowData />} />
+            </div>
+        </>
+}
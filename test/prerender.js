@@ -0,0 +1,94 @@
+/**
+ * Tests for [scripts/prerender.js]
+ *
+ * Pre-renders a route from [examples/places-demo-hbs.htm] using a data fixture
+ * and checks the generated page. Unlike the other unit tests this runs from
+ * Node and not a Web Browser. Files are written to a temporary directory that
+ * is deleted once the tests complete.
+ *
+ * Usage:
+ *     node ./test/prerender.js
+ */
+
+/* eslint-env node, es6 */
+/* eslint quotes: ["error", "single", { "avoidEscape": true }] */
+/* eslint strict: ["error", "global"] */
+/* eslint spaced-comment: ["error", "always"] */
+/* eslint-disable no-console */
+/* jshint esversion: 8, node: true */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const rootDir = path.join(__dirname, '..');
+const countriesUrl = 'https://www.dataformsjs.com/data/geonames/countries';
+const fixture = {
+    [countriesUrl]: {
+        countries: [
+            { iso: 'CA', country: 'Canada', area_km: 9984670, population: 33679000, continent: 'NA' },
+            { iso: 'US', country: 'United States', area_km: 9629091, population: 310232863, continent: 'NA' },
+        ],
+    },
+};
+
+/**
+ * Run [scripts/prerender.js] and resolve to the output from the console
+ *
+ * @param {array} args
+ * @return {Promise<string>}
+ */
+function prerender(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(rootDir, 'scripts', 'prerender.js')].concat(args), { cwd: rootDir, timeout: 60000 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(error.message + '\n' + stdout + stderr));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+(async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataformsjs-prerender-'));
+    try {
+        const dataFile = path.join(tempDir, 'data.json');
+        const outDir = path.join(tempDir, 'out');
+        fs.writeFileSync(dataFile, JSON.stringify(fixture));
+
+        // Hash routing uses the file name of the page along with the route
+        const output = await prerender(['examples/places-demo-hbs.htm', '--routes', '/en/', '--data', dataFile, '--out', outDir]);
+        assert.ok(output.includes('Files Created: 1, Errors: 0'), 'One file created without errors');
+        const outFile = path.join(outDir, 'places-demo-hbs.en.htm');
+        assert.ok(fs.existsSync(outFile), 'Output file [places-demo-hbs.en.htm] created');
+        const html = fs.readFileSync(outFile, 'utf8');
+
+        // Route is rendered in the view element with data from the fixture
+        const view = html.substring(html.indexOf('<div id="view"'), html.indexOf('</div>', html.indexOf('</table>')));
+        assert.ok(view.includes('<h1>Countries</h1>'), 'Route template rendered');
+        assert.ok(view.includes('/regions/CA">CA</a>'), 'Records rendered');
+        assert.ok(view.includes('<td>United States</td>'), 'Second record rendered');
+        assert.ok(view.includes('>9,629,091</td>'), 'Framework Handlebars helper [formatNumber] used');
+        assert.ok(!view.includes('{{'), 'No template expressions remain in the view');
+
+        // Templates remain on the page for the browser and the hash is set for the route
+        assert.ok(html.includes('data-route="/:lang/"'), 'Route template kept on the page');
+        assert.ok(html.includes("window.history.replaceState(null, '', '#/en/');"), 'URL hash set when opened without one');
+
+        // Data is added to the shared cache so the browser does not download it again
+        assert.ok(html.includes('window.dataformsjsDataCache[url]'), 'Data added to [window.dataformsjsDataCache]');
+        assert.ok(html.includes(JSON.stringify(fixture)), 'Fixture data included in the page');
+
+        console.log('All prerender tests passed');
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+})();
@@ -49,6 +49,7 @@ const views = [
     'unit-testing-vue-3',
     'unit-testing-react',
     'unit-testing-preact',
+    'unit-testing-web-components',
 ];
 
 app.use(bodyParser());
@@ -124,6 +125,24 @@ app.get('/unit-testing/page-json-data-record/:id', (req, res, id) => {
     res.json(data);
 });
 
+app.get('/unit-testing/slow-response', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    res.json({ serverMessage: 'Slow Response from Server' });
+});
+
+// Returns a 503 Response Code for the first 2 requests of each
+// [key] and then a valid response on the 3rd request.
+const retryRequests = {};
+app.get('/unit-testing/retry-response/:key', (req, res, key) => {
+    retryRequests[key] = (retryRequests[key] === undefined ? 1 : retryRequests[key] + 1);
+    if (retryRequests[key] <= 2) {
+        res.statusCode = 503;
+        res.text('Service Unavailable');
+        return;
+    }
+    res.json({ requestCount: retryRequests[key] });
+});
+
 app.get('/unit-testing/page-entry-form-record/:id', (req, res, id) => {
     res.json({
         recordId: id,
@@ -132,6 +151,30 @@ app.get('/unit-testing/page-entry-form-record/:id', (req, res, id) => {
     });
 });
 
+// Record that uses optimistic concurrency. GET returns a Strong [ETag] and POST
+// requires a matching [If-Match] header or responds with 412 and the
+// current record. Each valid save increments [version].
+const versionedRecord = { id: 1, name: 'Conrad', version: 1 };
+app.get('/unit-testing/versioned-record', (req, res) => {
+    res.etag(true).json(versionedRecord);
+});
+
+app.post('/unit-testing/versioned-record', async (req, res) => {
+    if (req.headers['if-match'] !== etag.create(JSON.stringify(versionedRecord), true)) {
+        res.statusCode = 412;
+        res.json(versionedRecord);
+        return;
+    }
+    const data = await req.json();
+    versionedRecord.name = data.name;
+    versionedRecord.version++;
+    res.setHeader('ETag', etag.create(JSON.stringify(versionedRecord), true));
+    res.json({
+        success: true,
+        fields: { version: versionedRecord.version },
+    });
+});
+
 app.post('/unit-testing/post-form-data-1', async (req, res) => {
     const form = await req.form();
     let result;
@@ -166,6 +209,69 @@ app.post('/unit-testing/post-json-data-1', async (req, res) => {
     res.text(result);
 });
 
+// Returns the submitted JSON as [fields.submitted] using the [entryForm] save API
+app.post('/unit-testing/post-json-echo', async (req, res) => {
+    const data = await req.json();
+    res.json({
+        success: true,
+        fields: { submitted: data },
+    });
+});
+
+// Returns fields and file info from a 'multipart/form-data' POST
+app.post('/unit-testing/upload-files', async (req, res) => {
+    const result = await req.multipart();
+    const files = [];
+    Object.keys(result.files).forEach(name => {
+        [].concat(result.files[name]).forEach(file => {
+            files.push({
+                name: name,
+                filename: file.filename,
+                contentType: file.contentType,
+                size: file.size,
+                content: file.data.toString('utf8'),
+            });
+        });
+    });
+    res.json({
+        success: true,
+        fields: result.fields,
+        files: files,
+    });
+});
+
+// Paged list of 5 records using [?page=1&pageSize=2]. The total is sent
+// in the [X-Total-Count] Response Header and the next page in [Link].
+app.get('/unit-testing/paged-records', (req, res) => {
+    const query = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    const totalCount = 5;
+    const page = parseInt(query.get('page'), 10) || 1;
+    const pageSize = parseInt(query.get('pageSize'), 10) || 2;
+    const records = [];
+    for (let id = (page - 1) * pageSize + 1; id <= Math.min(page * pageSize, totalCount); id++) {
+        records.push({ id: id });
+    }
+    res.setHeader('X-Total-Count', String(totalCount));
+    if (page * pageSize < totalCount) {
+        res.setHeader('Link', `</unit-testing/paged-records?page=${page + 1}&pageSize=${pageSize}>; rel="next"`);
+    }
+    res.json({ data: records });
+});
+
+// Used with [data-validate-remote] from [js/extensions/validation.js].
+// The username 'admin' is already taken and all other values are valid.
+function validateUsername(res, value) {
+    res.json(value === 'admin' ? { valid: false, error: 'Username [admin] is already taken' } : { valid: true });
+}
+
+app.get('/unit-testing/validate-username', (req, res) => {
+    validateUsername(res, new URL(req.url, `http://${req.headers.host}`).searchParams.get('value'));
+});
+
+app.get('/unit-testing/validate-username/:value', (req, res, value) => {
+    validateUsername(res, decodeURIComponent(value));
+});
+
 app.get('/unit-testing/simple-json-array', (req, res) => {
     res.json({
         array: ['Item 1', 'Item 3', 'Item 3']